@@ -0,0 +1,24 @@
+/**
+ * Background Service Worker
+ *
+ * Content scripts can't reach chrome.action, so bridge.js forwards
+ * badge updates here. Used by the event watch (content.js section 8c)
+ * to show a quiet count of matching listings on the extension icon.
+ *
+ * v6.4: Initial version — watch badge only
+ */
+
+'use strict';
+
+// Muted slate rather than alert red — the badge should inform, not alarm
+const BADGE_COLOUR = '#4b5563';
+
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message?.type !== 'SET_BADGE') return;
+
+  const tabId = sender.tab?.id;
+  if (tabId === undefined) return;
+
+  chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLOUR });
+  chrome.action.setBadgeText({ tabId, text: message.text || '' });
+});
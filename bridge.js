@@ -8,6 +8,10 @@
  * 
  * Uses window.postMessage + CustomEvents for cross-world messaging.
  * 
+ * v6.5: Added per-event store (shortlist, last scan, filters) in chrome.storage.local,
+ *       with the shortlist mirrored to chrome.storage.sync; venue model loading
+ *       (bundled venues/ + imported customVenues)
+ * v6.4: Added event watch storage (chrome.storage.local) and badge relay
  * v6.2: Added MCDA preferences relay
  * v5.0: Added sensory profile storage and relay
  */
@@ -73,6 +77,103 @@
   // Send fallback after a delay (gives API interception time to work first)
   setTimeout(loadAndSendFallbackSeats, 3000);
 
+  // ──────────────────────────────────────────────
+  // LOAD & SEND VENUE MODELS TO MAIN WORLD
+  // ──────────────────────────────────────────────
+  // Bundled models are listed in venues/index.json; models imported
+  // through the popup live in chrome.storage.local and win on id clash.
+
+  async function loadBundledVenues() {
+    try {
+      const files = await fetch(chrome.runtime.getURL('venues/index.json')).then(r => r.json());
+      const models = await Promise.all(files.map(file =>
+        fetch(chrome.runtime.getURL(`venues/${file}`))
+          .then(r => r.json())
+          .catch(err => { console.log('[A11y Bridge] Venue file failed:', file, err.message); return null; })
+      ));
+      return models.filter(Boolean);
+    } catch (e) {
+      console.log('[A11y Bridge] No bundled venues:', e.message);
+      return [];
+    }
+  }
+
+  function loadAndBroadcastVenues() {
+    loadBundledVenues().then(bundled => {
+      chrome.storage.local.get(['customVenues'], (result) => {
+        const byId = new Map(bundled.map(v => [v.id, v]));
+        (result.customVenues || []).forEach(v => byId.set(v.id, v));
+        window.postMessage({
+          source: 'tm-a11y-bridge',
+          type: 'VENUES_LOADED',
+          venues: Array.from(byId.values())
+        }, '*');
+        console.log('[A11y Bridge] Sent venue models:', byId.size);
+      });
+    });
+  }
+
+  setTimeout(loadAndBroadcastVenues, 300);
+
+  // ──────────────────────────────────────────────
+  // PER-EVENT STORE HELPERS
+  // ──────────────────────────────────────────────
+
+  const EVENT_STORE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+  const EVENT_STORE_MAX_EVENTS = 25;
+  const SHORTLIST_SYNC_PREFIX = 'shortlist:';
+  // Just enough to identify and show a pinned seat — sync items are capped at 8 KB
+  const SHORTLIST_SYNC_FIELDS = ['id', 'section', 'row', 'seatNumber', 'sellerType', 'listingIndex', 'listingRef',
+    'price', 'currency', 'feePerTicket', 'orderFee', 'feesIncluded', 'type', 'qualityScore'];
+
+  /** Drop records older than 30 days, then keep the most recent events */
+  function pruneEventStore(store, now) {
+    const fresh = Object.entries(store)
+      .filter(([, record]) => now - (record.updatedAt || 0) < EVENT_STORE_MAX_AGE_MS)
+      .sort((a, b) => b[1].updatedAt - a[1].updatedAt)
+      .slice(0, EVENT_STORE_MAX_EVENTS);
+    return Object.fromEntries(fresh);
+  }
+
+  function saveSyncedShortlist(eventKey, pins, now) {
+    const syncKey = SHORTLIST_SYNC_PREFIX + eventKey;
+    if (!pins.length) {
+      chrome.storage.sync.remove(syncKey);
+      return;
+    }
+    const slim = pins.map(pin => {
+      const out = {};
+      SHORTLIST_SYNC_FIELDS.forEach(f => { if (pin[f] != null) out[f] = pin[f]; });
+      return out;
+    });
+    chrome.storage.sync.set({ [syncKey]: { pins: slim, updatedAt: now } }, () => {
+      if (chrome.runtime.lastError) {
+        console.log('[A11y Bridge] Shortlist sync skipped:', chrome.runtime.lastError.message);
+      }
+    });
+
+    // Prune other devices' stale shortlists while we're here
+    chrome.storage.sync.get(null, (all) => {
+      const expired = Object.keys(all).filter(k =>
+        k.startsWith(SHORTLIST_SYNC_PREFIX) && now - (all[k]?.updatedAt || 0) > EVENT_STORE_MAX_AGE_MS);
+      if (expired.length) chrome.storage.sync.remove(expired);
+    });
+  }
+
+  /**
+   * chrome.storage has no transactions, so two read-merge-write saves
+   * landing together (a flushed seat save and a pin change, say) would
+   * each overwrite the other's record. Local-storage updates and the
+   * reads that follow them run one at a time, in arrival order.
+   */
+  let _localStorageQueue = Promise.resolve();
+
+  function queueLocalStorage(task) {
+    _localStorageQueue = _localStorageQueue
+      .then(() => new Promise(done => task(done)))
+      .catch(err => console.log('[A11y Bridge] Local storage update failed:', err));
+  }
+
   // ──────────────────────────────────────────────
   // LISTEN FOR SAVE REQUESTS FROM MAIN WORLD
   // ──────────────────────────────────────────────
@@ -134,6 +235,86 @@
         });
       });
     }
+
+    // ── Event watch messages from content.js ──
+    // Watches hold per-event bookkeeping, so they live in local storage
+    // (not sync) and are keyed by the event store key.
+
+    if (type === 'REQUEST_WATCH') {
+      queueLocalStorage(done => chrome.storage.local.get(['eventWatches'], (result) => {
+        const watches = result.eventWatches || {};
+        window.postMessage({
+          source: 'tm-a11y-bridge',
+          type: 'WATCH_LOADED',
+          eventKey: event.data.eventKey,
+          watch: watches[event.data.eventKey] || null
+        }, '*');
+        done();
+      }));
+    }
+
+    if (type === 'SAVE_WATCH') {
+      queueLocalStorage(done => chrome.storage.local.get(['eventWatches'], (result) => {
+        const watches = result.eventWatches || {};
+        if (event.data.watch) {
+          watches[event.data.eventKey] = event.data.watch;
+        } else {
+          delete watches[event.data.eventKey];
+        }
+        chrome.storage.local.set({ eventWatches: watches }, done);
+      }));
+    }
+
+    // ── Per-event state from content.js ──
+    // One record per event store key in local storage; partial saves
+    // are merged in. The shortlist is mirrored to sync storage (one
+    // small item per event) so it follows the user across devices.
+
+    if (type === 'REQUEST_EVENT_STATE') {
+      const eventKey = event.data.eventKey;
+      const syncKey = SHORTLIST_SYNC_PREFIX + eventKey;
+      queueLocalStorage(done => chrome.storage.local.get(['eventStore'], (local) => {
+        chrome.storage.sync.get([syncKey], (synced) => {
+          const state = { ...(local.eventStore || {})[eventKey] };
+          const remote = synced[syncKey];
+          // Another device changed the shortlist more recently
+          if (remote && (!state.pinsUpdatedAt || remote.updatedAt > state.pinsUpdatedAt)) {
+            state.pins = remote.pins;
+            state.pinsUpdatedAt = remote.updatedAt;
+          }
+          window.postMessage({
+            source: 'tm-a11y-bridge',
+            type: 'EVENT_STATE_LOADED',
+            eventKey: eventKey,
+            state: Object.keys(state).length ? state : null
+          }, '*');
+          done();
+        });
+      }));
+    }
+
+    if (type === 'SAVE_EVENT_STATE') {
+      const { eventKey, eventName, state } = event.data;
+      const now = Date.now();
+      queueLocalStorage(done => chrome.storage.local.get(['eventStore'], (result) => {
+        const store = pruneEventStore(result.eventStore || {}, now);
+        store[eventKey] = {
+          ...store[eventKey],
+          ...state,
+          ...(state.pins ? { pinsUpdatedAt: now } : {}),
+          eventName: eventName || store[eventKey]?.eventName || null,
+          updatedAt: now
+        };
+        chrome.storage.local.set({ eventStore: store }, done);
+      }));
+      if (state.pins) saveSyncedShortlist(eventKey, state.pins, now);
+    }
+
+    if (type === 'SET_WATCH_BADGE') {
+      // Only the background worker can touch chrome.action
+      chrome.runtime.sendMessage({ type: 'SET_BADGE', text: event.data.text || '' })
+        .catch(() => {});
+    }
   });
 
   // ──────────────────────────────────────────────
@@ -155,6 +336,13 @@
       return true;
     }
 
+    if (message.type === 'VENUES_UPDATED') {
+      // Popup imported or removed a venue file
+      loadAndBroadcastVenues();
+      sendResponse({ success: true });
+      return;
+    }
+
     if (message.type === 'GET_SEAT_DATA') {
       // Request seat data from content.js
       window.postMessage({
@@ -254,5 +442,5 @@
     }
   });
 
-  console.log('[A11y Bridge] Initialised v6.2');
+  console.log('[A11y Bridge] Initialised v6.5');
 })();
\ No newline at end of file
@@ -4,7 +4,8 @@
  * Runs in MAIN world on Ticketmaster pages.
  * 
  * Features:
- * 1. Sidebar-only seat data capture (auto-scrolls TM listing panel)
+ * 1. Seat data capture — read-only fetch/XHR capture of TM offer payloads
+ *    plus sidebar scraping (auto-scrolls TM listing panel) to confirm them
  * 2. Companion side panel with filterable seat display
  * 3. Colour scheme customisation (accessibility palettes)
  * 4. Focus mode — dims unavailable SVG seats based on sidebar data
@@ -23,6 +24,14 @@
  * Added strict hasStrongSignal filter — only elements with "Section NNN" or 
  * "SECTION"+"ROW" DOM patterns pass. Rejects garbage entries ("0 No results",
  * "VIP Packages", "Full Price Ticket", delivery fees). Focus mode is CSS-only.
+ *
+ * v6.4: Network capture restored as a second seat source. Responses from
+ * TM's offer/inventory endpoints are cloned and parsed read-only; seats
+ * carry a `sources` provenance list and the sidebar confirms availability.
+ *
+ * v6.5: Checkout auto-clicking removed. "Select" opens a guided checkout
+ * that highlights and explains each host control and clicks only when the
+ * user confirms; payment buttons are never clicked.
  */
 
 (function () {
@@ -114,11 +123,13 @@
    * both the companion panel and seat map highlights.
    * 
    * Designed around common colour vision deficiencies and sensory needs.
+   * `calmSkin` tunes the optional page-wide calm skin (section 7a).
    */
   const COLOUR_SCHEMES = {
     'default': {
       label: 'Default',
       description: 'Dark theme with green accents',
+      calmSkin: { saturate: 0.6, brightness: 0.95, contrast: 1, surface: '#f5f5f4', tone: '#4b5563', toneBg: '#e5e7eb', toneText: '#1f2937' },
       '--tm-a11y-accent': '#3ecf8e',
       '--tm-a11y-seat-available': '#3ecf8e',
       '--tm-a11y-seat-available-bg': 'rgba(62, 207, 142, 0.10)',
@@ -146,6 +157,7 @@
     'high-contrast': {
       label: 'High Contrast',
       description: 'Maximum readability — bold black/white/yellow',
+      calmSkin: { saturate: 0, brightness: 1, contrast: 1.15, surface: '#ffffff', tone: '#000000', toneBg: '#000000', toneText: '#FFD700' },
       '--tm-a11y-accent': '#FFD700',
       '--tm-a11y-seat-available': '#FFD700',
       '--tm-a11y-seat-available-bg': 'rgba(255, 215, 0, 0.15)',
@@ -172,6 +184,7 @@
     'deuteranopia': {
       label: 'Colour Blind Safe (Red-Green)',
       description: 'Blue/orange — safe for deuteranopia & protanopia',
+      calmSkin: { saturate: 0.65, brightness: 0.95, contrast: 1, surface: '#f5f5f4', tone: '#1d4ed8', toneBg: '#dbeafe', toneText: '#1e3a8a' },
       '--tm-a11y-accent': '#4dabf7',
       '--tm-a11y-seat-available': '#4dabf7',
       '--tm-a11y-seat-available-bg': 'rgba(77, 171, 247, 0.12)',
@@ -198,6 +211,7 @@
     'tritanopia': {
       label: 'Colour Blind Safe (Blue-Yellow)',
       description: 'Red/cyan — safe for tritanopia',
+      calmSkin: { saturate: 0.65, brightness: 0.95, contrast: 1, surface: '#f5f5f4', tone: '#0f766e', toneBg: '#ccfbf1', toneText: '#134e4a' },
       '--tm-a11y-accent': '#ff6b6b',
       '--tm-a11y-seat-available': '#ff6b6b',
       '--tm-a11y-seat-available-bg': 'rgba(255, 107, 107, 0.12)',
@@ -224,6 +238,7 @@
     'muted': {
       label: 'Muted / Calm',
       description: 'Soft earth tones — reduced sensory stimulation',
+      calmSkin: { saturate: 0.45, brightness: 0.9, contrast: 0.95, surface: '#efebe4', tone: '#6b6158', toneBg: '#e7e0d6', toneText: '#3f3a34' },
       '--tm-a11y-accent': '#8fbc8f',
       '--tm-a11y-seat-available': '#8fbc8f',
       '--tm-a11y-seat-available-bg': 'rgba(143, 188, 143, 0.12)',
@@ -250,6 +265,7 @@
     'dark': {
       label: 'Dark Mode',
       description: 'Extra low brightness for light sensitivity',
+      calmSkin: { saturate: 0.5, brightness: 0.8, contrast: 1, surface: '#d4d4d8', tone: '#52525b', toneBg: '#c4c4cc', toneText: '#27272a' },
       '--tm-a11y-accent': '#60a5fa',
       '--tm-a11y-seat-available': '#4ade80',
       '--tm-a11y-seat-available-bg': 'rgba(74, 222, 128, 0.10)',
@@ -297,11 +313,22 @@
     // New feature preferences
     declutterEnabled: false,
     animationFreezeEnabled: false,
+    calmSkinEnabled: false,
+    urgencyMode: 'off',         // 'off' | 'neutral' | 'hide' — text-based pressure messages (6a)
+    calmTimerMode: 'off',       // 'off' | 'exact' | 'coarse' — steady reservation timer (6b)
     activeProfileId: null,
     // MCDA heatmap preferences
     mcdaEnabled: false,
-    mcdaWeights: { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25 },
-    ticketQty: 0
+    mcdaWeights: { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25, accessibility: 0 },
+    ticketQty: 0,
+    homeCurrency: null,         // ISO code prices are converted into (3j); null = page currency
+    exchangeRates: {},          // { USD: 0.79 } — 1 unit of the key = this much home currency
+    accessFilter: [],           // ACCESS_FEATURES keys a seat must offer
+    seatConstraints: [],        // Hard must / must-not rules (8a-i-c)
+    listMode: 'cards',          // 'cards' | 'sections' (3h)
+    listGroupBy: 'section',     // 'section' | 'area' | 'tier'
+    maxResaleMarkup: null,      // Hide resale above this % markup (3i); null = show all
+    scanStyle: 'auto'           // 'auto' | 'gentle' | 'standard' (3k)
   };
 
   // ══════════════════════════════════════════════════════════════
@@ -313,7 +340,7 @@
       id: 'profile_low-stim',
       name: 'Low Stimulation',
       builtIn: true,
-      description: 'Muted colours, large font, motion freeze, declutter — minimal sensory input',
+      description: 'Muted colours, large font, motion freeze, declutter, calm page — minimal sensory input',
       settings: {
         focusModeEnabled: false,
         colourScheme: 'muted',
@@ -321,7 +348,10 @@
         fontSize: 20,
         lineSpacing: 2.0,
         declutterEnabled: true,
-        animationFreezeEnabled: true
+        animationFreezeEnabled: true,
+        calmSkinEnabled: true,
+        urgencyMode: 'neutral',
+        calmTimerMode: 'coarse'
       },
       mcdaWeights: { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25 }
     },
@@ -337,7 +367,10 @@
         fontSize: 18,
         lineSpacing: 1.8,
         declutterEnabled: false,
-        animationFreezeEnabled: true
+        animationFreezeEnabled: true,
+        calmSkinEnabled: false,
+        urgencyMode: 'off',
+        calmTimerMode: 'off'
       },
       mcdaWeights: { price: 30, viewQuality: 35, proximity: 20, aisleAccess: 15 }
     },
@@ -353,7 +386,10 @@
         fontSize: 16,
         lineSpacing: 1.5,
         declutterEnabled: false,
-        animationFreezeEnabled: false
+        animationFreezeEnabled: false,
+        calmSkinEnabled: false,
+        urgencyMode: 'off',
+        calmTimerMode: 'off'
       },
       mcdaWeights: { price: 50, viewQuality: 20, proximity: 15, aisleAccess: 15 }
     }
@@ -374,7 +410,9 @@
   // New feature state
   let declutterStyleElement = null;
   let animationFreezeStyleElement = null;
-  let pinnedSeats = []; // Max 2 pinned seats for comparison
+  let calmSkinStyleElement = null;
+  let calmSkinScheme = null; // Scheme the calm skin was built for; null = skin off
+  let pinnedSeats = []; // Shortlist, up to MAX_PINNED_SEATS (3b)
   let declutterHiddenCount = 0;
   let currentPanelTab = 'seats';
   let scanState = 'ready';
@@ -382,53 +420,339 @@
   let currentAdapter = null; // Set during initialise()
   let customProfiles = [];    // User-created sensory profiles
   let activeProfileId = null; // Currently active profile ID
-  let mcdaScores = new Map(); // seatContentKey → { score, tier, subscores }
+  let mcdaScores = new Map(); // seatContentKey → { score, tier, measuredFrom, weights, subscores }
+  let seatRunLengths = new Map(); // seatContentKey → seats available together in that row
+  let activeWatch = null;     // Event watch criteria + alert bookkeeping (8c)
+  let watchNotice = null;     // Undismissed watch alert { count, cheapest, at }
+  let checkoutSession = null; // Guided checkout in progress (3c)
+  let pageFeeInfo = { orderFee: null, feesIncluded: null }; // Page-wide fee notes, see scanPageFeeNotes()
 
   // ══════════════════════════════════════════════════════════════
-  // 3. SEAT DATA — SIDEBAR-ONLY EXTRACTION
+  // 3a. NETWORK CAPTURE — READ-ONLY FETCH/XHR INTERCEPTION
   // ══════════════════════════════════════════════════════════════
   //
-  // Strategy: The TM sidebar IS the canonical source of available tickets.
-  // If a ticket isn't listed in the sidebar, it's not for sale.
+  // TM's seat map loads its inventory from offer/inventory endpoints
+  // long before the virtual-scrolled sidebar has rendered every row.
+  // We listen to those responses (cloned, never modified) and feed the
+  // parsed offers through mergeSeatData() tagged with source 'network'.
+  // The sidebar scrape then confirms availability of the same seats.
+  //
+  // Installed here rather than in initialise() because it must wrap
+  // fetch/XHR at document_start, before TM's own scripts grab them.
+  // ══════════════════════════════════════════════════════════════
+
+  const NETWORK_CAPTURE_PATTERNS = [
+    /\/api\/ismds\/event\/[^/]+\/(offers|quickpicks|facets)/i,
+    /\/api\/.*\/offers/i,
+    /offeradapter.*\/offers/i,
+    /inventory.*\/seats/i
+  ];
+
+  function isSeatInventoryURL(url) {
+    if (!url) return false;
+    return NETWORK_CAPTURE_PATTERNS.some(p => p.test(url));
+  }
+
+  function _installNetworkCapture() {
+    // Only TM/Live Nation serve the offer payloads we understand
+    if (!/ticketmaster|livenation/i.test(window.location.hostname)) return;
+
+    const origFetch = window.fetch;
+    if (typeof origFetch === 'function') {
+      window.fetch = function (...args) {
+        const promise = origFetch.apply(this, args);
+        try {
+          const req = args[0];
+          const url = typeof req === 'string' ? req : (req?.url || String(req || ''));
+          if (isSeatInventoryURL(url)) {
+            promise.then(res => {
+              if (!res || !res.ok) return;
+              res.clone().json()
+                .then(json => handleCapturedPayload(json, url))
+                .catch(() => {});
+            }).catch(() => {});
+          }
+        } catch (e) { /* never break the page's request */ }
+        return promise;
+      };
+    }
+
+    const XHR = window.XMLHttpRequest?.prototype;
+    if (XHR) {
+      const origOpen = XHR.open;
+      const origSend = XHR.send;
+
+      XHR.open = function (method, url, ...rest) {
+        this._tmA11yURL = typeof url === 'string' ? url : String(url || '');
+        return origOpen.call(this, method, url, ...rest);
+      };
+
+      XHR.send = function (...args) {
+        if (isSeatInventoryURL(this._tmA11yURL)) {
+          this.addEventListener('load', () => {
+            try {
+              if (this.status < 200 || this.status >= 300) return;
+              let json = null;
+              if (this.responseType === 'json') json = this.response;
+              else if (this.responseType === '' || this.responseType === 'text') json = JSON.parse(this.responseText);
+              if (json) handleCapturedPayload(json, this._tmA11yURL);
+            } catch (e) { /* non-JSON response — ignore */ }
+          });
+        }
+        return origSend.apply(this, args);
+      };
+    }
+
+    console.log('[A11y Helper] 🌐 Network capture installed (read-only)');
+  }
+
+  /**
+   * Entry point for every captured response. Parses and merges; any
+   * failure is logged and swallowed so the host page is never affected.
+   */
+  function handleCapturedPayload(json, url) {
+    try {
+      // A response for the event just left can land after SPA navigation (8e)
+      const urlEventId = url.match(/\/event\/([A-Za-z0-9]+)/)?.[1];
+      if (urlEventId && eventMeta.eventId && urlEventId !== eventMeta.eventId) return;
+
+      const seats = parseInventoryPayload(json);
+      if (seats.length === 0) return;
+      console.log(`[A11y Helper] 🌐 Network capture: ${seats.length} seats from ${url.split('?')[0]}`);
+      mergeSeatData(seats);
+    } catch (e) {
+      console.log('[A11y Helper] Network payload parse failed (non-fatal):', e.message);
+    }
+  }
+
+  /**
+   * Parse the TM response formats we've seen into the shared seat schema:
+   *   - Flat seat arrays (same shape as seats.json: seat_id, section, row,
+   *     seat_from, seat_to, price, offer_ids …)
+   *   - ISMDS offers: { _embedded: { offer: [...] } } with section/row/seatFrom
+   *   - Quickpicks: { picks: [...] } whose offer prices live in _embedded.offer
+   */
+  function parseInventoryPayload(json) {
+    if (!json || typeof json !== 'object') return [];
+
+    const embeddedOffers = json._embedded?.offer || json._embedded?.offers || json.offers || [];
+    const offerIndex = new Map();
+    if (Array.isArray(embeddedOffers)) {
+      embeddedOffers.forEach(o => {
+        const id = o?.offerId || o?.id;
+        if (id) offerIndex.set(id, o);
+      });
+    }
+
+    let records = [];
+    if (Array.isArray(json)) records = json;
+    else if (Array.isArray(json.seats)) records = json.seats;
+    else if (Array.isArray(json.picks)) records = json.picks;
+    else if (Array.isArray(embeddedOffers)) records = embeddedOffers;
+
+    const seats = [];
+    records.forEach(raw => {
+      const seat = normaliseNetworkSeat(raw, offerIndex);
+      if (seat) seats.push(seat);
+    });
+    return seats;
+  }
+
+  /**
+   * Map one raw network record onto the seat object used everywhere else.
+   * Section names are given the "Section " prefix the sidebar uses so the
+   * two sources dedupe against each other in mergeSeatData().
+   */
+  function normaliseNetworkSeat(raw, offerIndex) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const offerIds = raw.offer_ids || raw.offerIds ||
+      (raw.offerGroups || []).flatMap(g => g.offers || []) ||
+      [];
+    const offer = offerIds.map(id => offerIndex.get(id)).find(Boolean) || null;
+
+    const rawSection = raw.section ?? raw.sectionName ?? offer?.section;
+    if (!rawSection) return null;
+
+    const price = Number(raw.price ?? raw.totalPrice ?? offer?.totalPrice ?? raw.listPrice ?? offer?.listPrice);
+    if (!price || price < 5) return null;
+
+    const availability = raw.availability || (raw.available === false ? 'unavailable' : 'available');
+    if (availability !== 'available') return null;
+
+    // TM offers carry both the face (list) price and the fee-inclusive total
+    const listPrice = Number(raw.listPrice ?? offer?.listPrice);
+    const totalPrice = Number(raw.totalPrice ?? offer?.totalPrice);
+    const hasFeeSplit = listPrice > 0 && totalPrice > listPrice;
+
+    const section = /^section\s/i.test(rawSection) ? String(rawSection) : `Section ${rawSection}`;
+    const row = String(raw.row ?? raw.rowName ?? offer?.row ?? '');
+    const seatFrom = raw.seat_from ?? raw.seatFrom ?? offer?.seatFrom ?? '';
+    const seatTo = raw.seat_to ?? raw.seatTo ?? offer?.seatTo ?? seatFrom;
+    const seatNumber = seatFrom && seatTo && String(seatTo) !== String(seatFrom)
+      ? `${seatFrom}-${seatTo}` : String(seatFrom);
+
+    const inventoryType = raw.seller_type || raw.inventoryType || offer?.inventoryType || '';
+    const description = raw.description || offer?.name || raw.area_name || '';
+    // Offers tag accessible inventory in attribute lists as well as names
+    const accessText = [
+      description, raw.area_name,
+      ...[raw.accessibility, offer?.accessibility, raw.attributes, offer?.attributes]
+        .flatMap(list => Array.isArray(list) ? list : [])
+    ].filter(v => typeof v === 'string').join(' ');
+
+    return {
+      id: `network-${raw.seat_id || raw.id || offerIds[0] || `${section}-${row}-${seatNumber}`}`,
+      section: section,
+      row: row,
+      seatNumber: seatNumber,
+      price: price,
+      priceMax: price,
+      feePerTicket: hasFeeSplit ? Math.round((totalPrice - listPrice) * 100) / 100 : null,
+      orderFee: null,
+      feesIncluded: hasFeeSplit ? Math.abs(price - totalPrice) < 0.005 : null,
+      currency: raw.currency || offer?.currency || currencyFromHost(),
+      availability: 'available',
+      areaName: raw.area_name || raw.areaName || '',
+      description: description,
+      qualityScore: raw.quality_score ?? null,
+      sellerType: /resale/i.test(inventoryType) ? 'resale' : 'primary',
+      faceValue: parseFloat(raw.face_value ?? raw.faceValue ?? offer?.faceValue) || parseFaceValue(description),
+      priceCapped: /resale/i.test(inventoryType) && detectPriceCap(`${inventoryType} ${description}`),
+      type: raw.seat_type === 'ga' ? 'standing' : detectTicketType(accessText),
+      access: detectAccessFeatures(accessText.replace(/[-_]/g, ' ')),
+      offerIds: offerIds,
+      sources: ['network']
+    };
+  }
+
+  try { _installNetworkCapture(); } catch (e) {
+    console.log('[A11y Helper] Network capture setup failed (non-fatal):', e.message);
+  }
+
+  // ══════════════════════════════════════════════════════════════
+  // 3. SEAT DATA — SIDEBAR + NETWORK EXTRACTION
+  // ══════════════════════════════════════════════════════════════
+  //
+  // Strategy: The TM sidebar is the canonical source of available tickets,
+  // and network capture (3a) fills in what the sidebar hasn't rendered yet.
   //
   // 1. Auto-scroll the sidebar to force TM's virtual scroller to render
   //    every listing (TM only keeps ~21 in the DOM at any time).
   // 2. At each scroll step, scrape the currently-visible listing cards.
-  // 3. Merge into capturedSeats with content-based dedup.
-  //
-  // This replaces all previous strategies (API interception, SVG scraping,
-  // __NEXT_DATA__ parsing) which suffered from including unavailable seats.
-  // The sidebar is simpler and 100% accurate.
+  // 3. Merge into capturedSeats with content-based dedup. Each seat keeps
+  //    a `sources` list ('network', 'sidebar'); a sidebar sighting marks
+  //    a network seat as confirmed.
   // ══════════════════════════════════════════════════════════════
 
+  /**
+   * A listing that hasn't been seen in this many consecutive full scans is
+   * treated as sold. One miss isn't enough — TM's virtual scroller can skip
+   * rows in a 20-second pass — and a sold seat that reappears is revived.
+   */
+  const SOLD_AFTER_MISSED_SCANS = 2;
+
   /**
    * Merge newly captured seats into our store.
-   * De-duplicates by CONTENT (section + row + price + description).
-   * All seats from the sidebar are available — no availability filtering needed.
+   *
+   * Seats are keyed by a stable identity (seatContentKey — no price), so a
+   * repriced listing updates in place instead of appearing twice. Each seat
+   * carries its own lifecycle:
+   *   firstSeenAt / lastSeenAt — when we first and most recently saw it
+   *   firstPrice               — price when first seen (for delta badges)
+   *   status                   — 'available' | 'sold'
+   * Provenance is merged too — a sidebar sighting of a network-only seat
+   * stamps `confirmedAt`.
    */
   function mergeSeatData(newSeats) {
     if (!newSeats.length) return;
 
-    function seatKey(s) {
-      return `${s.section}|${s.row}|${s.seatNumber}|${s.price}|${s.sellerType}`;
-    }
+    const now = Date.now();
+    assignListingIndexes(newSeats);
 
     const seatMap = new Map();
-    capturedSeats.forEach(s => seatMap.set(seatKey(s), s));
+    capturedSeats.forEach(s => seatMap.set(seatContentKey(s), s));
 
     let added = 0;
+    let changed = 0;
     newSeats.forEach(s => {
-      const key = seatKey(s);
-      if (!seatMap.has(key)) {
+      const key = seatContentKey(s);
+      const existing = seatMap.get(key);
+      if (!existing) {
+        if (s.sources?.includes('sidebar')) s.confirmedAt = now;
+        s.firstSeenAt = now;
+        s.lastSeenAt = now;
+        s.firstPrice = s.price;
+        s.status = 'available';
+        s.missedScans = 0;
         seatMap.set(key, s);
         added++;
+        return;
+      }
+
+      existing.lastSeenAt = now;
+      existing.missedScans = 0;
+      if (s.ambiguous) existing.ambiguous = true;
+
+      // Restored from the last visit (8d) and now seen again
+      if (existing.stale) {
+        delete existing.stale;
+        changed++;
+      }
+
+      // Back on sale (or a false "sold" from a scan that skipped it)
+      if (existing.status === 'sold') {
+        existing.status = 'available';
+        existing.availability = 'available';
+        existing.soldAt = null;
+        changed++;
+      }
+
+      // The sidebar shows the price the user will see, so a network price
+      // only wins while the sidebar hasn't reported this seat yet
+      const sidebarKnown = existing.sources?.includes('sidebar');
+      const priceAuthoritative = s.sources?.includes('sidebar') || !sidebarKnown;
+      if (priceAuthoritative && Math.abs(s.price - existing.price) >= 0.01) {
+        existing.price = s.price;
+        existing.priceMax = s.priceMax;
+        existing.priceChangedAt = now;
+        // Can't tell a repriced twin from its sibling — show no delta
+        if (existing.ambiguous) existing.firstPrice = s.price;
+        changed++;
+      }
+      ['feePerTicket', 'orderFee', 'feesIncluded'].forEach(field => {
+        if (s[field] == null || s[field] === existing[field]) return;
+        if (!priceAuthoritative && existing[field] != null) return;
+        existing[field] = s[field];
+        changed++;
+      });
+
+      // Face value and price caps are facts about the ticket — any source may know them
+      if (s.faceValue > 0 && !(existing.faceValue > 0)) { existing.faceValue = s.faceValue; changed++; }
+      if (s.priceCapped && !existing.priceCapped) { existing.priceCapped = true; changed++; }
+
+      // Sources describe access differently — keep everything any of them says
+      const access = new Set([...(existing.access || []), ...(s.access || [])]);
+      if (access.size > (existing.access || []).length) {
+        existing.access = Array.from(access);
+        changed++;
       }
+
+      const sources = existing.sources || [];
+      (s.sources || []).forEach(src => {
+        if (!sources.includes(src)) {
+          sources.push(src);
+          if (src === 'sidebar') { existing.confirmedAt = now; changed++; }
+        }
+      });
+      existing.sources = sources;
+      if (!existing.offerIds && s.offerIds) existing.offerIds = s.offerIds;
     });
 
-    if (added === 0) return; // No new seats
+    if (added === 0 && changed === 0) return; // Nothing changed
 
     capturedSeats = Array.from(seatMap.values());
-    console.log(`[A11y Helper] Seat store: +${added} new → ${capturedSeats.length} total`);
+    console.log(`[A11y Helper] Seat store: +${added} new, ${changed} updated → ${capturedSeats.length} total`);
 
     if (panelElement) {
       renderPanelContent();
@@ -438,6 +762,96 @@
     if (currentPreferences.focusModeEnabled && currentAdapter) {
       currentAdapter.applyMapHighlights();
     }
+
+    checkWatchMatches();
+    scheduleEventStateSave();
+  }
+
+  /**
+   * StubHub/Viagogo listings have no seat numbers, so two listings in the
+   * same row share an identity. Where the platform exposes its own
+   * listing id (`listingRef`) that is the key. Without one, same-row
+   * twins are numbered by price within the batch so both are shown — but
+   * that number isn't stable across scans, so the group is flagged
+   * `ambiguous` and left out of price-delta and sold tracking.
+   */
+  function assignListingIndexes(batch) {
+    const groups = new Map();
+    batch.forEach(s => {
+      s.listingIndex = 0;
+      if (s.listingRef) return;
+      const base = seatContentKey(s);
+      if (!groups.has(base)) groups.set(base, []);
+      groups.get(base).push(s);
+    });
+    groups.forEach(group => {
+      if (group.length < 2) return;
+      group.sort((a, b) => a.price - b.price).forEach((s, i) => {
+        s.listingIndex = i;
+        s.ambiguous = true;
+      });
+    });
+  }
+
+  const LISTING_REF_ATTRS = ['data-listing-id', 'data-listingid', 'data-offer-id', 'data-ticket-id'];
+
+  /**
+   * The platform's own id for a listing card — a data attribute on or
+   * inside the card, or a listing id in its link. Null when there is none.
+   * A bare data-id only counts on the card itself: inside it, it is as
+   * likely to belong to a seller badge or an icon as to the listing.
+   */
+  function findListingRef(el) {
+    for (const attr of LISTING_REF_ATTRS) {
+      const holder = el.hasAttribute(attr) ? el : el.querySelector(`[${attr}]`);
+      const value = holder?.getAttribute(attr);
+      if (value) return value;
+    }
+    if (el.getAttribute('data-id')) return el.getAttribute('data-id');
+    const link = el.matches('a[href]') ? el : el.querySelector('a[href]');
+    const m = (link?.getAttribute('href') || '').match(/[?&](?:listing_?id|ticket_?id)=([\w-]+)|\/listings?\/([\w-]+)/i);
+    return m ? (m[1] || m[2]) : null;
+  }
+
+  /**
+   * Called after a full scan completes. Sidebar-listed seats not seen since
+   * the scan started count a miss; after SOLD_AFTER_MISSED_SCANS misses they
+   * move to 'sold' and drop out of the results (kept for "sold since you
+   * looked"). Network-only seats are left alone — the sidebar never listed
+   * them, so its silence says nothing.
+   */
+  function markUnseenListingsSold(scanStartedAt) {
+    const seenThisScan = capturedSeats.some(s => s.lastSeenAt >= scanStartedAt);
+    if (!seenThisScan) return; // Scan found nothing — don't trust its silence
+
+    let sold = 0;
+    const now = Date.now();
+    capturedSeats.forEach(s => {
+      if (s.status === 'sold' || !s.sources?.includes('sidebar')) return;
+      if (s.ambiguous) return; // A missing twin may just have swapped keys
+      if (s.lastSeenAt >= scanStartedAt) return;
+      s.missedScans = (s.missedScans || 0) + 1;
+      if (s.missedScans >= SOLD_AFTER_MISSED_SCANS) {
+        s.status = 'sold';
+        s.availability = 'unavailable';
+        s.soldAt = now;
+        sold++;
+      }
+    });
+    if (sold > 0) console.log(`[A11y Helper] ${sold} listings no longer listed — marked sold`);
+  }
+
+  function getSoldSeats() {
+    return capturedSeats.filter(s => s.status === 'sold')
+      .sort((a, b) => (b.soldAt || 0) - (a.soldAt || 0));
+  }
+
+  function formatTimeAgo(timestamp) {
+    const mins = Math.round((Date.now() - timestamp) / 60000);
+    if (mins < 1) return 'just now';
+    if (mins < 60) return `${mins} min ago`;
+    if (mins < 48 * 60) return `${Math.round(mins / 60)} h ago`;
+    return `${Math.round(mins / 1440)} days ago`;
   }
 
   // —— Fallback: try to detect event ID from URL and load static data ——
@@ -499,7 +913,7 @@
       
       // Must contain a price with "each" (TM's standard format: "£78.20 each")
       // This filters out delivery fees, package headers, and other price-like text
-      if (!/[£$€]\s*\d+/.test(text)) return;
+      if (!hasMoneyAmount(text)) return;
       
       // ── STRICT TICKET SIGNAL: must look like an actual ticket listing ──
       // A real TM listing contains "Section XXX" or "Section" as a DOM label
@@ -529,7 +943,7 @@
       for (const child of el.children) {
         const childText = getSpacedText(child);
         if (childText.length >= 20 && childText.length < 350 &&
-            /[£$€]\s*\d+/.test(childText) &&
+            hasMoneyAmount(childText) &&
             (/\bSection\s+\d/i.test(childText) || /\bSECTION\b/i.test(childText) || /\bBL\s+\d/i.test(childText))) {
           childAlsoMatches = true;
           break;
@@ -559,12 +973,16 @@
       if (seen.has(key)) return;
       seen.add(key);
       
+      markListingCard(el);
       seats.push({
         id: `sidebar-${seats.length}-${info.section.replace(/\s+/g, '')}-R${info.row}-S${info.seatNumber}`,
-        ...info
+        ...info,
+        sources: ['sidebar']
       });
     });
 
+    scanPageFeeNotes();
+
     if (seats.length > 0) {
       console.log(`[A11y Helper] 🔍 Sidebar scrape: ${seats.length} listings found`);
       mergeSeatData(seats);
@@ -585,6 +1003,7 @@
    * After completion, scrolls back to the top.
    */
   let _autoScrollInProgress = false;
+  let _scanStartedAt = 0;
   const SCAN_DURATION_MS = 20000; // 20 seconds of aggressive scrolling
 
   function autoScrollListingPanel() {
@@ -605,7 +1024,7 @@
       const text = el.textContent || '';
       let score = 0;
       if (/section/i.test(text)) score += 2;
-      if (/[£$€]\s*\d+/.test(text)) score += 3;
+      if (hasMoneyAmount(text)) score += 3;
       if (/each/i.test(text)) score += 3;
       if (/row/i.test(text)) score += 2;
       if (/standing|seated|floor/i.test(text)) score += 2;
@@ -623,7 +1042,10 @@
     }
 
     _autoScrollInProgress = true;
+    _scanStartedAt = Date.now();
+    const session = eventSessionId;
     console.log(`[A11y Helper] 📜 AGGRESSIVE SCAN: ${SCAN_DURATION_MS / 1000}s`);
+    beginScanMovement(scrollContainer);
 
     const startTime = Date.now();
     const viewHeight = scrollContainer.clientHeight;
@@ -634,6 +1056,7 @@
     scrapeTicketListingsFromDOM();
 
     const scanInterval = setInterval(() => {
+      if (session !== eventSessionId) { clearInterval(scanInterval); return; } // Navigated away (8e)
       const elapsed = Date.now() - startTime;
       const progress = Math.min(100, Math.round((elapsed / SCAN_DURATION_MS) * 100));
       scanProgress = progress;
@@ -643,6 +1066,7 @@
       const txt = document.getElementById('tmA11yScanText');
       if (bar) bar.style.width = `${progress}%`;
       if (txt) txt.textContent = `Scanning seats… ${capturedSeats.length} found`;
+      narrateScanProgress(progress);
 
       // Scroll
       const cur = scrollContainer.scrollTop;
@@ -660,19 +1084,31 @@
       if (elapsed >= SCAN_DURATION_MS) {
         clearInterval(scanInterval);
         _autoScrollInProgress = false;
-        scrollContainer.scrollTo({ top: 0, behavior: 'smooth' });
+        resetScanScroll(scrollContainer);
         setTimeout(() => {
           scrapeTicketListingsFromDOM();
           console.log(`[A11y Helper] 📜 SCAN COMPLETE: ${capturedSeats.length} seats`);
-          finishScan();
+          finishScan(true);
         }, 500);
       }
     }, 250);
   }
 
-  function finishScan() {
+  /**
+   * @param {boolean} completed — true when the scan ran to its natural end
+   *   (not a safety timeout), so unseen listings can be counted as missed.
+   */
+  function finishScan(completed = false) {
+    if (completed && _scanStartedAt) {
+      markUnseenListingsSold(_scanStartedAt);
+      lastScanAt = Date.now();
+      scheduleEventStateSave();
+    }
+    const wasScanning = scanState === 'scanning';
     scanState = 'ready';
     scanProgress = 100;
+    endScanMask();
+    if (wasScanning) announceToScreenReader(`Scan finished. ${capturedSeats.length} seat${capturedSeats.length === 1 ? '' : 's'} found.`);
     const overlay = document.getElementById('tmA11yScanOverlay');
     if (overlay) { overlay.style.opacity = '0'; setTimeout(() => overlay.remove(), 300); }
     renderPanelContent();
@@ -706,20 +1142,15 @@
     if (/cookie|privacy|accept|paypal.*partner/i.test(fullText) && fullText.length < 120) return null;
     if (fullText.length < 10) return null;
 
-    // ── Price extraction (works fine on concatenated text) ──
-    const allPrices = [];
-    const priceRegex = /[£$€]\s*(\d{1,5}[\.,]?\d{0,2})/g;
-    let pm;
-    while ((pm = priceRegex.exec(fullText)) !== null) {
-      const val = parseFloat(pm[1].replace(',', ''));
-      if (val >= 5 && val < 10000) allPrices.push(val);
-    }
-    if (allPrices.length === 0) return null;
-    
+    // Walk all text nodes and join with spaces to fix the concatenation problem
+    const spacedText = getSpacedText(card);
+
+    // ── Price extraction (spaced, so "Row 12" + "45,00 €" don't run together) ──
+    const amounts = parseMoneyAmounts(spacedText).filter(a => a.amount >= 5 && a.amount < 10000);
+    if (amounts.length === 0) return null;
+    const allPrices = amounts.map(a => a.amount);
     const price = allPrices[0];
-    let currency = 'GBP';
-    if (fullText.includes('$')) currency = 'USD';
-    else if (fullText.includes('€')) currency = 'EUR';
+    const currency = amounts[0].currency;
 
     // ── DOM-structure extraction: find SECTION/ROW/SEAT label→value pairs ──
     let section = '';
@@ -758,9 +1189,6 @@
       }
     }
 
-    // ── Build spaced text for regex fallbacks ──
-    // Walk all text nodes and join with spaces to fix the concatenation problem
-    const spacedText = getSpacedText(card);
     
     // Strategy 2: Regex on spaced text for "Section XXX Row YY Seat ZZ" format
     if (!section) {
@@ -841,17 +1269,13 @@
       }
     });
 
-    let type = 'standard';
-    if (/VIP|hospitality|experience/i.test(spacedText)) type = 'vip';
-    else if (/accessible/i.test(spacedText)) type = 'accessible';
-    else if (/premium|suite|arena club|preferred/i.test(spacedText)) type = 'premium';
-    else if (/standing/i.test(spacedText)) type = 'standing';
-    else if (/reserved\s+seat|seated/i.test(spacedText)) type = 'seated';
+    const type = detectTicketType(spacedText);
 
     let sellerType = 'primary';
     if (/resale|verified resale/i.test(spacedText)) sellerType = 'resale';
 
     const isUnavailable = /sold\s*out|unavailable|not\s*available/i.test(spacedText);
+    const fees = parseFeeInfo(spacedText, price);
 
     return {
       section: section,
@@ -859,16 +1283,215 @@
       seatNumber: seatNumber,
       price: price,
       priceMax: allPrices.length > 1 ? Math.max(...allPrices) : price,
+      feePerTicket: fees.feePerTicket,
+      orderFee: fees.orderFee,
+      feesIncluded: fees.feesIncluded,
       currency: currency,
       availability: isUnavailable ? 'unavailable' : 'available',
       areaName: '',
       description: description || type,
       qualityScore: null,
       sellerType: sellerType,
-      type: type
+      faceValue: parseFaceValue(spacedText),
+      priceCapped: sellerType === 'resale' && detectPriceCap(spacedText),
+      type: type,
+      access: detectAccessFeatures(spacedText)
     };
   }
 
+  /**
+   * Classify a listing's ticket type from its descriptive text.
+   * Shared by the sidebar scraper and network capture so both sources
+   * agree on `type` for the same seat.
+   */
+  function detectTicketType(text) {
+    if (/VIP|hospitality|experience/i.test(text)) return 'vip';
+    if (detectAccessFeatures(text).length > 0) return 'accessible';
+    if (/premium|suite|arena club|preferred/i.test(text)) return 'premium';
+    if (/standing/i.test(text)) return 'standing';
+    if (/reserved\s+seat|seated/i.test(text)) return 'seated';
+    return 'standard';
+  }
+
+  /**
+   * Access features a listing can offer. Kept apart from `type` so a
+   * "VIP wheelchair platform" listing is still found by the access
+   * filter. `score` feeds the accessibility MCDA criterion; `generic`
+   * features only count when nothing more specific is named.
+   */
+  const ACCESS_FEATURES = [
+    { key: 'wheelchair', label: 'Wheelchair space', score: 1.0,
+      pattern: /wheel\s*chair|\bwc\s+(space|bay|platform|position)/i },
+    { key: 'companion', label: 'Companion seat', score: 0.8,
+      pattern: /companion|\bcarer|personal\s+assistant|\bPA\s+(seat|ticket)|essential\s+assistant/i },
+    { key: 'stepFree', label: 'Step-free', score: 0.9,
+      pattern: /step[\s-]*free|level\s+access|no\s+steps|(lift|elevator)\s+access/i },
+    { key: 'ambulant', label: 'Ambulant', score: 0.6,
+      pattern: /ambulant/i },
+    { key: 'easyAccess', label: 'Easy access', score: 0.7, generic: true,
+      pattern: /easy[\s-]*access|(limited|reduced)\s+mobility|aisle\s+transfer|\baccessib(le|ility)\b|\bADA\b/i }
+  ];
+
+  /**
+   * A negation within a few words before a match, in the same clause.
+   * Tagging a seat someone cannot use as accessible is the worst mistake
+   * this filter can make, so a negated mention counts as no mention.
+   */
+  const ACCESS_NEGATION = /\b(?:no|not|non|without|unsuitable|unavailable|cannot|can't|isn't)\b(?:[\s-]+[\w'-]+){0,3}[\s-]*$/i;
+
+  function mentionsAccessFeature(pattern, text) {
+    const re = new RegExp(pattern.source, 'gi');
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      const before = text.slice(Math.max(0, m.index - 60), m.index).split(/[.,;:!?|•()]/).pop();
+      if (!ACCESS_NEGATION.test(before)) return true;
+      if (m[0].length === 0) re.lastIndex++;
+    }
+    return false;
+  }
+
+  /**
+   *   "Wheelchair space + carer seat"       → ['wheelchair', 'companion']
+   *   "No wheelchair access"                → []
+   *   "Step-free route, lift access"        → ['stepFree']
+   *   "Not step-free"                       → []
+   *   "Accessible seating"                  → ['easyAccess']
+   *   "Not suitable for wheelchair users"   → []
+   *   "No steps. Companion seat included"   → ['companion', 'stepFree']
+   */
+  function detectAccessFeatures(text) {
+    if (!text) return [];
+    const found = ACCESS_FEATURES.filter(f => !f.generic && mentionsAccessFeature(f.pattern, text));
+    if (found.length === 0) {
+      found.push(...ACCESS_FEATURES.filter(f => f.generic && mentionsAccessFeature(f.pattern, text)));
+    }
+    return found.map(f => f.key);
+  }
+
+  /**
+   * Pull booking-fee details out of listing text. Every field stays null
+   * unless the text actually states it — an unknown fee is shown as
+   * "+ fees", never guessed.
+   *
+   *   "£78.20 each £86.00 incl. fees" → feePerTicket 7.80, feesIncluded false
+   *   "£86.00 each (incl. fees)"      → feesIncluded true
+   *   "£78.20 + £7.80 service fee"    → feePerTicket 7.80
+   *   "Order processing fee £2.75"    → orderFee 2.75
+   */
+  function parseFeeInfo(text, price) {
+    const fees = { feePerTicket: null, orderFee: null, feesIncluded: null };
+    if (!text) return fees;
+    const amount = `(${MONEY_AMOUNT_SOURCE})`;
+    const toNum = str => parseMoneyAmounts(str)[0]?.amount ?? null;
+
+    // Per-order charges first, then strip them so they aren't read as per-ticket
+    const orderRe = new RegExp(`(?:order|delivery|transaction|processing|handling)\\s*(?:fee|charge)s?[^£$€¥\\d]{0,20}${amount}|${amount}\\s*(?:fee\\s*)?per\\s*order`, 'i');
+    const om = text.match(orderRe);
+    if (om) {
+      fees.orderFee = toNum(om[1] || om[2]);
+      text = text.replace(om[0], ' ');
+    }
+
+    // An all-in figure next to the face price: "£86.00 incl. fees"
+    const allInRe = new RegExp(`${amount}\\s*(?:each\\s*)?\\(?\\s*(?:incl(?:\\.|uding|usive of)?|inc\\.?)\\s*(?:all\\s*)?fees|(?:incl(?:\\.|uding)?|inc\\.?)\\s*fees[:\\s]*${amount}`, 'i');
+    const am = text.match(allInRe);
+    if (am) {
+      const allIn = toNum(am[1] || am[2]);
+      if (price && allIn > price + 0.005) {
+        fees.feePerTicket = Math.round((allIn - price) * 100) / 100;
+        fees.feesIncluded = false;
+      } else {
+        fees.feesIncluded = true;
+      }
+      return fees;
+    }
+
+    const feeRe = new RegExp(`\\+\\s*${amount}\\s*(?:booking|service)?\\s*fees?\\b|(?:booking|service)\\s*fees?[:\\s]*${amount}`, 'i');
+    const fm = text.match(feeRe);
+    if (fm) {
+      fees.feePerTicket = toNum(fm[1] || fm[2]);
+      fees.feesIncluded = false;
+    } else if (/(?:incl(?:\.|uding|usive of)?|inc\.?)\s*(?:all\s*)?(?:booking\s*|service\s*)?fees|fees\s*included|all[-\s]in\s*price/i.test(text)) {
+      fees.feesIncluded = true;
+    } else if (/\+\s*fees|plus\s*fees|excl(?:\.|uding)?\s*fees|fees\s*not\s*included|before\s*fees/i.test(text)) {
+      fees.feesIncluded = false;
+    }
+    return fees;
+  }
+
+  /**
+   * Face value where a resale listing states it (3i):
+   *   "Face value £45.00", "FV: £45", "Original price £45"
+   */
+  function parseFaceValue(text) {
+    if (!text) return null;
+    const m = text.match(new RegExp(`(?:face\\s*value|\\bFV\\b|original\\s*(?:ticket\\s*)?price)\\s*:?\\s*(?:of\\s*)?(${MONEY_AMOUNT_SOURCE})`, 'i'));
+    return m ? parseMoneyAmounts(m[1])[0]?.amount ?? null : null;
+  }
+
+  /**
+   * Ticketmaster UK's fan-to-fan resale caps prices at what the seller
+   * paid, so resale there can't be marked up above face value.
+   */
+  const TM_UK_HOST = /(^|\.)ticketmaster\.co\.uk$/i;
+
+  function detectPriceCap(text) {
+    return TM_UK_HOST.test(location.hostname) || /fan[\s-]*to[\s-]*fan|price[\s-]*capped/i.test(text || '');
+  }
+
+  let _lastFeeScanAt = 0;
+
+  /**
+   * Fee notes that apply to the whole page rather than one card, e.g.
+   * "Order processing fee £2.75" or "All prices include fees". Listing
+   * scrapers skip these elements, so they are read here instead.
+   * Only the listing list and the checkout box are read, so a fee in an
+   * FAQ, footer or promo elsewhere on the page isn't applied to every seat.
+   * Throttled — scrapers call this on every scroll step.
+   */
+  function scanPageFeeNotes() {
+    if (Date.now() - _lastFeeScanAt < 5000) return;
+    _lastFeeScanAt = Date.now();
+
+    getFeeNoteScopes().forEach(scope => scope.querySelectorAll('p, span, small, li, div').forEach(el => {
+      if (el.closest('#tm-a11y-companion-panel')) return;
+      if (el.children.length > 3) return;
+      const raw = el.textContent || '';
+      if (raw.length < 8 || raw.length > 160 || !/fee|charge/i.test(raw)) return;
+      const text = getSpacedText(el);
+
+      const info = parseFeeInfo(text);
+      if (info.orderFee != null) pageFeeInfo.orderFee = info.orderFee;
+
+      const prices = text.match(/\b(?:all\s*)?prices\s*(?:shown\s*)?(include|exclude)/i);
+      if (prices) pageFeeInfo.feesIncluded = /include/i.test(prices[1]);
+    }));
+  }
+
+  /**
+   * Containers the fee notes can come from: the list holding the scraped
+   * listing cards, and the box around the adapter's checkout controls.
+   */
+  function getFeeNoteScopes() {
+    const scopes = new Set();
+    document.querySelectorAll('[data-tm-a11y-listing]').forEach(card => {
+      const list = card.parentElement?.closest(LISTING_SCROLL_SELECTOR) || card.parentElement;
+      if (list) scopes.add(list);
+    });
+    for (const sel of currentAdapter?.checkoutSelectors || []) {
+      try {
+        document.querySelectorAll(sel).forEach(control => {
+          const box = control.closest('form, section, aside, [role="dialog"], [class*="checkout"], [class*="Checkout"]') ||
+                      control.parentElement;
+          if (box) scopes.add(box);
+        });
+      } catch (e) {}
+    }
+    scopes.delete(document.body);
+    scopes.delete(document.documentElement);
+    return [...scopes];
+  }
+
   /**
    * Get the value adjacent to a label element.
    * Handles multiple TM DOM patterns:
@@ -923,13 +1546,16 @@
    * Get all text content from an element with spaces between nodes.
    * Unlike el.textContent which concatenates without spaces, this walks
    * all text nodes and joins them with spaces so regex works correctly.
+   * Text the urgency pass reworded (6a) is read as the site wrote it —
+   * "Only 2 tickets left" carries the quantity the scrapers need.
    */
   function getSpacedText(el) {
     const texts = [];
     const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
     let node;
     while ((node = walker.nextNode())) {
-      const t = node.textContent.trim();
+      const edit = _urgencyEdits.get(node);
+      const t = (edit && node.nodeValue === edit.written ? edit.original : node.textContent).trim();
       if (t) texts.push(t);
     }
     return texts.join(' ');
@@ -958,6 +1584,12 @@
 
     root.setAttribute('data-tm-a11y-scheme', schemeKey);
     console.log(`[A11y Helper] Colour scheme applied: ${scheme.label}`);
+
+    // The calm skin takes its tones from the scheme (7a). Rebuilding it
+    // re-reads every control's colours, so only when the skin or the
+    // scheme has actually changed — not on every preference echo.
+    const calmFor = currentPreferences.calmSkinEnabled ? schemeKey : null;
+    if (calmFor !== calmSkinScheme) applyCalmSkin();
   }
 
   // ══════════════════════════════════════════════════════════════
@@ -1007,10 +1639,140 @@
       panelElement.classList.add('tm-a11y-panel-closed');
       if (tab) tab.classList.remove('tm-a11y-tab-shifted');
     }
+    syncHostTimerVisibility(); // The site's reservation timer shows while the panel is closed (6b)
+  }
+
+  // —— Ticket quantity: how many seats can be bought together ——
+
+  /**
+   * Expand a seat label like "16", "5-8" or "12–13" into seat numbers.
+   * Returns [] for GA / lettered seats we can't reason about.
+   */
+  function expandSeatNumbers(seatNumber) {
+    const m = String(seatNumber || '').match(/^(\d+)(?:\s*[-–]\s*(\d+))?$/);
+    if (!m) return [];
+    const from = parseInt(m[1], 10);
+    const to = m[2] ? parseInt(m[2], 10) : from;
+    if (to < from || to - from > 20) return [from];
+    const nums = [];
+    for (let n = from; n <= to; n++) nums.push(n);
+    return nums;
+  }
+
+  /**
+   * TM lists individual seats (or small ranges), so "can I sit with my
+   * companion?" means finding runs of consecutive seat numbers among the
+   * available listings in the same section + row. Each listing is mapped
+   * to the length of the run it belongs to.
+   *
+   * Assumes seats are numbered consecutively along a row; venues that
+   * number odd/even sides separately will under-report, never over-report.
+   */
+  function computeContiguousRuns(seats) {
+    const rows = new Map();
+    seats.forEach(s => {
+      if (s.availability !== 'available' || !s.row) return;
+      const nums = expandSeatNumbers(s.seatNumber);
+      if (nums.length === 0) return;
+      const rowKey = `${s.section}|${s.row}`;
+      if (!rows.has(rowKey)) rows.set(rowKey, []);
+      rows.get(rowKey).push({ seat: s, nums });
+    });
+
+    const runs = new Map();
+    rows.forEach(entries => {
+      const taken = new Set();
+      entries.forEach(e => e.nums.forEach(n => taken.add(n)));
+
+      entries.forEach(e => {
+        let lo = Math.min(...e.nums);
+        let hi = Math.max(...e.nums);
+        while (taken.has(lo - 1)) lo--;
+        while (taken.has(hi + 1)) hi++;
+        runs.set(seatContentKey(e.seat), hi - lo + 1);
+      });
+    });
+    return runs;
+  }
+
+  /**
+   * Most tickets that can be bought together for a listing, or null when
+   * the platform doesn't tell us (GA listings, unnumbered seats).
+   * StubHub/Viagogo expose it directly; TM is derived from seat runs.
+   */
+  function getMaxTogether(seat) {
+    if (seat.quantityMax) return seat.quantityMax;
+    return seatRunLengths.get(seatContentKey(seat)) || null;
+  }
+
+  function canBuyQuantity(seat, qty) {
+    if (!qty) return true;
+    const max = getMaxTogether(seat);
+    // Unknown quantity — keep the listing rather than hide a possible match
+    if (max === null) return true;
+    return max >= qty;
+  }
+
+  // —— Fees: estimated all-in cost ——
+
+  /** Quantity used for fee maths — the quantity filter, else the card default */
+  function getPlanningQty() {
+    return currentPreferences.ticketQty || 2;
+  }
+
+  /** True when we know what the fees add (including "already in the price") */
+  function hasKnownFees(seat) {
+    const included = seat.feesIncluded ?? pageFeeInfo.feesIncluded;
+    return included === true || seat.feePerTicket != null;
+  }
+
+  /**
+   * Estimated cost of buying `qty` tickets from a listing: face price plus
+   * any per-ticket fee not already in it, plus a per-order charge.
+   * Unknown fees count as zero, so check `feesKnown` before calling the
+   * result all-in.
+   */
+  function getOrderTotal(seat, qty = getPlanningQty()) {
+    const included = seat.feesIncluded ?? pageFeeInfo.feesIncluded;
+    const perTicket = seat.price + (included === true ? 0 : (seat.feePerTicket || 0));
+    const orderFee = seat.orderFee ?? pageFeeInfo.orderFee ?? 0;
+    return {
+      perTicket,
+      orderFee,
+      total: perTicket * qty + orderFee,
+      feesKnown: hasKnownFees(seat)
+    };
+  }
+
+  /**
+   * Per-ticket share of the estimated order total. This is what the
+   * budget slider, price sort and MCDA price criterion compare, so a
+   * cheap face price with heavy fees doesn't look like a bargain.
+   */
+  function getEffectivePrice(seat) {
+    const qty = getPlanningQty();
+    // In the display currency (3j) so listings in different currencies compare fairly
+    return toDisplayAmount(seat, getOrderTotal(seat, qty).total / qty);
+  }
+
+  /** Short fee note for cards: "incl. fees", "+ £7.80 fees" or "+ fees" */
+  function describeFees(seat) {
+    const included = seat.feesIncluded ?? pageFeeInfo.feesIncluded;
+    if (included === true) return 'incl. fees';
+    if (seat.feePerTicket != null) return `${formatSeatPrice(seat, seat.price)} + ${formatSeatPrice(seat, seat.feePerTicket)} fees`;
+    return '+ fees';
+  }
+
+  function describeOrderTotal(seat, qty) {
+    const order = getOrderTotal(seat, qty);
+    const total = formatSeatPrice(seat, order.total);
+    return order.feesKnown ? `${total} total` : `${total} + fees`;
   }
 
   function getFilteredSeats() {
     let seats = [...capturedSeats];
+    seatRunLengths = computeContiguousRuns(capturedSeats);
+    _resaleContext = buildResaleContext();
 
     // Section filter
     if (currentPreferences.sectionFilter && currentPreferences.sectionFilter !== 'all') {
@@ -1020,16 +1782,37 @@
     // Only available
     seats = seats.filter(s => s.availability === 'available');
 
+    // Access needs — keep seats that offer every selected feature
+    const needs = currentPreferences.accessFilter || [];
+    if (needs.length > 0) {
+      seats = seats.filter(s => {
+        const access = getSeatAccess(s);
+        return needs.every(key => access.includes(key));
+      });
+    }
+
+    // Ticket quantity — hide listings that can't seat the whole group together
+    const qty = currentPreferences.ticketQty || 0;
+    if (qty > 0) {
+      seats = seats.filter(s => canBuyQuantity(s, qty));
+    }
+
+    // Hard rules (8a-i-c) — seats that break one are never listed
+    seats = seats.filter(seatPassesConstraints);
+
+    // Resale markup (3i) — unknown markups stay visible
+    seats = seats.filter(passesResaleMarkup);
+
     // Sort
     switch (currentPreferences.sortBy) {
       case 'price-asc':
-        seats.sort((a, b) => a.price - b.price);
+        seats.sort((a, b) => getEffectivePrice(a) - getEffectivePrice(b));
         break;
       case 'price-desc':
-        seats.sort((a, b) => b.price - a.price);
+        seats.sort((a, b) => getEffectivePrice(b) - getEffectivePrice(a));
         break;
       case 'section':
-        seats.sort((a, b) => a.section.localeCompare(b.section) || a.price - b.price);
+        seats.sort((a, b) => a.section.localeCompare(b.section) || getEffectivePrice(a) - getEffectivePrice(b));
         break;
       case 'quality':
         seats.sort((a, b) => (b.qualityScore || 0) - (a.qualityScore || 0));
@@ -1050,28 +1833,50 @@
    * MCDA weight presets — each maps to a specific weight distribution.
    */
   const MCDA_PRESETS = {
-    balanced:  { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25, label: 'Balanced' },
-    cheapest:  { price: 50, viewQuality: 20, proximity: 15, aisleAccess: 15, label: 'Cheapest' },
-    bestView:  { price: 15, viewQuality: 50, proximity: 20, aisleAccess: 15, label: 'Best view' },
-    closeUp:   { price: 15, viewQuality: 20, proximity: 50, aisleAccess: 15, label: 'Close up' },
-    easyExit:  { price: 15, viewQuality: 15, proximity: 20, aisleAccess: 50, label: 'Easy exit' }
+    balanced:  { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25, accessibility: 0, label: 'Balanced' },
+    cheapest:  { price: 50, viewQuality: 20, proximity: 15, aisleAccess: 15, accessibility: 0, label: 'Cheapest' },
+    bestView:  { price: 15, viewQuality: 50, proximity: 20, aisleAccess: 15, accessibility: 0, label: 'Best view' },
+    closeUp:   { price: 15, viewQuality: 20, proximity: 50, aisleAccess: 15, accessibility: 0, label: 'Close up' },
+    easyExit:  { price: 15, viewQuality: 15, proximity: 20, aisleAccess: 50, accessibility: 0, label: 'Easy exit' },
+    access:    { price: 15, viewQuality: 15, proximity: 10, aisleAccess: 20, accessibility: 40, label: 'Access needs' },
+    // Criteria left out of a preset weigh 0
+    quietCalm: { price: 15, viewQuality: 10, aisleAccess: 10, quietness: 25, crowdCalm: 20, exitEase: 20, label: 'Quiet & calm' }
   };
 
   const MCDA_CRITERIA = [
-    { key: 'price', label: 'Price' },
-    { key: 'viewQuality', label: 'View quality' },
-    { key: 'proximity', label: 'Proximity' },
-    { key: 'aisleAccess', label: 'Aisle access' }
+    // `better` starts the "Why this score?" sentences (3d)
+    { key: 'price', label: 'Price', better: 'Cheaper than' },
+    { key: 'viewQuality', label: 'View quality', better: 'Better view than' },
+    { key: 'proximity', label: 'Proximity', better: 'Closer to the stage than' },
+    { key: 'aisleAccess', label: 'Aisle access', better: 'Nearer an aisle than' },
+    { key: 'accessibility', label: 'Accessibility', better: 'Better matches your access needs than' },
+    { key: 'quietness', label: 'Quietness', better: 'Likely quieter than' },
+    { key: 'crowdCalm', label: 'Calm crowd', better: 'Calmer crowd than' },
+    { key: 'exitEase', label: 'Easy to leave', better: 'Easier to leave than' }
   ];
 
+  /**
+   * Current weight for every criterion. Weights saved before a criterion
+   * existed (profiles, synced prefs) simply count as 0 for it.
+   */
+  function getMCDAWeights() {
+    const saved = currentPreferences.mcdaWeights || DEFAULT_PREFERENCES.mcdaWeights;
+    const w = {};
+    MCDA_CRITERIA.forEach(c => { w[c.key] = Number(saved[c.key]) || 0; });
+    return w;
+  }
+
+  function sumMCDAWeights(w) {
+    return MCDA_CRITERIA.reduce((sum, c) => sum + (w[c.key] || 0), 0);
+  }
+
   /**
    * Determine which preset (if any) matches the current weights.
    */
   function getActivePreset() {
-    const w = currentPreferences.mcdaWeights;
+    const w = getMCDAWeights();
     for (const [key, preset] of Object.entries(MCDA_PRESETS)) {
-      if (w.price === preset.price && w.viewQuality === preset.viewQuality &&
-          w.proximity === preset.proximity && w.aisleAccess === preset.aisleAccess) {
+      if (MCDA_CRITERIA.every(c => w[c.key] === (preset[c.key] || 0))) {
         return key;
       }
     }
@@ -1084,9 +1889,10 @@
    * normalises internally by dividing each weight by their sum.
    */
   function renderMCDAWeightPanel() {
-    const w = currentPreferences.mcdaWeights || { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25 };
+    const w = getMCDAWeights();
     const activePreset = getActivePreset();
-    const total = w.price + w.viewQuality + w.proximity + w.aisleAccess;
+    const total = sumMCDAWeights(w);
+    const evenPct = Math.round(100 / MCDA_CRITERIA.length);
 
     // Preset buttons (no icons)
     const presetsHTML = Object.entries(MCDA_PRESETS).map(([key, preset]) =>
@@ -1096,7 +1902,7 @@
 
     // Custom sliders
     const slidersHTML = MCDA_CRITERIA.map(c => {
-      const pct = total > 0 ? Math.round((w[c.key] / total) * 100) : 25;
+      const pct = total > 0 ? Math.round((w[c.key] / total) * 100) : evenPct;
       return `
         <div class="tm-a11y-mcda-slider-row">
           <span class="tm-a11y-mcda-slider-label">${c.label}</span>
@@ -1118,12 +1924,28 @@
         <span class="tm-a11y-heat-swatch tm-a11y-heat-sw-4" title="21–40"></span>
         <span class="tm-a11y-heat-swatch tm-a11y-heat-sw-5" title="0–20 Worst"></span>
         <span class="tm-a11y-heat-legend-range">Best → Worst</span>
+        ${getSeatConstraints().length > 0 ? `
+          <span class="tm-a11y-heat-swatch tm-a11y-heat-sw-excluded" title="Breaks one of your rules"></span>
+          <span class="tm-a11y-heat-legend-range">Not for you</span>` : ''}
       </div>`;
 
+    // Guided pairwise questions replace the presets and sliders while open (3e)
+    if (ahpSession) {
+      return `
+        <div class="tm-a11y-mcda-panel" id="tmA11yMCDAPanel">
+          <div class="tm-a11y-mcda-header">
+            <span class="tm-a11y-mcda-title">What matters most?</span>
+          </div>
+          ${renderAHPWizard()}
+        </div>
+      `;
+    }
+
     return `
       <div class="tm-a11y-mcda-panel" id="tmA11yMCDAPanel">
         <div class="tm-a11y-mcda-header">
           <span class="tm-a11y-mcda-title">What matters most?</span>
+          <button type="button" class="tm-a11y-mcda-preset-btn tm-a11y-ahp-start" id="tmA11yAHPStart">Help me choose</button>
         </div>
         <div class="tm-a11y-mcda-presets" id="tmA11yMCDAPresets">${presetsHTML}</div>
         <div class="tm-a11y-mcda-divider"></div>
@@ -1133,15 +1955,35 @@
     `;
   }
 
+  /** One toggle chip per access feature, with how many available seats offer it */
+  function renderAccessChips() {
+    const needs = currentPreferences.accessFilter || [];
+    const available = capturedSeats.filter(s => s.availability === 'available');
+    return ACCESS_FEATURES.map(f => {
+      const on = needs.includes(f.key);
+      const count = available.filter(s => getSeatAccess(s).includes(f.key)).length;
+      return `<button type="button" class="tm-a11y-access-chip ${on ? 'tm-a11y-access-chip-active' : ''}"
+                      data-access-key="${f.key}" aria-pressed="${on}">
+                ${f.label} <span class="tm-a11y-access-chip-count">(${count})</span>
+              </button>`;
+    }).join('');
+  }
+
   function getUniqueSections() {
     const sections = new Set();
     capturedSeats.forEach(s => sections.add(s.section));
     return Array.from(sections).sort();
   }
 
-  /** Helper to generate a unique content key for a seat (used for pinning) */
+  /**
+   * Stable identity for a listing — everything that doesn't change when the
+   * seller reprices it. Used for dedup, pinning and MCDA lookups.
+   * `listingRef` (the platform's listing id) or else `listingIndex`
+   * separates same-row listings that have no seat numbers.
+   */
   function seatContentKey(seat) {
-    return `${seat.section}|${seat.row}|${seat.seatNumber}|${seat.price}|${seat.sellerType}`;
+    const listing = seat.listingRef ? `#${seat.listingRef}` : (seat.listingIndex || 0);
+    return `${seat.section}|${seat.row}|${seat.seatNumber}|${seat.sellerType}|${listing}`;
   }
 
   function isSeatPinned(seat) {
@@ -1154,16 +1996,58 @@
     const idx = pinnedSeats.findIndex(p => seatContentKey(p) === key);
     if (idx !== -1) {
       pinnedSeats.splice(idx, 1);
-    } else if (pinnedSeats.length < 2) {
+    } else if (pinnedSeats.length < MAX_PINNED_SEATS) {
       pinnedSeats.push(seat);
     } else {
-      // Replace the first pinned seat (FIFO)
-      pinnedSeats.shift();
-      pinnedSeats.push(seat);
+      // Never drop a shortlisted seat behind the user's back
+      announceToScreenReader(`Shortlist is full. Unpin a seat before adding another.`);
+      return;
     }
+    savePinnedSeats();
     renderPanelContent();
   }
 
+  /**
+   * Polite screen-reader announcement. Lives outside the panel because
+   * renderPanelContent() replaces the panel's markup on every update.
+   */
+  function announceToScreenReader(message) {
+    let region = document.getElementById('tmA11yLiveRegion');
+    if (!region) {
+      region = document.createElement('div');
+      region.id = 'tmA11yLiveRegion';
+      region.className = 'tm-a11y-sr-only';
+      region.setAttribute('role', 'status');
+      region.setAttribute('aria-live', 'polite');
+      document.body.appendChild(region);
+    }
+    region.textContent = '';
+    setTimeout(() => { region.textContent = message; }, 50);
+  }
+
+  /**
+   * Keep what the user is typing in a panel field across re-renders.
+   * `draft` is module state ({ value, focused, caret }); the field gets
+   * its value back, and focus and caret too if it had them.
+   */
+  function bindDraftInput(input, draft) {
+    if (!input) return;
+    if (draft.value !== '') input.value = draft.value; // Empty = leave a select on its default
+    input.addEventListener('input', () => {
+      draft.value = input.value;
+      draft.caret = input.selectionStart;
+    });
+    input.addEventListener('focus', () => { draft.focused = true; });
+    input.addEventListener('blur', () => {
+      // Still in the page = the user moved on; gone = replaced by a re-render
+      setTimeout(() => { if (input.isConnected) draft.focused = false; }, 0);
+    });
+    if (draft.focused) {
+      input.focus();
+      if (input.type === 'text' && draft.caret != null) input.setSelectionRange(draft.caret, draft.caret);
+    }
+  }
+
   function renderPanelContent() {
     if (!panelElement) return;
 
@@ -1174,13 +2058,14 @@
 
     const filtered = getFilteredSeats();
     const sections = getUniqueSections();
-    const withinBudget = filtered.filter(s => s.price <= currentPreferences.maxPrice);
-    const overBudget = filtered.filter(s => s.price > currentPreferences.maxPrice);
+    const withinBudget = filtered.filter(s => getEffectivePrice(s) <= currentPreferences.maxPrice);
+    const overBudget = filtered.filter(s => getEffectivePrice(s) > currentPreferences.maxPrice);
+    const effectivePrices = capturedSeats.map(getEffectivePrice);
     const priceRange = capturedSeats.length
-      ? { min: Math.min(...capturedSeats.map(s => s.price)), max: Math.max(...capturedSeats.map(s => s.price)) }
+      ? { min: Math.min(...effectivePrices), max: Math.max(...effectivePrices) }
       : { min: 0, max: 500 };
-    const currency = capturedSeats[0]?.currency || 'GBP';
-    const symbol = currency === 'GBP' ? '£' : currency === 'USD' ? '$' : currency === 'EUR' ? '€' : currency + ' ';
+    const symbol = currencySymbolFor(getDisplayCurrency());
+    const soldCount = capturedSeats.filter(s => s.status === 'sold').length;
 
     panelElement.innerHTML = `
       <div class="tm-a11y-panel-inner">
@@ -1201,7 +2086,7 @@
         <div class="tm-a11y-panel-status">
           ${capturedSeats.length === 0
             ? '<span class="tm-a11y-status-dot tm-a11y-status-waiting"></span> Waiting for seat data…'
-            : `<span class="tm-a11y-status-dot tm-a11y-status-live"></span> ${filtered.length} seats found`
+            : `<span class="tm-a11y-status-dot tm-a11y-status-live"></span> ${filtered.length} seats found${soldCount ? ` · ${soldCount} sold` : ''}${activeWatch ? ' · Watching' : ''}`
           }
           ${scanState !== 'scanning' ? `
           <button class="tm-a11y-rescan-btn" id="tmA11yRescanBtn" 
@@ -1220,26 +2105,30 @@
         </button>
         ` : ''}
 
+        ${renderCalmTimer()}
+
         <!-- TAB BAR -->
         <div class="tm-a11y-tab-bar" role="tablist" aria-label="Panel sections">
           <button class="tm-a11y-tab-btn ${currentPanelTab === 'seats' ? 'tm-a11y-tab-active' : ''}" 
                   role="tab" aria-selected="${currentPanelTab === 'seats'}" data-tab="seats">Seats</button>
           <button class="tm-a11y-tab-btn ${currentPanelTab === 'filters' ? 'tm-a11y-tab-active' : ''}" 
                   role="tab" aria-selected="${currentPanelTab === 'filters'}" data-tab="filters">Filters</button>
+          <button class="tm-a11y-tab-btn ${currentPanelTab === 'insights' ? 'tm-a11y-tab-active' : ''}" 
+                  role="tab" aria-selected="${currentPanelTab === 'insights'}" data-tab="insights">Insights</button>
           <button class="tm-a11y-tab-btn ${currentPanelTab === 'tools' ? 'tm-a11y-tab-active' : ''}" 
                   role="tab" aria-selected="${currentPanelTab === 'tools'}" data-tab="tools">Tools</button>
         </div>
 
         ${scanState === 'scanning' ? `
-        <div class="tm-a11y-scan-overlay" id="tmA11yScanOverlay">
+        <div class="tm-a11y-scan-overlay ${isGentleScan() ? 'tm-a11y-scan-still' : ''}" id="tmA11yScanOverlay">
           <div class="tm-a11y-scan-content">
-            <div class="tm-a11y-scan-spinner"></div>
+            ${isGentleScan() ? '' : '<div class="tm-a11y-scan-spinner"></div>'}
             <div class="tm-a11y-scan-title">Scanning all tickets…</div>
             <div class="tm-a11y-scan-text" id="tmA11yScanText">Scanning seats… ${capturedSeats.length} found</div>
             <div class="tm-a11y-scan-bar-bg">
               <div class="tm-a11y-scan-bar-fill" id="tmA11yScanProgress" style="width: ${scanProgress}%"></div>
             </div>
-            <div class="tm-a11y-scan-hint">Loading all available listings…</div>
+            <div class="tm-a11y-scan-hint">${isGentleScan() ? 'The listings are covered while they load, so nothing on the page moves.' : 'Loading all available listings…'}</div>
           </div>
         </div>
         ` : ''}
@@ -1247,21 +2136,29 @@
         <!-- ═══ TAB: SEATS ═══ -->
         <div class="tm-a11y-tab-panel ${currentPanelTab === 'seats' ? '' : 'tm-a11y-tab-hidden'}" id="tmA11yTabSeats" role="tabpanel">
           
+          ${renderCheckoutAssistant(symbol)}
+          ${renderStaleNotice()}
+          ${renderCurrencyNotice()}
+          ${renderWatchNotice(symbol)}
+
           <!-- COMPACT PRICE SLIDER -->
           <div class="tm-a11y-seats-price-bar">
             <label class="tm-a11y-filter-label">
-              Max Price
+              Max Price <span class="tm-a11y-filter-hint">all-in, each</span>
               <span class="tm-a11y-filter-value tm-a11y-price-display-sync">${symbol}${currentPreferences.maxPrice}</span>
             </label>
             <input type="range" class="tm-a11y-slider tm-a11y-price-slider-sync"
               min="${Math.floor(priceRange.min)}" max="${Math.ceil(priceRange.max)}" 
-              step="5" value="${currentPreferences.maxPrice}" aria-label="Maximum seat price" />
+              step="5" value="${currentPreferences.maxPrice}" aria-label="Maximum all-in price per ticket" />
             <div class="tm-a11y-slider-range">
               <span>${symbol}${Math.floor(priceRange.min)}</span>
               <span>${symbol}${Math.ceil(priceRange.max)}</span>
             </div>
           </div>
 
+          <!-- RECOMMEND FOR ME (3f) -->
+          ${renderRecommendations(symbol)}
+
           <!-- PIN-TO-COMPARE -->
           ${renderPinnedComparison(symbol)}
           
@@ -1282,6 +2179,9 @@
             </div>
           </div>
 
+          <!-- LIST MODE (3h) -->
+          ${renderListModeBar()}
+
           <!-- SEAT LIST -->
           <div class="tm-a11y-seat-list" id="tmA11ySeatList">
             ${filtered.length === 0 
@@ -1291,8 +2191,11 @@
                     ? 'Navigate to a Ticketmaster event page and open the seat map to capture seat data.' 
                     : 'No seats match your filters. Try adjusting your price or section.'}</p>
                  </div>`
-              : renderSeatCards(filtered, withinBudget, symbol)
+              : currentPreferences.listMode === 'sections'
+                ? renderSectionSummary(filtered, symbol)
+                : renderSeatCards(filtered, withinBudget, symbol)
             }
+            ${renderSoldSinceLooked(symbol)}
           </div>
         </div>
 
@@ -1303,12 +2206,12 @@
             <!-- Price slider -->
             <div class="tm-a11y-filter-group">
               <label class="tm-a11y-filter-label">
-                Max Price
+                Max Price <span class="tm-a11y-filter-hint">all-in, each</span>
                 <span class="tm-a11y-filter-value tm-a11y-price-display-sync">${symbol}${currentPreferences.maxPrice}</span>
               </label>
               <input type="range" class="tm-a11y-slider tm-a11y-price-slider-sync"
                 min="${Math.floor(priceRange.min)}" max="${Math.ceil(priceRange.max)}" 
-                step="5" value="${currentPreferences.maxPrice}" aria-label="Maximum seat price" />
+                step="5" value="${currentPreferences.maxPrice}" aria-label="Maximum all-in price per ticket" />
               <div class="tm-a11y-slider-range">
                 <span>${symbol}${Math.floor(priceRange.min)}</span>
                 <span>${symbol}${Math.ceil(priceRange.max)}</span>
@@ -1325,6 +2228,18 @@
               </select>
             </div>
 
+            <!-- Access needs -->
+            <div class="tm-a11y-filter-group">
+              <span class="tm-a11y-filter-label" id="tmA11yAccessLabel">Access needs</span>
+              <div class="tm-a11y-access-chips" role="group" aria-labelledby="tmA11yAccessLabel">
+                ${renderAccessChips()}
+              </div>
+              <p class="tm-a11y-access-note">Shows seats listed with every selected feature. Check with the venue's access team before buying.</p>
+            </div>
+
+            <!-- Hard rules -->
+            ${renderConstraintRules()}
+
             <!-- Section filter -->
             <div class="tm-a11y-filter-group">
               <label class="tm-a11y-filter-label" for="tmA11ySectionFilter">Section</label>
@@ -1337,6 +2252,9 @@
               </select>
             </div>
 
+            <!-- Resale markup (3i) -->
+            ${renderResaleFilter()}
+
             <!-- Sort -->
             <div class="tm-a11y-filter-group">
               <label class="tm-a11y-filter-label" for="tmA11ySortBy">Sort by</label>
@@ -1364,6 +2282,11 @@
           ${currentPreferences.mcdaEnabled ? renderMCDAWeightPanel() : ''}
         </div>
 
+        <!-- ═══ TAB: INSIGHTS (3g) ═══ -->
+        <div class="tm-a11y-tab-panel ${currentPanelTab === 'insights' ? '' : 'tm-a11y-tab-hidden'}" id="tmA11yTabInsights" role="tabpanel">
+          ${renderInsightsTab(symbol)}
+        </div>
+
         <!-- ═══ TAB: TOOLS ═══ -->
         <div class="tm-a11y-tab-panel ${currentPanelTab === 'tools' ? '' : 'tm-a11y-tab-hidden'}" id="tmA11yTabTools" role="tabpanel">
           <div class="tm-a11y-panel-tools">
@@ -1395,9 +2318,28 @@
                         title="Stop all animations, transitions, and moving elements">
                   <span>Freeze motion</span>
                 </button>
+                <button class="tm-a11y-toggle-btn ${currentPreferences.calmSkinEnabled ? 'tm-a11y-toggle-active' : ''}" 
+                        id="tmA11yCalmSkinToggle" 
+                        aria-pressed="${!!currentPreferences.calmSkinEnabled}"
+                        title="Soften the ticket site itself: duller photos and banners, a plain background, roomier listings and no loud reds">
+                  <span>Calm page</span>
+                </button>
               </div>
+              <label class="tm-a11y-tool-label" for="tmA11yScanStyle">Seat scan</label>
+              <select id="tmA11yScanStyle" class="tm-a11y-select">
+                ${SCAN_STYLE_OPTIONS.map(o =>
+                  `<option value="${o.value}" ${(currentPreferences.scanStyle || 'auto') === o.value ? 'selected' : ''}>${o.label}</option>`
+                ).join('')}
+              </select>
+              <p class="tm-a11y-tool-hint">A gentle scan covers the ticket list while it loads, so the page doesn't scroll in front of you.</p>
             </div>
 
+            <!-- PRESSURE MESSAGES (6a) -->
+            ${renderUrgencySection()}
+
+            <!-- RESERVATION TIMER (6b) -->
+            ${renderCalmTimerSetting()}
+
             <!-- MAP VISUALISATION -->
             <div class="tm-a11y-tool-section">
               <div class="tm-a11y-tool-label">Map Visualisation</div>
@@ -1417,6 +2359,9 @@
               </div>
               <p class="tm-a11y-tool-hint">Focus mode dims over-budget seats. Heatmap scores all seats by your priorities (set weights in Filters tab).</p>
             </div>
+
+            <!-- EVENT WATCH -->
+            ${renderWatchSection(symbol)}
           </div>
         </div>
 
@@ -1430,11 +2375,73 @@
   // ══════════════════════════════════════════════════════════════
   // 3b. PIN-TO-COMPARE RENDERING
   // ══════════════════════════════════════════════════════════════
+  //
+  // Up to MAX_PINNED_SEATS listings form a shortlist, drawn as a real
+  // <table>: one column per seat, one row per criterion, with the best
+  // value in each row marked in text as well as colour. Arrow keys move
+  // between cells (roving tabindex). The shortlist is saved per event.
+  // ══════════════════════════════════════════════════════════════
+
+  const MAX_PINNED_SEATS = 6;
+
+  let _compareFocus = null; // { row, col } of the focused cell, restored after re-render
+
+  /** Pinned seats are snapshots after a reload — swap in the live listing when we have it */
+  function resolvePinnedSeat(pin) {
+    const key = seatContentKey(pin);
+    return capturedSeats.find(s => seatContentKey(s) === key) || pin;
+  }
+
+  /**
+   * Comparison rows. `rank` returns a number where higher is better, or
+   * null when the row has no "best" (e.g. row letters).
+   */
+  function getCompareRows(symbol) {
+    const rows = [
+      { label: 'Price', value: s => toDisplayAmount(s, s.price),
+        format: (v, s) => formatMoney(v, seatCurrency(s)), rank: v => -v },
+      { label: 'All-in each', value: s => getEffectivePrice(s),
+        format: (v, s) => `${formatMoney(v, seatCurrency(s))}${hasKnownFees(s) ? '' : ' + fees'}`, rank: v => -v },
+      { label: 'Row', value: s => s.row || null, format: v => v, rank: null },
+      { label: 'View', value: s => s.qualityScore ?? null,
+        format: v => `${Math.round(v * 100)}%`, rank: v => v }
+    ];
+
+    if (currentPreferences.mcdaEnabled) {
+      rows.push({ label: 'Overall score', value: s => getSeatMCDAScore(s)?.score ?? null,
+        format: v => `${v}`, rank: v => v });
+      MCDA_CRITERIA.forEach(c => {
+        rows.push({ label: c.label, value: s => getSeatMCDAScore(s)?.subscores?.[c.key] ?? null,
+          format: v => `${v}%`, rank: v => v });
+      });
+    }
+
+    // Primary tickets sell at face value, so they count as 0% markup (3i)
+    rows.push({ label: 'Seller', value: s => s.sellerType || 'primary',
+      format: v => v === 'resale' ? 'Resale' : 'Primary', rank: null });
+    rows.push({ label: 'Markup', value: s => s.sellerType === 'resale' ? getResaleInfo(s).markup : 0,
+      format: (v, s) => {
+        const info = getResaleInfo(s);
+        if (!info) return 'None (primary)';
+        return `${v <= 0 ? 'None' : `+${v}%`} vs ${info.basis === 'face' ? 'face value' : 'primary'}${info.capped ? ', capped' : ''}`;
+      }, rank: v => -Math.max(0, v) });
+    return rows;
+  }
+
+  /** Indexes of the best value(s) in a row — none if all equal or too few values */
+  function findBestIndexes(values, rank) {
+    if (!rank) return [];
+    const ranked = values.map(v => v === null ? null : rank(v));
+    const present = ranked.filter(r => r !== null);
+    if (present.length < 2) return [];
+    const best = Math.max(...present);
+    if (present.every(r => r === best)) return [];
+    return ranked.map((r, i) => r === best ? i : -1).filter(i => i !== -1);
+  }
 
   /**
-   * Render the pinned seats comparison area.
-   * Shows 0, 1, or 2 pinned seats side by side with a clear visual comparison.
-   * When 2 seats are pinned, highlights the "winner" in each category.
+   * Render the pinned seats area: a hint when empty, otherwise the
+   * shortlist comparison table.
    */
   function renderPinnedComparison(symbol) {
     if (pinnedSeats.length === 0) {
@@ -1442,115 +2449,128 @@
         <div class="tm-a11y-pinned-area tm-a11y-pinned-empty">
           <div class="tm-a11y-pinned-hint">
             <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 5v14"/><path d="M5 12h14"/></svg>
-            <span>Pin up to 2 seats to compare them side by side</span>
+            <span>Pin up to ${MAX_PINNED_SEATS} seats to compare them side by side</span>
           </div>
         </div>`;
     }
 
+    const seats = pinnedSeats.map(resolvePinnedSeat);
     const maxPrice = currentPreferences.maxPrice;
+    const rows = getCompareRows(symbol);
 
-    if (pinnedSeats.length === 1) {
-      const s = pinnedSeats[0];
-      const inBudget = s.price <= maxPrice;
+    const headerCells = seats.map((s, i) => {
+      const status = s.status === 'sold' ? 'Sold'
+        : !capturedSeats.includes(s) ? 'Not seen yet' : '';
       return `
-        <div class="tm-a11y-pinned-area">
-          <div class="tm-a11y-pinned-header">
-            <span class="tm-a11y-pinned-label">Pinned for comparison</span>
-            <button class="tm-a11y-pinned-clear" id="tmA11yClearPins" aria-label="Clear all pinned seats">Clear</button>
-          </div>
-          <div class="tm-a11y-pinned-cards">
-            <div class="tm-a11y-pinned-card ${inBudget ? 'tm-a11y-pinned-budget' : 'tm-a11y-pinned-over'}">
-              <button class="tm-a11y-pin-remove" data-pin-index="0" aria-label="Unpin this seat">×</button>
-              <div class="tm-a11y-pinned-section">${s.section}</div>
-              ${s.row ? `<div class="tm-a11y-pinned-detail">Row ${s.row}${s.seatNumber ? ` · Seat ${s.seatNumber}` : ''}</div>` : ''}
-              <div class="tm-a11y-pinned-price ${inBudget ? 'tm-a11y-price-budget' : 'tm-a11y-price-over'}">${symbol}${s.price.toFixed(2)}</div>
-              ${s.qualityScore ? `<div class="tm-a11y-pinned-meta">View: ${(s.qualityScore * 100).toFixed(0)}%</div>` : ''}
-              ${s.sellerType === 'resale' ? '<div class="tm-a11y-pinned-meta tm-a11y-pinned-resale">Resale</div>' : ''}
-              ${s.type !== 'standard' ? `<div class="tm-a11y-pinned-meta">${s.type.charAt(0).toUpperCase() + s.type.slice(1)}</div>` : ''}
-            </div>
-            <div class="tm-a11y-pinned-card tm-a11y-pinned-placeholder">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 5v14"/><path d="M5 12h14"/></svg>
-              <span>Pin another seat to compare</span>
-            </div>
-          </div>
-        </div>`;
-    }
-
-    // Two pinned seats — full comparison
-    const a = pinnedSeats[0];
-    const b = pinnedSeats[1];
-    const aInBudget = a.price <= maxPrice;
-    const bInBudget = b.price <= maxPrice;
-    
-    // Determine winners for each category
-    const cheaperIdx = a.price < b.price ? 0 : a.price > b.price ? 1 : -1;
-    const betterViewIdx = (a.qualityScore || 0) > (b.qualityScore || 0) ? 0 
-      : (a.qualityScore || 0) < (b.qualityScore || 0) ? 1 : -1;
-    // Prefer primary over resale
-    const betterSellerIdx = a.sellerType === 'primary' && b.sellerType === 'resale' ? 0
-      : b.sellerType === 'primary' && a.sellerType === 'resale' ? 1 : -1;
+            <th scope="col" class="tm-a11y-compare-col" data-row="0" data-col="${i + 1}" tabindex="-1">
+              <span class="tm-a11y-compare-seat">${s.section}</span>
+              ${s.row ? `<span class="tm-a11y-compare-sub">Row ${s.row}${s.seatNumber ? ` · ${s.seatNumber}` : ''}</span>` : ''}
+              ${status ? `<span class="tm-a11y-compare-sub">${status}</span>` : ''}
+              <button class="tm-a11y-pin-remove" data-pin-index="${i}" aria-label="Unpin ${s.section}${s.row ? ` row ${s.row}` : ''}">×</button>
+            </th>`;
+    }).join('');
 
-    function winClass(idx, winIdx) { return idx === winIdx ? 'tm-a11y-compare-win' : ''; }
+    const bodyRows = rows.map((row, r) => {
+      const values = seats.map(row.value);
+      const best = findBestIndexes(values, row.rank);
+      const cells = values.map((v, i) => {
+        const isBest = best.includes(i);
+        const budgetClass = row.label === 'All-in each'
+          ? (v <= maxPrice ? 'tm-a11y-price-budget' : 'tm-a11y-price-over') : '';
+        return `<td class="${isBest ? 'tm-a11y-compare-win' : ''} ${budgetClass}" data-row="${r + 1}" data-col="${i + 1}" tabindex="${r === 0 && i === 0 ? 0 : -1}">${v === null ? '—' : row.format(v, seats[i])}${isBest ? ' <span class="tm-a11y-compare-best" aria-hidden="true">★</span><span class="tm-a11y-sr-only">(best)</span>' : ''}</td>`;
+      }).join('');
+      return `
+          <tr>
+            <th scope="row" data-row="${r + 1}" data-col="0" tabindex="-1">${row.label}</th>${cells}
+          </tr>`;
+    }).join('');
 
     return `
       <div class="tm-a11y-pinned-area">
         <div class="tm-a11y-pinned-header">
-          <span class="tm-a11y-pinned-label">Comparing 2 seats</span>
+          <span class="tm-a11y-pinned-label">Shortlist (${seats.length}/${MAX_PINNED_SEATS})</span>
           <button class="tm-a11y-pinned-clear" id="tmA11yClearPins" aria-label="Clear all pinned seats">Clear</button>
         </div>
-        <div class="tm-a11y-compare-table" role="table" aria-label="Seat comparison">
-          <div class="tm-a11y-compare-row tm-a11y-compare-header-row" role="row">
-            <div class="tm-a11y-compare-label" role="columnheader"></div>
-            <div class="tm-a11y-compare-cell" role="columnheader">
-              <button class="tm-a11y-pin-remove" data-pin-index="0" aria-label="Unpin seat A">×</button>
-              Seat A
-            </div>
-            <div class="tm-a11y-compare-cell" role="columnheader">
-              <button class="tm-a11y-pin-remove" data-pin-index="1" aria-label="Unpin seat B">×</button>
-              Seat B
-            </div>
-          </div>
-          <div class="tm-a11y-compare-row" role="row">
-            <div class="tm-a11y-compare-label" role="rowheader">Section</div>
-            <div class="tm-a11y-compare-cell" role="cell">${a.section}</div>
-            <div class="tm-a11y-compare-cell" role="cell">${b.section}</div>
-          </div>
-          ${a.row || b.row ? `
-          <div class="tm-a11y-compare-row" role="row">
-            <div class="tm-a11y-compare-label" role="rowheader">Row</div>
-            <div class="tm-a11y-compare-cell" role="cell">${a.row || '—'}</div>
-            <div class="tm-a11y-compare-cell" role="cell">${b.row || '—'}</div>
-          </div>` : ''}
-          <div class="tm-a11y-compare-row" role="row">
-            <div class="tm-a11y-compare-label" role="rowheader">Price</div>
-            <div class="tm-a11y-compare-cell ${winClass(0, cheaperIdx)} ${aInBudget ? 'tm-a11y-price-budget' : 'tm-a11y-price-over'}" role="cell">${symbol}${a.price.toFixed(2)}</div>
-            <div class="tm-a11y-compare-cell ${winClass(1, cheaperIdx)} ${bInBudget ? 'tm-a11y-price-budget' : 'tm-a11y-price-over'}" role="cell">${symbol}${b.price.toFixed(2)}</div>
-          </div>
-          ${(a.qualityScore || b.qualityScore) ? `
-          <div class="tm-a11y-compare-row" role="row">
-            <div class="tm-a11y-compare-label" role="rowheader">View</div>
-            <div class="tm-a11y-compare-cell ${winClass(0, betterViewIdx)}" role="cell">${a.qualityScore ? (a.qualityScore * 100).toFixed(0) + '%' : '—'}</div>
-            <div class="tm-a11y-compare-cell ${winClass(1, betterViewIdx)}" role="cell">${b.qualityScore ? (b.qualityScore * 100).toFixed(0) + '%' : '—'}</div>
-          </div>` : ''}
-          <div class="tm-a11y-compare-row" role="row">
-            <div class="tm-a11y-compare-label" role="rowheader">Seller</div>
-            <div class="tm-a11y-compare-cell ${winClass(0, betterSellerIdx)}" role="cell">${a.sellerType === 'resale' ? 'Resale' : 'Primary'}</div>
-            <div class="tm-a11y-compare-cell ${winClass(1, betterSellerIdx)}" role="cell">${b.sellerType === 'resale' ? 'Resale' : 'Primary'}</div>
-          </div>
-          ${(a.type !== 'standard' || b.type !== 'standard') ? `
-          <div class="tm-a11y-compare-row" role="row">
-            <div class="tm-a11y-compare-label" role="rowheader">Type</div>
-            <div class="tm-a11y-compare-cell" role="cell">${a.type.charAt(0).toUpperCase() + a.type.slice(1)}</div>
-            <div class="tm-a11y-compare-cell" role="cell">${b.type.charAt(0).toUpperCase() + b.type.slice(1)}</div>
-          </div>` : ''}
+        <div class="tm-a11y-compare-scroll">
+          <table class="tm-a11y-compare-table" id="tmA11yCompareTable">
+            <caption class="tm-a11y-sr-only">Shortlisted seats compared. Use the arrow keys to move between cells. ★ marks the best value in each row.</caption>
+            <thead>
+              <tr>
+                <td data-row="0" data-col="0" tabindex="-1"></td>${headerCells}
+              </tr>
+            </thead>
+            <tbody>${bodyRows}
+            </tbody>
+          </table>
         </div>
+        ${seats.length === 1 ? '<div class="tm-a11y-pinned-hint tm-a11y-compare-more">Pin another seat to compare</div>' : ''}
       </div>`;
   }
 
+  /** Arrow-key navigation across the comparison table (roving tabindex) */
+  function attachCompareListeners() {
+    const table = document.getElementById('tmA11yCompareTable');
+    if (!table) return;
+
+    const cellAt = (row, col) => table.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+    const focusCell = (cell) => {
+      table.querySelectorAll('[data-row]').forEach(c => c.setAttribute('tabindex', '-1'));
+      cell.setAttribute('tabindex', '0');
+      cell.focus();
+      _compareFocus = { row: +cell.dataset.row, col: +cell.dataset.col };
+    };
+
+    const maxRow = Math.max(...Array.from(table.querySelectorAll('[data-row]'), c => +c.dataset.row));
+    const maxCol = Math.max(...Array.from(table.querySelectorAll('[data-col]'), c => +c.dataset.col));
+
+    table.addEventListener('keydown', (e) => {
+      const cell = e.target.closest('[data-row]');
+      if (!cell || e.target !== cell) return; // Let the unpin buttons handle their own keys
+      let row = +cell.dataset.row;
+      let col = +cell.dataset.col;
+      switch (e.key) {
+        case 'ArrowRight': col = Math.min(maxCol, col + 1); break;
+        case 'ArrowLeft': col = Math.max(0, col - 1); break;
+        case 'ArrowDown': row = Math.min(maxRow, row + 1); break;
+        case 'ArrowUp': row = Math.max(0, row - 1); break;
+        case 'Home': col = 0; if (e.ctrlKey) row = 0; break;
+        case 'End': col = maxCol; if (e.ctrlKey) row = maxRow; break;
+        default: return;
+      }
+      e.preventDefault();
+      const next = cellAt(row, col);
+      if (next) focusCell(next);
+    });
+
+    table.addEventListener('focusin', (e) => {
+      const cell = e.target.closest('[data-row]');
+      if (cell) _compareFocus = { row: +cell.dataset.row, col: +cell.dataset.col };
+    });
+    table.addEventListener('focusout', () => {
+      setTimeout(() => {
+        if (table.isConnected && !table.contains(document.activeElement)) _compareFocus = null;
+      }, 0);
+    });
+
+    // The panel re-renders as new listings arrive — keep the reader's place
+    if (_compareFocus) {
+      const cell = cellAt(Math.min(_compareFocus.row, maxRow), Math.min(_compareFocus.col, maxCol));
+      if (cell) focusCell(cell);
+    }
+  }
+
+  /**
+   * Save the shortlist for this event (8d). Seats are stored as plain
+   * snapshots so they can be shown before the next scan finds them.
+   */
+  function savePinnedSeats() {
+    saveEventState({ pins: pinnedSeats.map(s => ({ ...s })) });
+  }
+
   function renderSeatCards(seats, withinBudget, symbol) {
     const maxPrice = currentPreferences.maxPrice;
-    const budgetSeats = seats.filter(s => s.price <= maxPrice);
-    const overSeats = seats.filter(s => s.price > maxPrice);
+    const budgetSeats = seats.filter(s => getEffectivePrice(s) <= maxPrice);
+    const overSeats = seats.filter(s => getEffectivePrice(s) > maxPrice);
 
     let html = '';
 
@@ -1576,26 +2596,89 @@
     return html;
   }
 
+  /**
+   * Listings that disappeared from the sidebar during this session.
+   * Kept visible (muted, not selectable) so a seat the user was eyeing
+   * doesn't just silently vanish from the list.
+   */
+  function renderSoldSinceLooked(symbol) {
+    const sold = getSoldSeats();
+    if (sold.length === 0) return '';
+
+    return `
+      <div class="tm-a11y-seat-group-label tm-a11y-group-sold">Sold since you looked (${sold.length})</div>
+      <ul class="tm-a11y-sold-list">
+        ${sold.map(seat => `
+          <li class="tm-a11y-sold-item">
+            <span class="tm-a11y-sold-where">${seat.section}${seat.row ? ` · Row ${seat.row}` : ''}${seat.seatNumber ? ` · Seat ${seat.seatNumber}` : ''}</span>
+            <span class="tm-a11y-sold-meta">${formatSeatPrice(seat, seat.price)} · gone ${formatTimeAgo(seat.soldAt)}</span>
+          </li>`).join('')}
+      </ul>`;
+  }
+
   function renderSingleCard(seat, symbol, inBudget) {
     const qualityLabel = seat.qualityScore 
       ? `<span class="tm-a11y-card-quality" title="View quality score">${(seat.qualityScore * 100).toFixed(0)}%</span>`
       : '';
-    const sellerBadge = seat.sellerType === 'resale' 
-      ? '<span class="tm-a11y-card-resale">Resale</span>' 
+    // Resale markup and price cap (3i)
+    const resale = getResaleInfo(seat);
+    const resaleDetail = resale ? describeResaleDetail(resale, seat) : '';
+    const sellerBadge = resale
+      ? `<span class="tm-a11y-card-resale ${resale.markup !== null && resale.markup <= 0 ? 'tm-a11y-resale-fair' : ''}" title="${resaleDetail}">${describeResaleShort(resale)}</span>
+         ${resale.capped ? '<span class="tm-a11y-card-capped" title="Fan-to-fan resale: sold for no more than the seller paid">Price capped</span>' : ''}`
       : '';
     const typeBadge = seat.type && seat.type !== 'standard'
       ? `<span class="tm-a11y-card-type">${seat.type.charAt(0).toUpperCase() + seat.type.slice(1)}</span>`
       : '';
+    const accessFeatures = getSeatAccess(seat);
+    const accessBadge = accessFeatures.length > 0
+      ? `<span class="tm-a11y-card-access">${ACCESS_FEATURES.filter(f => accessFeatures.includes(f.key)).map(f => f.label).join(' · ')}</span>`
+      : '';
+    // How many can sit together — matters for companions and carers
+    const maxTogether = getMaxTogether(seat);
+    const wantedQty = currentPreferences.ticketQty || 0;
+    let togetherBadge = '';
+    if (wantedQty >= 2 && maxTogether >= wantedQty) {
+      togetherBadge = `<span class="tm-a11y-card-together">${wantedQty} together available</span>`;
+    } else if (!wantedQty && maxTogether >= 2) {
+      togetherBadge = `<span class="tm-a11y-card-together">Up to ${maxTogether} together</span>`;
+    }
+
+    // Price movement since we first saw this listing
+    let deltaBadge = '';
+    if (seat.firstPrice != null && Math.abs(seat.price - seat.firstPrice) >= 0.01) {
+      const delta = seat.price - seat.firstPrice;
+      const down = delta < 0;
+      const amount = formatSeatPrice(seat, Math.abs(delta));
+      deltaBadge = `<span class="tm-a11y-card-delta ${down ? 'tm-a11y-delta-down' : 'tm-a11y-delta-up'}"
+                          title="Was ${formatSeatPrice(seat, seat.firstPrice)} when first seen (${formatTimeAgo(seat.firstSeenAt)})"
+                          aria-label="Price ${down ? 'down' : 'up'} ${amount} since first seen">${down ? '▼' : '▲'} ${amount}</span>`;
+    }
+
+    // Network-captured seats the sidebar hasn't listed yet, or seats
+    // restored from the last visit that no scan has seen again
+    const sourceBadge = seat.stale
+      ? '<span class="tm-a11y-card-source" title="Saved on your last visit — not yet seen again">From last visit</span>'
+      : seat.sources && !seat.sources.includes('sidebar')
+      ? '<span class="tm-a11y-card-source" title="Seen in the seat map data but not yet in the listings — availability unconfirmed">Unconfirmed</span>'
+      : '';
 
-    // MCDA score badge
+    // MCDA score badge + "Why this score?" toggle (3d)
     let scoreBadge = '';
+    let explainBtn = '';
+    let explainOpen = false;
     if (currentPreferences.mcdaEnabled) {
       const scoreData = getSeatMCDAScore(seat);
       if (scoreData) {
         scoreBadge = `<span class="tm-a11y-score-badge tm-a11y-score-tier-${scoreData.tier}" 
-                            title="MCDA: Price ${scoreData.subscores.price}%, View ${scoreData.subscores.viewQuality}%, Proximity ${scoreData.subscores.proximity}%, Aisle ${scoreData.subscores.aisleAccess}%">
+                            title="MCDA: ${MCDA_CRITERIA.map(c => `${c.label} ${scoreData.subscores[c.key]}%`).join(', ')}">
                         ${scoreData.score}
                       </span>`;
+        explainOpen = _explainedSeatKey === seatContentKey(seat);
+        explainBtn = `<button type="button" class="tm-a11y-explain-btn" data-seat-id="${seat.id}"
+                              aria-expanded="${explainOpen}" ${explainOpen ? 'aria-controls="tmA11yExplain"' : ''}>
+                        Why this score?
+                      </button>`;
       }
     }
 
@@ -1612,15 +2695,23 @@
       descLine = seat.type.charAt(0).toUpperCase() + seat.type.slice(1);
     }
 
+    // Price shown is the per-ticket share of the estimated order total
+    const effectivePrice = getEffectivePrice(seat);
+    const feeNote = describeFees(seat);
+    const cardQty = Math.min(currentPreferences.ticketQty || 2, maxTogether || 6);
+
     const ariaLabel = [
       seat.section,
       seat.row ? `Row ${seat.row}` : '',
       seat.seatNumber ? `Seat ${seat.seatNumber}` : '',
-      `${symbol}${seat.price.toFixed(2)}`,
-      seat.type !== 'standard' ? seat.type : ''
+      `${formatMoney(effectivePrice, seatCurrency(seat))} each, ${feeNote}`,
+      seat.type !== 'standard' ? seat.type : '',
+      ...ACCESS_FEATURES.filter(f => accessFeatures.includes(f.key)).map(f => f.label),
+      resaleDetail
     ].filter(Boolean).join(', ');
 
     const pinned = isSeatPinned(seat);
+    const shortlistFull = pinnedSeats.length >= MAX_PINNED_SEATS;
     const pinIcon = pinned
       ? '<svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 5v14"/><path d="M5 12h14"/></svg>'
       : '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 5v14"/><path d="M5 12h14"/></svg>';
@@ -1640,12 +2731,14 @@
           <div class="tm-a11y-card-actions">
             <button class="tm-a11y-pin-btn ${pinned ? 'tm-a11y-pin-active' : ''}" 
                     data-seat-id="${seat.id}" 
-                    aria-label="${pinned ? 'Unpin seat' : 'Pin seat for comparison'}"
-                    title="${pinned ? 'Unpin' : 'Pin to compare'}">
+                    aria-label="${pinned ? 'Unpin seat' : shortlistFull ? 'Shortlist full — unpin a seat first' : 'Pin seat for comparison'}"
+                    ${!pinned && shortlistFull ? 'aria-disabled="true"' : ''}
+                    title="${pinned ? 'Unpin' : shortlistFull ? `Shortlist full (${MAX_PINNED_SEATS})` : 'Pin to compare'}">
               ${pinIcon}
             </button>
             <div class="tm-a11y-card-price ${inBudget ? 'tm-a11y-price-budget' : 'tm-a11y-price-over'}">
-              ${symbol}${seat.price.toFixed(2)}
+              ${formatMoney(effectivePrice, seatCurrency(seat))}
+              <span class="tm-a11y-card-fee">${feeNote}</span>
             </div>
           </div>
         </div>
@@ -1653,25 +2746,55 @@
           <span class="tm-a11y-card-area">${seat.areaName || ''}</span>
           <div class="tm-a11y-card-badges">
             ${scoreBadge}
+            ${deltaBadge}
+            ${togetherBadge}
             ${typeBadge}
+            ${accessBadge}
             ${qualityLabel}
             ${sellerBadge}
+            ${sourceBadge}
           </div>
         </div>
         <div class="tm-a11y-card-select-row">
           <div class="tm-a11y-card-qty-wrap">
             <span class="tm-a11y-card-qty-label">Qty</span>
             <select class="tm-a11y-card-qty" data-seat-id="${seat.id}">
-              ${[1,2,3,4,5,6].map(n => `<option value="${n}" ${n===(currentPreferences.ticketQty||2)?'selected':''}>${n}</option>`).join('')}
+              ${[1,2,3,4,5,6].filter(n => !maxTogether || n <= maxTogether).map(n => `<option value="${n}" ${n===cardQty?'selected':''}>${n}</option>`).join('')}
             </select>
+            <span class="tm-a11y-card-total" aria-live="polite">${describeOrderTotal(seat, cardQty)}</span>
           </div>
           <button class="tm-a11y-card-select-btn" data-seat-id="${seat.id}" 
                   title="Select this ticket on Ticketmaster">Select</button>
         </div>
+        ${explainBtn ? `<div class="tm-a11y-explain-row">${explainBtn}</div>` : ''}
+        ${explainOpen ? renderScoreExplanation(seat, symbol) : ''}
       </div>
     `;
   }
 
+  function startRescan() {
+    const before = capturedSeats.length;
+    console.log(`[A11y Helper] Manual rescan triggered (${before} seats currently)`);
+    
+    scanState = 'scanning';
+    scanProgress = 0;
+    renderPanelContent();
+    
+    // First do a quick scrape of what's visible
+    currentAdapter.scrapeSeats();
+    
+    // Then auto-scroll to catch everything
+    currentAdapter.autoScroll();
+    
+    // Safety timeout
+    setTimeout(() => { 
+      if (scanState === 'scanning') { 
+        console.log('[A11y Helper] Rescan safety timeout'); 
+        finishScan(); 
+      } 
+    }, 30000);
+  }
+
   function attachPanelListeners(symbol) {
     // Close button
     document.getElementById('tmA11yClosePanel')?.addEventListener('click', togglePanel);
@@ -1726,12 +2849,35 @@
       renderPanelContent();
     });
 
+    // Access-needs chips (multi-select, saved with the user's preferences)
+    document.querySelectorAll('.tm-a11y-access-chip').forEach(chip => {
+      chip.addEventListener('click', () => {
+        const key = chip.dataset.accessKey;
+        const needs = new Set(currentPreferences.accessFilter || []);
+        if (needs.has(key)) needs.delete(key);
+        else needs.add(key);
+        currentPreferences.accessFilter = ACCESS_FEATURES.map(f => f.key).filter(k => needs.has(k));
+        if (currentPreferences.mcdaEnabled) computeAllMCDAScores();
+        renderPanelContent();
+        document.querySelector(`.tm-a11y-access-chip[data-access-key="${key}"]`)?.focus();
+        broadcastPreferences();
+      });
+    });
+
     // Section filter
     document.getElementById('tmA11ySectionFilter')?.addEventListener('change', (e) => {
       currentPreferences.sectionFilter = e.target.value;
       renderPanelContent();
     });
 
+    // Resale markup (3i)
+    document.getElementById('tmA11yResaleMarkup')?.addEventListener('change', (e) => {
+      currentPreferences.maxResaleMarkup = e.target.value === '' ? null : parseInt(e.target.value, 10);
+      broadcastPreferences();
+      renderPanelContent();
+      document.getElementById('tmA11yResaleMarkup')?.focus();
+    });
+
     // Sort
     document.getElementById('tmA11ySortBy')?.addEventListener('change', (e) => {
       currentPreferences.sortBy = e.target.value;
@@ -1761,6 +2907,26 @@
       broadcastPreferences();
     });
 
+    // === Calm skin toggle (7a) ===
+    document.getElementById('tmA11yCalmSkinToggle')?.addEventListener('click', () => {
+      currentPreferences.calmSkinEnabled = !currentPreferences.calmSkinEnabled;
+      applyCalmSkin();
+      renderPanelContent();
+      broadcastPreferences();
+    });
+
+    // === Pressure messages (6a) ===
+    attachUrgencyListeners();
+
+    // === Reservation timer (6b) ===
+    attachCalmTimerListeners();
+
+    // === Scan style (3k) ===
+    document.getElementById('tmA11yScanStyle')?.addEventListener('change', (e) => {
+      currentPreferences.scanStyle = e.target.value;
+      broadcastPreferences();
+    });
+
     // === NEW: Focus mode toggle (moved from popup-only to panel) ===
     document.getElementById('tmA11yFocusModeToggle')?.addEventListener('click', () => {
       currentPreferences.focusModeEnabled = !currentPreferences.focusModeEnabled;
@@ -1800,12 +2966,8 @@
         const presetKey = btn.dataset.mcdaPreset;
         const preset = MCDA_PRESETS[presetKey];
         if (!preset) return;
-        currentPreferences.mcdaWeights = {
-          price: preset.price,
-          viewQuality: preset.viewQuality,
-          proximity: preset.proximity,
-          aisleAccess: preset.aisleAccess
-        };
+        currentPreferences.mcdaWeights = {};
+        MCDA_CRITERIA.forEach(c => { currentPreferences.mcdaWeights[c.key] = preset[c.key] || 0; });
         computeAllMCDAScores();
         currentAdapter.applyMapHighlights();
         renderPanelContent();
@@ -1820,15 +2982,15 @@
       slider.addEventListener('input', () => {
         const key = slider.dataset.mcdaKey;
         const newVal = parseInt(slider.value, 10);
-        currentPreferences.mcdaWeights[key] = newVal;
+        currentPreferences.mcdaWeights = { ...getMCDAWeights(), [key]: newVal };
 
         // Update % displays live (normalised)
         const w = currentPreferences.mcdaWeights;
-        const total = w.price + w.viewQuality + w.proximity + w.aisleAccess;
+        const total = sumMCDAWeights(w);
         MCDA_CRITERIA.forEach(c => {
           const valEl = document.querySelector(`[data-mcda-val="${c.key}"]`);
           if (valEl) {
-            const pct = total > 0 ? Math.round((w[c.key] / total) * 100) : 25;
+            const pct = total > 0 ? Math.round((w[c.key] / total) * 100) : Math.round(100 / MCDA_CRITERIA.length);
             valEl.textContent = `${pct}%`;
           }
         });
@@ -1873,28 +3035,32 @@
     });
 
     // === Rescan button — re-scroll sidebar to capture late-loading seats ===
-    document.getElementById('tmA11yRescanBtn')?.addEventListener('click', () => {
-      const before = capturedSeats.length;
-      console.log(`[A11y Helper] Manual rescan triggered (${before} seats currently)`);
-      
-      scanState = 'scanning';
-      scanProgress = 0;
-      renderPanelContent();
-      
-      // First do a quick scrape of what's visible
-      currentAdapter.scrapeSeats();
-      
-      // Then auto-scroll to catch everything
-      currentAdapter.autoScroll();
-      
-      // Safety timeout
-      setTimeout(() => { 
-        if (scanState === 'scanning') { 
-          console.log('[A11y Helper] Rescan safety timeout'); 
-          finishScan(); 
-        } 
-      }, 30000);
-    });
+    document.getElementById('tmA11yRescanBtn')?.addEventListener('click', startRescan);
+    document.getElementById('tmA11yStaleRescan')?.addEventListener('click', startRescan);
+
+    // === Event watch ===
+    attachWatchListeners();
+
+    // === Guided checkout ===
+    attachCheckoutListeners();
+
+    // === Shortlist comparison table ===
+    attachCompareListeners();
+
+    // === Guided (pairwise) weights ===
+    attachAHPListeners();
+
+    // === Hard seat rules ===
+    attachConstraintListeners();
+
+    // === Recommend for me (3f) ===
+    attachRecommendListeners();
+
+    // === Insights tab (3g) ===
+    attachInsightListeners();
+
+    // === Grouped list mode (3h) ===
+    attachListModeListeners();
 
     // === NEW: Pin buttons on seat cards ===
     document.querySelectorAll('.tm-a11y-pin-btn').forEach(btn => {
@@ -1909,6 +3075,7 @@
     // === NEW: Clear pinned seats ===
     document.getElementById('tmA11yClearPins')?.addEventListener('click', () => {
       pinnedSeats = [];
+      savePinnedSeats();
       renderPanelContent();
     });
 
@@ -1919,6 +3086,7 @@
         const idx = parseInt(btn.dataset.pinIndex, 10);
         if (!isNaN(idx) && pinnedSeats[idx]) {
           pinnedSeats.splice(idx, 1);
+          savePinnedSeats();
           renderPanelContent();
         }
       });
@@ -1927,12 +3095,29 @@
     // Seat card clicks — scroll to seat on map (but not on button/select clicks)
     document.querySelectorAll('.tm-a11y-seat-card').forEach(card => {
       card.addEventListener('click', (e) => {
-        if (e.target.closest('.tm-a11y-card-select-btn, .tm-a11y-card-qty, .tm-a11y-pin-btn')) return;
+        if (e.target.closest('.tm-a11y-card-select-btn, .tm-a11y-card-qty, .tm-a11y-pin-btn, .tm-a11y-explain-btn, .tm-a11y-explain')) return;
         currentAdapter.scrollToSeat(card.dataset.seatId);
       });
     });
 
-    // === Select button — click TM listing + proceed to checkout ===
+    // === "Why this score?" (3d) ===
+    document.querySelectorAll('.tm-a11y-explain-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleScoreExplanation(btn.dataset.seatId);
+      });
+    });
+
+    // === Card quantity — refresh the estimated order total ===
+    document.querySelectorAll('.tm-a11y-card-qty').forEach(sel => {
+      sel.addEventListener('change', () => {
+        const seat = capturedSeats.find(s => s.id === sel.dataset.seatId);
+        const totalEl = sel.parentElement?.querySelector('.tm-a11y-card-total');
+        if (seat && totalEl) totalEl.textContent = describeOrderTotal(seat, parseInt(sel.value, 10));
+      });
+    });
+
+    // === Select button — start the guided checkout (3c) ===
     document.querySelectorAll('.tm-a11y-card-select-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -1940,56 +3125,303 @@
         if (!seat) return;
         const qtySelect = btn.closest('.tm-a11y-seat-card')?.querySelector('.tm-a11y-card-qty');
         const qty = qtySelect ? parseInt(qtySelect.value, 10) : 2;
-        btn.textContent = 'Selecting…';
-        btn.disabled = true;
-        currentAdapter.clickListing(seat, qty).then(success => {
-          if (success) {
-            btn.textContent = '✓ Selected';
-            btn.classList.add('tm-a11y-select-success');
-          } else {
-            btn.textContent = 'Not found';
-            btn.classList.add('tm-a11y-select-fail');
-            setTimeout(() => { btn.textContent = 'Select'; btn.disabled = false; btn.classList.remove('tm-a11y-select-fail'); }, 2000);
-          }
-        });
+        startGuidedCheckout(seat, qty);
       });
     });
   }
 
+  // ══════════════════════════════════════════════════════════════
+  // 3c. GUIDED CHECKOUT — EXPLICIT CONFIRMATION
+  // ══════════════════════════════════════════════════════════════
+  //
+  // Replaces the old auto-clicker, which clicked a listing and then
+  // anything matching /next|continue|confirm/ for 8 seconds. Now each
+  // step is: find the next control on the host page → highlight it →
+  // explain in plain language what it does → click only if the user
+  // says so. Payment controls are highlighted and explained but never
+  // clicked for the user.
+  //
+  // Platform differences live in the adapters (findListing +
+  // checkoutSelectors); the flow itself is shared by all three.
+  // ══════════════════════════════════════════════════════════════
+
+  const CHECKOUT_MAX_STEPS = 5;
+  const CHECKOUT_WAIT_MS = 10000;
+  const CHECKOUT_SELF_HIGHLIGHT_MS = 60000; // "I'll do it myself" leaves the outline this long
+
+  let _checkoutHighlightTimer = null;
+
+  const PLATFORM_LABELS = { ticketmaster: 'Ticketmaster', stubhub: 'StubHub', viagogo: 'Viagogo' };
+
   /**
-   * Click TM's sidebar listing then auto-click the checkout/proceed button.
-   * 
-   * TM flow: click listing → TM shows details + "Get Tickets"/"Add to Basket" → 
-   * click that → redirect to checkout page.
-   * 
-   * We handle both steps automatically.
+   * Host buttons we recognise, most specific first. `final` marks
+   * payment controls — the assistant explains these but never clicks.
    */
-  async function clickTMSidebarListing(seat, qty) {
-    console.log(`[A11y Helper] 🛒 Selecting: ${seat.section} Row ${seat.row} @ £${seat.price} (qty: ${qty})`);
+  const CHECKOUT_CONTROL_PATTERNS = [
+    { pattern: /pay\s*now|place\s*(your\s*)?order|complete\s*(purchase|order)|submit\s*payment|^pay\b/i, final: true,
+      explanation: 'This pays for your order. The assistant never presses this for you — check the seats, quantity and total first.' },
+    { pattern: /get\s*tickets?/i,
+      explanation: 'Reserves these tickets and moves you towards checkout. You will not be charged yet.' },
+    { pattern: /add\s*to\s*(basket|cart)/i,
+      explanation: 'Puts these tickets in your basket. You will not be charged yet, but the site may start a timer.' },
+    { pattern: /buy\s*now/i,
+      explanation: 'Starts buying this listing. You will see a summary before any payment.' },
+    { pattern: /check\s*out/i,
+      explanation: 'Opens the checkout page where you review your order. You will not be charged yet.' },
+    { pattern: /^(continue|proceed)\b/i,
+      explanation: 'Moves to the next step of the ticket site\'s form.' }
+  ];
+
+  const _checkoutClicked = new WeakSet();
 
-    // ── Step 1: Try to set TM's quantity selector ──
+  /** Best-effort quantity selection on the host page (TM shows a select) */
+  async function setHostQuantity(qty) {
     const qtySelectors = [
       'select[data-testid*="quantity"]', 'select[aria-label*="quantity" i]',
-      'select[aria-label*="Quantity" i]', 'select[id*="quantity" i]',
-      'select[name*="qty" i]'
+      'select[id*="quantity" i]', 'select[name*="qty" i]'
     ];
     for (const sel of qtySelectors) {
       try {
         const qtyEl = document.querySelector(sel);
-        if (qtyEl && qtyEl.tagName === 'SELECT') {
-          const opt = Array.from(qtyEl.options).find(o => parseInt(o.value) === qty);
-          if (opt) {
-            qtyEl.value = opt.value;
-            qtyEl.dispatchEvent(new Event('change', { bubbles: true }));
-            console.log(`[A11y Helper] 🛒 Set quantity to ${qty}`);
-            await new Promise(r => setTimeout(r, 600));
-            break;
-          }
+        if (!qtyEl || qtyEl.closest('#tm-a11y-companion-panel')) continue;
+        const opt = Array.from(qtyEl.options).find(o => parseInt(o.value, 10) === qty);
+        if (opt) {
+          qtyEl.value = opt.value;
+          qtyEl.dispatchEvent(new Event('change', { bubbles: true }));
+          console.log(`[A11y Helper] 🛒 Set quantity to ${qty}`);
+          await new Promise(r => setTimeout(r, 600));
+          return true;
         }
       } catch (e) {}
     }
+    return false;
+  }
+
+  /** React-friendly click: pointer events first, then a single click */
+  function clickHostElement(el) {
+    try {
+      el.dispatchEvent(new PointerEvent('pointerdown', { bubbles: true }));
+      el.dispatchEvent(new PointerEvent('pointerup', { bubbles: true }));
+    } catch (e) {}
+    el.click();
+    _checkoutClicked.add(el);
+  }
+
+  /**
+   * Locate a listing and click it — no further steps. Used directly by
+   * adapters' clickListing() and as the first step of guided checkout.
+   */
+  async function openListing(adapter, seat, qty) {
+    const listing = adapter.findListing(seat);
+    if (!listing) {
+      console.log(`[A11y Helper] 🛒 ${adapter.name}: no matching listing found`);
+      return false;
+    }
+    if (qty) await setHostQuantity(qty);
+    listing.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    await new Promise(r => setTimeout(r, 300));
+    clickHostElement(listing);
+    console.log(`[A11y Helper] 🛒 ${adapter.name}: listing opened`);
+    return true;
+  }
+
+  function isUsableControl(el) {
+    if (!el || el.closest('#tm-a11y-companion-panel')) return false;
+    if (_checkoutClicked.has(el)) return false;
+    if (!el.offsetParent) return false; // hidden
+    const rect = el.getBoundingClientRect();
+    return rect.width >= 50 && rect.height >= 20;
+  }
+
+  function describeCheckoutControl(el) {
+    const label = (el.textContent || el.value || el.getAttribute('aria-label') || '').trim().replace(/\s+/g, ' ');
+    const match = CHECKOUT_CONTROL_PATTERNS.find(p => p.pattern.test(label));
+    return {
+      element: el,
+      label: label.substring(0, 40) || 'Next step',
+      final: !!match?.final,
+      explanation: match?.explanation || 'This looks like the next step of the ticket site\'s checkout.'
+    };
+  }
+
+  /**
+   * Find the next checkout control without clicking it.
+   * Adapter selectors first, then visible buttons by text.
+   */
+  function findNextCheckoutControl(adapter) {
+    for (const sel of adapter.checkoutSelectors || []) {
+      try {
+        const el = document.querySelector(sel);
+        if (isUsableControl(el)) return describeCheckoutControl(el);
+      } catch (e) {}
+    }
+
+    const buttons = Array.from(document.querySelectorAll('button, a[role="button"], a[href*="checkout"], input[type="submit"]'))
+      .filter(isUsableControl);
+    for (const { pattern } of CHECKOUT_CONTROL_PATTERNS) {
+      const btn = buttons.find(b => {
+        const text = (b.textContent || b.value || '').trim();
+        return text.length >= 2 && text.length <= 40 && pattern.test(text);
+      });
+      if (btn) return describeCheckoutControl(btn);
+    }
+    return null;
+  }
+
+  async function waitForCheckoutControl(adapter, timeoutMs) {
+    const startTime = Date.now();
+    while (Date.now() - startTime < timeoutMs) {
+      const control = findNextCheckoutControl(adapter);
+      if (control) return control;
+      await new Promise(r => setTimeout(r, 500));
+    }
+    return null;
+  }
+
+  function highlightCheckoutTarget(el) {
+    clearCheckoutHighlight();
+    if (!el) return;
+    el.setAttribute('data-tm-a11y-checkout-target', 'true');
+    el.style.outline = '3px solid var(--tm-a11y-accent, #3ecf8e)';
+    el.style.outlineOffset = '3px';
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  function clearCheckoutHighlight() {
+    clearTimeout(_checkoutHighlightTimer);
+    _checkoutHighlightTimer = null;
+    document.querySelectorAll('[data-tm-a11y-checkout-target]').forEach(el => {
+      el.removeAttribute('data-tm-a11y-checkout-target');
+      el.style.outline = '';
+      el.style.outlineOffset = '';
+    });
+  }
+
+  function setCheckoutStep(step, extra = {}) {
+    if (!checkoutSession) return;
+    Object.assign(checkoutSession, { step }, extra);
+    const target = checkoutSession.step === 'confirm-listing' ? checkoutSession.listing
+      : (checkoutSession.step === 'confirm-control' || checkoutSession.step === 'final') ? checkoutSession.control?.element
+      : null;
+    highlightCheckoutTarget(target);
+    announceToScreenReader(describeCheckoutStep(checkoutSession));
+    renderPanelContent();
+  }
+
+  function describeCheckoutStep(session) {
+    const platform = PLATFORM_LABELS[currentAdapter?.name] || 'the ticket site';
+    switch (session.step) {
+      case 'confirm-listing':
+        return `Step 1: this is the listing on ${platform}, now highlighted on the page. Opening it shows the ticket details.`;
+      case 'waiting':
+        return `Waiting for ${platform} to show the next step…`;
+      case 'confirm-control':
+        return `Next: the "${session.control.label}" button, highlighted on the page. ${session.control.explanation}`;
+      case 'final':
+        return `The "${session.control.label}" button is highlighted. ${session.control.explanation}`;
+      case 'not-found':
+        return `We couldn't find this listing on ${platform}. It may have sold, or the list may need scrolling.`;
+      default:
+        return `That's as far as the assistant can guide. Check ${platform} for the next step — you're in control.`;
+    }
+  }
+
+  /** Entry point — the Select button on a seat card */
+  function startGuidedCheckout(seat, qty) {
+    clearCheckoutHighlight();
+    const listing = currentAdapter.findListing(seat);
+    checkoutSession = { seat, qty, listing, control: null, stepsTaken: 0, step: null };
+    console.log(`[A11y Helper] 🛒 Guided checkout: ${seat.section} Row ${seat.row} (qty ${qty})`);
+    setCheckoutStep(listing ? 'confirm-listing' : 'not-found');
+  }
+
+  /** User confirmed the highlighted step — click it, then look for the next */
+  async function confirmCheckoutStep() {
+    const session = checkoutSession;
+    if (!session) return;
+
+    if (session.step === 'confirm-listing') {
+      clearCheckoutHighlight();
+      // The host may have re-rendered its list since we highlighted it
+      if (!session.listing.isConnected) session.listing = currentAdapter.findListing(session.seat);
+      if (!session.listing) { setCheckoutStep('not-found'); return; }
+      if (session.qty) await setHostQuantity(session.qty);
+      clickHostElement(session.listing);
+    } else if (session.step === 'confirm-control' && session.control) {
+      clearCheckoutHighlight();
+      clickHostElement(session.control.element);
+    } else {
+      return;
+    }
+
+    session.stepsTaken++;
+    setCheckoutStep('waiting');
+
+    const control = session.stepsTaken < CHECKOUT_MAX_STEPS
+      ? await waitForCheckoutControl(currentAdapter, CHECKOUT_WAIT_MS)
+      : null;
+    if (checkoutSession !== session) return; // Cancelled while waiting
+
+    if (!control) setCheckoutStep('done');
+    else setCheckoutStep(control.final ? 'final' : 'confirm-control', { control });
+  }
+
+  function endGuidedCheckout() {
+    clearCheckoutHighlight();
+    checkoutSession = null;
+    renderPanelContent();
+  }
+
+  function renderCheckoutAssistant(symbol) {
+    const session = checkoutSession;
+    if (!session) return '';
+
+    const seat = session.seat;
+    const where = [seat.section, seat.row ? `Row ${seat.row}` : '', seat.seatNumber ? `Seat ${seat.seatNumber}` : '']
+      .filter(Boolean).join(' · ');
+    const platform = PLATFORM_LABELS[currentAdapter?.name] || 'the ticket site';
+    const canConfirm = session.step === 'confirm-listing' || session.step === 'confirm-control';
+    const order = getOrderTotal(seat, session.qty);
+
+    return `
+      <div class="tm-a11y-notice tm-a11y-checkout" role="region" aria-label="Checkout assistant">
+        <div class="tm-a11y-checkout-title">Checkout assistant</div>
+        <dl class="tm-a11y-checkout-summary">
+          <dt>Seat</dt><dd>${where}</dd>
+          <dt>Tickets</dt><dd>${session.qty}</dd>
+          <dt>Price</dt><dd>${formatSeatPrice(seat, seat.price)} each · ${describeFees(seat)}</dd>
+          <dt>Total</dt><dd>${describeOrderTotal(seat, session.qty)}${order.orderFee ? ` (incl. ${formatSeatPrice(seat, order.orderFee)} order fee)` : ''}</dd>
+          <dt>Fees</dt><dd>${order.feesKnown ? 'Estimated — ' : ''}${platform} shows the final amount before you pay</dd>
+        </dl>
+        <p class="tm-a11y-checkout-step">${describeCheckoutStep(session)}</p>
+        <div class="tm-a11y-notice-actions">
+          ${canConfirm ? `<button class="tm-a11y-text-btn" id="tmA11yCheckoutConfirm">${session.step === 'confirm-listing' ? 'Open it for me' : `Press "${session.control.label}" for me`}</button>` : ''}
+          ${canConfirm ? '<button class="tm-a11y-text-btn" id="tmA11yCheckoutSelf">I\'ll do it myself</button>' : ''}
+          <button class="tm-a11y-text-btn" id="tmA11yCheckoutClose">${canConfirm || session.step === 'waiting' ? 'Cancel' : 'Close'}</button>
+        </div>
+      </div>`;
+  }
+
+  function attachCheckoutListeners() {
+    document.getElementById('tmA11yCheckoutConfirm')?.addEventListener('click', () => confirmCheckoutStep());
+    document.getElementById('tmA11yCheckoutSelf')?.addEventListener('click', () => {
+      // Leave the highlight in place so the user can find the control —
+      // until they use it, or for a minute if they don't
+      document.querySelector('[data-tm-a11y-checkout-target]')
+        ?.addEventListener('click', clearCheckoutHighlight, { once: true, capture: true });
+      clearTimeout(_checkoutHighlightTimer);
+      _checkoutHighlightTimer = setTimeout(clearCheckoutHighlight, CHECKOUT_SELF_HIGHLIGHT_MS);
+      checkoutSession = null;
+      renderPanelContent();
+    });
+    document.getElementById('tmA11yCheckoutClose')?.addEventListener('click', endGuidedCheckout);
+  }
 
-    // ── Step 2: Find matching listing in TM's sidebar ──
+  /**
+   * Find the TM sidebar listing that best matches a captured seat.
+   * Scores candidates on section, price and row text.
+   */
+  function findTMSidebarListing(seat) {
     const allClickables = document.querySelectorAll('div, li, a, button, [role="button"], [role="listitem"]');
     const sectionNorm = seat.section.replace(/^Section\s*/i, '').replace(/\s+/g, '').toLowerCase();
     const priceStr = seat.price.toFixed(2);
@@ -2012,1631 +3444,5297 @@
       if (score > bestScore && score >= 5) { bestScore = score; bestMatch = el; }
     });
 
-    if (!bestMatch) {
-      console.log(`[A11y Helper] 🛒 No matching listing found`);
-      return false;
-    }
+    if (bestMatch) console.log(`[A11y Helper] 🛒 Found match (score ${bestScore}):`, bestMatch.textContent.substring(0, 80));
+    return bestMatch;
+  }
 
-    console.log(`[A11y Helper] 🛒 Found match (score ${bestScore}):`, bestMatch.textContent.substring(0, 80));
+  // ══════════════════════════════════════════════════════════════
+  // 3d. SCORE EXPLANATION — "WHY THIS SCORE?"
+  // ══════════════════════════════════════════════════════════════
+  //
+  // The score badge's tooltip can't be reached by keyboard or screen
+  // reader and gives no reasons. Each scored card gets a "Why this
+  // score?" toggle that opens a table of what the seat has for each
+  // criterion, how that scored, its weight and how many points it
+  // added, plus plain sentences comparing it with other seats and with
+  // the top seat in the current filter. Everything is read back from
+  // `mcdaScores`; nothing is recomputed here.
+  // ══════════════════════════════════════════════════════════════
 
-    // ── Step 3: Click the listing ──
-    bestMatch.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    await new Promise(r => setTimeout(r, 400));
-    bestMatch.style.outline = '3px solid var(--tm-a11y-accent, #3ecf8e)';
-    bestMatch.click();
-    try {
-      bestMatch.dispatchEvent(new PointerEvent('pointerdown', { bubbles: true }));
-      bestMatch.dispatchEvent(new PointerEvent('pointerup', { bubbles: true }));
-      bestMatch.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
-    } catch (e) {}
+  let _explainedSeatKey = null; // seatContentKey of the open explanation (one at a time)
+
+  /** What the seat actually has for a criterion, in words */
+  function describeCriterionValue(key, seat, scoreData, symbol) {
+    switch (key) {
+      case 'price':
+        return `${formatMoney(getEffectivePrice(seat), seatCurrency(seat))} each${hasKnownFees(seat) ? '' : ' + fees'}`;
+      case 'viewQuality':
+        return getActiveVenue() ? `${seat.section} (${getActiveVenue().name} layout)` : seat.section;
+      case 'proximity':
+        if (scoreData.measuredFrom) return `${seat.row ? `Row ${seat.row}, ` : ''}measured on the seat map`;
+        return seat.row ? `Row ${seat.row}` : 'Row not listed';
+      case 'aisleAccess':
+        return seat.seatNumber ? `Seat ${seat.seatNumber}` : 'Seat number not listed';
+      case 'accessibility': {
+        const access = getSeatAccess(seat);
+        return access.length > 0
+          ? ACCESS_FEATURES.filter(f => access.includes(f.key)).map(f => f.label).join(', ')
+          : 'No access features listed';
+      }
+      case 'quietness':
+      case 'crowdCalm':
+        return seat.type && seat.type !== 'standard'
+          ? seat.type.charAt(0).toUpperCase() + seat.type.slice(1)
+          : seat.section;
+      case 'exitEase':
+        return [seat.row ? `Row ${seat.row}` : '', seat.seatNumber ? `Seat ${seat.seatNumber}` : '']
+          .filter(Boolean).join(', ') || 'Position not listed';
+      default:
+        return '';
+    }
+  }
 
-    console.log(`[A11y Helper] 🛒 Clicked listing, waiting for checkout button…`);
+  /** Share (0–100) of other scored seats with a lower subscore for `key` */
+  function subscorePercentile(key, value) {
+    let lower = 0;
+    let others = 0;
+    mcdaScores.forEach(d => {
+      others++;
+      if (d.subscores[key] < value) lower++;
+    });
+    return others > 1 ? Math.round((lower / (others - 1)) * 100) : null;
+  }
 
-    // ── Step 4: Wait for and click the checkout/proceed button ──
-    // TM shows a checkout button after selecting a listing.
-    // We poll for it over 8 seconds with increasing intervals.
-    const checkoutFound = await waitForCheckoutButton(8000);
-    
-    setTimeout(() => { if (bestMatch) bestMatch.style.outline = ''; }, 3000);
-    return checkoutFound;
+  /** Best-scoring seat in the current filter, for the comparison sentence */
+  function findTopFilteredSeat() {
+    let best = null;
+    let bestScore = -1;
+    getFilteredSeats().forEach(s => {
+      const d = getSeatMCDAScore(s);
+      if (d && d.score > bestScore) { best = s; bestScore = d.score; }
+    });
+    return best;
   }
 
-  /**
-   * Poll for TM's checkout/proceed button and click it.
-   * TM uses various labels: "Get Tickets", "Add to Basket", "Checkout", "Continue", "Next"
-   */
-  async function waitForCheckoutButton(timeoutMs) {
-    const startTime = Date.now();
-    const checkoutPatterns = [
-      // Button text patterns (case-insensitive)
-      /get\s*tickets/i, /add\s*to\s*(basket|cart)/i, /checkout/i, 
-      /continue/i, /proceed/i, /buy\s*now/i, /next/i, /confirm/i
-    ];
-    // Selector patterns for TM checkout buttons
-    const checkoutSelectors = [
-      'button[data-testid*="checkout"]', 'button[data-testid*="add-to-cart"]',
-      'button[data-testid*="continue"]', 'button[data-testid*="get-ticket"]',
-      'a[data-testid*="checkout"]', '[data-testid*="unified-checkout"]',
-      'button[data-testid*="submit"]', 'button[data-bdd*="checkout"]',
-      'button[data-bdd*="continue"]'
-    ];
+  function renderScoreExplanation(seat, symbol) {
+    const scoreData = getSeatMCDAScore(seat);
+    if (!scoreData) return '';
+    const w = scoreData.weights;
 
-    while (Date.now() - startTime < timeoutMs) {
-      // Try specific selectors first
-      for (const sel of checkoutSelectors) {
-        try {
-          const btn = document.querySelector(sel);
-          if (btn && btn.offsetParent !== null) { // visible
-            console.log(`[A11y Helper] 🛒 Found checkout button via selector: ${sel}`);
-            btn.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            await new Promise(r => setTimeout(r, 200));
-            btn.style.outline = '3px solid #22c55e';
-            btn.click();
-            try { btn.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true })); } catch (e) {}
-            console.log(`[A11y Helper] 🛒 Clicked checkout button — should redirect to payment`);
-            return true;
-          }
-        } catch (e) {}
-      }
+    const counted = MCDA_CRITERIA.filter(c => w[c.key] > 0);
+    const ignored = MCDA_CRITERIA.filter(c => !(w[c.key] > 0));
 
-      // Try text-matching on visible buttons/links
-      const buttons = document.querySelectorAll('button, a[role="button"], a[href*="checkout"], input[type="submit"]');
-      for (const btn of buttons) {
-        if (btn.closest('#tm-a11y-companion-panel')) continue;
-        if (!btn.offsetParent) continue; // hidden
-        const text = (btn.textContent || btn.value || '').trim();
-        if (text.length < 2 || text.length > 40) continue;
-        
-        for (const pattern of checkoutPatterns) {
-          if (pattern.test(text)) {
-            // Make sure it's a real checkout button, not a nav link
-            const rect = btn.getBoundingClientRect();
-            if (rect.width < 50 || rect.height < 20) continue; // too small
-            
-            console.log(`[A11y Helper] 🛒 Found checkout button by text: "${text}"`);
-            btn.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            await new Promise(r => setTimeout(r, 200));
-            btn.style.outline = '3px solid #22c55e';
-            btn.click();
-            try { btn.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true })); } catch (e) {}
-            console.log(`[A11y Helper] 🛒 Clicked checkout — should redirect to payment`);
-            return true;
-          }
-        }
-      }
+    const rows = counted.map(c => {
+      const sub = scoreData.subscores[c.key];
+      const points = w[c.key] * sub;
+      return `
+        <tr>
+          <th scope="row">${c.label}</th>
+          <td>${describeCriterionValue(c.key, seat, scoreData, symbol)}</td>
+          <td>${sub}/100</td>
+          <td>${Math.round(w[c.key] * 100)}%</td>
+          <td>${points.toFixed(1)}</td>
+        </tr>`;
+    }).join('');
 
-      // Wait before next poll (200ms → 500ms → 1s)
-      const elapsed = Date.now() - startTime;
-      const delay = elapsed < 2000 ? 200 : elapsed < 5000 ? 500 : 1000;
-      await new Promise(r => setTimeout(r, delay));
+    // Plain sentences — strongest points first
+    const sentences = counted
+      .map(c => ({ c, pct: subscorePercentile(c.key, scoreData.subscores[c.key]) }))
+      .filter(x => x.pct !== null)
+      .sort((a, b) => b.pct - a.pct)
+      .map(x => `${x.c.better} ${x.pct}% of seats.`);
+
+    const top = findTopFilteredSeat();
+    const topData = top ? getSeatMCDAScore(top) : null;
+    if (top && topData && seatContentKey(top) !== seatContentKey(seat)) {
+      const gap = topData.score - scoreData.score;
+      const behind = counted
+        .map(c => ({ c, diff: w[c.key] * (scoreData.subscores[c.key] - topData.subscores[c.key]) }))
+        .filter(x => x.diff <= -0.5)
+        .sort((a, b) => a.diff - b.diff)
+        .slice(0, 2)
+        .map(x => `${x.c.label.toLowerCase()} (${x.diff.toFixed(1)})`);
+      const where = [top.section, top.row ? `Row ${top.row}` : ''].filter(Boolean).join(', ');
+      sentences.push(gap > 0
+        ? `The top seat in your current filter (${where}) scores ${topData.score}, ${gap} more than this one${behind.length ? `, mostly on ${behind.join(' and ')}` : ''}.`
+        : `It scores the same as the top seat in your current filter (${where}).`);
+    } else if (top) {
+      sentences.push('This is the highest-scoring seat in your current filter.');
     }
 
-    console.log(`[A11y Helper] 🛒 No checkout button found within ${timeoutMs}ms — user may need to click manually`);
-    return false;
+    return `
+      <div class="tm-a11y-explain" id="tmA11yExplain">
+        <p class="tm-a11y-explain-summary">Score ${scoreData.score} of 100 — the points column adds up to the score.</p>
+        <table class="tm-a11y-explain-table">
+          <caption class="tm-a11y-sr-only">How the score for ${seat.section}${seat.row ? `, row ${seat.row}` : ''} is made up</caption>
+          <thead>
+            <tr><th scope="col">Criterion</th><th scope="col">This seat</th><th scope="col">Score</th><th scope="col">Weight</th><th scope="col">Points</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        ${sentences.length ? `<ul class="tm-a11y-explain-notes">${sentences.map(t => `<li>${t}</li>`).join('')}</ul>` : ''}
+        ${ignored.length ? `<p class="tm-a11y-explain-ignored">Not counted (weight 0): ${ignored.map(c => c.label).join(', ')}.</p>` : ''}
+      </div>`;
   }
 
-  /**
-   * Try to scroll the actual Ticketmaster seat map to a specific seat.
-   * This is best-effort as TM's DOM structure varies.
-   */
-  function scrollToSeatOnMap(seatId) {
-    const selectors = [
-      `[data-seat-id="${seatId}"]`,
-      `[data-seat="${seatId}"]`,
-      `[data-testid*="${seatId}"]`,
-      `#seat-${seatId}`
-    ];
-
-    for (const selector of selectors) {
-      try {
-        const el = document.querySelector(selector);
-        if (el) {
-          el.scrollIntoView({ behavior: 'smooth', block: 'center' });
-          // Briefly flash the seat
-          el.style.transition = 'outline 0.2s';
-          el.style.outline = `4px solid var(--tm-a11y-seat-available, #22c55e)`;
-          setTimeout(() => { el.style.outline = ''; }, 2000);
-          return;
-        }
-      } catch (e) {}
-    }
-    console.log('[A11y Helper] Could not locate seat on map:', seatId);
+  function toggleScoreExplanation(seatId) {
+    const seat = capturedSeats.find(s => s.id === seatId);
+    if (!seat) return;
+    const key = seatContentKey(seat);
+    _explainedSeatKey = _explainedSeatKey === key ? null : key;
+    renderPanelContent();
+    document.querySelector(`.tm-a11y-explain-btn[data-seat-id="${CSS.escape(seatId)}"]`)?.focus();
   }
 
 
   // ══════════════════════════════════════════════════════════════
-  // 4. FOCUS MODE — SVG SEAT MAP DIMMING
+  // 3e. GUIDED WEIGHTS — PAIRWISE QUESTIONS (AHP)
   // ══════════════════════════════════════════════════════════════
   //
-  // Dims seats on TM's SVG seat map that are NOT in our sidebar data.
-  // Available seats glow bright; unavailable/out-of-budget seats dim.
-  //
-  // TM SVG structure (from DOM inspection):
-  //   <g data-component="svg_block" data-section-name="104" class="section">
-  //     <g class="seats">
-  //       <g data-row-name="20">
-  //         <circle data-component="svg__seat" data-seat-name="13" type="primary" />
-  //
-  // We match our sidebar-extracted seats (which have section + row) to
-  // the SVG's section/row hierarchy. Seats whose section+row combo
-  // appears in our captured data get highlighted; everything else dims.
+  // An alternative to setting eight abstract sliders. The user picks
+  // the criteria that matter, then answers one "Which matters more?"
+  // question per pair. Answers fill an AHP comparison matrix (Saaty
+  // scale 1/5–5); weights are the normalised geometric means of its
+  // rows. The consistency ratio (CR) flags answers that contradict each
+  // other: above 0.1 we say which answer fits worst and offer to review
+  // it, but the user can still use the weights. Results go into
+  // currentPreferences.mcdaWeights and can be saved as a profile.
   // ══════════════════════════════════════════════════════════════
 
-  function applyFocusMode() {
-    if (!currentPreferences.focusModeEnabled) {
-      removeFocusHighlights();
-      return;
-    }
-    highlightSVGSeats();
+  const AHP_SCALE = [
+    { value: 5,     text: (a, b) => `${a} matters much more` },
+    { value: 3,     text: (a, b) => `${a} matters a bit more` },
+    { value: 1,     text: (a, b) => 'About the same' },
+    { value: 1 / 3, text: (a, b) => `${b} matters a bit more` },
+    { value: 1 / 5, text: (a, b) => `${b} matters much more` }
+  ];
+  const AHP_SAME = 2; // Index of "About the same" in AHP_SCALE
+
+  /** Saaty's random consistency index, by matrix size */
+  const AHP_RANDOM_INDEX = [0, 0, 0, 0.58, 0.90, 1.12, 1.24, 1.32, 1.41, 1.45];
+  const AHP_MAX_CR = 0.1;
+
+  let ahpSession = null; // { step: 'pick'|'ask'|'result', keys, pairs, answers, index, result }
+  let _ahpProfileDraft = { value: '', focused: false, caret: null }; // Profile name being typed, kept across re-renders
+
+  function criterionLabel(key) {
+    return MCDA_CRITERIA.find(c => c.key === key)?.label || key;
   }
 
   /**
-   * Build a lookup of available sections + rows from sidebar data,
-   * then walk the SVG seat map and apply visual classes.
-   * 
-   * Uses fuzzy matching for section names because the sidebar and SVG
-   * use different naming conventions:
-   *   Sidebar: "Section BL 210"  →  SVG: "BL210" or "210" or "BL 210"
-   *   Sidebar: "Section 530"     →  SVG: "530" or "Section 530"
+   * Weights (summing to 1) and consistency ratio from pairwise answers.
+   * @param {number} n — number of criteria
+   * @param {Array<[number, number]>} pairs — index pairs that were asked
+   * @param {number[]} answers — AHP_SCALE indexes, one per pair
    */
-  function highlightSVGSeats() {
-    if (capturedSeats.length === 0) {
-      console.log('[A11y Helper] Focus mode: no seats captured yet, skipping');
-      return;
-    }
-
-    // ── Build normalised section lookup ──
-    // For each captured section, generate multiple name variants for matching
-    const availableRows = new Map();   // "normalisedSection|row" → cheapest price
-    const availableSections = new Map(); // normalisedName → cheapest price
-    const sectionVariants = new Map();  // variant → canonical section name
+  function computeAHPWeights(n, pairs, answers) {
+    const matrix = Array.from({ length: n }, () => Array(n).fill(1));
+    pairs.forEach(([i, j], p) => {
+      const value = AHP_SCALE[answers[p] ?? AHP_SAME].value;
+      matrix[i][j] = value;
+      matrix[j][i] = 1 / value;
+    });
 
-    capturedSeats.forEach(seat => {
-      // Strip "Section " prefix to get the raw name
-      const rawSection = seat.section.replace(/^Section\s*/i, '').trim();
-      
-      // Generate all variants of this section name for fuzzy matching
-      const variants = generateSectionVariants(rawSection);
-      variants.forEach(v => sectionVariants.set(v, rawSection));
-      
-      // Track by section
-      const existing = availableSections.get(rawSection);
-      if (!existing || seat.price < existing) {
-        availableSections.set(rawSection, seat.price);
-      }
-      
-      // Track by section + row
-      if (seat.row) {
-        const rowKey = `${rawSection}|${seat.row}`;
-        const existingRow = availableRows.get(rowKey);
-        if (!existingRow || seat.price < existingRow) {
-          availableRows.set(rowKey, seat.price);
-        }
-      }
+    const means = matrix.map(row => Math.pow(row.reduce((a, b) => a * b, 1), 1 / n));
+    const total = means.reduce((a, b) => a + b, 0);
+    const weights = means.map(m => m / total);
+
+    // λmax from A·w, then CI = (λmax − n)/(n − 1) and CR = CI / RI
+    const lambdaMax = matrix.reduce((sum, row, i) =>
+      sum + row.reduce((s, v, j) => s + v * weights[j], 0) / weights[i], 0) / n;
+    const ri = AHP_RANDOM_INDEX[n] ?? AHP_RANDOM_INDEX[AHP_RANDOM_INDEX.length - 1];
+    const cr = n > 2 && ri > 0 ? Math.max(0, (lambdaMax - n) / (n - 1) / ri) : 0;
+
+    // The answer furthest from what the weights imply is the one to review
+    let worstPair = -1;
+    let worstError = 0;
+    pairs.forEach(([i, j], p) => {
+      const error = Math.abs(Math.log(matrix[i][j]) - Math.log(weights[i] / weights[j]));
+      if (error > worstError) { worstError = error; worstPair = p; }
     });
 
-    console.log(`[A11y Helper] Focus mode: ${availableSections.size} sections, ${availableRows.size} section+row combos`);
+    return { weights, cr, worstPair };
+  }
 
-    // ── Walk SVG section groups and apply dimming ──
-    const sectionGroups = document.querySelectorAll(
-      'g[data-section-name], g[data-component="svg_block"], [data-section-id], path[data-section-name], [data-component="svg_section"]'
-    );
+  /** Whole-number percentages that add up to exactly 100 (largest remainder) */
+  function toPercentWeights(keys, weights) {
+    const raw = weights.map(w => w * 100);
+    const floors = raw.map(Math.floor);
+    let left = 100 - floors.reduce((a, b) => a + b, 0);
+    raw.map((v, i) => ({ i, rest: v - floors[i] }))
+      .sort((a, b) => b.rest - a.rest)
+      .forEach(({ i }) => { if (left > 0) { floors[i]++; left--; } });
+
+    const result = {};
+    MCDA_CRITERIA.forEach(c => { result[c.key] = 0; });
+    keys.forEach((key, i) => { result[key] = floors[i]; });
+    return result;
+  }
 
-    if (sectionGroups.length === 0) {
-      console.log('[A11y Helper] Focus mode: no SVG section groups found');
-      // Try individual seat circles
-      dimIndividualSeats();
-      return;
+  function startAHPSession() {
+    const w = getMCDAWeights();
+    ahpSession = {
+      step: 'pick',
+      keys: MCDA_CRITERIA.filter(c => w[c.key] > 0).map(c => c.key),
+      pairs: [],
+      answers: [],
+      index: 0,
+      result: null
+    };
+  }
+
+  function buildAHPQuestions() {
+    const n = ahpSession.keys.length;
+    ahpSession.pairs = [];
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) ahpSession.pairs.push([i, j]);
     }
+    ahpSession.answers = ahpSession.pairs.map(() => AHP_SAME);
+    ahpSession.index = 0;
+  }
 
-    // Log SVG section names for debugging (first time only)
-    if (!window._tmA11ySVGSectionsLogged) {
-      const svgNames = [];
-      sectionGroups.forEach(g => {
-        const name = g.getAttribute('data-section-name') || g.getAttribute('data-section-id') || '';
-        if (name) svgNames.push(name);
-      });
-      console.log(`[A11y Helper] SVG sections found: ${svgNames.join(', ')}`);
-      console.log(`[A11y Helper] Sidebar sections: ${Array.from(availableSections.keys()).join(', ')}`);
-      window._tmA11ySVGSectionsLogged = true;
+  function finishAHPQuestions() {
+    const { keys, pairs, answers } = ahpSession;
+    const { weights, cr, worstPair } = computeAHPWeights(keys.length, pairs, answers);
+    ahpSession.result = { weights: toPercentWeights(keys, weights), cr, worstPair };
+    ahpSession.step = 'result';
+  }
+
+  function applyAHPWeights() {
+    currentPreferences.mcdaWeights = { ...ahpSession.result.weights };
+    computeAllMCDAScores();
+    currentAdapter.applyMapHighlights();
+  }
+
+  function renderAHPWizard() {
+    const s = ahpSession;
+    if (!s) return '';
+
+    if (s.step === 'pick') {
+      return `
+        <div class="tm-a11y-ahp" id="tmA11yAHP">
+          <fieldset class="tm-a11y-ahp-fieldset">
+            <legend class="tm-a11y-ahp-question" data-ahp-focus tabindex="-1">Which of these matter to you at all?</legend>
+            ${MCDA_CRITERIA.map(c => `
+              <label class="tm-a11y-ahp-option">
+                <input type="checkbox" name="tmA11yAHPPick" value="${c.key}" ${s.keys.includes(c.key) ? 'checked' : ''} />
+                ${c.label}
+              </label>`).join('')}
+          </fieldset>
+          <p class="tm-a11y-ahp-hint" id="tmA11yAHPPickHint">Pick at least two. You'll then compare them two at a time.</p>
+          <div class="tm-a11y-ahp-actions">
+            <button type="button" class="tm-a11y-mcda-preset-btn" id="tmA11yAHPCancel">Cancel</button>
+            <button type="button" class="tm-a11y-mcda-preset-btn tm-a11y-preset-active" id="tmA11yAHPPickNext">Next</button>
+          </div>
+        </div>`;
     }
 
-    let matched = 0;
-    let dimmed = 0;
+    if (s.step === 'ask') {
+      const [i, j] = s.pairs[s.index];
+      const a = criterionLabel(s.keys[i]);
+      const b = criterionLabel(s.keys[j]);
+      return `
+        <div class="tm-a11y-ahp" id="tmA11yAHP">
+          <fieldset class="tm-a11y-ahp-fieldset">
+            <legend class="tm-a11y-ahp-question" data-ahp-focus tabindex="-1">
+              <span class="tm-a11y-ahp-progress">Question ${s.index + 1} of ${s.pairs.length}</span>
+              Which matters more to you: ${a.toLowerCase()} or ${b.toLowerCase()}?
+            </legend>
+            ${AHP_SCALE.map((opt, k) => `
+              <label class="tm-a11y-ahp-option">
+                <input type="radio" name="tmA11yAHPAnswer" value="${k}" ${s.answers[s.index] === k ? 'checked' : ''} />
+                ${opt.text(a, b)}
+              </label>`).join('')}
+          </fieldset>
+          <div class="tm-a11y-ahp-actions">
+            <button type="button" class="tm-a11y-mcda-preset-btn" id="tmA11yAHPBack">Back</button>
+            <button type="button" class="tm-a11y-mcda-preset-btn tm-a11y-preset-active" id="tmA11yAHPNext">
+              ${s.index === s.pairs.length - 1 ? 'See weights' : 'Next'}
+            </button>
+          </div>
+        </div>`;
+    }
 
-    sectionGroups.forEach(sectionG => {
-      const svgName = (sectionG.getAttribute('data-section-name') || 
-                       sectionG.getAttribute('data-section-id') || '').trim();
-      if (!svgName) return;
+    // Result
+    const r = s.result;
+    const inconsistent = r.cr > AHP_MAX_CR && r.worstPair >= 0;
+    const worst = inconsistent ? s.pairs[r.worstPair] : null;
+    const activeProfile = getActiveProfile();
+    return `
+      <div class="tm-a11y-ahp" id="tmA11yAHP">
+        <p class="tm-a11y-ahp-question" data-ahp-focus tabindex="-1">Your weights</p>
+        <ul class="tm-a11y-ahp-weights">
+          ${s.keys.map(key => `<li><span>${criterionLabel(key)}</span><span>${r.weights[key]}%</span></li>`).join('')}
+        </ul>
+        ${inconsistent ? `
+          <p class="tm-a11y-ahp-warning" role="status">
+            Some answers pull in different directions (consistency ${r.cr.toFixed(2)}, aim for 0.10 or less).
+            The one that fits least is ${criterionLabel(s.keys[worst[0]]).toLowerCase()} vs ${criterionLabel(s.keys[worst[1]]).toLowerCase()}.
+            You can review it or use these weights anyway.
+          </p>
+          <button type="button" class="tm-a11y-mcda-preset-btn" id="tmA11yAHPReview" data-ahp-question="${r.worstPair}">Review that answer</button>`
+          : `<p class="tm-a11y-ahp-hint">Your answers are consistent (${r.cr.toFixed(2)}).</p>`}
+        <div class="tm-a11y-ahp-actions">
+          <button type="button" class="tm-a11y-mcda-preset-btn" id="tmA11yAHPCancel">Cancel</button>
+          <button type="button" class="tm-a11y-mcda-preset-btn tm-a11y-preset-active" id="tmA11yAHPApply">Use these weights</button>
+        </div>
+        <div class="tm-a11y-ahp-save">
+          <label class="tm-a11y-ahp-hint" for="tmA11yAHPProfileName">Or keep them in a sensory profile</label>
+          <div class="tm-a11y-ahp-actions">
+            <input type="text" id="tmA11yAHPProfileName" class="tm-a11y-ahp-name" placeholder="Profile name" maxlength="40" />
+            <button type="button" class="tm-a11y-mcda-preset-btn" id="tmA11yAHPSaveProfile">Save as profile</button>
+          </div>
+          ${activeProfile && !activeProfile.builtIn ? `
+            <button type="button" class="tm-a11y-mcda-preset-btn" id="tmA11yAHPUpdateProfile">Update “${activeProfile.name}”</button>` : ''}
+        </div>
+      </div>`;
+  }
 
-      // Try to match SVG section name to our captured sections
-      const svgVariants = generateSectionVariants(svgName);
-      let matchedSection = null;
-      
-      for (const variant of svgVariants) {
-        if (sectionVariants.has(variant)) {
-          matchedSection = sectionVariants.get(variant);
-          break;
-        }
-      }
+  function attachAHPListeners() {
+    const rerender = () => {
+      renderPanelContent();
+      document.querySelector('#tmA11yAHP [data-ahp-focus]')?.focus();
+    };
+    const finish = () => {
+      ahpSession = null;
+      _ahpProfileDraft = { value: '', focused: false, caret: null };
+      renderPanelContent();
+      document.getElementById('tmA11yAHPStart')?.focus();
+      broadcastPreferences();
+    };
 
-      // Also try direct match against available sections
-      if (!matchedSection && availableSections.has(svgName)) {
-        matchedSection = svgName;
-      }
+    document.getElementById('tmA11yAHPStart')?.addEventListener('click', () => {
+      startAHPSession();
+      rerender();
+    });
 
-      const allClasses = ['tm-a11y-seat-highlighted', 'tm-a11y-seat-greyed', 'tm-a11y-seat-unavailable'];
+    if (!ahpSession) return;
 
-      if (!matchedSection) {
-        // No match → dim entire section
-        sectionG.classList.add('tm-a11y-seat-unavailable');
-        sectionG.classList.remove('tm-a11y-seat-highlighted', 'tm-a11y-seat-greyed');
-        applyFocusInlineStyle(sectionG, 'unavailable');
-        dimmed++;
-        return;
-      }
+    document.getElementById('tmA11yAHPCancel')?.addEventListener('click', () => {
+      ahpSession = null;
+      _ahpProfileDraft = { value: '', focused: false, caret: null };
+      renderPanelContent();
+      document.getElementById('tmA11yAHPStart')?.focus();
+    });
 
-      matched++;
-      
-      // Section matched — now check rows within it
-      sectionG.classList.remove(...allClasses);
-      clearFocusInlineStyles(sectionG);
-      
-      // For <path> elements (no child rows), apply directly
-      if (sectionG.tagName.toLowerCase() === 'path') {
-        const sectionPrice = availableSections.get(matchedSection);
-        if (sectionPrice !== undefined) {
-          const inBudget = sectionPrice <= currentPreferences.maxPrice;
-          sectionG.classList.add(inBudget ? 'tm-a11y-seat-highlighted' : 'tm-a11y-seat-greyed');
-          applyFocusInlineStyle(sectionG, inBudget ? 'highlighted' : 'greyed');
+    document.getElementById('tmA11yAHPPickNext')?.addEventListener('click', () => {
+      const picked = Array.from(document.querySelectorAll('input[name="tmA11yAHPPick"]:checked')).map(el => el.value);
+      if (picked.length < 2) {
+        const hint = document.getElementById('tmA11yAHPPickHint');
+        if (hint) {
+          hint.textContent = 'Please pick at least two things to compare.';
+          hint.setAttribute('role', 'alert');
         }
         return;
       }
+      ahpSession.keys = MCDA_CRITERIA.map(c => c.key).filter(k => picked.includes(k));
+      buildAHPQuestions();
+      ahpSession.step = 'ask';
+      rerender();
+    });
 
-      const rowGroups = sectionG.querySelectorAll('g[data-row-name]');
+    document.querySelectorAll('input[name="tmA11yAHPAnswer"]').forEach(input => {
+      input.addEventListener('change', () => {
+        ahpSession.answers[ahpSession.index] = parseInt(input.value, 10);
+      });
+    });
 
-      if (rowGroups.length > 0) {
-        rowGroups.forEach(rowG => {
-          const rowName = (rowG.getAttribute('data-row-name') || '').trim();
-          const rowKey = `${matchedSection}|${rowName}`;
-          const rowPrice = availableRows.get(rowKey);
+    document.getElementById('tmA11yAHPBack')?.addEventListener('click', () => {
+      if (ahpSession.index > 0) ahpSession.index--;
+      else ahpSession.step = 'pick';
+      rerender();
+    });
 
-          rowG.classList.remove(...allClasses);
-          clearFocusInlineStyles(rowG);
+    document.getElementById('tmA11yAHPNext')?.addEventListener('click', () => {
+      if (ahpSession.index < ahpSession.pairs.length - 1) ahpSession.index++;
+      else finishAHPQuestions();
+      rerender();
+    });
 
-          if (rowPrice !== undefined) {
-            const inBudget = rowPrice <= currentPreferences.maxPrice;
-            rowG.classList.add(inBudget ? 'tm-a11y-seat-highlighted' : 'tm-a11y-seat-greyed');
-            // Apply inline styles to child shapes too
-            rowG.querySelectorAll('circle, rect, path').forEach(shape => {
-              applyFocusInlineStyle(shape, inBudget ? 'highlighted' : 'greyed');
-            });
-          } else {
-            rowG.classList.add('tm-a11y-seat-unavailable');
-            rowG.querySelectorAll('circle, rect, path').forEach(shape => {
-              applyFocusInlineStyle(shape, 'unavailable');
-            });
-          }
-        });
-      } else {
-        // No row groups — highlight entire section based on cheapest price
-        const sectionPrice = availableSections.get(matchedSection);
-        if (sectionPrice !== undefined) {
-          const inBudget = sectionPrice <= currentPreferences.maxPrice;
-          sectionG.classList.add(inBudget ? 'tm-a11y-seat-highlighted' : 'tm-a11y-seat-greyed');
-          applyFocusInlineStyle(sectionG, inBudget ? 'highlighted' : 'greyed');
-          // Also child shapes
-          sectionG.querySelectorAll('circle, rect, path').forEach(shape => {
-            applyFocusInlineStyle(shape, inBudget ? 'highlighted' : 'greyed');
-          });
-        }
-      }
+    document.getElementById('tmA11yAHPReview')?.addEventListener('click', (e) => {
+      ahpSession.index = parseInt(e.currentTarget.dataset.ahpQuestion, 10) || 0;
+      ahpSession.step = 'ask';
+      rerender();
     });
 
-    console.log(`[A11y Helper] Focus mode: ${matched} sections highlighted, ${dimmed} dimmed`);
+    document.getElementById('tmA11yAHPApply')?.addEventListener('click', () => {
+      applyAHPWeights();
+      finish();
+    });
 
-    // Also handle loose seat circles not in section groups
-    dimIndividualSeats();
+    bindDraftInput(document.getElementById('tmA11yAHPProfileName'), _ahpProfileDraft);
+
+    document.getElementById('tmA11yAHPSaveProfile')?.addEventListener('click', () => {
+      const input = document.getElementById('tmA11yAHPProfileName');
+      const name = (input?.value || '').trim();
+      if (!name) {
+        input?.focus();
+        return;
+      }
+      applyAHPWeights();
+      const profile = createProfileFromCurrent(name);
+      activeProfileId = profile.id;
+      currentPreferences.activeProfileId = profile.id;
+      finish();
+    });
+
+    document.getElementById('tmA11yAHPUpdateProfile')?.addEventListener('click', () => {
+      const profile = getActiveProfile();
+      if (!profile || profile.builtIn) return;
+      applyAHPWeights();
+      profile.mcdaWeights = getMCDAWeights();
+      saveProfilesToStorage();
+      finish();
+    });
   }
 
+
+  // ══════════════════════════════════════════════════════════════
+  // 3f. RECOMMEND FOR ME — TOP-3 SHORTLIST
+  // ══════════════════════════════════════════════════════════════
+  //
+  // Hundreds of cards is still too many after filtering. "Recommend for
+  // me" picks three seats from what the user could actually buy: the
+  // current filter (section, access needs, quantity, hard rules) within
+  // the budget, ranked by MCDA score. Picks are kept apart — never two
+  // from the same row, and a seat from an already-picked section must
+  // beat the alternatives by RECOMMEND_SECTION_PENALTY points — so the
+  // shortlist offers real choices. Each pick gets one line saying why,
+  // and can be pinned or opened on the host page directly.
+  // ══════════════════════════════════════════════════════════════
+
+  const RECOMMEND_COUNT = 3;
+  const RECOMMEND_SECTION_PENALTY = 8;
+
+  let recommendOpen = false; // Recommendations are recomputed on every render while open
+
   /**
-   * Generate normalised variants of a section name for fuzzy matching.
-   * "BL 210" → ["BL 210", "BL210", "210", "bl 210", "bl210"]
-   * "530"    → ["530"]
-   * "Early Entry VIP Experience" → ["Early Entry VIP Experience", "earlyentryvipexperience"]
+   * Greedy diverse top-N: at each step take the best remaining seat
+   * after the section penalty, skipping rows already used.
    */
-  function generateSectionVariants(name) {
-    const variants = new Set();
-    const n = name.trim();
-    if (!n) return variants;
-    
-    variants.add(n);                           // "BL 210"
-    variants.add(n.toLowerCase());             // "bl 210"
-    variants.add(n.replace(/\s+/g, ''));       // "BL210"
-    variants.add(n.toLowerCase().replace(/\s+/g, '')); // "bl210"
-    
-    // Strip common prefixes: "BL ", "Block ", "Section "
-    const stripped = n.replace(/^(BL|Block|Section|SEC|Level|Tier)\s*/i, '');
-    if (stripped !== n) {
-      variants.add(stripped);                  // "210"
-      variants.add(stripped.toLowerCase());    // "210"
+  function pickRecommendations(candidates) {
+    const picks = [];
+    const usedRows = new Set();
+    const usedSections = new Set();
+    let pool = candidates
+      .map(seat => ({ seat, score: getSeatMCDAScore(seat)?.score }))
+      .filter(c => c.score != null);
+
+    while (picks.length < RECOMMEND_COUNT && pool.length > 0) {
+      let best = null;
+      let bestValue = -Infinity;
+      pool.forEach(c => {
+        const value = c.score - (usedSections.has(c.seat.section) ? RECOMMEND_SECTION_PENALTY : 0);
+        if (value > bestValue) { best = c; bestValue = value; }
+      });
+      picks.push(best.seat);
+      usedSections.add(best.seat.section);
+      usedRows.add(`${best.seat.section}|${best.seat.row}`);
+      // Unknown rows can't be told apart, so treat each as its own row
+      pool = pool.filter(c => c !== best && !(c.seat.row && usedRows.has(`${c.seat.section}|${c.seat.row}`)));
     }
+    // Shown as a ranking, so order by score rather than pick order
+    return picks.sort((a, b) => getSeatMCDAScore(b).score - getSeatMCDAScore(a).score);
+  }
 
-    // Try just the numeric part
-    const numMatch = n.match(/(\d+)/);
-    if (numMatch) {
-      variants.add(numMatch[1]);               // "210"
-    }
+  /** One line: the seat's strongest weighted criterion, and for #2/#3 the trade-off against #1 */
+  function justifyRecommendation(seat, first) {
+    const d = getSeatMCDAScore(seat);
+    const strongest = MCDA_CRITERIA
+      .filter(c => d.weights[c.key] > 0)
+      .map(c => ({ c, points: d.weights[c.key] * d.subscores[c.key], pct: subscorePercentile(c.key, d.subscores[c.key]) }))
+      .filter(x => x.pct !== null)
+      .sort((a, b) => b.points - a.points)[0];
+    const reason = strongest ? `${strongest.c.better} ${strongest.pct}% of seats` : `Scores ${d.score} of 100`;
+
+    if (seat === first) return `${reason}.`;
+    const saving = getEffectivePrice(first) - getEffectivePrice(seat);
+    const gap = getSeatMCDAScore(first).score - d.score;
+    if (saving >= 1) return `${reason}; ${formatMoney(saving, seatCurrency(seat), 0)} cheaper each than #1.`;
+    if (seat.section !== first.section) return `${reason}; a different section to #1${gap > 0 ? `, ${gap} points behind` : ''}.`;
+    return `${reason}${gap > 0 ? `; ${gap} points behind #1` : ''}.`;
+  }
 
-    return variants;
+  function getRecommendations() {
+    // Scores exist only while the heatmap is on — compute them for this
+    if (!currentPreferences.mcdaEnabled) computeAllMCDAScores();
+    const candidates = getFilteredSeats().filter(s => getEffectivePrice(s) <= currentPreferences.maxPrice);
+    return { candidates, picks: pickRecommendations(candidates) };
   }
 
-  /**
-   * Handle individual seat circles that aren't inside section groups.
-   */
-  function dimIndividualSeats() {
-    const seatSelectors = [
-      'circle[data-component="svg__seat"]', 'circle[data-seat-name]',
-      '[data-component="seat"]', '[data-testid*="seat"]',
-      '.seat-button', '.seat'
-    ];
-    
-    seatSelectors.forEach(selector => {
-      try {
-        document.querySelectorAll(selector).forEach(el => {
-          if (el.closest('.tm-a11y-seat-highlighted, .tm-a11y-seat-greyed, .tm-a11y-seat-unavailable')) return;
-          if (el.closest('#tm-a11y-companion-panel')) return;
+  function renderRecommendations(symbol) {
+    if (capturedSeats.length === 0) return '';
+    if (!recommendOpen) {
+      return `
+        <div class="tm-a11y-recommend-bar">
+          <button type="button" class="tm-a11y-toggle-btn tm-a11y-recommend-btn" id="tmA11yRecommendBtn" aria-expanded="false">
+            Recommend for me
+          </button>
+        </div>`;
+    }
 
-          // Try to determine if this seat is available by checking its section/row
-          const sectionG = el.closest('g[data-section-name]');
-          if (sectionG) return; // Already handled by section-level logic
+    const { candidates, picks } = getRecommendations();
+    const qty = currentPreferences.ticketQty || 0;
+    const basis = [
+      `within ${symbol}${currentPreferences.maxPrice} each`,
+      qty > 1 ? `${qty} together` : '',
+      getSeatConstraints().length ? 'your rules' : '',
+      (currentPreferences.accessFilter || []).length ? 'your access needs' : ''
+    ].filter(Boolean).join(', ');
 
-          // For loose seats, match by data attributes
-          const seatId = el.dataset?.seatId || el.dataset?.seat || el.id;
-          const matched = capturedSeats.find(s => s.id === seatId);
+    const items = picks.map((seat, i) => `
+          <li class="tm-a11y-recommend-item">
+            <div class="tm-a11y-recommend-head">
+              <span class="tm-a11y-recommend-rank" aria-hidden="true">${i + 1}</span>
+              <span class="tm-a11y-recommend-where">${seat.section}${seat.row ? ` · Row ${seat.row}` : ''}${seat.seatNumber ? ` · Seat ${seat.seatNumber}` : ''}</span>
+              <span class="tm-a11y-recommend-price">${formatMoney(getEffectivePrice(seat), seatCurrency(seat))}</span>
+              <span class="tm-a11y-score-badge tm-a11y-score-tier-${getSeatMCDAScore(seat).tier}" aria-label="Score ${getSeatMCDAScore(seat).score} of 100">${getSeatMCDAScore(seat).score}</span>
+            </div>
+            <p class="tm-a11y-recommend-why">${justifyRecommendation(seat, picks[0])}</p>
+            <div class="tm-a11y-recommend-actions">
+              <button type="button" class="tm-a11y-mcda-preset-btn tm-a11y-recommend-pin" data-seat-id="${seat.id}" aria-pressed="${isSeatPinned(seat)}">
+                ${isSeatPinned(seat) ? 'Pinned' : 'Pin'}
+              </button>
+              <button type="button" class="tm-a11y-mcda-preset-btn tm-a11y-recommend-open" data-seat-id="${seat.id}">
+                Open on ${PLATFORM_LABELS[currentAdapter.name] || 'site'}
+              </button>
+            </div>
+          </li>`).join('');
 
-          const allClasses = ['tm-a11y-seat-highlighted', 'tm-a11y-seat-greyed', 'tm-a11y-seat-unavailable'];
-          el.classList.remove(...allClasses);
+    return `
+      <div class="tm-a11y-recommend" id="tmA11yRecommend" role="region" aria-labelledby="tmA11yRecommendTitle">
+        <div class="tm-a11y-recommend-header">
+          <div class="tm-a11y-recommend-title" id="tmA11yRecommendTitle">Recommended for you</div>
+          <button type="button" class="tm-a11y-pin-remove" id="tmA11yRecommendClose" aria-label="Close recommendations">×</button>
+        </div>
+        ${picks.length === 0
+          ? `<p class="tm-a11y-recommend-empty">${candidates.length === 0
+              ? 'No seats match your filters within your budget. Try raising the max price or removing a rule.'
+              : 'None of these seats could be scored yet.'}</p>`
+          : `<p class="tm-a11y-recommend-basis">Best ${picks.length} of ${candidates.length} seats ${basis}, by your MCDA weights. At most one per row.</p>
+             <ol class="tm-a11y-recommend-list">${items}</ol>`}
+      </div>`;
+  }
 
-          if (matched) {
-            const inBudget = matched.price <= currentPreferences.maxPrice;
-            el.classList.add(inBudget ? 'tm-a11y-seat-highlighted' : 'tm-a11y-seat-greyed');
-          } else {
-            el.classList.add('tm-a11y-seat-unavailable');
-          }
-        });
-      } catch (e) {}
+  function attachRecommendListeners() {
+    document.getElementById('tmA11yRecommendBtn')?.addEventListener('click', () => {
+      recommendOpen = true;
+      renderPanelContent();
+      const picks = document.querySelectorAll('.tm-a11y-recommend-item').length;
+      announceToScreenReader(picks > 0 ? `${picks} recommended seats listed.` : 'No seats to recommend with your current filters.');
+      document.getElementById('tmA11yRecommendTitle')?.setAttribute('tabindex', '-1');
+      document.getElementById('tmA11yRecommendTitle')?.focus();
     });
-  }
 
-  function removeFocusHighlights() {
-    const classes = ['tm-a11y-seat-highlighted', 'tm-a11y-seat-greyed', 'tm-a11y-seat-unavailable'];
-    classes.forEach(cls => {
-      document.querySelectorAll('.' + cls).forEach(el => el.classList.remove(cls));
+    document.getElementById('tmA11yRecommendClose')?.addEventListener('click', () => {
+      recommendOpen = false;
+      renderPanelContent();
+      document.getElementById('tmA11yRecommendBtn')?.focus();
     });
-    // Also clear inline styles applied for specificity override
-    document.querySelectorAll('[data-tm-a11y-focus]').forEach(el => {
-      clearFocusInlineStyles(el);
+
+    document.querySelectorAll('.tm-a11y-recommend-pin').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const seat = capturedSeats.find(s => s.id === btn.dataset.seatId);
+        if (!seat) return;
+        togglePinSeat(seat);
+        document.querySelector(`.tm-a11y-recommend-pin[data-seat-id="${CSS.escape(seat.id)}"]`)?.focus();
+      });
+    });
+
+    document.querySelectorAll('.tm-a11y-recommend-open').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const seat = capturedSeats.find(s => s.id === btn.dataset.seatId);
+        if (!seat) return;
+        const opened = await currentAdapter.clickListing(seat, currentPreferences.ticketQty || null);
+        if (!opened) announceToScreenReader('Could not find this listing on the page. Try Rescan, then open it again.');
+      });
     });
   }
 
-  /**
-   * Apply inline focus mode styles to an SVG element.
-   * Uses inline styles to beat TM's styled-components specificity.
-   * mode: 'highlighted' | 'greyed' | 'unavailable'
-   */
-  function applyFocusInlineStyle(el, mode) {
-    el.setAttribute('data-tm-a11y-focus', mode);
-    const root = document.documentElement;
-    const cs = getComputedStyle(root);
 
-    if (mode === 'highlighted') {
-      const colour = cs.getPropertyValue('--tm-a11y-seat-available').trim() || '#22c55e';
-      el.style.setProperty('fill', colour, 'important');
-      el.style.setProperty('opacity', '1', 'important');
-      el.style.removeProperty('filter');
-    } else if (mode === 'greyed') {
-      el.style.setProperty('opacity', '0.35', 'important');
-      el.style.setProperty('filter', 'grayscale(80%)', 'important');
-    } else {
-      // unavailable
-      el.style.setProperty('opacity', '0.12', 'important');
-      el.style.setProperty('filter', 'grayscale(100%)', 'important');
+  // ══════════════════════════════════════════════════════════════
+  // 3g. INSIGHTS — PRICE DISTRIBUTION & VALUE
+  // ══════════════════════════════════════════════════════════════
+  //
+  // The slider only shows min and max. The Insights tab describes the
+  // whole market from `capturedSeats` alone (no network): quartiles, a
+  // price histogram for the event or one section, and which sections
+  // are good value for their view. "Value" compares each price with a
+  // least-squares line of price against view quality across all
+  // available seats: GOOD_VALUE_RATIO below the line is good value,
+  // PRICEY_RATIO above it is pricey. Every chart has a table behind it
+  // and the summary paragraph can be read out on demand.
+  // ══════════════════════════════════════════════════════════════
+
+  const INSIGHT_TARGET_BINS = 8;
+  const GOOD_VALUE_RATIO = 0.85;
+  const PRICEY_RATIO = 1.15;
+
+  let insightSection = 'all'; // Section shown in the histogram
+
+  /** Linear-interpolated quantile of an ascending array */
+  function quantile(sorted, q) {
+    if (sorted.length === 0) return 0;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  /** Round a bin width up to 1, 2 or 5 × 10ⁿ so band labels read naturally */
+  function niceStep(raw) {
+    if (raw <= 0) return 1;
+    const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+    for (const m of [1, 2, 5, 10]) {
+      if (m * mag >= raw) return m * mag;
     }
+    return 10 * mag;
   }
 
   /**
-   * Clear inline focus mode styles from an element.
+   * Price ~ view quality fit. Falls back to a flat line at the median
+   * when every seat has the same view score (nothing to regress on).
    */
-  function clearFocusInlineStyles(el) {
-    if (el.getAttribute('data-tm-a11y-focus')) {
-      el.style.removeProperty('fill');
-      el.style.removeProperty('opacity');
-      el.style.removeProperty('filter');
-      el.removeAttribute('data-tm-a11y-focus');
+  function fitPriceToView(points) {
+    const n = points.length;
+    const meanV = points.reduce((a, p) => a + p.view, 0) / n;
+    const meanP = points.reduce((a, p) => a + p.price, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    points.forEach(p => {
+      sxx += (p.view - meanV) ** 2;
+      sxy += (p.view - meanV) * (p.price - meanP);
+    });
+    if (sxx < 1e-9) {
+      const median = quantile(points.map(p => p.price).sort((a, b) => a - b), 0.5);
+      return () => median;
     }
+    const slope = sxy / sxx;
+    return view => Math.max(1, meanP + slope * (view - meanV));
   }
 
-  // ══════════════════════════════════════════════════════════════
-  // 5. TYPOGRAPHY CUSTOMISATION
-  // ══════════════════════════════════════════════════════════════
+  function valueLabel(ratio) {
+    if (ratio <= GOOD_VALUE_RATIO) return 'Good value';
+    if (ratio >= PRICEY_RATIO) return 'Pricey';
+    return 'Fair';
+  }
 
-  function loadAccessibilityFonts() {
-    if (document.getElementById('tm-a11y-fonts-loaded')) return;
-    const fontStyle = document.createElement('style');
-    fontStyle.id = 'tm-a11y-fonts-loaded';
-    fontStyle.textContent = `
-      @import url('https://fonts.googleapis.com/css2?family=Montserrat:wght@400;500;600;700&display=swap');
-      @font-face {
-        font-family: 'OpenDyslexic';
-        src: url('https://cdn.jsdelivr.net/npm/open-dyslexic@1.0.3/woff/OpenDyslexic-Regular.woff') format('woff');
-        font-weight: normal; font-style: normal;
-      }
-      @font-face {
-        font-family: 'OpenDyslexic';
-        src: url('https://cdn.jsdelivr.net/npm/open-dyslexic@1.0.3/woff/OpenDyslexic-Bold.woff') format('woff');
-        font-weight: bold; font-style: normal;
-      }
-      @import url('https://fonts.googleapis.com/css2?family=Atkinson+Hyperlegible:wght@400;700&display=swap');
-    `;
-    document.head.insertBefore(fontStyle, document.head.firstChild);
+  function computeInsights() {
+    const available = capturedSeats.filter(s => s.availability === 'available');
+    if (available.length === 0) return null;
+
+    const points = available.map(s => ({ seat: s, price: getEffectivePrice(s), view: computeViewQuality(s.section) }));
+    const sorted = points.map(p => p.price).sort((a, b) => a - b);
+    const expectedFor = fitPriceToView(points);
+
+    const bySection = new Map();
+    points.forEach(p => {
+      if (!bySection.has(p.seat.section)) bySection.set(p.seat.section, []);
+      bySection.get(p.seat.section).push(p);
+    });
+
+    const sections = Array.from(bySection, ([name, pts]) => {
+      const prices = pts.map(p => p.price).sort((a, b) => a - b);
+      const median = quantile(prices, 0.5);
+      const ratio = median / expectedFor(pts[0].view);
+      return { name, count: pts.length, min: prices[0], median, view: pts[0].view, ratio, value: valueLabel(ratio) };
+    }).sort((a, b) => a.median - b.median);
+
+    const goodValueSeats = points.filter(p => p.price / expectedFor(p.view) <= GOOD_VALUE_RATIO).length;
+
+    return {
+      points,
+      count: points.length,
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      q1: quantile(sorted, 0.25),
+      median: quantile(sorted, 0.5),
+      q3: quantile(sorted, 0.75),
+      inBudget: sorted.filter(p => p <= currentPreferences.maxPrice).length,
+      sections,
+      goodValueSeats
+    };
   }
 
-  function applyTypography() {
-    const { fontFamily, fontSize, lineSpacing } = currentPreferences;
-    removeTypography();
+  function buildHistogram(prices, min, max) {
+    const step = niceStep((max - min) / INSIGHT_TARGET_BINS);
+    const start = Math.floor(min / step) * step;
+    const bins = [];
+    for (let lo = start; lo <= max; lo += step) bins.push({ lo, hi: lo + step, count: 0 });
+    prices.forEach(p => {
+      const i = Math.min(bins.length - 1, Math.floor((p - start) / step));
+      bins[i].count++;
+    });
+    return bins;
+  }
 
-    if (fontFamily === 'default' && fontSize === 16 && lineSpacing === 1.5) return;
-    if (fontFamily === 'opendyslexic' || fontFamily === 'atkinson') loadAccessibilityFonts();
+  function buildInsightSummary(ins, symbol) {
+    const money = v => formatMoney(v, getDisplayCurrency(), 0);
+    const parts = [
+      `${ins.count} seat${ins.count === 1 ? '' : 's'} available from ${money(ins.min)} to ${money(ins.max)} each, all-in.`,
+      `The middle half cost between ${money(ins.q1)} and ${money(ins.q3)}; the median is ${money(ins.median)}.`,
+      `Your max of ${symbol}${currentPreferences.maxPrice} covers ${Math.round((ins.inBudget / ins.count) * 100)}% of seats.`
+    ];
+    const good = ins.sections.filter(s => s.value === 'Good value').sort((a, b) => a.ratio - b.ratio).slice(0, 2);
+    if (good.length > 0) {
+      parts.push(`Best value for the view: ${good.map(s => `${s.name} (median ${money(s.median)})`).join(' and ')}.`);
+    }
+    if (ins.sections.length > 1) {
+      const top = ins.sections[ins.sections.length - 1];
+      parts.push(`Most expensive section: ${top.name} (median ${money(top.median)}).`);
+    }
+    return parts.join(' ');
+  }
 
-    const fontFamilyValue = FONT_FAMILIES[fontFamily];
-    const importantProps = [];
+  function renderInsightsTab(symbol) {
+    const ins = computeInsights();
+    if (!ins) {
+      return `<p class="tm-a11y-insight-empty">Insights appear once seats have been captured. Open the seat map or press Scan All Seats.</p>`;
+    }
+    const money = v => formatMoney(v, getDisplayCurrency(), 0);
 
-    if (fontFamilyValue) importantProps.push(`font-family: ${fontFamilyValue} !important`);
-    if (fontSize !== 16) importantProps.push(`font-size: ${fontSize}px !important`);
-    if (lineSpacing !== 1.5) importantProps.push(`line-height: ${lineSpacing} !important`);
-    if (importantProps.length === 0) return;
+    if (insightSection !== 'all' && !ins.sections.some(s => s.name === insightSection)) insightSection = 'all';
+    const histPrices = ins.points
+      .filter(p => insightSection === 'all' || p.seat.section === insightSection)
+      .map(p => p.price);
+    const bins = buildHistogram(histPrices, ins.min, ins.max);
+    const maxCount = Math.max(1, ...bins.map(b => b.count));
 
-    const propsString = importantProps.join('; ');
+    const histRows = bins.map(b => {
+      const over = b.lo >= currentPreferences.maxPrice;
+      return `
+            <tr class="${over ? 'tm-a11y-insight-over' : ''}">
+              <th scope="row">${money(b.lo)}–${money(b.hi)}${over ? '<span class="tm-a11y-sr-only"> (over your budget)</span>' : ''}</th>
+              <td>
+                <span class="tm-a11y-insight-bar" style="width: ${Math.round((b.count / maxCount) * 100)}%" aria-hidden="true"></span>
+                <span class="tm-a11y-insight-count">${b.count}</span>
+              </td>
+            </tr>`;
+    }).join('');
 
-    styleElement = document.createElement('style');
-    styleElement.id = 'tm-a11y-typography-override';
-    styleElement.textContent = `
-      html body *:not(#tm-a11y-companion-panel *):not(#tm-a11y-panel-tab) { ${propsString}; }
-      html body [class]:not(#tm-a11y-companion-panel [class]) { ${propsString}; }
-      html body [class^="sc-"]:not(#tm-a11y-companion-panel *) { ${propsString}; }
-      html body [data-testid]:not(#tm-a11y-companion-panel *) { ${propsString}; }
-    `;
-    document.head.appendChild(styleElement);
+    const sectionRows = ins.sections.map(s => `
+            <tr>
+              <th scope="row">${s.name}</th>
+              <td>${s.count}</td>
+              <td>${money(s.min)}</td>
+              <td>${money(s.median)}</td>
+              <td><span class="tm-a11y-insight-value tm-a11y-insight-value-${s.value === 'Good value' ? 'good' : s.value === 'Pricey' ? 'pricey' : 'fair'}">${s.value}</span></td>
+            </tr>`).join('');
 
-    // Inline styles — skip our own panel
-    document.body.querySelectorAll('*').forEach(el => {
-      if (el.closest('#tm-a11y-companion-panel') || el.id === 'tm-a11y-panel-tab') return;
-      const tag = el.tagName.toLowerCase();
-      if (['script', 'style', 'svg', 'path', 'circle', 'rect', 'line', 'polygon', 'polyline', 'g', 'defs', 'use', 'symbol', 'clippath', 'mask'].includes(tag)) return;
+    return `
+      <div class="tm-a11y-panel-insights">
+        <div class="tm-a11y-tool-section">
+          <div class="tm-a11y-tool-label">Summary</div>
+          <p class="tm-a11y-insight-summary" id="tmA11yInsightSummary">${buildInsightSummary(ins, symbol)}</p>
+          <button type="button" class="tm-a11y-toggle-btn" id="tmA11yInsightRead">Read summary aloud</button>
+        </div>
 
-      if (fontFamilyValue) el.style.setProperty('font-family', fontFamilyValue, 'important');
-      if (fontSize !== 16) el.style.setProperty('font-size', `${fontSize}px`, 'important');
-      if (lineSpacing !== 1.5) el.style.setProperty('line-height', String(lineSpacing), 'important');
-      el.setAttribute('data-tm-a11y-styled', 'true');
-    });
+        <div class="tm-a11y-tool-section">
+          <div class="tm-a11y-tool-label">Price spread</div>
+          <dl class="tm-a11y-insight-quartiles">
+            <div><dt>Lowest</dt><dd>${money(ins.min)}</dd></div>
+            <div><dt>Lower quartile</dt><dd>${money(ins.q1)}</dd></div>
+            <div><dt>Median</dt><dd>${money(ins.median)}</dd></div>
+            <div><dt>Upper quartile</dt><dd>${money(ins.q3)}</dd></div>
+            <div><dt>Highest</dt><dd>${money(ins.max)}</dd></div>
+          </dl>
+        </div>
 
-    // Observer for dynamically added elements
-    if (mutationObserver) mutationObserver.disconnect();
-    mutationObserver = new MutationObserver((mutations) => {
-      mutations.forEach(m => m.addedNodes.forEach(node => {
-        if (node.nodeType === Node.ELEMENT_NODE && !node.closest?.('#tm-a11y-companion-panel')) {
-          applyTypoToElement(node, fontFamilyValue, fontSize, lineSpacing);
-        }
-      }));
-    });
-    mutationObserver.observe(document.body, { childList: true, subtree: true });
+        <div class="tm-a11y-tool-section">
+          <label class="tm-a11y-tool-label" for="tmA11yInsightSection">Price histogram</label>
+          <select id="tmA11yInsightSection" class="tm-a11y-select">
+            <option value="all" ${insightSection === 'all' ? 'selected' : ''}>All sections (${ins.count})</option>
+            ${ins.sections.map(s => `<option value="${s.name}" ${insightSection === s.name ? 'selected' : ''}>${s.name} (${s.count})</option>`).join('')}
+          </select>
+          <table class="tm-a11y-insight-hist">
+            <caption class="tm-a11y-sr-only">Seats per price band, ${insightSection === 'all' ? 'all sections' : insightSection}, all-in price each</caption>
+            <thead><tr><th scope="col">Price each</th><th scope="col">Seats</th></tr></thead>
+            <tbody>${histRows}</tbody>
+          </table>
+        </div>
+
+        <div class="tm-a11y-tool-section">
+          <div class="tm-a11y-tool-label">Value for the view</div>
+          <p class="tm-a11y-tool-hint">${ins.goodValueSeats} seat${ins.goodValueSeats === 1 ? '' : 's'} cost at least ${Math.round((1 - GOOD_VALUE_RATIO) * 100)}% less than seats with a similar view usually do here. Sections are rated by their median price.</p>
+          <table class="tm-a11y-insight-sections">
+            <caption class="tm-a11y-sr-only">Price and value by section, cheapest median first</caption>
+            <thead><tr><th scope="col">Section</th><th scope="col">Seats</th><th scope="col">From</th><th scope="col">Median</th><th scope="col">Value</th></tr></thead>
+            <tbody>${sectionRows}</tbody>
+          </table>
+        </div>
+      </div>`;
   }
 
-  function applyTypoToElement(el, fontFamily, fontSize, lineSpacing) {
-    const skip = ['script', 'style', 'svg', 'path', 'circle', 'rect', 'line', 'polygon', 'polyline', 'g', 'defs', 'use', 'symbol', 'clippath', 'mask'];
-    if (skip.includes(el.tagName?.toLowerCase())) return;
-    if (fontFamily) el.style.setProperty('font-family', fontFamily, 'important');
-    if (fontSize !== 16) el.style.setProperty('font-size', `${fontSize}px`, 'important');
-    if (lineSpacing !== 1.5) el.style.setProperty('line-height', String(lineSpacing), 'important');
-    el.setAttribute('data-tm-a11y-styled', 'true');
-    el.querySelectorAll('*').forEach(child => {
-      if (!skip.includes(child.tagName?.toLowerCase())) {
-        if (fontFamily) child.style.setProperty('font-family', fontFamily, 'important');
-        if (fontSize !== 16) child.style.setProperty('font-size', `${fontSize}px`, 'important');
-        if (lineSpacing !== 1.5) child.style.setProperty('line-height', String(lineSpacing), 'important');
-        child.setAttribute('data-tm-a11y-styled', 'true');
-      }
+  function attachInsightListeners() {
+    document.getElementById('tmA11yInsightSection')?.addEventListener('change', (e) => {
+      insightSection = e.target.value;
+      renderPanelContent();
+      document.getElementById('tmA11yInsightSection')?.focus();
     });
-  }
 
-  function removeTypography() {
-    if (mutationObserver) { mutationObserver.disconnect(); mutationObserver = null; }
-    if (styleElement) { styleElement.remove(); styleElement = null; }
-    document.getElementById('tm-a11y-typography-override')?.remove();
-    document.querySelectorAll('[data-tm-a11y-styled="true"]').forEach(el => {
-      el.style.removeProperty('font-family');
-      el.style.removeProperty('font-size');
-      el.style.removeProperty('line-height');
-      el.removeAttribute('data-tm-a11y-styled');
+    document.getElementById('tmA11yInsightRead')?.addEventListener('click', () => {
+      const summary = document.getElementById('tmA11yInsightSummary')?.textContent;
+      if (summary) announceToScreenReader(summary);
     });
   }
 
 
   // ══════════════════════════════════════════════════════════════
-  // 6. DECLUTTER MODE — AD REMOVAL
+  // 3h. SECTION SUMMARY LIST MODE
   // ══════════════════════════════════════════════════════════════
   //
-  // Surgically hides advertisement containers on Ticketmaster pages.
-  // Targets only elements with id containing "ad_unit" (TM's ad wrapper).
-  //
-  // Previous versions used 70+ CSS selectors and FOMO text patterns
-  // which were too aggressive and stripped legitimate UI elements.
-  // Now we only touch actual ads.
-  //
-  // Targets ADHD (ads compete for attention, trigger impulsive clicks)
-  // and Autism (unexpected visual interruptions cause distress).
+  // An alternative to hundreds of flat cards: one collapsible row per
+  // section (or area, or MCDA tier) with its seat count, cheapest
+  // all-in price, best tier and a sparkline of its prices. Expanding a
+  // row shows the usual seat cards. Hovering or focusing a row outlines
+  // its sections on the SVG seat map. Groups keep the order of their
+  // first seat in getFilteredSeats(), so the chosen sort still applies.
   // ══════════════════════════════════════════════════════════════
 
-  function applyDeclutterMode() {
-    removeDeclutter();
+  const TIER_RANGES = { 1: '81–100', 2: '61–80', 3: '41–60', 4: '21–40', 5: '0–20' };
 
-    if (!currentPreferences.declutterEnabled) return;
+  const LIST_GROUPINGS = {
+    section: { label: 'Section', key: s => s.section, name: key => key },
+    area:    { label: 'Area', key: s => s.areaName || 'Other', name: key => key },
+    tier:    { label: 'Score tier', key: s => String(getSeatMCDAScore(s)?.tier || 'unscored'),
+               name: key => key === 'unscored' ? 'Not scored' : `Tier ${key} · ${TIER_RANGES[key]}` }
+  };
 
-    declutterHiddenCount = 0;
+  const _expandedGroups = new Set(); // "groupBy:key" of rows the user has opened
+  let _groupSections = new Map();    // Group key → sections in it, for map outlining
 
-    /**
-     * Safety check: never hide an element that contains the seat map,
-     * main content, or navigation.
-     */
-    function isSafeToHide(el) {
-      if (el.closest('#tm-a11y-companion-panel')) return false;
-      // Never hide anything that contains the SVG seat map
-      if (el.querySelector('svg[data-component="svg"], [aria-label*="Seat Map"], [id*="map-container"], [data-component="zoomer"]')) return false;
-      if (el.closest('[aria-label*="Seat Map"], [id*="map-container"], [data-component="zoomer"]')) return false;
-      // Never hide main, nav, header, footer
-      if (el.tagName === 'MAIN' || el.tagName === 'NAV' || el.tagName === 'HEADER') return false;
-      if (el.id === 'main-content' || el.id === 'content') return false;
-      return true;
-    }
-
-    /**
-     * Walk up at most 2 levels to find the ad wrapper,
-     * but ONLY if the parent looks like a pure ad wrapper (very few children).
-     */
-    function findAdWrapper(el) {
-      let target = el;
-      for (let i = 0; i < 2; i++) {
-        const parent = target.parentElement;
-        if (!parent || parent === document.body || parent === document.documentElement) break;
-        if (parent.tagName === 'MAIN' || parent.tagName === 'NAV' || parent.tagName === 'HEADER') break;
-        if (parent.id === 'main-content' || parent.id === 'content') break;
-        // Only walk up if parent has ≤ 2 children (it's just an ad wrapper)
-        if (parent.children.length > 2) break;
-        // Don't walk up if parent contains non-ad content
-        if (parent.querySelector('svg, [aria-label], [data-component]')) break;
-        target = parent;
-      }
-      return target;
-    }
-
-    // ── Target ad_unit containers ──
-    const adSelectors = [
-      '[id*="ad_unit"]',
-      '[id*="ad-unit"]',
-      '[id*="ad_slot"]',
-      '[id*="ad-slot"]',
-      '[id*="dclk-studio"]'
-    ];
+  function getListGrouping() {
+    const by = currentPreferences.listGroupBy;
+    if (by === 'tier' && !currentPreferences.mcdaEnabled) return 'section';
+    return LIST_GROUPINGS[by] ? by : 'section';
+  }
 
-    adSelectors.forEach(selector => {
-      try {
-        document.querySelectorAll(selector).forEach(el => {
-          if (el.getAttribute('data-tm-a11y-decluttered')) return;
-          if (!isSafeToHide(el)) return;
+  function groupSeats(seats, by) {
+    const groups = new Map();
+    seats.forEach(seat => {
+      const key = LIST_GROUPINGS[by].key(seat);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(seat);
+    });
+    return groups;
+  }
 
-          const target = findAdWrapper(el);
-          if (!isSafeToHide(target)) return;
+  /** Ascending all-in prices as a polyline, scaled to the whole filtered list */
+  function renderPriceSparkline(prices, min, max) {
+    const w = 60;
+    const h = 16;
+    const sorted = [...prices].sort((a, b) => a - b);
+    const span = max - min || 1;
+    const y = p => (h - 2 - ((p - min) / span) * (h - 4)).toFixed(1);
+    const points = sorted.length === 1
+      ? `0,${y(sorted[0])} ${w},${y(sorted[0])}`
+      : sorted.map((p, i) => `${((i / (sorted.length - 1)) * w).toFixed(1)},${y(p)}`).join(' ');
+    return `<svg class="tm-a11y-group-spark" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}" aria-hidden="true" focusable="false">
+              <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round" />
+            </svg>`;
+  }
 
-          target.setAttribute('data-tm-a11y-decluttered', 'true');
-          target.style.setProperty('display', 'none', 'important');
-          declutterHiddenCount++;
+  function renderSectionSummary(seats, symbol) {
+    const by = getListGrouping();
+    const groups = groupSeats(seats, by);
+    const prices = seats.map(getEffectivePrice);
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    _groupSections = new Map();
+
+    let index = 0;
+    let html = `<p class="tm-a11y-tool-hint" id="tmA11yMapOutlineNote" ${_mapOutlineUnavailable ? '' : 'hidden'}>This seat map can't be highlighted from here, so pointing at a group won't mark it on the map.</p>`;
+    groups.forEach((groupSeatsList, key) => {
+      const id = `tmA11yGroup${index++}`;
+      const groupKey = `${by}:${key}`;
+      const open = _expandedGroups.has(groupKey);
+      const groupPrices = groupSeatsList.map(getEffectivePrice);
+      const cheapest = Math.min(...groupPrices);
+      const dearest = Math.max(...groupPrices);
+      _groupSections.set(groupKey, [...new Set(groupSeatsList.map(s => s.section))]);
+
+      let best = null;
+      if (currentPreferences.mcdaEnabled) {
+        groupSeatsList.forEach(s => {
+          const d = getSeatMCDAScore(s);
+          if (d && (!best || d.score > best.score)) best = d;
         });
-      } catch (e) {}
-    });
+      }
 
-    // ── Hide iframes from Google ad networks ──
-    document.querySelectorAll('iframe').forEach(iframe => {
-      if (iframe.getAttribute('data-tm-a11y-decluttered')) return;
-      if (!isSafeToHide(iframe)) return;
+      const countText = `${groupSeatsList.length} seat${groupSeatsList.length === 1 ? '' : 's'}`;
+      const priceText = cheapest === dearest
+        ? formatMoney(cheapest, getDisplayCurrency())
+        : `from ${formatMoney(cheapest, getDisplayCurrency())} to ${formatMoney(dearest, getDisplayCurrency())}`;
+
+      html += `
+        <div class="tm-a11y-group ${open ? 'tm-a11y-group-open' : ''}">
+          <button type="button" class="tm-a11y-group-row" data-group-key="${groupKey}"
+                  aria-expanded="${open}" aria-controls="${id}"
+                  aria-label="${LIST_GROUPINGS[by].name(key)}, ${countText}, ${priceText} each${best ? `, best score ${best.score}` : ''}">
+            <span class="tm-a11y-group-chevron" aria-hidden="true">${open ? '▾' : '▸'}</span>
+            <span class="tm-a11y-group-name">${LIST_GROUPINGS[by].name(key)}</span>
+            <span class="tm-a11y-group-meta">${countText} · from ${formatMoney(cheapest, getDisplayCurrency(), 0)}</span>
+            ${best ? `<span class="tm-a11y-score-badge tm-a11y-score-tier-${best.tier}">${best.score}</span>` : ''}
+            ${renderPriceSparkline(groupPrices, min, max)}
+          </button>
+          <div class="tm-a11y-group-body" id="${id}" ${open ? '' : 'hidden'}>
+            ${open ? groupSeatsList.map(s => renderSingleCard(s, symbol, getEffectivePrice(s) <= currentPreferences.maxPrice)).join('') : ''}
+          </div>
+        </div>`;
+    });
+    return html;
+  }
 
-      const id = (iframe.id || '').toLowerCase();
-      const src = (iframe.src || '').toLowerCase();
+  /** List mode switch (cards / grouped) and grouping picker, above the seat list */
+  function renderListModeBar() {
+    if (capturedSeats.length === 0) return '';
+    const grouped = currentPreferences.listMode === 'sections';
+    return `
+      <div class="tm-a11y-list-mode" role="group" aria-label="Seat list layout">
+        <button type="button" class="tm-a11y-mcda-preset-btn ${!grouped ? 'tm-a11y-preset-active' : ''}" data-list-mode="cards" aria-pressed="${!grouped}">All seats</button>
+        <button type="button" class="tm-a11y-mcda-preset-btn ${grouped ? 'tm-a11y-preset-active' : ''}" data-list-mode="sections" aria-pressed="${grouped}">Grouped</button>
+        ${grouped ? `
+          <select id="tmA11yListGroupBy" class="tm-a11y-select" aria-label="Group seats by">
+            ${Object.entries(LIST_GROUPINGS)
+              .filter(([key]) => key !== 'tier' || currentPreferences.mcdaEnabled)
+              .map(([key, g]) => `<option value="${key}" ${getListGrouping() === key ? 'selected' : ''}>By ${g.label.toLowerCase()}</option>`).join('')}
+          </select>` : ''}
+      </div>`;
+  }
 
-      if (/google_ads|doubleclick|googlesyndication|adservice|sadbundle/.test(id + src)) {
-        const target = findAdWrapper(iframe);
-        if (!isSafeToHide(target)) return;
+  let _mapOutlineUnavailable = false; // Set once hovering a group found nothing to outline
 
-        if (!target.getAttribute('data-tm-a11y-decluttered')) {
-          target.setAttribute('data-tm-a11y-decluttered', 'true');
-          target.style.setProperty('display', 'none', 'important');
-          declutterHiddenCount++;
+  /**
+   * Outline a group's sections on the map (cleared on leave/blur): TM's
+   * SVG sections by class, StubHub/Viagogo Mapbox layers by paint. When
+   * neither finds the section the list says so instead of doing nothing.
+   */
+  function outlineMapSections(sections) {
+    clearMapSectionOutline();
+    const wanted = new Set();
+    sections.forEach(sec => generateSectionVariants(sec.replace(/^Section\s*/i, '')).forEach(v => wanted.add(v)));
+    let found = false;
+    document.querySelectorAll(SEAT_MAP_SECTION_SELECTOR).forEach(el => {
+      if (el.closest('#tm-a11y-companion-panel')) return;
+      const name = (el.getAttribute('data-section-name') || el.getAttribute('data-section-id') || '').trim();
+      if (!name) return;
+      for (const v of generateSectionVariants(name)) {
+        if (wanted.has(v)) {
+          el.classList.add('tm-a11y-section-outline');
+          found = true;
+          break;
         }
       }
     });
+    if (!found && sections.length > 0) found = outlineMapboxSections(sections);
 
-    // ── Hide FOMO / urgency elements (not ads, but anxiety-inducing) ──
-    const fomoSelectors = [
-      '[class*="urgency"]', '[class*="countdown"]', '[class*="timer"]',
-      '[data-testid*="urgency"]', '[data-testid*="countdown"]'
-    ];
-    fomoSelectors.forEach(selector => {
-      try {
-        document.querySelectorAll(selector).forEach(el => {
-          if (el.closest('#tm-a11y-companion-panel')) return;
-          if (el.getAttribute('data-tm-a11y-decluttered')) return;
-          if (!isSafeToHide(el)) return;
-          el.setAttribute('data-tm-a11y-decluttered', 'true');
-          el.style.setProperty('display', 'none', 'important');
-          declutterHiddenCount++;
-        });
-      } catch (e) {}
-    });
-
-    if (declutterHiddenCount > 0) {
-      console.log(`[A11y Helper] Declutter: hidden ${declutterHiddenCount} ad/FOMO elements`);
+    if (found === _mapOutlineUnavailable) {
+      _mapOutlineUnavailable = !found;
+      const note = document.getElementById('tmA11yMapOutlineNote');
+      if (note) note.hidden = found;
     }
   }
 
-  function removeDeclutter() {
-    if (declutterStyleElement) {
-      declutterStyleElement.remove();
-      declutterStyleElement = null;
-    }
-    document.getElementById('tm-a11y-declutter-styles')?.remove();
+  function clearMapSectionOutline() {
+    document.querySelectorAll('.tm-a11y-section-outline').forEach(el => el.classList.remove('tm-a11y-section-outline'));
+    clearMapboxOutline();
+  }
 
-    document.querySelectorAll('[data-tm-a11y-decluttered]').forEach(el => {
-      el.style.removeProperty('display');
-      el.removeAttribute('data-tm-a11y-decluttered');
+  function attachListModeListeners() {
+    document.querySelectorAll('[data-list-mode]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        currentPreferences.listMode = btn.dataset.listMode;
+        clearMapSectionOutline();
+        broadcastPreferences();
+        renderPanelContent();
+        document.querySelector(`[data-list-mode="${btn.dataset.listMode}"]`)?.focus();
+      });
     });
 
-    declutterHiddenCount = 0;
+    document.getElementById('tmA11yListGroupBy')?.addEventListener('change', (e) => {
+      currentPreferences.listGroupBy = e.target.value;
+      broadcastPreferences();
+      renderPanelContent();
+      document.getElementById('tmA11yListGroupBy')?.focus();
+    });
+
+    document.querySelectorAll('.tm-a11y-group-row').forEach(row => {
+      const key = row.dataset.groupKey;
+      const show = () => outlineMapSections(_groupSections.get(key) || []);
+      row.addEventListener('mouseenter', show);
+      row.addEventListener('focus', show);
+      row.addEventListener('mouseleave', clearMapSectionOutline);
+      row.addEventListener('blur', clearMapSectionOutline);
+      row.addEventListener('click', () => {
+        if (_expandedGroups.has(key)) _expandedGroups.delete(key);
+        else _expandedGroups.add(key);
+        renderPanelContent();
+        document.querySelector(`.tm-a11y-group-row[data-group-key="${CSS.escape(key)}"]`)?.focus();
+      });
+    });
   }
 
+
   // ══════════════════════════════════════════════════════════════
-  // 7. ANIMATION FREEZE — STOP ALL HOST PAGE MOTION
+  // 3i. RESALE FAIRNESS — MARKUP, FACE VALUE, PRICE CAPS
+  // ══════════════════════════════════════════════════════════════
+  //
+  // "Resale" on its own says nothing about whether a listing is fair.
+  // Each resale listing's face price is compared with, in order:
+  //   1. its face value, when the platform shows one ("Face value £45")
+  //   2. the cheapest primary listing in the same section
+  //   3. the cheapest primary listing in the same area (tier)
+  // Prices are compared before fees on both sides. Ticketmaster UK's
+  // fan-to-fan resale caps prices at what the seller paid, so those
+  // listings are flagged "Price capped". Users can hide resale listings
+  // above a chosen markup; listings with no reference are never hidden.
   // ══════════════════════════════════════════════════════════════
 
-  /**
-   * Animation freeze injects a global CSS rule that stops ALL animations,
-   * transitions, and scroll behaviours on the host page.
-   * 
-   * This goes beyond the existing `prefers-reduced-motion` CSS which only
-   * affects our own panel elements. This affects TM's own:
-   * - Seat map hover effects and pulsing dots
-   * - Loading spinners and skeleton screens
-   * - Carousel auto-scrolling
-   * - Banner transitions and fade effects
-   * - SVG <animate> elements in seat maps
-   * 
-   * Targets autistic sensory processing (unexpected motion is distressing)
-   * and ADHD attention capture (motion involuntarily pulls focus).
-   */
-  function applyAnimationFreeze() {
-    removeAnimationFreeze();
-    
-    if (!currentPreferences.animationFreezeEnabled) return;
+  const RESALE_MARKUP_OPTIONS = [
+    { value: null, label: 'Show all resale' },
+    { value: 0, label: 'No markup (at or below face)' },
+    { value: 10, label: 'Up to 10% markup' },
+    { value: 25, label: 'Up to 25% markup' },
+    { value: 50, label: 'Up to 50% markup' },
+    { value: 100, label: 'Up to double' }
+  ];
 
-    animationFreezeStyleElement = document.createElement('style');
-    animationFreezeStyleElement.id = 'tm-a11y-animation-freeze';
-    animationFreezeStyleElement.textContent = `
-      /* Global animation/transition freeze — excludes our own panel */
-      *:not(#tm-a11y-companion-panel):not(#tm-a11y-companion-panel *):not(#tm-a11y-panel-tab) {
-        animation: none !important;
-        animation-duration: 0s !important;
-        animation-delay: 0s !important;
-        animation-iteration-count: 1 !important;
-        transition: none !important;
-        transition-duration: 0s !important;
-        transition-delay: 0s !important;
-        scroll-behavior: auto !important;
-        will-change: auto !important;
-      }
-      
-      /* Stop SVG animations (seat map pulsing dots, etc.) */
-      svg animate,
-      svg animateTransform,
-      svg animateMotion,
-      svg set {
-        display: none !important;
-      }
-      
-      /* Stop GIF animations by freezing the first frame */
-      img[src$=".gif"]:not(#tm-a11y-companion-panel img) {
-        animation-play-state: paused !important;
-      }
-      
-      /* Stop CSS-based carousels / marquees */
-      [class*="carousel"]:not(#tm-a11y-companion-panel *),
-      [class*="Carousel"]:not(#tm-a11y-companion-panel *),
-      [class*="marquee"]:not(#tm-a11y-companion-panel *),
-      [class*="slider"]:not(#tm-a11y-companion-panel *):not(.tm-a11y-slider),
-      [class*="Slider"]:not(#tm-a11y-companion-panel *) {
-        animation: none !important;
-        transition: none !important;
-        overflow: hidden !important;
-      }
-      
-      /* Freeze auto-playing video elements */
-      video:not(#tm-a11y-companion-panel video) {
-        animation-play-state: paused !important;
-      }
-    `;
-    document.head.appendChild(animationFreezeStyleElement);
+  const RESALE_BASIS_LABELS = {
+    face: 'face value',
+    section: 'cheapest primary ticket in this section',
+    area: 'cheapest primary ticket in this area'
+  };
 
-    // Also pause any auto-playing videos on the page
-    document.querySelectorAll('video').forEach(v => {
-      if (!v.closest('#tm-a11y-companion-panel')) {
-        try { v.pause(); } catch (e) {}
-      }
+  let _resaleContext = null; // Cheapest primary prices, rebuilt by getFilteredSeats()
+
+  function buildResaleContext() {
+    const bySection = new Map();
+    const byArea = new Map();
+    const keepMin = (map, key, price) => {
+      if (!map.has(key) || price < map.get(key)) map.set(key, price);
+    };
+    capturedSeats.forEach(s => {
+      if (s.availability !== 'available' || s.sellerType === 'resale') return;
+      keepMin(bySection, s.section, s.price);
+      if (s.areaName) keepMin(byArea, s.areaName, s.price);
     });
+    return { bySection, byArea };
+  }
 
-    console.log('[A11y Helper] Animation freeze: all page motion stopped');
+  /**
+   * Markup analysis for a resale listing, or null for primary tickets.
+   * `markup` is a whole percentage (35 = 35% above the reference).
+   */
+  function getResaleInfo(seat) {
+    if (seat.sellerType !== 'resale') return null;
+    const ctx = _resaleContext || (_resaleContext = buildResaleContext());
+
+    let basis = null;
+    let reference = null;
+    if (seat.faceValue > 0) {
+      basis = 'face';
+      reference = seat.faceValue;
+    } else if (ctx.bySection.has(seat.section)) {
+      basis = 'section';
+      reference = ctx.bySection.get(seat.section);
+    } else if (seat.areaName && ctx.byArea.has(seat.areaName)) {
+      basis = 'area';
+      reference = ctx.byArea.get(seat.areaName);
+    }
+
+    return {
+      basis,
+      reference,
+      markup: reference ? Math.round((seat.price / reference - 1) * 100) : null,
+      capped: !!seat.priceCapped
+    };
   }
 
-  function removeAnimationFreeze() {
-    if (animationFreezeStyleElement) {
-      animationFreezeStyleElement.remove();
-      animationFreezeStyleElement = null;
+  /** Badge text: "Resale", "Resale +35%", "Resale ≤ face" */
+  function describeResaleShort(info) {
+    if (info.markup === null) return 'Resale';
+    if (info.markup <= 0) return info.basis === 'face' ? 'Resale ≤ face' : 'Resale ≤ primary';
+    return `Resale +${info.markup}%`;
+  }
+
+  /** Full sentence for tooltips, screen readers and the compare table */
+  function describeResaleDetail(info, seat) {
+    const parts = [];
+    if (info.markup === null) {
+      parts.push('Resale. No face value or primary ticket to compare with');
+    } else {
+      const diff = info.markup <= 0 ? 'at or below' : `${info.markup}% above`;
+      parts.push(`Resale at ${formatSeatPrice(seat, seat.price)}, ${diff} the ${RESALE_BASIS_LABELS[info.basis]} (${formatSeatPrice(seat, info.reference)}), before fees`);
     }
-    document.getElementById('tm-a11y-animation-freeze')?.remove();
+    if (info.capped) parts.push('Price capped: fan-to-fan resale, sold for no more than the seller paid');
+    return parts.join('. ') + '.';
+  }
+
+  function passesResaleMarkup(seat) {
+    const max = currentPreferences.maxResaleMarkup;
+    if (max === null || max === undefined) return true;
+    const info = getResaleInfo(seat);
+    return !info || info.markup === null || info.markup <= max;
+  }
+
+  function renderResaleFilter() {
+    const max = currentPreferences.maxResaleMarkup ?? null;
+    const hidden = max === null ? 0 : capturedSeats.filter(s =>
+      s.availability === 'available' && s.sellerType === 'resale' && !passesResaleMarkup(s)).length;
+    return `
+            <div class="tm-a11y-filter-group">
+              <label class="tm-a11y-filter-label" for="tmA11yResaleMarkup">Resale markup</label>
+              <select id="tmA11yResaleMarkup" class="tm-a11y-select">
+                ${RESALE_MARKUP_OPTIONS.map(o =>
+                  `<option value="${o.value ?? ''}" ${o.value === max ? 'selected' : ''}>${o.label}</option>`).join('')}
+              </select>
+              <p class="tm-a11y-access-note">Compared with face value where the listing shows it, otherwise the cheapest primary ticket in the same section or area. Resale listings with nothing to compare are always shown.${hidden ? ` ${hidden} hidden.` : ''}</p>
+            </div>`;
   }
 
 
   // ══════════════════════════════════════════════════════════════
-  // 8a. SENSORY PROFILE SYSTEM
+  // 3j. CURRENCIES — PARSING, FORMATTING, HOME CURRENCY
+  // ══════════════════════════════════════════════════════════════
+  //
+  // Each listing's currency comes from its own text (ISO codes and
+  // prefixed dollars like "CA$" first, then £ / € / ¥, then a bare "$"
+  // read by the site's country); the hostname is only the last resort.
+  // Amounts are formatted with Intl.NumberFormat in the browser's
+  // locale, so a mixed set of listings shows each in its own currency.
+  //
+  // Comparisons (budget, sorting, MCDA price) need one currency. That
+  // is the user's home currency when they've set one and supplied a
+  // rate for the listing's currency (popup settings, "1 USD = 0.79
+  // GBP"), otherwise the most common currency on the page. Listings
+  // that can't be converted keep their own currency and the panel says
+  // so. No rates are fetched — the extension stays offline.
   // ══════════════════════════════════════════════════════════════
 
-  /** Get all profiles: built-in + custom, in display order */
-  function getAllProfiles() {
-    return [...BUILT_IN_PROFILES, ...customProfiles];
+  /**
+   * Text markers, most specific first. A bare "$" is handled separately.
+   * Run on spaced text only: in raw textContent "Row A" + "$120" reads
+   * as "Row A$120", so a dollar prefix must not touch a letter or digit.
+   */
+  const CURRENCY_MARKERS = [
+    { code: 'CAD', re: /(?<![A-Za-z0-9])CA?\$|\bCAD\b/ },
+    { code: 'AUD', re: /(?<![A-Za-z0-9])AU?\$|\bAUD\b/ },
+    { code: 'NZD', re: /(?<![A-Za-z0-9])NZ\$|\bNZD\b/ },
+    { code: 'MXN', re: /(?<![A-Za-z0-9])MX\$|\bMXN\b/ },
+    { code: 'USD', re: /(?<![A-Za-z0-9])US\$|\bUSD\b/ },
+    { code: 'CHF', re: /\bCHF\b/ },
+    { code: 'GBP', re: /£|\bGBP\b/ },
+    { code: 'EUR', re: /€|\bEUR\b/ },
+    { code: 'SEK', re: /\bSEK\b/ },
+    { code: 'NOK', re: /\bNOK\b/ },
+    { code: 'DKK', re: /\bDKK\b/ },
+    { code: 'PLN', re: /zł|\bPLN\b/ },
+    { code: 'CZK', re: /Kč|\bCZK\b/ },
+    { code: 'JPY', re: /¥|\bJPY\b/ }
+  ];
+
+  /** Site country → currency, for listings that show no marker of their own */
+  const HOST_CURRENCIES = [
+    { re: /\.co\.uk$|\.uk$/i, code: 'GBP' },
+    { re: /\.ca$/i, code: 'CAD' },
+    { re: /\.com\.au$/i, code: 'AUD' },
+    { re: /\.co\.nz$/i, code: 'NZD' },
+    { re: /\.com\.mx$/i, code: 'MXN' },
+    { re: /\.ch$/i, code: 'CHF' },
+    { re: /\.se$/i, code: 'SEK' },
+    { re: /\.no$/i, code: 'NOK' },
+    { re: /\.dk$/i, code: 'DKK' },
+    { re: /\.pl$/i, code: 'PLN' },
+    { re: /\.cz$/i, code: 'CZK' },
+    { re: /\.jp$/i, code: 'JPY' },
+    { re: /\.(ie|de|fr|es|it|nl|be|at|fi|pt)$/i, code: 'EUR' }
+  ];
+
+  const DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD', 'NZD', 'MXN'];
+
+  /** Currencies offered as a home currency (popup mirrors this list) */
+  const SUPPORTED_CURRENCIES = ['GBP', 'EUR', 'USD', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'JPY', 'MXN'];
+
+  function currencyFromHost() {
+    const host = window.location.hostname;
+    return HOST_CURRENCIES.find(h => h.re.test(host))?.code || 'USD';
   }
 
-  /** Get the currently active profile object (or null) */
-  function getActiveProfile() {
-    if (!activeProfileId) return null;
-    return getAllProfiles().find(p => p.id === activeProfileId) || null;
+  function detectCurrency(text) {
+    for (const marker of CURRENCY_MARKERS) {
+      if (marker.re.test(text)) return marker.code;
+    }
+    if (text.includes('$')) {
+      const local = currencyFromHost();
+      return DOLLAR_CURRENCIES.includes(local) ? local : 'USD';
+    }
+    return currencyFromHost();
+  }
+
+  // —— Amounts: "£1,234.50", "€45,50", "45,00 €", "450 kr", "¥1,200", "CHF 1'234" ——
+
+  /** A currency symbol or code as it sits next to an amount, either side */
+  const MONEY_MARK_SOURCE =
+    "(?<![A-Za-z0-9])(?:CA|AU|NZ|MX|US|A|C)\\$|[£$€¥]|zł|Kč|\\bkr\\b\\.?|" +
+    '\\b(?:GBP|EUR|USD|CAD|AUD|NZD|MXN|CHF|SEK|NOK|DKK|PLN|CZK|JPY)\\b';
+  /** Digits with optional thousands groups and up to two decimals */
+  const MONEY_NUMBER_SOURCE =
+    "\\d{1,3}(?:[.,'\\u00a0\\u202f]\\d{3})+(?:[.,]\\d{1,2})?(?!\\d)|\\d+(?:[.,]\\d{1,2})?(?!\\d)";
+  const ZERO_DECIMAL_CURRENCIES = ['JPY'];
+
+  /** Currency a mark stands for; "kr" is whichever krona/krone the site uses */
+  function currencyForMark(mark) {
+    if (/^kr/i.test(mark)) {
+      const local = currencyFromHost();
+      return ['SEK', 'NOK', 'DKK'].includes(local) ? local : 'SEK';
+    }
+    return detectCurrency(mark);
   }
 
   /**
-   * Apply a sensory profile — merges its settings into currentPreferences,
-   * then triggers all visual updates (colour scheme, typography, focus mode, etc.)
+   * "1.234,50" / "1,234.50" / "45,50" → number. The last separator is a
+   * decimal point only when one or two digits follow it and the currency
+   * has minor units; otherwise every separator groups thousands.
    */
-  function applyProfile(profileId) {
-    const profile = getAllProfiles().find(p => p.id === profileId);
-    if (!profile) {
-      activeProfileId = null;
-      currentPreferences.activeProfileId = null;
-      broadcastPreferences();
-      if (panelElement) renderPanelContent();
-      return;
+  function parseMoneyNumber(str, currency) {
+    const digits = str.replace(/['\u00a0\u202f]/g, '');
+    const lastSep = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+    if (lastSep === -1) return parseFloat(digits);
+    const isDecimal = digits.length - lastSep - 1 <= 2 && !ZERO_DECIMAL_CURRENCIES.includes(currency);
+    if (!isDecimal) return parseFloat(digits.replace(/[.,]/g, ''));
+    return parseFloat(`${digits.slice(0, lastSep).replace(/[.,]/g, '')}.${digits.slice(lastSep + 1)}`);
+  }
+
+  /**
+   * Every amount in `text`, in reading order: { amount, currency }.
+   * Shared by the three listing scrapers and the fee parser. A mark
+   * takes the number after it ("£45") before the one in front of it
+   * ("45,00 €"), so "Block 112 € 45" reads as €45, not €112.
+   */
+  function parseMoneyAmounts(text) {
+    const amounts = [];
+    if (!text) return amounts;
+    const markRe = new RegExp(MONEY_MARK_SOURCE, 'gi');
+    const afterRe = new RegExp(`^\\s*(${MONEY_NUMBER_SOURCE})`);
+    const beforeRe = new RegExp(`(${MONEY_NUMBER_SOURCE})\\s*$`);
+    let consumedTo = 0;
+    let m;
+    while ((m = markRe.exec(text)) !== null) {
+      const currency = currencyForMark(m[0]);
+      const end = m.index + m[0].length;
+      const after = afterRe.exec(text.slice(end, end + 24));
+      if (after) {
+        amounts.push({ amount: parseMoneyNumber(after[1], currency), currency });
+        consumedTo = end + after[0].length;
+        markRe.lastIndex = consumedTo;
+        continue;
+      }
+      const windowStart = Math.max(consumedTo, m.index - 24);
+      const before = beforeRe.exec(text.slice(windowStart, m.index));
+      if (before && !/[\d.,]$/.test(text.slice(0, windowStart + before.index))) {
+        amounts.push({ amount: parseMoneyNumber(before[1], currency), currency });
+        consumedTo = end;
+      }
     }
+    return amounts;
+  }
 
-    activeProfileId = profileId;
-    currentPreferences.activeProfileId = profileId;
+  /** The scrapers' "has a price" gate — any currency, either side of the number */
+  function hasMoneyAmount(text) {
+    return parseMoneyAmounts(text).length > 0;
+  }
 
-    // Merge profile settings into preferences
-    const s = profile.settings;
-    if (s.colourScheme !== undefined) currentPreferences.colourScheme = s.colourScheme;
-    if (s.fontFamily !== undefined) currentPreferences.fontFamily = s.fontFamily;
-    if (s.fontSize !== undefined) currentPreferences.fontSize = s.fontSize;
-    if (s.lineSpacing !== undefined) currentPreferences.lineSpacing = s.lineSpacing;
-    if (s.focusModeEnabled !== undefined) currentPreferences.focusModeEnabled = s.focusModeEnabled;
-    if (s.declutterEnabled !== undefined) currentPreferences.declutterEnabled = s.declutterEnabled;
-    if (s.animationFreezeEnabled !== undefined) currentPreferences.animationFreezeEnabled = s.animationFreezeEnabled;
+  /** Regex source for one amount with its mark, for use inside larger patterns */
+  const MONEY_AMOUNT_SOURCE =
+    `(?:(?:${MONEY_MARK_SOURCE})\\s*(?:${MONEY_NUMBER_SOURCE})|(?:${MONEY_NUMBER_SOURCE})\\s*(?:${MONEY_MARK_SOURCE}))`;
 
-    // Load MCDA weights from profile
-    if (profile.mcdaWeights) {
-      currentPreferences.mcdaWeights = { ...profile.mcdaWeights };
+  const _moneyFormats = new Map();
+
+  function getMoneyFormat(currency, decimals) {
+    const key = `${currency}|${decimals}`;
+    if (!_moneyFormats.has(key)) {
+      try {
+        _moneyFormats.set(key, new Intl.NumberFormat(navigator.language || 'en-GB', {
+          style: 'currency', currency, minimumFractionDigits: decimals, maximumFractionDigits: decimals
+        }));
+      } catch (e) {
+        _moneyFormats.set(key, null); // Unknown currency code
+      }
     }
+    return _moneyFormats.get(key);
+  }
 
-    // Apply all visual changes
-    applyColourScheme(currentPreferences.colourScheme);
-    applyTypography();
-    currentAdapter.applyMapHighlights();
-    applyDeclutterMode();
-    applyAnimationFreeze();
+  /** "£78.20", "CA$45.00", "1 250 kr" — whatever the user's locale writes */
+  function formatMoney(amount, currency, decimals = 2) {
+    const fmt = getMoneyFormat(currency || 'GBP', decimals);
+    return fmt ? fmt.format(amount) : `${currency} ${amount.toFixed(decimals)}`;
+  }
 
-    // Save and re-render
-    broadcastPreferences();
-    if (panelElement) renderPanelContent();
+  /** Just the symbol, for labels next to inputs and whole-number budgets */
+  function currencySymbolFor(currency) {
+    const fmt = getMoneyFormat(currency || 'GBP', 0);
+    return fmt?.formatToParts(0).find(p => p.type === 'currency')?.value || `${currency} `;
+  }
 
-    console.log(`[A11y Helper] Profile applied: "${profile.name}"`);
+  let _dominantCurrency = { seats: null, count: 0, code: null };
+
+  /** Currency comparisons and the budget are expressed in */
+  function getDisplayCurrency() {
+    if (currentPreferences.homeCurrency) return currentPreferences.homeCurrency;
+    if (_dominantCurrency.seats !== capturedSeats || _dominantCurrency.count !== capturedSeats.length) {
+      const counts = new Map();
+      capturedSeats.forEach(s => counts.set(s.currency, (counts.get(s.currency) || 0) + 1));
+      let code = null;
+      counts.forEach((n, c) => { if (!code || n > counts.get(code)) code = c; });
+      _dominantCurrency = { seats: capturedSeats, count: capturedSeats.length, code: code || currencyFromHost() };
+    }
+    return _dominantCurrency.code;
   }
 
-  /** Create a new custom profile from current settings */
-  function createProfileFromCurrent(name) {
-    const profile = {
-      id: 'custom_' + Date.now(),
-      name: name,
-      builtIn: false,
-      description: '',
-      settings: {
-        focusModeEnabled: currentPreferences.focusModeEnabled,
-        colourScheme: currentPreferences.colourScheme,
-        fontFamily: currentPreferences.fontFamily,
-        fontSize: currentPreferences.fontSize,
-        lineSpacing: currentPreferences.lineSpacing,
-        declutterEnabled: currentPreferences.declutterEnabled,
-        animationFreezeEnabled: currentPreferences.animationFreezeEnabled
-      },
-      mcdaWeights: { ...(currentPreferences.mcdaWeights || { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25 }) }
-    };
-    customProfiles.push(profile);
-    saveProfilesToStorage();
-    return profile;
+  /** Rate from a seat's currency into the display currency, or null when we have none */
+  function getConversionRate(currency) {
+    const display = getDisplayCurrency();
+    if (!currency || currency === display) return 1;
+    if (display !== currentPreferences.homeCurrency) return null;
+    const rate = parseFloat((currentPreferences.exchangeRates || {})[currency]);
+    return rate > 0 ? rate : null;
   }
 
-  /** Delete a custom profile by ID */
-  function deleteProfile(profileId) {
-    customProfiles = customProfiles.filter(p => p.id !== profileId);
-    if (activeProfileId === profileId) {
-      activeProfileId = null;
-      currentPreferences.activeProfileId = null;
-      broadcastPreferences();
-    }
-    saveProfilesToStorage();
+  /** Currency a seat's amounts are shown in after toDisplayAmount() */
+  function seatCurrency(seat) {
+    return getConversionRate(seat.currency) !== null ? getDisplayCurrency() : seat.currency;
   }
 
-  /** Save custom profiles to storage via bridge */
-  function saveProfilesToStorage() {
-    window.postMessage({
-      source: 'tm-a11y-content',
-      type: 'SAVE_PROFILES',
-      profiles: customProfiles
-    }, '*');
+  function toDisplayAmount(seat, amount) {
+    const rate = getConversionRate(seat.currency);
+    return rate !== null ? amount * rate : amount;
   }
 
-  /** Request profiles from bridge */
-  function requestProfiles() {
-    window.postMessage({
-      source: 'tm-a11y-content',
-      type: 'REQUEST_PROFILES'
-    }, '*');
+  /** Format an amount in the seat's own currency, converted when we can */
+  function formatSeatPrice(seat, amount, decimals = 2) {
+    return formatMoney(toDisplayAmount(seat, amount), seatCurrency(seat), decimals);
+  }
+
+  /** Currencies on the page that can't be put into the display currency */
+  function getUnconvertedCurrencies() {
+    const codes = new Set();
+    capturedSeats.forEach(s => {
+      if (s.availability === 'available' && getConversionRate(s.currency) === null) codes.add(s.currency);
+    });
+    return Array.from(codes);
+  }
+
+  function renderCurrencyNotice() {
+    const missing = getUnconvertedCurrencies();
+    if (missing.length === 0) return '';
+    return `
+      <div class="tm-a11y-notice" role="note">
+        <p class="tm-a11y-notice-text">Some prices are in ${missing.join(', ')}, not ${getDisplayCurrency()}. They're shown in their own currency but compared as if they were ${getDisplayCurrency()}. Set a home currency and exchange rates in the extension settings to compare them fairly.</p>
+      </div>`;
   }
 
 
   // ══════════════════════════════════════════════════════════════
-  // 8a-ii. MCDA SCORING ENGINE
+  // 3k. GENTLE SCAN — NO VISIBLE PAGE MOVEMENT
+  // ══════════════════════════════════════════════════════════════
+  //
+  // A full scan has to move the host page: TM and StubHub only render
+  // the listings that are scrolled into view, and Viagogo needs "Show
+  // more" pressed. The standard scan lets that happen in plain sight.
+  // The gentle scan first covers the listing area (or the whole page
+  // when the page itself scrolls) with a still, plain mask, jumps
+  // instead of smooth-scrolling, and afterwards puts the list back
+  // where the user left it. "Automatic" picks gentle whenever
+  // animation freeze or the system "reduce motion" setting is on.
+  //
+  // Every scan, gentle or not, is narrated through the live region:
+  // once at the start, at each quarter, and when it finishes.
   // ══════════════════════════════════════════════════════════════
 
-  /**
-   * Section name → view quality heuristic (0–1).
-   * Higher = better view.
-   */
-  const VIEW_QUALITY_TIERS = [
-    { pattern: /\b(floor|pit|standing\s*a|ga\s*floor|field|stage)\b/i, score: 1.0 },
-    { pattern: /\b(vip|premium|suite|hospitality|club)\b/i, score: 0.9 },
-    { pattern: /\b(lower|100s?|1\d{2})\b/i, score: 0.8 },
-    { pattern: /\bsection\s*(10[0-9]|1[0-4]\d)\b/i, score: 0.8 },
-    { pattern: /\b(200s?|2\d{2}|club|mezzanine)\b/i, score: 0.6 },
-    { pattern: /\bsection\s*(2\d{2})\b/i, score: 0.6 },
-    { pattern: /\b(300s?|3\d{2}|upper|balcony|terrace)\b/i, score: 0.4 },
-    { pattern: /\bsection\s*(3\d{2})\b/i, score: 0.4 },
-    { pattern: /\b(400s?|4\d{2}|500s?|5\d{2}|nosebleed)\b/i, score: 0.25 },
-    { pattern: /\bsection\s*([4-9]\d{2})\b/i, score: 0.25 }
+  const SCAN_STYLE_OPTIONS = [
+    { value: 'auto', label: 'Automatic (gentle when motion is reduced)' },
+    { value: 'gentle', label: 'Gentle: cover the listings while scanning' },
+    { value: 'standard', label: 'Standard: show the listings scrolling' }
   ];
 
-  function computeViewQuality(section) {
-    if (!section) return 0.5;
-    for (const tier of VIEW_QUALITY_TIERS) {
-      if (tier.pattern.test(section)) return tier.score;
-    }
-    // Fallback: try to extract section number
-    const numMatch = section.match(/(\d+)/);
-    if (numMatch) {
-      const num = parseInt(numMatch[1], 10);
-      if (num <= 150) return 0.8;
-      if (num <= 250) return 0.6;
-      if (num <= 350) return 0.4;
-      return 0.25;
-    }
-    return 0.5; // Unknown → middle
-  }
+  let _scanMask = null;   // { el, container, scrollTop, windowY, reposition } while a gentle scan runs
+  let _scanMilestone = 0; // Last quarter of progress narrated
 
-  /**
-   * Parse row identifier into a numeric value.
-   * "1" → 1, "A" → 1, "AA" → 27, "GA" → null (general admission)
-   */
-  function parseRowNumber(row) {
-    if (!row) return null;
-    const trimmed = row.trim().toUpperCase();
-    if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10);
-    if (/^[A-Z]$/.test(trimmed)) return trimmed.charCodeAt(0) - 64; // A=1, B=2
-    if (/^[A-Z]{2}$/.test(trimmed)) {
-      return (trimmed.charCodeAt(0) - 64) * 26 + (trimmed.charCodeAt(1) - 64);
-    }
-    return null;
+  function prefersReducedMotion() {
+    return !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
   }
 
-  /**
-   * Parse seat number(s) and return the primary seat number.
-   * "5" → 5, "1-2" → 1, "12, 13" → 12
-   */
-  function parseSeatNumber(seatStr) {
-    if (!seatStr) return null;
-    const match = seatStr.match(/(\d+)/);
-    return match ? parseInt(match[1], 10) : null;
+  function isGentleScan() {
+    const style = currentPreferences.scanStyle || 'auto';
+    if (style === 'auto') return !!currentPreferences.animationFreezeEnabled || prefersReducedMotion();
+    return style === 'gentle';
   }
 
   /**
-   * Compute all MCDA sub-scores and composite scores for every available seat.
-   * Results stored in `mcdaScores` map keyed by seatContentKey.
+   * Called by an adapter's autoScroll() once it knows what it will
+   * scroll. `container` is null when the scan moves the page itself.
    */
-  function computeAllMCDAScores() {
-    mcdaScores = new Map();
-    const available = capturedSeats.filter(s => s.availability === 'available');
-    if (available.length === 0) return;
-
-    const weights = currentPreferences.mcdaWeights || { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25 };
-    const wSum = weights.price + weights.viewQuality + weights.proximity + weights.aisleAccess;
-    const w = {
-      price: wSum > 0 ? (weights.price / wSum) : 0.25,
-      viewQuality: wSum > 0 ? (weights.viewQuality / wSum) : 0.25,
-      proximity: wSum > 0 ? (weights.proximity / wSum) : 0.25,
-      aisleAccess: wSum > 0 ? (weights.aisleAccess / wSum) : 0.25
+  function beginScanMovement(container) {
+    _scanMilestone = 0;
+    const gentle = isGentleScan();
+    announceToScreenReader(`Scanning all tickets. ${gentle ? 'The listings are covered while they load. ' : ''}This usually takes under a minute.`);
+    if (!gentle) return;
+
+    endScanMask(false);
+    const scroller = document.scrollingElement || document.documentElement;
+    const pageLevel = !container || container === scroller || container === document.body;
+
+    const el = document.createElement('div');
+    el.id = 'tmA11yScanMask';
+    el.className = `tm-a11y-scan-mask${pageLevel ? ' tm-a11y-scan-mask-page' : ''}`;
+    el.setAttribute('aria-hidden', 'true'); // Progress is narrated instead
+    el.innerHTML = '<p class="tm-a11y-scan-mask-text">Loading listings. They will be back where you left them in a moment.</p>';
+
+    const reposition = () => {
+      if (pageLevel) return;
+      const rect = container.getBoundingClientRect();
+      Object.assign(el.style, {
+        top: `${rect.top}px`, left: `${rect.left}px`,
+        width: `${rect.width}px`, height: `${rect.height}px`
+      });
     };
-
-    /**
-     * Percentile-based normalisation (Winsorisation).
-     * Clamps values at the 5th and 95th percentile before 0–1 scaling.
-     * This prevents a single outlier (e.g. one £350 ticket among £60 tickets)
-     * from compressing the entire score range.
-     */
-    function robustNormalise(values, lowerPct = 0.05, upperPct = 0.95) {
-      if (values.length === 0) return { min: 0, max: 1 };
-      const sorted = [...values].sort((a, b) => a - b);
-      const lowerIdx = Math.floor(sorted.length * lowerPct);
-      const upperIdx = Math.min(sorted.length - 1, Math.ceil(sorted.length * upperPct));
-      const pMin = sorted[lowerIdx];
-      const pMax = sorted[upperIdx];
-      return { min: pMin, max: pMax };
+    reposition();
+    document.body.appendChild(el);
+    if (!pageLevel) {
+      window.addEventListener('scroll', reposition, { capture: true, passive: true });
+      window.addEventListener('resize', reposition, { passive: true });
     }
 
-    // ── Gather raw values for normalisation ──
-    const prices = available.map(s => s.price);
-    const priceRange = robustNormalise(prices);
-
-    const rowNums = available.map(s => parseRowNumber(s.row)).filter(r => r !== null);
-    const rowRange = robustNormalise(rowNums);
-
-    // For aisle access: group seats by section, find max seat number per section
-    const sectionMaxSeat = new Map();
-    available.forEach(s => {
-      const sn = parseSeatNumber(s.seatNumber);
-      if (sn !== null) {
-        const sec = s.section;
-        sectionMaxSeat.set(sec, Math.max(sectionMaxSeat.get(sec) || 0, sn));
-      }
-    });
-
-    // ── Score each seat ──
-    available.forEach(seat => {
-      // Price score: lower price = higher score (inverted, clamped + normalised 0–1)
-      let priceScore = 0.5;
-      if (priceRange.max > priceRange.min) {
-        const clamped = Math.max(priceRange.min, Math.min(priceRange.max, seat.price));
-        priceScore = 1 - (clamped - priceRange.min) / (priceRange.max - priceRange.min);
-      } else {
-        priceScore = 1.0; // All same price
-      }
-
-      // View quality: section name heuristic
-      const viewScore = computeViewQuality(seat.section);
-
-      // Proximity: row number (lower = better, clamped)
-      let proximityScore = 0.5;
-      const rowNum = parseRowNumber(seat.row);
-      if (rowNum !== null && rowRange.max > rowRange.min) {
-        const clamped = Math.max(rowRange.min, Math.min(rowRange.max, rowNum));
-        proximityScore = 1 - (clamped - rowRange.min) / (rowRange.max - rowRange.min);
-      } else if (rowNum !== null) {
-        proximityScore = 1.0;
-      }
-
-      // Aisle access: edge seats score higher
-      let aisleScore = 0.5;
-      const seatNum = parseSeatNumber(seat.seatNumber);
-      if (seatNum !== null) {
-        const maxInSection = sectionMaxSeat.get(seat.section) || 20;
-        // Distance from nearest edge (seat 1 or max)
-        const distFromEdge = Math.min(seatNum - 1, maxInSection - seatNum);
-        const maxDist = Math.floor(maxInSection / 2);
-        aisleScore = maxDist > 0 ? 1 - (distFromEdge / maxDist) : 1.0;
-      }
-
-      // Composite weighted score (0–100)
-      const composite = (
-        w.price * priceScore +
-        w.viewQuality * viewScore +
-        w.proximity * proximityScore +
-        w.aisleAccess * aisleScore
-      ) * 100;
-
-      const score = Math.round(Math.max(0, Math.min(100, composite)));
-      const tier = scoreToTier(score);
-
-      const key = seatContentKey(seat);
-      mcdaScores.set(key, {
-        score,
-        tier,
-        subscores: {
-          price: Math.round(priceScore * 100),
-          viewQuality: Math.round(viewScore * 100),
-          proximity: Math.round(proximityScore * 100),
-          aisleAccess: Math.round(aisleScore * 100)
-        }
-      });
-    });
+    _scanMask = {
+      el, reposition,
+      container: pageLevel ? null : container,
+      scrollTop: pageLevel ? 0 : container.scrollTop,
+      windowY: window.scrollY
+    };
+  }
 
-    console.log(`[A11y Helper] MCDA scores computed for ${mcdaScores.size} seats`);
+  /** Scroll step used by the scans — a jump when gentle, so nothing glides */
+  function scanScrollBehavior() {
+    return _scanMask ? 'auto' : 'smooth';
   }
 
   /**
-   * Map a score (0–100) to one of 5 tiers.
-   * T1 = best (81–100), T5 = worst (0–20).
+   * End-of-scan scroll. A standard scan returns the list to the top; a
+   * gentle one puts everything back where the user had it.
    */
-  function scoreToTier(score) {
-    if (score >= 81) return 1;
-    if (score >= 61) return 2;
-    if (score >= 41) return 3;
-    if (score >= 21) return 4;
-    return 5;
+  function resetScanScroll(container) {
+    if (!_scanMask) {
+      container?.scrollTo({ top: 0, behavior: 'smooth' });
+      return;
+    }
+    if (_scanMask.container) _scanMask.container.scrollTop = _scanMask.scrollTop;
+    window.scrollTo({ top: _scanMask.windowY, behavior: 'auto' });
   }
 
-  /**
-   * Get the CSS class for a heatmap tier.
-   */
-  function tierClass(tier) {
-    return `tm-a11y-heat-t${tier}`;
+  /** Remove the mask, normally after restoring scroll positions */
+  function endScanMask(restoreScroll = true) {
+    if (!_scanMask) return;
+    if (restoreScroll) resetScanScroll(null);
+    const { el, reposition } = _scanMask;
+    window.removeEventListener('scroll', reposition, { capture: true });
+    window.removeEventListener('resize', reposition);
+    el.remove();
+    _scanMask = null;
   }
 
-  /**
-   * Get the MCDA score data for a seat (or null).
-   */
-  function getSeatMCDAScore(seat) {
-    const key = seatContentKey(seat);
-    return mcdaScores.get(key) || null;
+  /** Called on every scan tick; speaks once per quarter */
+  function narrateScanProgress(progress) {
+    const quarter = Math.floor(progress / 25);
+    if (quarter <= _scanMilestone || quarter >= 4) return;
+    _scanMilestone = quarter;
+    announceToScreenReader(`Scan ${quarter * 25}% done. ${capturedSeats.length} seats found so far.`);
   }
 
-  // ══════════════════════════════════════════════════════════════
-  // 8a-iii. HEATMAP MODE — SVG SEAT MAP RECOLOURING
-  // ══════════════════════════════════════════════════════════════
 
   /**
-   * Apply the MCDA heatmap to the SVG seat map.
-   * This REPLACES focus mode when MCDA is active.
-   * Each section/row group gets coloured by its best seat's tier.
-   * 
-   * IMPORTANT: We use INLINE STYLES (not just CSS classes) because
-   * TM's styled-components CSS has very high specificity that overrides
-   * our class-based fill rules.
+   * Try to scroll the actual Ticketmaster seat map to a specific seat.
+   * This is best-effort as TM's DOM structure varies.
    */
-  function applyHeatmapMode() {
-    if (!currentPreferences.mcdaEnabled) {
-      removeHeatmapHighlights();
-      return;
+  function scrollToSeatOnMap(seatId) {
+    const selectors = [
+      `[data-seat-id="${seatId}"]`,
+      `[data-seat="${seatId}"]`,
+      `[data-testid*="${seatId}"]`,
+      `#seat-${seatId}`
+    ];
+
+    for (const selector of selectors) {
+      try {
+        const el = document.querySelector(selector);
+        if (el) {
+          el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          // Briefly flash the seat
+          el.style.transition = 'outline 0.2s';
+          el.style.outline = `4px solid var(--tm-a11y-seat-available, #22c55e)`;
+          setTimeout(() => { el.style.outline = ''; }, 2000);
+          return;
+        }
+      } catch (e) {}
     }
+    console.log('[A11y Helper] Could not locate seat on map:', seatId);
+  }
 
-    // Recompute scores
-    computeAllMCDAScores();
 
-    if (capturedSeats.length === 0 || mcdaScores.size === 0) return;
+  // ══════════════════════════════════════════════════════════════
+  // 4. FOCUS MODE — SVG SEAT MAP DIMMING
+  // ══════════════════════════════════════════════════════════════
+  //
+  // Dims seats on TM's SVG seat map that are NOT in our sidebar data.
+  // Available seats glow bright; unavailable/out-of-budget seats dim.
+  //
+  // TM SVG structure (from DOM inspection):
+  //   <g data-component="svg_block" data-section-name="104" class="section">
+  //     <g class="seats">
+  //       <g data-row-name="20">
+  //         <circle data-component="svg__seat" data-seat-name="13" type="primary" />
+  //
+  // We match our sidebar-extracted seats (which have section + row) to
+  // the SVG's section/row hierarchy. Seats whose section+row combo
+  // appears in our captured data get highlighted; everything else dims.
+  // ══════════════════════════════════════════════════════════════
 
-    // Remove existing focus mode highlights first
-    removeFocusHighlights();
+  function applyFocusMode() {
+    if (!currentPreferences.focusModeEnabled) {
+      removeFocusHighlights();
+      return;
+    }
+    highlightSVGSeats();
+  }
 
-    // Build lookup: section → best tier
-    const sectionBestTier = new Map();
-    const rowBestTier = new Map(); // "section|row" → best tier
+  /**
+   * Build a lookup of available sections + rows from sidebar data,
+   * then walk the SVG seat map and apply visual classes.
+   * 
+   * Uses fuzzy matching for section names because the sidebar and SVG
+   * use different naming conventions:
+   *   Sidebar: "Section BL 210"  →  SVG: "BL210" or "210" or "BL 210"
+   *   Sidebar: "Section 530"     →  SVG: "530" or "Section 530"
+   */
+  function highlightSVGSeats() {
+    if (capturedSeats.length === 0) {
+      console.log('[A11y Helper] Focus mode: no seats captured yet, skipping');
+      return;
+    }
 
-    capturedSeats.forEach(seat => {
-      if (seat.availability !== 'available') return;
-      const scoreData = getSeatMCDAScore(seat);
-      if (!scoreData) return;
+    // ── Build normalised section lookup ──
+    // For each captured section, generate multiple name variants for matching
+    const availableRows = new Map();   // "normalisedSection|row" → cheapest price
+    const availableSections = new Map(); // normalisedName → cheapest price
+    const sectionVariants = new Map();  // variant → canonical section name
 
+    capturedSeats.forEach(seat => {
+      // Strip "Section " prefix to get the raw name
       const rawSection = seat.section.replace(/^Section\s*/i, '').trim();
-      const existing = sectionBestTier.get(rawSection);
-      if (!existing || scoreData.tier < existing) {
-        sectionBestTier.set(rawSection, scoreData.tier);
+      
+      // Generate all variants of this section name for fuzzy matching
+      const variants = generateSectionVariants(rawSection);
+      variants.forEach(v => sectionVariants.set(v, rawSection));
+      
+      // Track by section (all-in price, so budget matches the panel)
+      const price = getEffectivePrice(seat);
+      const existing = availableSections.get(rawSection);
+      if (!existing || price < existing) {
+        availableSections.set(rawSection, price);
       }
-
+      
+      // Track by section + row
       if (seat.row) {
         const rowKey = `${rawSection}|${seat.row}`;
-        const existingRow = rowBestTier.get(rowKey);
-        if (!existingRow || scoreData.tier < existingRow) {
-          rowBestTier.set(rowKey, scoreData.tier);
+        const existingRow = availableRows.get(rowKey);
+        if (!existingRow || price < existingRow) {
+          availableRows.set(rowKey, price);
         }
       }
     });
 
-    // Build section variant lookup (same logic as focus mode)
-    const sectionVariants = new Map();
-    sectionBestTier.forEach((tier, rawSection) => {
-      const variants = generateSectionVariants(rawSection);
-      variants.forEach(v => sectionVariants.set(v, rawSection));
-    });
-
-    const heatClasses = ['tm-a11y-heat-t1', 'tm-a11y-heat-t2', 'tm-a11y-heat-t3', 'tm-a11y-heat-t4', 'tm-a11y-heat-t5'];
-    const allVisualClasses = [...heatClasses, 'tm-a11y-seat-highlighted', 'tm-a11y-seat-greyed', 'tm-a11y-seat-unavailable'];
+    console.log(`[A11y Helper] Focus mode: ${availableSections.size} sections, ${availableRows.size} section+row combos`);
 
-    // Walk SVG section elements (both <g> groups and <path> sections)
-    const sectionElements = document.querySelectorAll(
+    // ── Walk SVG section groups and apply dimming ──
+    const sectionGroups = document.querySelectorAll(
       'g[data-section-name], g[data-component="svg_block"], [data-section-id], path[data-section-name], [data-component="svg_section"]'
     );
 
-    sectionElements.forEach(el => {
-      const svgName = (el.getAttribute('data-section-name') ||
-                       el.getAttribute('data-section-id') || '').trim();
+    if (sectionGroups.length === 0) {
+      console.log('[A11y Helper] Focus mode: no SVG section groups found');
+      // Try individual seat circles
+      dimIndividualSeats();
+      return;
+    }
+
+    // Log SVG section names for debugging (first time only)
+    if (!window._tmA11ySVGSectionsLogged) {
+      const svgNames = [];
+      sectionGroups.forEach(g => {
+        const name = g.getAttribute('data-section-name') || g.getAttribute('data-section-id') || '';
+        if (name) svgNames.push(name);
+      });
+      console.log(`[A11y Helper] SVG sections found: ${svgNames.join(', ')}`);
+      console.log(`[A11y Helper] Sidebar sections: ${Array.from(availableSections.keys()).join(', ')}`);
+      window._tmA11ySVGSectionsLogged = true;
+    }
+
+    let matched = 0;
+    let dimmed = 0;
+
+    sectionGroups.forEach(sectionG => {
+      const svgName = (sectionG.getAttribute('data-section-name') || 
+                       sectionG.getAttribute('data-section-id') || '').trim();
       if (!svgName) return;
 
+      // Try to match SVG section name to our captured sections
       const svgVariants = generateSectionVariants(svgName);
       let matchedSection = null;
+      
       for (const variant of svgVariants) {
         if (sectionVariants.has(variant)) {
           matchedSection = sectionVariants.get(variant);
           break;
         }
       }
-      if (!matchedSection && sectionBestTier.has(svgName)) {
+
+      // Also try direct match against available sections
+      if (!matchedSection && availableSections.has(svgName)) {
         matchedSection = svgName;
       }
 
-      el.classList.remove(...allVisualClasses);
-      clearHeatmapInlineStyles(el);
+      const allClasses = ['tm-a11y-seat-highlighted', 'tm-a11y-seat-greyed', 'tm-a11y-seat-unavailable'];
 
       if (!matchedSection) {
-        applyHeatmapInlineStyle(el, null); // Unavailable
+        // No match → dim entire section
+        sectionG.classList.add('tm-a11y-seat-unavailable');
+        sectionG.classList.remove('tm-a11y-seat-highlighted', 'tm-a11y-seat-greyed');
+        applyFocusInlineStyle(sectionG, 'unavailable');
+        dimmed++;
         return;
       }
 
-      // For <g> elements, check rows within
-      if (el.tagName.toLowerCase() === 'g') {
-        const rowGroups = el.querySelectorAll('g[data-row-name]');
-        if (rowGroups.length > 0) {
-          rowGroups.forEach(rowG => {
-            const rowName = (rowG.getAttribute('data-row-name') || '').trim();
-            const rowKey = `${matchedSection}|${rowName}`;
-            const tier = rowBestTier.get(rowKey);
-            clearHeatmapInlineStyles(rowG);
-            applyHeatmapInlineStyle(rowG, tier !== undefined ? tier : null);
-            // Also style child shapes
-            rowG.querySelectorAll('circle, rect, path').forEach(shape => {
-              clearHeatmapInlineStyles(shape);
-              applyHeatmapInlineStyle(shape, tier !== undefined ? tier : null);
-            });
-          });
-          return;
+      matched++;
+      
+      // Section matched — now check rows within it
+      sectionG.classList.remove(...allClasses);
+      clearFocusInlineStyles(sectionG);
+      
+      // For <path> elements (no child rows), apply directly
+      if (sectionG.tagName.toLowerCase() === 'path') {
+        const sectionPrice = availableSections.get(matchedSection);
+        if (sectionPrice !== undefined) {
+          const inBudget = sectionPrice <= currentPreferences.maxPrice;
+          sectionG.classList.add(inBudget ? 'tm-a11y-seat-highlighted' : 'tm-a11y-seat-greyed');
+          applyFocusInlineStyle(sectionG, inBudget ? 'highlighted' : 'greyed');
         }
+        return;
       }
 
-      // Direct section element (path or g without rows)
-      const tier = sectionBestTier.get(matchedSection);
-      applyHeatmapInlineStyle(el, tier !== undefined ? tier : null);
+      const rowGroups = sectionG.querySelectorAll('g[data-row-name]');
 
-      // Also style child shapes for <g> elements
-      if (el.tagName.toLowerCase() === 'g') {
-        el.querySelectorAll('circle, rect, path').forEach(shape => {
-          clearHeatmapInlineStyles(shape);
-          applyHeatmapInlineStyle(shape, tier !== undefined ? tier : null);
+      if (rowGroups.length > 0) {
+        rowGroups.forEach(rowG => {
+          const rowName = (rowG.getAttribute('data-row-name') || '').trim();
+          const rowKey = `${matchedSection}|${rowName}`;
+          const rowPrice = availableRows.get(rowKey);
+
+          rowG.classList.remove(...allClasses);
+          clearFocusInlineStyles(rowG);
+
+          if (rowPrice !== undefined) {
+            const inBudget = rowPrice <= currentPreferences.maxPrice;
+            rowG.classList.add(inBudget ? 'tm-a11y-seat-highlighted' : 'tm-a11y-seat-greyed');
+            // Apply inline styles to child shapes too
+            rowG.querySelectorAll('circle, rect, path').forEach(shape => {
+              applyFocusInlineStyle(shape, inBudget ? 'highlighted' : 'greyed');
+            });
+          } else {
+            rowG.classList.add('tm-a11y-seat-unavailable');
+            rowG.querySelectorAll('circle, rect, path').forEach(shape => {
+              applyFocusInlineStyle(shape, 'unavailable');
+            });
+          }
         });
+      } else {
+        // No row groups — highlight entire section based on cheapest price
+        const sectionPrice = availableSections.get(matchedSection);
+        if (sectionPrice !== undefined) {
+          const inBudget = sectionPrice <= currentPreferences.maxPrice;
+          sectionG.classList.add(inBudget ? 'tm-a11y-seat-highlighted' : 'tm-a11y-seat-greyed');
+          applyFocusInlineStyle(sectionG, inBudget ? 'highlighted' : 'greyed');
+          // Also child shapes
+          sectionG.querySelectorAll('circle, rect, path').forEach(shape => {
+            applyFocusInlineStyle(shape, inBudget ? 'highlighted' : 'greyed');
+          });
+        }
       }
     });
 
-    // Handle loose seat elements
-    heatmapIndividualSeats();
+    console.log(`[A11y Helper] Focus mode: ${matched} sections highlighted, ${dimmed} dimmed`);
+
+    // Also handle loose seat circles not in section groups
+    dimIndividualSeats();
   }
 
   /**
-   * Tier colour & opacity lookup.
-   * Returns the resolved CSS colour from custom properties.
+   * Generate normalised variants of a section name for fuzzy matching.
+   * "BL 210" → ["BL 210", "BL210", "210", "bl 210", "bl210"]
+   * "530"    → ["530"]
+   * "Early Entry VIP Experience" → ["Early Entry VIP Experience", "earlyentryvipexperience"]
    */
-  function getTierColour(tier) {
-    const root = document.documentElement;
-    const prop = `--tm-a11y-heat-t${tier}`;
-    return getComputedStyle(root).getPropertyValue(prop).trim() || '#6b7280';
-  }
+  function generateSectionVariants(name) {
+    const variants = new Set();
+    const n = name.trim();
+    if (!n) return variants;
+    
+    variants.add(n);                           // "BL 210"
+    variants.add(n.toLowerCase());             // "bl 210"
+    variants.add(n.replace(/\s+/g, ''));       // "BL210"
+    variants.add(n.toLowerCase().replace(/\s+/g, '')); // "bl210"
+    
+    // Strip common prefixes: "BL ", "Block ", "Section "
+    const stripped = n.replace(/^(BL|Block|Section|SEC|Level|Tier)\s*/i, '');
+    if (stripped !== n) {
+      variants.add(stripped);                  // "210"
+      variants.add(stripped.toLowerCase());    // "210"
+    }
+
+    // Try just the numeric part
+    const numMatch = n.match(/(\d+)/);
+    if (numMatch) {
+      variants.add(numMatch[1]);               // "210"
+    }
+
+    return variants;
+  }
+
+  /**
+   * Handle individual seat circles that aren't inside section groups.
+   */
+  function dimIndividualSeats() {
+    const seatSelectors = [
+      'circle[data-component="svg__seat"]', 'circle[data-seat-name]',
+      '[data-component="seat"]', '[data-testid*="seat"]',
+      '.seat-button', '.seat'
+    ];
+    
+    seatSelectors.forEach(selector => {
+      try {
+        document.querySelectorAll(selector).forEach(el => {
+          if (el.closest('.tm-a11y-seat-highlighted, .tm-a11y-seat-greyed, .tm-a11y-seat-unavailable')) return;
+          if (el.closest('#tm-a11y-companion-panel')) return;
+
+          // Try to determine if this seat is available by checking its section/row
+          const sectionG = el.closest('g[data-section-name]');
+          if (sectionG) return; // Already handled by section-level logic
+
+          // For loose seats, match by data attributes
+          const seatId = el.dataset?.seatId || el.dataset?.seat || el.id;
+          const matched = capturedSeats.find(s => s.id === seatId);
+
+          const allClasses = ['tm-a11y-seat-highlighted', 'tm-a11y-seat-greyed', 'tm-a11y-seat-unavailable'];
+          el.classList.remove(...allClasses);
+
+          if (matched) {
+            const inBudget = getEffectivePrice(matched) <= currentPreferences.maxPrice;
+            el.classList.add(inBudget ? 'tm-a11y-seat-highlighted' : 'tm-a11y-seat-greyed');
+          } else {
+            el.classList.add('tm-a11y-seat-unavailable');
+          }
+        });
+      } catch (e) {}
+    });
+  }
+
+  function removeFocusHighlights() {
+    const classes = ['tm-a11y-seat-highlighted', 'tm-a11y-seat-greyed', 'tm-a11y-seat-unavailable'];
+    classes.forEach(cls => {
+      document.querySelectorAll('.' + cls).forEach(el => el.classList.remove(cls));
+    });
+    // Also clear inline styles applied for specificity override
+    document.querySelectorAll('[data-tm-a11y-focus]').forEach(el => {
+      clearFocusInlineStyles(el);
+    });
+  }
+
+  /**
+   * Apply inline focus mode styles to an SVG element.
+   * Uses inline styles to beat TM's styled-components specificity.
+   * mode: 'highlighted' | 'greyed' | 'unavailable'
+   */
+  function applyFocusInlineStyle(el, mode) {
+    el.setAttribute('data-tm-a11y-focus', mode);
+    const root = document.documentElement;
+    const cs = getComputedStyle(root);
+
+    if (mode === 'highlighted') {
+      const colour = cs.getPropertyValue('--tm-a11y-seat-available').trim() || '#22c55e';
+      el.style.setProperty('fill', colour, 'important');
+      el.style.setProperty('opacity', '1', 'important');
+      el.style.removeProperty('filter');
+    } else if (mode === 'greyed') {
+      el.style.setProperty('opacity', '0.35', 'important');
+      el.style.setProperty('filter', 'grayscale(80%)', 'important');
+    } else {
+      // unavailable
+      el.style.setProperty('opacity', '0.12', 'important');
+      el.style.setProperty('filter', 'grayscale(100%)', 'important');
+    }
+  }
+
+  /**
+   * Clear inline focus mode styles from an element.
+   */
+  function clearFocusInlineStyles(el) {
+    if (el.getAttribute('data-tm-a11y-focus')) {
+      el.style.removeProperty('fill');
+      el.style.removeProperty('opacity');
+      el.style.removeProperty('filter');
+      el.removeAttribute('data-tm-a11y-focus');
+    }
+  }
+
+  // ══════════════════════════════════════════════════════════════
+  // 5. TYPOGRAPHY CUSTOMISATION
+  // ══════════════════════════════════════════════════════════════
+
+  function loadAccessibilityFonts() {
+    if (document.getElementById('tm-a11y-fonts-loaded')) return;
+    const fontStyle = document.createElement('style');
+    fontStyle.id = 'tm-a11y-fonts-loaded';
+    fontStyle.textContent = `
+      @import url('https://fonts.googleapis.com/css2?family=Montserrat:wght@400;500;600;700&display=swap');
+      @font-face {
+        font-family: 'OpenDyslexic';
+        src: url('https://cdn.jsdelivr.net/npm/open-dyslexic@1.0.3/woff/OpenDyslexic-Regular.woff') format('woff');
+        font-weight: normal; font-style: normal;
+      }
+      @font-face {
+        font-family: 'OpenDyslexic';
+        src: url('https://cdn.jsdelivr.net/npm/open-dyslexic@1.0.3/woff/OpenDyslexic-Bold.woff') format('woff');
+        font-weight: bold; font-style: normal;
+      }
+      @import url('https://fonts.googleapis.com/css2?family=Atkinson+Hyperlegible:wght@400;700&display=swap');
+    `;
+    document.head.insertBefore(fontStyle, document.head.firstChild);
+  }
+
+  function applyTypography() {
+    const { fontFamily, fontSize, lineSpacing } = currentPreferences;
+    removeTypography();
+
+    if (fontFamily === 'default' && fontSize === 16 && lineSpacing === 1.5) return;
+    if (fontFamily === 'opendyslexic' || fontFamily === 'atkinson') loadAccessibilityFonts();
+
+    const fontFamilyValue = FONT_FAMILIES[fontFamily];
+    const importantProps = [];
+
+    if (fontFamilyValue) importantProps.push(`font-family: ${fontFamilyValue} !important`);
+    if (fontSize !== 16) importantProps.push(`font-size: ${fontSize}px !important`);
+    if (lineSpacing !== 1.5) importantProps.push(`line-height: ${lineSpacing} !important`);
+    if (importantProps.length === 0) return;
+
+    const propsString = importantProps.join('; ');
+
+    styleElement = document.createElement('style');
+    styleElement.id = 'tm-a11y-typography-override';
+    styleElement.textContent = `
+      html body *:not(#tm-a11y-companion-panel *):not(#tm-a11y-panel-tab) { ${propsString}; }
+      html body [class]:not(#tm-a11y-companion-panel [class]) { ${propsString}; }
+      html body [class^="sc-"]:not(#tm-a11y-companion-panel *) { ${propsString}; }
+      html body [data-testid]:not(#tm-a11y-companion-panel *) { ${propsString}; }
+    `;
+    document.head.appendChild(styleElement);
+
+    // Inline styles — skip our own panel
+    document.body.querySelectorAll('*').forEach(el => {
+      if (el.closest('#tm-a11y-companion-panel') || el.id === 'tm-a11y-panel-tab') return;
+      const tag = el.tagName.toLowerCase();
+      if (['script', 'style', 'svg', 'path', 'circle', 'rect', 'line', 'polygon', 'polyline', 'g', 'defs', 'use', 'symbol', 'clippath', 'mask'].includes(tag)) return;
+
+      if (fontFamilyValue) el.style.setProperty('font-family', fontFamilyValue, 'important');
+      if (fontSize !== 16) el.style.setProperty('font-size', `${fontSize}px`, 'important');
+      if (lineSpacing !== 1.5) el.style.setProperty('line-height', String(lineSpacing), 'important');
+      el.setAttribute('data-tm-a11y-styled', 'true');
+    });
+
+    // Observer for dynamically added elements
+    if (mutationObserver) mutationObserver.disconnect();
+    mutationObserver = new MutationObserver((mutations) => {
+      mutations.forEach(m => m.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE && !node.closest?.('#tm-a11y-companion-panel')) {
+          applyTypoToElement(node, fontFamilyValue, fontSize, lineSpacing);
+        }
+      }));
+    });
+    mutationObserver.observe(document.body, { childList: true, subtree: true });
+  }
+
+  function applyTypoToElement(el, fontFamily, fontSize, lineSpacing) {
+    const skip = ['script', 'style', 'svg', 'path', 'circle', 'rect', 'line', 'polygon', 'polyline', 'g', 'defs', 'use', 'symbol', 'clippath', 'mask'];
+    if (skip.includes(el.tagName?.toLowerCase())) return;
+    if (fontFamily) el.style.setProperty('font-family', fontFamily, 'important');
+    if (fontSize !== 16) el.style.setProperty('font-size', `${fontSize}px`, 'important');
+    if (lineSpacing !== 1.5) el.style.setProperty('line-height', String(lineSpacing), 'important');
+    el.setAttribute('data-tm-a11y-styled', 'true');
+    el.querySelectorAll('*').forEach(child => {
+      if (!skip.includes(child.tagName?.toLowerCase())) {
+        if (fontFamily) child.style.setProperty('font-family', fontFamily, 'important');
+        if (fontSize !== 16) child.style.setProperty('font-size', `${fontSize}px`, 'important');
+        if (lineSpacing !== 1.5) child.style.setProperty('line-height', String(lineSpacing), 'important');
+        child.setAttribute('data-tm-a11y-styled', 'true');
+      }
+    });
+  }
+
+  function removeTypography() {
+    if (mutationObserver) { mutationObserver.disconnect(); mutationObserver = null; }
+    if (styleElement) { styleElement.remove(); styleElement = null; }
+    document.getElementById('tm-a11y-typography-override')?.remove();
+    document.querySelectorAll('[data-tm-a11y-styled="true"]').forEach(el => {
+      el.style.removeProperty('font-family');
+      el.style.removeProperty('font-size');
+      el.style.removeProperty('line-height');
+      el.removeAttribute('data-tm-a11y-styled');
+    });
+  }
+
+
+  // ══════════════════════════════════════════════════════════════
+  // 6. DECLUTTER MODE — AD REMOVAL
+  // ══════════════════════════════════════════════════════════════
+  //
+  // Surgically hides advertisement containers on Ticketmaster pages.
+  // Targets only elements with id containing "ad_unit" (TM's ad wrapper).
+  //
+  // Previous versions used 70+ CSS selectors and FOMO text patterns
+  // which were too aggressive and stripped legitimate UI elements.
+  // Now we only touch actual ads.
+  //
+  // Targets ADHD (ads compete for attention, trigger impulsive clicks)
+  // and Autism (unexpected visual interruptions cause distress).
+  // ══════════════════════════════════════════════════════════════
+
+  function applyDeclutterMode() {
+    removeDeclutter();
+
+    if (!currentPreferences.declutterEnabled) return;
+
+    declutterHiddenCount = 0;
+
+    /**
+     * Safety check: never hide an element that contains the seat map,
+     * main content, or navigation.
+     */
+    function isSafeToHide(el) {
+      if (el.closest('#tm-a11y-companion-panel')) return false;
+      // Never hide anything that contains the SVG seat map
+      if (el.querySelector('svg[data-component="svg"], [aria-label*="Seat Map"], [id*="map-container"], [data-component="zoomer"]')) return false;
+      if (el.closest('[aria-label*="Seat Map"], [id*="map-container"], [data-component="zoomer"]')) return false;
+      // Never hide main, nav, header, footer
+      if (el.tagName === 'MAIN' || el.tagName === 'NAV' || el.tagName === 'HEADER') return false;
+      if (el.id === 'main-content' || el.id === 'content') return false;
+      return true;
+    }
+
+    /**
+     * Walk up at most 2 levels to find the ad wrapper,
+     * but ONLY if the parent looks like a pure ad wrapper (very few children).
+     */
+    function findAdWrapper(el) {
+      let target = el;
+      for (let i = 0; i < 2; i++) {
+        const parent = target.parentElement;
+        if (!parent || parent === document.body || parent === document.documentElement) break;
+        if (parent.tagName === 'MAIN' || parent.tagName === 'NAV' || parent.tagName === 'HEADER') break;
+        if (parent.id === 'main-content' || parent.id === 'content') break;
+        // Only walk up if parent has ≤ 2 children (it's just an ad wrapper)
+        if (parent.children.length > 2) break;
+        // Don't walk up if parent contains non-ad content
+        if (parent.querySelector('svg, [aria-label], [data-component]')) break;
+        target = parent;
+      }
+      return target;
+    }
+
+    // ── Target ad_unit containers ──
+    const adSelectors = [
+      '[id*="ad_unit"]',
+      '[id*="ad-unit"]',
+      '[id*="ad_slot"]',
+      '[id*="ad-slot"]',
+      '[id*="dclk-studio"]'
+    ];
+
+    adSelectors.forEach(selector => {
+      try {
+        document.querySelectorAll(selector).forEach(el => {
+          if (el.getAttribute('data-tm-a11y-decluttered')) return;
+          if (!isSafeToHide(el)) return;
+
+          const target = findAdWrapper(el);
+          if (!isSafeToHide(target)) return;
+
+          target.setAttribute('data-tm-a11y-decluttered', 'true');
+          target.style.setProperty('display', 'none', 'important');
+          declutterHiddenCount++;
+        });
+      } catch (e) {}
+    });
+
+    // ── Hide iframes from Google ad networks ──
+    document.querySelectorAll('iframe').forEach(iframe => {
+      if (iframe.getAttribute('data-tm-a11y-decluttered')) return;
+      if (!isSafeToHide(iframe)) return;
+
+      const id = (iframe.id || '').toLowerCase();
+      const src = (iframe.src || '').toLowerCase();
+
+      if (/google_ads|doubleclick|googlesyndication|adservice|sadbundle/.test(id + src)) {
+        const target = findAdWrapper(iframe);
+        if (!isSafeToHide(target)) return;
+
+        if (!target.getAttribute('data-tm-a11y-decluttered')) {
+          target.setAttribute('data-tm-a11y-decluttered', 'true');
+          target.style.setProperty('display', 'none', 'important');
+          declutterHiddenCount++;
+        }
+      }
+    });
+
+    // ── Hide FOMO / urgency elements (not ads, but anxiety-inducing) ──
+    const fomoSelectors = [
+      '[class*="urgency"]', '[class*="countdown"]', '[class*="timer"]',
+      '[data-testid*="urgency"]', '[data-testid*="countdown"]'
+    ];
+    fomoSelectors.forEach(selector => {
+      try {
+        document.querySelectorAll(selector).forEach(el => {
+          if (el.closest('#tm-a11y-companion-panel')) return;
+          if (el.getAttribute('data-tm-a11y-decluttered')) return;
+          if (!isSafeToHide(el)) return;
+          if (el.matches(TIMER_SELECTOR) && classifyTimer(el)) return; // Reservation/queue timers matter (6b)
+          el.setAttribute('data-tm-a11y-decluttered', 'true');
+          el.style.setProperty('display', 'none', 'important');
+          declutterHiddenCount++;
+        });
+      } catch (e) {}
+    });
+
+    if (declutterHiddenCount > 0) {
+      console.log(`[A11y Helper] Declutter: hidden ${declutterHiddenCount} ad/FOMO elements`);
+    }
+  }
+
+  function removeDeclutter() {
+    if (declutterStyleElement) {
+      declutterStyleElement.remove();
+      declutterStyleElement = null;
+    }
+    document.getElementById('tm-a11y-declutter-styles')?.remove();
+
+    document.querySelectorAll('[data-tm-a11y-decluttered]').forEach(el => {
+      el.style.removeProperty('display');
+      el.removeAttribute('data-tm-a11y-decluttered');
+    });
+
+    declutterHiddenCount = 0;
+  }
+
+
+  // ══════════════════════════════════════════════════════════════
+  // 6a. URGENCY TEXT — NEUTRAL WORDING
+  // ══════════════════════════════════════════════════════════════
+  //
+  // Most pressure messages ("Only 3 left!", "Selling fast", "12 people
+  // are looking", "Prices may rise") are plain text with no tell-tale
+  // class name, so declutter's selectors miss them. This engine reads
+  // the page's text nodes against per-language pattern packs and either
+  // rewords a phrase ("Only 3 left!" → "3 available") or, when there is
+  // nothing neutral to say, removes it.
+  //
+  // Declutter once hid whole elements by text pattern and took real UI
+  // with it, so this stays narrow: an element is only hidden when the
+  // phrase is essentially all of its text, and never if it is a listing
+  // card or holds the seat map. Otherwise just the phrase is blanked.
+  // Every change is logged with its reason for the Tools tab.
+  // ══════════════════════════════════════════════════════════════
+
+  const URGENCY_KINDS = {
+    scarcity: 'Scarcity pressure: how few are left',
+    popularity: 'Social pressure: how many others are looking',
+    demand: 'Demand pressure: "selling fast" and similar',
+    price: 'Price pressure: warnings that prices will rise',
+    time: 'Time pressure: "act now" and similar'
+  };
+
+  /**
+   * Pattern packs by language. `neutral` rewrites the match (using the
+   * regex groups); null means the phrase is removed. English is always
+   * used, as all three sites mix English into translated pages.
+   */
+  const URGENCY_PATTERN_PACKS = {
+    en: [
+      { kind: 'scarcity', re: /\b(?:only|just)\s+(\d+)\s+(?:tickets?\s+|seats?\s+)?(?:left|remaining)\b!*/i, neutral: '$1 available' },
+      { kind: 'scarcity', re: /\b(?:almost|nearly)\s+(?:gone|sold out)\b!*/i, neutral: null },
+      { kind: 'scarcity', re: /\blimited\s+(?:availability|tickets)\b!*/i, neutral: null },
+      { kind: 'demand', re: /\b(?:selling|going)\s+fast\b!*/i, neutral: null },
+      { kind: 'demand', re: /\b(?:in\s+)?high\s+demand\b!*/i, neutral: null },
+      { kind: 'demand', re: /\b(?:hot\s+tickets?|popular\s+choice|trending(?:\s+now)?)\b!*/i, neutral: null },
+      { kind: 'demand', re: /\b\d+\s+(?:tickets?\s+)?(?:sold|booked)\s+in\s+the\s+(?:last|past)\s+[\w\s]{1,12}?\b(?:hours?|minutes?|days?)\b/i, neutral: null },
+      { kind: 'popularity', re: /\b\d+\s+(?:other\s+)?(?:people|others|fans|users)\s+(?:are\s+)?(?:looking|viewing|watching)(?:\s+at\s+(?:this|these)(?:\s+(?:event|tickets?))?)?(?:\s+right\s+now)?\b/i, neutral: null },
+      { kind: 'price', re: /\bprices?\s+(?:may|might|could|will|are\s+likely\s+to|are\s+about\s+to)\s+(?:rise|increase|go\s+up)\b!*/i, neutral: null },
+      { kind: 'time', re: /\b(?:don'?t|do\s+not)\s+miss\s+out\b!*/i, neutral: null },
+      { kind: 'time', re: /\b(?:last\s+chance|act\s+(?:now|fast)|hurry(?:\s+up)?|book\s+now\s+before\s+it'?s\s+too\s+late)\b!*/i, neutral: null }
+    ],
+    de: [
+      { kind: 'scarcity', re: /\bnur\s+noch\s+(\d+)\s+(?:Tickets?\s+)?(?:verfügbar|übrig)\b!*/i, neutral: '$1 verfügbar' },
+      { kind: 'scarcity', re: /\bfast\s+ausverkauft\b!*/i, neutral: null },
+      { kind: 'demand', re: /\b(?:hohe\s+Nachfrage|schnell\s+(?:ausverkauft|vergriffen))\b!*/i, neutral: null },
+      { kind: 'popularity', re: /\b\d+\s+(?:Personen|Leute|Fans)\s+(?:sehen\s+sich|schauen\s+sich|betrachten)[^.!]{0,30}/i, neutral: null },
+      { kind: 'price', re: /\bPreise\s+(?:können|könnten|werden)\s+steigen\b!*/i, neutral: null }
+    ],
+    fr: [
+      { kind: 'scarcity', re: /\bplus\s+que\s+(\d+)\s+(?:billets?\s+|places?\s+)?(?:restant(?:e)?s?|disponibles?)\b!*/i, neutral: '$1 disponibles' },
+      { kind: 'scarcity', re: /\bpresque\s+épuisé(?:e)?s?(?!\w)!*/i, neutral: null },
+      { kind: 'demand', re: /\b(?:forte\s+demande|se\s+vend(?:ent)?\s+vite)\b!*/i, neutral: null },
+      { kind: 'popularity', re: /\b\d+\s+personnes\s+(?:regardent|consultent)[^.!]{0,30}/i, neutral: null },
+      { kind: 'price', re: /\b(?:les\s+)?prix\s+(?:peuvent|pourraient|vont)\s+augmenter\b!*/i, neutral: null }
+    ],
+    es: [
+      { kind: 'scarcity', re: /\bs[óo]lo\s+quedan\s+(\d+)(?:\s+entradas)?\b!*/i, neutral: '$1 disponibles' },
+      { kind: 'scarcity', re: /\bcasi\s+agotad[oa]s?\b!*/i, neutral: null },
+      { kind: 'demand', re: /\b(?:alta\s+demanda|se\s+agota(?:n)?\s+r[áa]pido)\b!*/i, neutral: null },
+      { kind: 'popularity', re: /\b\d+\s+personas\s+(?:est[áa]n\s+)?(?:viendo|mirando)[^.!]{0,30}/i, neutral: null },
+      { kind: 'price', re: /\b(?:los\s+)?precios\s+(?:pueden|podr[íi]an|van\s+a)\s+subir\b!*/i, neutral: null }
+    ],
+    nl: [
+      { kind: 'scarcity', re: /\bnog\s+(?:maar\s+)?(\d+)\s+(?:tickets?\s+)?(?:over|beschikbaar)\b!*/i, neutral: '$1 beschikbaar' },
+      { kind: 'scarcity', re: /\bbijna\s+uitverkocht\b!*/i, neutral: null },
+      { kind: 'demand', re: /\b(?:veel\s+vraag|snel\s+uitverkocht)\b!*/i, neutral: null },
+      { kind: 'popularity', re: /\b\d+\s+(?:mensen|personen)\s+(?:bekijken|kijken)[^.!]{0,30}/i, neutral: null },
+      { kind: 'price', re: /\bprijzen\s+(?:kunnen|zullen)\s+stijgen\b!*/i, neutral: null }
+    ]
+  };
+
+  const URGENCY_MODE_OPTIONS = [
+    { value: 'off', label: 'Leave as they are' },
+    { value: 'neutral', label: 'Reword calmly (remove if no calm wording)' },
+    { value: 'hide', label: 'Remove them' }
+  ];
+  const URGENCY_HIDE_SLACK = 12;  // Extra characters allowed around a phrase before we stop hiding the element
+  const URGENCY_LOG_MAX = 50;
+
+  let urgencyLog = [];               // { original, replacement, kind } — newest first, deduped by text
+  let urgencyLogOpen = false;
+  let _urgencyEdits = new Map();     // text node → { original, written } for nodes we rewrote
+  let _urgencySeen = new WeakMap();  // text node → its value when last checked (or as we wrote it)
+  let _urgencyTextObserver = null;   // Catches in-place updates ("12 people…" → "13 people…")
+
+  /** Page language plus English, e.g. ['de', 'en'] on ticketmaster.de */
+  function getUrgencyPatterns() {
+    const pageLang = (document.documentElement.lang || navigator.language || 'en').slice(0, 2).toLowerCase();
+    const langs = pageLang !== 'en' && URGENCY_PATTERN_PACKS[pageLang] ? [pageLang, 'en'] : ['en'];
+    return langs.flatMap(lang => URGENCY_PATTERN_PACKS[lang]);
+  }
+
+  function logUrgencyChange(original, replacement, kind) {
+    const text = original.trim().replace(/[<>]/g, ''); // Page text goes into panel HTML
+    urgencyLog = urgencyLog.filter(e => e.original !== text);
+    urgencyLog.unshift({ original: text, replacement, kind });
+    if (urgencyLog.length > URGENCY_LOG_MAX) urgencyLog.length = URGENCY_LOG_MAX;
+  }
+
+  /** Small element whose whole text is the phrase — safe to hide outright */
+  function urgencyHideTarget(textNode, match) {
+    const el = textNode.parentElement;
+    if (!el || el === document.body) return null;
+    if (el.closest('[data-tm-a11y-listing], a, button')) return null; // Never hide a listing or a control
+    if (el.querySelector('svg, canvas, input, select, button')) return null;
+    const text = (el.textContent || '').trim();
+    return text.length <= match.length + URGENCY_HIDE_SLACK ? el : null;
+  }
+
+  /**
+   * A text node worth checking: page text, not ours, and not already
+   * checked at its current value. A node the site has rewritten in
+   * place since we looked is checked again.
+   */
+  function isUrgencyCandidate(node) {
+    if (_urgencySeen.get(node) === node.nodeValue) return false;
+    const parent = node.parentElement;
+    if (!parent || /^(SCRIPT|STYLE|NOSCRIPT|TEXTAREA|INPUT)$/.test(parent.tagName)) return false;
+    if (parent.closest('#tm-a11y-companion-panel, #tm-a11y-panel-tab, [data-tm-a11y-urgency-hidden]')) return false;
+    return node.nodeValue.trim().length >= 6;
+  }
+
+  /** Re-check text nodes the site updates in place — childList mutations miss these */
+  function watchUrgencyText() {
+    if (_urgencyTextObserver || !document.body) return;
+    _urgencyTextObserver = new MutationObserver((mutations) => {
+      const nodes = new Set();
+      mutations.forEach(m => { if (m.target.nodeType === Node.TEXT_NODE) nodes.add(m.target); });
+      if (nodes.size > 0) applyUrgencyNeutraliser(Array.from(nodes));
+    });
+    _urgencyTextObserver.observe(document.body, { characterData: true, subtree: true });
+  }
+
+  /** Walk the page, or just `changedNodes` when the text observer passes them */
+  function applyUrgencyNeutraliser(changedNodes) {
+    const mode = currentPreferences.urgencyMode || 'off';
+    if (mode === 'off' || !document.body) return;
+    watchUrgencyText();
+
+    // Nodes the site has thrown away (SPA re-renders, live refresh) — don't keep them alive
+    _urgencyEdits.forEach((edit, node) => { if (!node.isConnected) _urgencyEdits.delete(node); });
+
+    const patterns = getUrgencyPatterns();
+    let nodes;
+    if (changedNodes) {
+      nodes = changedNodes.filter(node => node.isConnected && isUrgencyCandidate(node));
+    } else {
+      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => isUrgencyCandidate(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+      });
+      nodes = [];
+      while (walker.nextNode()) nodes.push(walker.currentNode);
+    }
+
+    let changed = 0;
+    nodes.forEach(node => {
+      const original = node.nodeValue;
+      _urgencySeen.set(node, original);
+      _urgencyEdits.delete(node); // The site has replaced whatever we wrote
+      let text = original;
+
+      for (const p of patterns) {
+        const match = p.re.exec(text);
+        if (!match) continue;
+
+        const reword = mode === 'neutral' && p.neutral !== null;
+        if (!reword) {
+          const target = urgencyHideTarget(node, match[0]);
+          if (target) {
+            target.setAttribute('data-tm-a11y-urgency-hidden', p.kind);
+            target.style.setProperty('display', 'none', 'important');
+            logUrgencyChange(target.textContent, null, p.kind);
+            changed++;
+            text = original; // Nothing to rewrite — the element is gone
+            break;
+          }
+        }
+        const replacement = reword ? match[0].replace(p.re, p.neutral) : '';
+        text = text.replace(p.re, replacement);
+        logUrgencyChange(match[0], replacement || null, p.kind);
+        changed++;
+      }
+
+      if (text !== original) {
+        const written = text.replace(/\s{2,}/g, ' ');
+        _urgencyEdits.set(node, { original, written });
+        _urgencySeen.set(node, written);
+        node.nodeValue = written;
+      }
+    });
+
+    if (changed > 0) {
+      console.log(`[A11y Helper] Urgency text: ${changed} pressure messages ${mode === 'hide' ? 'removed' : 'reworded or removed'}`);
+      if (panelElement && currentPanelTab === 'tools') renderPanelContent();
+    }
+  }
+
+  function removeUrgencyNeutraliser() {
+    _urgencyTextObserver?.disconnect();
+    _urgencyTextObserver = null;
+    // Only undo our own wording — text the site has since updated is newer than our copy
+    _urgencyEdits.forEach(({ original, written }, node) => {
+      if (node.isConnected && node.nodeValue === written) node.nodeValue = original;
+    });
+    document.querySelectorAll('[data-tm-a11y-urgency-hidden]').forEach(el => {
+      el.style.removeProperty('display');
+      el.removeAttribute('data-tm-a11y-urgency-hidden');
+    });
+    _urgencyEdits = new Map();
+    _urgencySeen = new WeakMap();
+    urgencyLog = [];
+  }
+
+  /** Tools tab: mode select plus the list of what was changed and why */
+  function renderUrgencySection() {
+    const mode = currentPreferences.urgencyMode || 'off';
+    const listId = 'tmA11yUrgencyLog';
+    return `
+      <div class="tm-a11y-tool-section">
+        <label class="tm-a11y-tool-label" for="tmA11yUrgencyMode">Pressure messages</label>
+        <select id="tmA11yUrgencyMode" class="tm-a11y-select">
+          ${URGENCY_MODE_OPTIONS.map(o =>
+            `<option value="${o.value}" ${mode === o.value ? 'selected' : ''}>${o.label}</option>`
+          ).join('')}
+        </select>
+        <p class="tm-a11y-tool-hint">Finds phrases like "Only 3 left!", "Selling fast" or "Prices may rise" in the ticket site's text.</p>
+        ${mode !== 'off' && urgencyLog.length > 0 ? `
+        <button type="button" class="tm-a11y-text-btn" id="tmA11yUrgencyLogToggle"
+                aria-expanded="${urgencyLogOpen}" aria-controls="${listId}">
+          ${urgencyLogOpen ? 'Hide' : 'Show'} what was changed (${urgencyLog.length})
+        </button>
+        ${urgencyLogOpen ? `
+        <ul class="tm-a11y-urgency-log" id="${listId}">
+          ${urgencyLog.map(e => `
+            <li class="tm-a11y-urgency-item">
+              <span class="tm-a11y-urgency-original">"${e.original}"</span>
+              <span class="tm-a11y-urgency-action">${e.replacement ? `Reworded to "${e.replacement}"` : 'Removed'}</span>
+              <span class="tm-a11y-urgency-reason">${URGENCY_KINDS[e.kind] || e.kind}</span>
+            </li>`).join('')}
+        </ul>` : ''}` : ''}
+      </div>`;
+  }
+
+  function attachUrgencyListeners() {
+    document.getElementById('tmA11yUrgencyMode')?.addEventListener('change', (e) => {
+      currentPreferences.urgencyMode = e.target.value;
+      removeUrgencyNeutraliser();
+      applyUrgencyNeutraliser();
+      renderPanelContent();
+      broadcastPreferences();
+    });
+
+    document.getElementById('tmA11yUrgencyLogToggle')?.addEventListener('click', () => {
+      urgencyLogOpen = !urgencyLogOpen;
+      renderPanelContent();
+      document.getElementById('tmA11yUrgencyLogToggle')?.focus();
+    });
+  }
+
+
+  // ══════════════════════════════════════════════════════════════
+  // 6b. CALM TIMER — RESERVATION & QUEUE COUNTDOWNS
+  // ══════════════════════════════════════════════════════════════
+  //
+  // A basket-reservation countdown is real information, not FOMO, but
+  // the host's version usually pulses or turns red near the end, and
+  // declutter's `[class*="timer"]` rule could hide it outright. Timers
+  // are classified by the text around them: reservation and queue
+  // timers are kept out of declutter, and with the calm timer on, the
+  // host's copy is hidden and replaced by one steady timer at the top
+  // of the panel — exact ("6:12") or rounded ("About 6 minutes left").
+  //
+  // The host element stays in the DOM (just hidden) and is re-read on
+  // every tick, so our timer follows the site's own clock. Reminders
+  // at 5, 2 and 1 minute are a line in the panel plus a polite
+  // screen-reader announcement — no sound, no flashing.
+  // ══════════════════════════════════════════════════════════════
+
+  const TIMER_SELECTOR =
+    '[role="timer"], [class*="timer"], [class*="Timer"], [class*="countdown"], [class*="Countdown"], ' +
+    '[data-testid*="timer"], [data-testid*="countdown"]';
+  const RESERVATION_CONTEXT = /reserv|held|hold|basket|cart|checkout|complete your|expire|time (?:left|remaining)|remaining to/i;
+  const QUEUE_CONTEXT = /queue|waiting room|in line|your turn|estimated wait/i;
+  const PROMO_CONTEXT = /pre-?sale|on sale|sale (?:ends|starts)|offer ends|deal ends|starts in/i;
+  const CALM_TIMER_REMINDERS = [
+    { at: 300, text: '5 minutes left to finish checking out.' },
+    { at: 120, text: '2 minutes left to finish checking out.' },
+    { at: 60, text: '1 minute left. When the timer ends the site may release your seats.' }
+  ];
+  const CALM_TIMER_MODE_OPTIONS = [
+    { value: 'off', label: "Leave the site's timer as it is" },
+    { value: 'exact', label: 'Steady timer in this panel' },
+    { value: 'coarse', label: 'Steady timer, rounded to minutes' }
+  ];
+
+  const CALM_TIMER_EXPIRED_HOLD_MS = 60000; // How long "Time's up" stays before the box goes
+
+  let calmTimer = null;    // { el, kind, deadline, reminded, note, expiredAt } while a timer is shown
+  let _calmTimerTick = null;
+
+  /** Seconds in "09:45", "1:02:30" or "6 minutes 10 seconds"; null if none */
+  function parseTimerSeconds(text) {
+    let m = /\b(\d{1,2}):([0-5]\d)(?::([0-5]\d))?\b/.exec(text || '');
+    if (m) {
+      return m[3] !== undefined
+        ? parseInt(m[1]) * 3600 + parseInt(m[2]) * 60 + parseInt(m[3])
+        : parseInt(m[1]) * 60 + parseInt(m[2]);
+    }
+    m = /\b(\d{1,3})\s*(?:minutes?|mins?)\b(?:\s*(?:and\s*)?(\d{1,2})\s*(?:seconds?|secs?|s)\b)?/i.exec(text || '');
+    return m ? parseInt(m[1]) * 60 + parseInt(m[2] || 0) : null;
+  }
+
+  /**
+   * 'reservation', 'queue' or null (a promotional countdown, or a time
+   * we can't place). Reads the element plus up to two small ancestors.
+   */
+  function classifyTimer(el) {
+    let context = el.textContent || '';
+    let node = el.parentElement;
+    for (let i = 0; i < 2 && node && node !== document.body; i++, node = node.parentElement) {
+      const text = node.textContent || '';
+      if (text.length > 300) break;
+      context = text;
+    }
+    if (PROMO_CONTEXT.test(context)) return null;
+    if (QUEUE_CONTEXT.test(context)) return 'queue';
+    if (RESERVATION_CONTEXT.test(context)) return 'reservation';
+    return null;
+  }
+
+  function findHostTimer() {
+    for (const el of document.querySelectorAll(TIMER_SELECTOR)) {
+      if (el.closest('#tm-a11y-companion-panel')) continue;
+      const seconds = parseTimerSeconds(el.textContent);
+      if (!seconds) continue; // A stopped 0:00 is a finished timer, not a new one
+      const kind = classifyTimer(el);
+      if (kind) return { el, kind, seconds };
+    }
+    return null;
+  }
+
+  /**
+   * Look for a timer when the page changes; keeps following one already
+   * found. After expiry any running timer counts as a new one — the
+   * site may start a fresh reservation in the same element.
+   */
+  function scanForCalmTimer() {
+    if ((currentPreferences.calmTimerMode || 'off') === 'off') return;
+    if (calmTimer?.el.isConnected && !calmTimer.expiredAt) return;
+
+    const found = findHostTimer();
+    if (!found) return;
+
+    const isNew = !calmTimer || !!calmTimer.expiredAt;
+    calmTimer = {
+      el: found.el,
+      kind: found.kind,
+      deadline: Date.now() + found.seconds * 1000,
+      reminded: isNew ? CALM_TIMER_REMINDERS.filter(r => found.seconds <= r.at).map(r => r.at) : calmTimer.reminded,
+      note: isNew ? '' : calmTimer.note,
+      expiredAt: null
+    };
+    syncHostTimerVisibility();
+
+    if (isNew) {
+      console.log(`[A11y Helper] ⏱ Calm timer: following a ${found.kind} timer (${found.seconds}s)`);
+      announceToScreenReader(found.kind === 'queue'
+        ? `Queue timer found: ${formatCalmTimer(found.seconds)}. It is shown steadily in the companion panel.`
+        : `Your seats are held: ${formatCalmTimer(found.seconds)}. A steady timer is shown in the companion panel.`);
+    }
+    clearInterval(_calmTimerTick);
+    _calmTimerTick = setInterval(tickCalmTimer, 1000);
+    if (panelElement) renderPanelContent();
+  }
+
+  function getCalmTimerSeconds() {
+    return calmTimer ? Math.max(0, Math.round((calmTimer.deadline - Date.now()) / 1000)) : 0;
+  }
+
+  function formatCalmTimer(seconds) {
+    if (seconds <= 0) return calmTimer?.kind === 'queue' ? 'It should be your turn soon' : "Time's up";
+    if (currentPreferences.calmTimerMode === 'coarse') {
+      if (seconds < 60) return 'Less than a minute left';
+      const minutes = Math.round(seconds / 60);
+      return `About ${minutes} minute${minutes === 1 ? '' : 's'} left`;
+    }
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  /**
+   * The site's own timer is only hidden while the panel — where our
+   * steady copy lives — is open. With the panel closed, or once our
+   * timer has run out, the user sees the site's version.
+   */
+  function syncHostTimerVisibility() {
+    const hidden = calmTimer && !calmTimer.expiredAt && currentPreferences.panelOpen ? calmTimer.el : null;
+    document.querySelectorAll('[data-tm-a11y-timer-hidden]').forEach(el => {
+      if (el === hidden) return;
+      el.style.removeProperty('display');
+      el.removeAttribute('data-tm-a11y-timer-hidden');
+    });
+    if (hidden && !hidden.hasAttribute('data-tm-a11y-timer-hidden')) {
+      hidden.setAttribute('data-tm-a11y-timer-hidden', calmTimer.kind);
+      hidden.style.setProperty('display', 'none', 'important');
+    }
+  }
+
+  /** Once a second: re-sync with the host's clock, update text, send reminders */
+  function tickCalmTimer() {
+    if (!calmTimer) return;
+
+    if (calmTimer.expiredAt) {
+      scanForCalmTimer(); // A new reservation replaces "Time's up"
+      if (calmTimer.expiredAt && Date.now() - calmTimer.expiredAt > CALM_TIMER_EXPIRED_HOLD_MS) {
+        stopCalmTimer();
+        if (panelElement) renderPanelContent();
+      }
+      return;
+    }
+
+    if (calmTimer.el.isConnected) {
+      const seconds = parseTimerSeconds(calmTimer.el.textContent);
+      if (seconds !== null) calmTimer.deadline = Date.now() + seconds * 1000;
+    } else {
+      scanForCalmTimer(); // Re-rendered elsewhere; keep our own deadline meanwhile
+    }
+
+    const remaining = getCalmTimerSeconds();
+    if (calmTimer.kind === 'reservation') {
+      CALM_TIMER_REMINDERS.forEach(r => {
+        if (remaining > r.at || calmTimer.reminded.includes(r.at)) return;
+        calmTimer.reminded.push(r.at);
+        calmTimer.note = r.text;
+        announceToScreenReader(r.text);
+      });
+    }
+
+    const value = document.getElementById('tmA11yCalmTimerValue');
+    const note = document.getElementById('tmA11yCalmTimerNote');
+    const text = formatCalmTimer(remaining);
+    if (value && value.textContent !== text) value.textContent = text;
+    if (note && note.textContent !== calmTimer.note) note.textContent = calmTimer.note;
+
+    if (remaining <= 0) {
+      calmTimer.expiredAt = Date.now();
+      syncHostTimerVisibility();
+      announceToScreenReader(text);
+    }
+  }
+
+  /** Stop following the timer and give the host its own copy back */
+  function stopCalmTimer() {
+    clearInterval(_calmTimerTick);
+    _calmTimerTick = null;
+    calmTimer = null;
+    syncHostTimerVisibility();
+  }
+
+  function renderCalmTimer() {
+    if (!calmTimer) return '';
+    const queue = calmTimer.kind === 'queue';
+    return `
+      <div class="tm-a11y-calm-timer" role="timer" aria-label="${queue ? 'Estimated queue wait' : 'Time left on your seat reservation'}">
+        <div class="tm-a11y-calm-timer-label">${queue ? 'Estimated wait in the queue' : 'Your seats are held for'}</div>
+        <div class="tm-a11y-calm-timer-value" id="tmA11yCalmTimerValue">${formatCalmTimer(getCalmTimerSeconds())}</div>
+        <p class="tm-a11y-calm-timer-note" id="tmA11yCalmTimerNote">${calmTimer.note}</p>
+      </div>`;
+  }
+
+  function renderCalmTimerSetting() {
+    const mode = currentPreferences.calmTimerMode || 'off';
+    return `
+      <div class="tm-a11y-tool-section">
+        <label class="tm-a11y-tool-label" for="tmA11yCalmTimerMode">Reservation timer</label>
+        <select id="tmA11yCalmTimerMode" class="tm-a11y-select">
+          ${CALM_TIMER_MODE_OPTIONS.map(o =>
+            `<option value="${o.value}" ${mode === o.value ? 'selected' : ''}>${o.label}</option>`
+          ).join('')}
+        </select>
+        <p class="tm-a11y-tool-hint">Replaces the site's checkout or queue countdown with a steady one at the top of this panel, with quiet reminders at 5, 2 and 1 minutes.</p>
+      </div>`;
+  }
+
+  function attachCalmTimerListeners() {
+    document.getElementById('tmA11yCalmTimerMode')?.addEventListener('change', (e) => {
+      currentPreferences.calmTimerMode = e.target.value;
+      if (e.target.value === 'off') stopCalmTimer();
+      else scanForCalmTimer();
+      renderPanelContent();
+      broadcastPreferences();
+    });
+  }
+
+
+  // ══════════════════════════════════════════════════════════════
+  // 7. ANIMATION FREEZE — STOP ALL HOST PAGE MOTION
+  // ══════════════════════════════════════════════════════════════
+
+  /**
+   * Animation freeze injects a global CSS rule that stops ALL animations,
+   * transitions, and scroll behaviours on the host page.
+   * 
+   * This goes beyond the existing `prefers-reduced-motion` CSS which only
+   * affects our own panel elements. This affects TM's own:
+   * - Seat map hover effects and pulsing dots
+   * - Loading spinners and skeleton screens
+   * - Carousel auto-scrolling
+   * - Banner transitions and fade effects
+   * - SVG <animate> elements in seat maps
+   * 
+   * Targets autistic sensory processing (unexpected motion is distressing)
+   * and ADHD attention capture (motion involuntarily pulls focus).
+   */
+  function applyAnimationFreeze() {
+    removeAnimationFreeze();
+    
+    if (!currentPreferences.animationFreezeEnabled) return;
+
+    animationFreezeStyleElement = document.createElement('style');
+    animationFreezeStyleElement.id = 'tm-a11y-animation-freeze';
+    animationFreezeStyleElement.textContent = `
+      /* Global animation/transition freeze — excludes our own panel */
+      *:not(#tm-a11y-companion-panel):not(#tm-a11y-companion-panel *):not(#tm-a11y-panel-tab) {
+        animation: none !important;
+        animation-duration: 0s !important;
+        animation-delay: 0s !important;
+        animation-iteration-count: 1 !important;
+        transition: none !important;
+        transition-duration: 0s !important;
+        transition-delay: 0s !important;
+        scroll-behavior: auto !important;
+        will-change: auto !important;
+      }
+      
+      /* Stop SVG animations (seat map pulsing dots, etc.) */
+      svg animate,
+      svg animateTransform,
+      svg animateMotion,
+      svg set {
+        display: none !important;
+      }
+      
+      /* Stop GIF animations by freezing the first frame */
+      img[src$=".gif"]:not(#tm-a11y-companion-panel img) {
+        animation-play-state: paused !important;
+      }
+      
+      /* Stop CSS-based carousels / marquees */
+      [class*="carousel"]:not(#tm-a11y-companion-panel *),
+      [class*="Carousel"]:not(#tm-a11y-companion-panel *),
+      [class*="marquee"]:not(#tm-a11y-companion-panel *),
+      [class*="slider"]:not(#tm-a11y-companion-panel *):not(.tm-a11y-slider),
+      [class*="Slider"]:not(#tm-a11y-companion-panel *) {
+        animation: none !important;
+        transition: none !important;
+        overflow: hidden !important;
+      }
+      
+      /* Freeze auto-playing video elements */
+      video:not(#tm-a11y-companion-panel video) {
+        animation-play-state: paused !important;
+      }
+    `;
+    document.head.appendChild(animationFreezeStyleElement);
+
+    // Also pause any auto-playing videos on the page
+    document.querySelectorAll('video').forEach(v => {
+      if (!v.closest('#tm-a11y-companion-panel')) {
+        try { v.pause(); } catch (e) {}
+      }
+    });
+
+    console.log('[A11y Helper] Animation freeze: all page motion stopped');
+  }
+
+  function removeAnimationFreeze() {
+    if (animationFreezeStyleElement) {
+      animationFreezeStyleElement.remove();
+      animationFreezeStyleElement = null;
+    }
+    document.getElementById('tm-a11y-animation-freeze')?.remove();
+  }
+
+
+  // ══════════════════════════════════════════════════════════════
+  // 7a. CALM SKIN — PAGE-WIDE SENSORY RESTYLING
+  // ══════════════════════════════════════════════════════════════
+  //
+  // Colour schemes only reach our panel and map highlights. The calm
+  // skin restyles the host page itself, tuned by the active scheme's
+  // `calmSkin` values:
+  //   - photos, video, hero and promo banners are desaturated and dimmed
+  //   - the page background becomes one flat surface colour; patterned
+  //     and textured backgrounds are dropped
+  //   - listing cards (tagged by the scrapers, see markListingCard())
+  //     get more spacing and 44px click targets
+  //   - loud brand and urgency reds are recoloured in the scheme's calm
+  //     tone (a computed-style pass, re-run as the page adds content)
+  //
+  // Filters go on individual media and banner elements, never on body
+  // or an app root, because a filter there would break the page's
+  // fixed-position headers and dialogs.
+  // ══════════════════════════════════════════════════════════════
+
+  const CALM_TONE_SELECTOR =
+    'button, a, [role="button"], [data-tm-a11y-listing] *, ' +
+    '[class*="badge"], [class*="Badge"], [class*="tag"], [class*="Tag"], [class*="label"], [class*="Label"]';
+
+  let _calmChecked = new WeakSet(); // Elements the tone pass has already looked at
+
+  /** Tag a scraped listing card so the calm skin can space it out */
+  function markListingCard(el) {
+    if (!el.hasAttribute('data-tm-a11y-listing')) el.setAttribute('data-tm-a11y-listing', '');
+  }
+
+  function getCalmSkinTuning() {
+    return (COLOUR_SCHEMES[currentPreferences.colourScheme] || COLOUR_SCHEMES['default']).calmSkin;
+  }
+
+  function applyCalmSkin() {
+    removeCalmSkin();
+
+    if (!currentPreferences.calmSkinEnabled) return;
+
+    calmSkinScheme = currentPreferences.colourScheme;
+    const t = getCalmSkinTuning();
+    const ours = ':not(#tm-a11y-companion-panel *):not(#tm-a11y-panel-tab *)';
+    const noMap = ':not(:has(svg, canvas, [data-tm-a11y-listing]))';
+
+    calmSkinStyleElement = document.createElement('style');
+    calmSkinStyleElement.id = 'tm-a11y-calm-skin';
+    calmSkinStyleElement.textContent = `
+      /* One flat, quiet surface behind everything */
+      html, body {
+        background-color: ${t.surface} !important;
+        background-image: none !important;
+      }
+      [class*="pattern"]${ours}, [class*="Pattern"]${ours},
+      [class*="texture"]${ours}, [class*="Texture"]${ours} {
+        background-image: none !important;
+      }
+
+      /* Photos, video and banners — less colour, less glare */
+      img${ours}, picture${ours}, video${ours}, iframe${ours},
+      [class*="hero"]${ours}${noMap}, [class*="Hero"]${ours}${noMap},
+      [class*="banner"]${ours}${noMap}, [class*="Banner"]${ours}${noMap},
+      [class*="promo"]${ours}${noMap}, [class*="Promo"]${ours}${noMap} {
+        filter: saturate(${t.saturate}) brightness(${t.brightness}) contrast(${t.contrast}) !important;
+      }
+
+      /* Listing cards — room to breathe, targets that are easy to hit */
+      [data-tm-a11y-listing] {
+        padding: 12px 14px !important;
+        margin-block: 6px !important;
+        line-height: 1.5 !important;
+      }
+      [data-tm-a11y-listing] button,
+      [data-tm-a11y-listing] a,
+      [data-tm-a11y-listing] [role="button"] {
+        min-height: 44px !important;
+        min-width: 44px !important;
+      }
+    `;
+    document.head.appendChild(calmSkinStyleElement);
+
+    toneDownLoudReds();
+    console.log(`[A11y Helper] Calm skin applied (${currentPreferences.colourScheme || 'default'} scheme)`);
+  }
+
+  function parseRGB(value) {
+    const m = /rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/.exec(value || '');
+    if (!m || m[4] === '0') return null; // Transparent
+    return [parseInt(m[1]), parseInt(m[2]), parseInt(m[3])];
+  }
+
+  /** Saturated red or pink-red — TM's brand and "selling fast" colour */
+  function isLoudRed(rgb) {
+    if (!rgb) return false;
+    const [r, g, b] = rgb.map(v => v / 255);
+    const max = Math.max(r, g, b);
+    const chroma = max - Math.min(r, g, b);
+    if (max !== r || chroma < 0.35 || max < 0.45) return false;
+    const hue = ((g - b) / chroma) * 60; // -60 (magenta) … 60 (yellow)
+    return hue > -30 && hue < 25;
+  }
+
+  /**
+   * Recolour loud reds in the scheme's calm tone. Original inline
+   * values are kept in `data-tm-a11y-calm-tone` so removal is exact.
+   */
+  function toneDownLoudReds() {
+    if (!currentPreferences.calmSkinEnabled) return;
+    const t = getCalmSkinTuning();
+    let toned = 0;
+
+    document.querySelectorAll(CALM_TONE_SELECTOR).forEach(el => {
+      if (_calmChecked.has(el)) return;
+      _calmChecked.add(el);
+      if (el.closest('#tm-a11y-companion-panel, #tm-a11y-panel-tab')) return;
+
+      const style = window.getComputedStyle(el);
+      const loudBg = isLoudRed(parseRGB(style.backgroundColor));
+      const loudText = !loudBg && isLoudRed(parseRGB(style.color));
+      if (!loudBg && !loudText) return;
+
+      el.setAttribute('data-tm-a11y-calm-tone', JSON.stringify({
+        color: el.style.color, background: el.style.backgroundColor, border: el.style.borderColor
+      }));
+      if (loudBg) {
+        el.style.setProperty('background-color', t.toneBg, 'important');
+        el.style.setProperty('border-color', t.toneBg, 'important');
+        el.style.setProperty('color', t.toneText, 'important');
+      } else {
+        el.style.setProperty('color', t.tone, 'important');
+      }
+      toned++;
+    });
+
+    if (toned > 0) console.log(`[A11y Helper] Calm skin: toned down ${toned} red elements`);
+  }
+
+  function removeCalmSkin() {
+    if (calmSkinStyleElement) {
+      calmSkinStyleElement.remove();
+      calmSkinStyleElement = null;
+    }
+    document.getElementById('tm-a11y-calm-skin')?.remove();
+    calmSkinScheme = null;
+
+    document.querySelectorAll('[data-tm-a11y-calm-tone]').forEach(el => {
+      let original = {};
+      try { original = JSON.parse(el.getAttribute('data-tm-a11y-calm-tone')) || {}; } catch (e) {}
+      el.style.removeProperty('color');
+      el.style.removeProperty('background-color');
+      el.style.removeProperty('border-color');
+      if (original.color) el.style.color = original.color;
+      if (original.background) el.style.backgroundColor = original.background;
+      if (original.border) el.style.borderColor = original.border;
+      el.removeAttribute('data-tm-a11y-calm-tone');
+    });
+    _calmChecked = new WeakSet();
+  }
+
+
+  // ══════════════════════════════════════════════════════════════
+  // 8a. SENSORY PROFILE SYSTEM
+  // ══════════════════════════════════════════════════════════════
+
+  /** Get all profiles: built-in + custom, in display order */
+  function getAllProfiles() {
+    return [...BUILT_IN_PROFILES, ...customProfiles];
+  }
+
+  /** Get the currently active profile object (or null) */
+  function getActiveProfile() {
+    if (!activeProfileId) return null;
+    return getAllProfiles().find(p => p.id === activeProfileId) || null;
+  }
+
+  /**
+   * Apply a sensory profile — merges its settings into currentPreferences,
+   * then triggers all visual updates (colour scheme, typography, focus mode, etc.)
+   */
+  function applyProfile(profileId) {
+    const profile = getAllProfiles().find(p => p.id === profileId);
+    if (!profile) {
+      activeProfileId = null;
+      currentPreferences.activeProfileId = null;
+      broadcastPreferences();
+      if (panelElement) renderPanelContent();
+      return;
+    }
+
+    activeProfileId = profileId;
+    currentPreferences.activeProfileId = profileId;
+
+    // Merge profile settings into preferences
+    const s = profile.settings;
+    if (s.colourScheme !== undefined) currentPreferences.colourScheme = s.colourScheme;
+    if (s.fontFamily !== undefined) currentPreferences.fontFamily = s.fontFamily;
+    if (s.fontSize !== undefined) currentPreferences.fontSize = s.fontSize;
+    if (s.lineSpacing !== undefined) currentPreferences.lineSpacing = s.lineSpacing;
+    if (s.focusModeEnabled !== undefined) currentPreferences.focusModeEnabled = s.focusModeEnabled;
+    if (s.declutterEnabled !== undefined) currentPreferences.declutterEnabled = s.declutterEnabled;
+    if (s.animationFreezeEnabled !== undefined) currentPreferences.animationFreezeEnabled = s.animationFreezeEnabled;
+    if (s.calmSkinEnabled !== undefined) currentPreferences.calmSkinEnabled = s.calmSkinEnabled;
+    if (s.urgencyMode !== undefined) currentPreferences.urgencyMode = s.urgencyMode;
+    if (s.calmTimerMode !== undefined) currentPreferences.calmTimerMode = s.calmTimerMode;
+
+    // Load MCDA weights from profile
+    if (profile.mcdaWeights) {
+      currentPreferences.mcdaWeights = { ...profile.mcdaWeights };
+    }
+
+    // Hard seat rules travel with the profile (8a-i-c); older profiles keep the current ones
+    if (Array.isArray(profile.seatConstraints)) {
+      currentPreferences.seatConstraints = profile.seatConstraints.map(r => ({ ...r }));
+    }
+
+    // Apply all visual changes
+    applyColourScheme(currentPreferences.colourScheme);
+    applyTypography();
+    currentAdapter.applyMapHighlights();
+    applyDeclutterMode();
+    applyAnimationFreeze();
+    removeUrgencyNeutraliser();
+    applyUrgencyNeutraliser();
+    if ((currentPreferences.calmTimerMode || 'off') === 'off') stopCalmTimer();
+    else scanForCalmTimer();
+
+    // Save and re-render
+    broadcastPreferences();
+    if (panelElement) renderPanelContent();
+
+    console.log(`[A11y Helper] Profile applied: "${profile.name}"`);
+  }
+
+  /** Create a new custom profile from current settings */
+  function createProfileFromCurrent(name) {
+    const profile = {
+      id: 'custom_' + Date.now(),
+      name: name,
+      builtIn: false,
+      description: '',
+      settings: {
+        focusModeEnabled: currentPreferences.focusModeEnabled,
+        colourScheme: currentPreferences.colourScheme,
+        fontFamily: currentPreferences.fontFamily,
+        fontSize: currentPreferences.fontSize,
+        lineSpacing: currentPreferences.lineSpacing,
+        declutterEnabled: currentPreferences.declutterEnabled,
+        animationFreezeEnabled: currentPreferences.animationFreezeEnabled,
+        calmSkinEnabled: !!currentPreferences.calmSkinEnabled,
+        urgencyMode: currentPreferences.urgencyMode || 'off',
+        calmTimerMode: currentPreferences.calmTimerMode || 'off'
+      },
+      mcdaWeights: getMCDAWeights(),
+      seatConstraints: getSeatConstraints().map(r => ({ ...r }))
+    };
+    customProfiles.push(profile);
+    saveProfilesToStorage();
+    return profile;
+  }
+
+  /** Delete a custom profile by ID */
+  function deleteProfile(profileId) {
+    customProfiles = customProfiles.filter(p => p.id !== profileId);
+    if (activeProfileId === profileId) {
+      activeProfileId = null;
+      currentPreferences.activeProfileId = null;
+      broadcastPreferences();
+    }
+    saveProfilesToStorage();
+  }
+
+  /** Save custom profiles to storage via bridge */
+  function saveProfilesToStorage() {
+    window.postMessage({
+      source: 'tm-a11y-content',
+      type: 'SAVE_PROFILES',
+      profiles: customProfiles
+    }, '*');
+  }
+
+  /** Request profiles from bridge */
+  function requestProfiles() {
+    window.postMessage({
+      source: 'tm-a11y-content',
+      type: 'REQUEST_PROFILES'
+    }, '*');
+  }
+
+
+  // ══════════════════════════════════════════════════════════════
+  // 8a-i. VENUE MODELS — VIEW QUALITY PER VENUE
+  // ══════════════════════════════════════════════════════════════
+  //
+  // Section-number heuristics mean nothing at venues like the O2
+  // ("BL 109") or for named areas. A venue model is a JSON file in
+  // venues/ (or imported via the popup) describing tiers, per-section
+  // overrides, stage layout and known obstructed-view sections.
+  // bridge.js loads bundled + imported models and sends them here;
+  // computeViewQuality() asks the matching model first and falls back
+  // to the generic heuristic when no venue matches.
+  //
+  //   { id, name, match: { venueNames[], urlPatterns[] },
+  //     stage: { layout: 'end' | 'centre' | 'thrust' },
+  //     tiers: [{ id, label, view, sectionPatterns[] }],
+  //     sections: { "109": { tier, view?, position? } },
+  //     obstructedSections: [], obstructedFactor,
+  //     loudSections: [], exitSections: [] }   ← sensory criteria (8a-ii)
+  // ══════════════════════════════════════════════════════════════
+
+  /** How much of the tier's view survives from each position relative to the stage */
+  const VENUE_POSITION_FACTORS = { front: 1.0, side: 0.85, rear: 0.75, behind: 0.3 };
+
+  let venueModels = [];       // Compiled models from bridge.js (VENUES_LOADED)
+  let _activeVenue = undefined; // Cached match — undefined = not yet matched
+  let _activeVenueFor = '';
+
+  /**
+   * "Section BL 109" → "109", "Block 5" → "5", "Floor Standing" → "floor standing".
+   * Venue files key their sections by this form.
+   */
+  function normaliseVenueSection(section) {
+    return String(section || '')
+      .toLowerCase()
+      .replace(/^\s*(section|sec|block|blk|bl)\b\.?\s*/, '')
+      .replace(/^\s*(bl|blk)\b\.?\s*/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * "The O2, London" → "o2", "O2 Arena (Greenwich)" → "o2 arena". Drops the
+   * city/area after the first comma or in brackets, and a leading "The", so
+   * venue names are compared whole rather than as substrings.
+   */
+  function normaliseVenueName(name) {
+    return String(name || '')
+      .toLowerCase()
+      .split(',')[0]
+      .replace(/\([^)]*\)/g, ' ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .replace(/^\s*the\s+/, '')
+      .trim();
+  }
+
+  /** Pre-compile a venue file's patterns; skips models that don't parse */
+  function compileVenueModel(model) {
+    try {
+      const sections = {};
+      Object.entries(model.sections || {}).forEach(([name, def]) => {
+        sections[normaliseVenueSection(name)] = def;
+      });
+      return {
+        ...model,
+        sections,
+        obstructed: new Set((model.obstructedSections || []).map(normaliseVenueSection)),
+        loud: new Set((model.loudSections || []).map(normaliseVenueSection)),
+        exits: new Set((model.exitSections || []).map(normaliseVenueSection)),
+        tiers: (model.tiers || []).map(t => ({
+          ...t,
+          regexes: (t.sectionPatterns || []).map(p => new RegExp(p, 'i'))
+        })),
+        nameMatchers: (model.match?.venueNames || []).map(normaliseVenueName).filter(Boolean),
+        // Whole words only, so "o2-arena" doesn't match inside "neo2-arenas"
+        urlMatchers: (model.match?.urlPatterns || [])
+          .map(p => new RegExp(`(?<![a-z0-9])(?:${p})(?![a-z0-9])`, 'i'))
+      };
+    } catch (e) {
+      console.log(`[A11y Helper] Venue model "${model?.id}" skipped:`, e.message);
+      return null;
+    }
+  }
+
+  /** The model for the current event, matched on venue name then URL */
+  function getActiveVenue() {
+    const context = `${eventMeta.venue || ''}|${location.pathname}|${venueModels.length}`;
+    if (_activeVenue !== undefined && context === _activeVenueFor) return _activeVenue;
+
+    const venueName = normaliseVenueName(eventMeta.venue);
+    _activeVenue =
+      venueModels.find(m => venueName && m.nameMatchers.includes(venueName)) ||
+      venueModels.find(m => m.urlMatchers.some(re => re.test(location.pathname))) ||
+      null;
+    _activeVenueFor = context;
+    if (_activeVenue) console.log(`[A11y Helper] 🏟 Venue model: ${_activeVenue.name}`);
+    return _activeVenue;
+  }
+
+  /**
+   * View quality from the venue model, or null when the model doesn't
+   * cover this section (caller falls back to the generic heuristic).
+   */
+  function venueViewQuality(section, venue) {
+    const key = normaliseVenueSection(section);
+    const entry = venue.sections[key] || null;
+    const tierId = entry?.tier;
+    const tier = tierId
+      ? venue.tiers.find(t => t.id === tierId)
+      : venue.tiers.find(t => t.regexes.some(re => re.test(key)));
+
+    let view = entry?.view ?? tier?.view ?? null;
+    if (view === null) return null;
+
+    // Position relative to the stage only matters for end/thrust stages
+    if (entry?.position && venue.stage?.layout !== 'centre') {
+      view *= VENUE_POSITION_FACTORS[entry.position] ?? 1;
+    }
+    if (venue.obstructed.has(key)) view *= venue.obstructedFactor ?? 0.6;
+    return Math.max(0, Math.min(1, view));
+  }
+
+  /**
+   * How close a section's tier sits to the stage (0–1), from the venue
+   * model's tier ranking alone — no obstruction or position factors.
+   * Null when the venue doesn't place the section in a tier.
+   */
+  function venueTierCloseness(section, venue) {
+    const key = normaliseVenueSection(section);
+    const tierId = venue.sections[key]?.tier;
+    const tier = tierId
+      ? venue.tiers.find(t => t.id === tierId)
+      : venue.tiers.find(t => t.regexes.some(re => re.test(key)));
+    return tier?.view ?? null;
+  }
+
+
+  // ══════════════════════════════════════════════════════════════
+  // 8a-i-b. SEAT-MAP GEOMETRY — DISTANCE & ANGLE TO STAGE
+  // ══════════════════════════════════════════════════════════════
+  //
+  // Row numbers say little about how far a seat really is from the
+  // stage: row A of an upper tier is further away than row T on the
+  // floor. When the host draws a seat map we measure it instead. Each
+  // section (and, on TM's SVG, each row) gets its distance to the stage
+  // and its angle off the stage's facing direction. Points are screen
+  // pixels normalised per map, so zoom and pan don't change the scores.
+  // computeAllMCDAScores() uses these for proximity and sightline and
+  // falls back to row numbers where the map gives nothing.
+  //
+  // The stage is found by name ("STAGE" label or a stage layer). A venue
+  // model with stage.layout 'centre' lets us assume the middle instead.
+  // ══════════════════════════════════════════════════════════════
+
+  const SEAT_MAP_SECTION_SELECTOR =
+    'g[data-section-name], g[data-component="svg_block"], [data-section-id], path[data-section-name], [data-component="svg_section"]';
+  const GEOMETRY_MIN_INTERVAL_MS = 2000; // Re-measure at most this often
+  const IN_THE_ROUND_RATIO = 0.15;       // Stage this close to the centre → faces everyone
+
+  let mapGeometry = null;        // Last measurement, see buildMapGeometry()
+  let _geometryDirty = true;
+  let _geometryMeasuredAt = 0;
+  const _geometryWatchedMaps = new WeakSet();
+  let _accessMarkers = new Map(); // "variant|ROW" → access feature keys, see getMapAccessMarkers()
+  let _accessMarkersDirty = true;
+  let _accessMarkersAt = 0;
+
+  /** Called when the seat map changes; the next scoring pass re-measures */
+  function invalidateMapGeometry() {
+    _geometryDirty = true;
+    _accessMarkersDirty = true;
+  }
+
+  /** Current seat-map geometry, re-measured when the map has changed */
+  function getMapGeometry() {
+    if (!_geometryDirty || Date.now() - _geometryMeasuredAt < GEOMETRY_MIN_INTERVAL_MS) {
+      return mapGeometry;
+    }
+    _geometryMeasuredAt = Date.now();
+    try {
+      mapGeometry = measureSVGGeometry() || measureMapboxGeometry();
+    } catch (e) {
+      console.log('[A11y Helper] Seat-map geometry failed (non-fatal):', e.message);
+      mapGeometry = null;
+    }
+    // Keep retrying until a map is actually drawn
+    _geometryDirty = !mapGeometry;
+    if (mapGeometry) {
+      console.log(`[A11y Helper] 📐 Seat-map geometry (${mapGeometry.source}): ${mapGeometry.sectionCount} sections, ${mapGeometry.inRound ? 'stage in the round' : 'end stage'}`);
+    }
+    return mapGeometry;
+  }
+
+  function rectCentre(el) {
+    const r = el.getBoundingClientRect();
+    if (!r.width && !r.height) return null;
+    return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+  }
+
+  /** TM's SVG map: section groups, their row groups and a stage shape or label */
+  function measureSVGGeometry() {
+    const sectionEls = Array.from(document.querySelectorAll(SEAT_MAP_SECTION_SELECTOR))
+      .filter(el => !el.closest('#tm-a11y-companion-panel'));
+    if (sectionEls.length === 0) return null;
+
+    const sections = new Map();
+    const rows = new Map();
+    let stage = null;
+
+    sectionEls.forEach(el => {
+      const name = (el.getAttribute('data-section-name') || el.getAttribute('data-section-id') || '').trim();
+      if (!name) return;
+      const centre = rectCentre(el);
+      if (!centre) return;
+      if (/\bstage\b/i.test(name)) {
+        stage = stage || centre;
+        return;
+      }
+      sections.set(name, centre);
+      el.querySelectorAll('g[data-row-name]').forEach(rowEl => {
+        const rowName = (rowEl.getAttribute('data-row-name') || '').trim().toUpperCase();
+        const rowCentre = rowName && rectCentre(rowEl);
+        if (rowCentre) rows.set(`${name}|${rowName}`, rowCentre);
+      });
+    });
+
+    const svg = sectionEls[0].closest('svg');
+    if (!stage && svg) {
+      const stageEl =
+        svg.querySelector('[data-component*="stage" i], [id*="stage" i], [class*="stage" i]') ||
+        Array.from(svg.querySelectorAll('text')).find(t => /^\s*(main\s+)?stage\s*$/i.test(t.textContent || ''));
+      if (stageEl) stage = rectCentre(stageEl);
+    }
+
+    return buildMapGeometry(sections, rows, stage, 'svg');
+  }
+
+  /** Screen-space centre of a Mapbox feature's outer ring */
+  function featureCentre(map, feature) {
+    const g = feature.geometry;
+    if (!g) return null;
+    const ring =
+      g.type === 'Polygon' ? g.coordinates[0] :
+      g.type === 'MultiPolygon' ? g.coordinates[0]?.[0] :
+      g.type === 'Point' ? [g.coordinates] : null;
+    if (!ring?.length) return null;
+    let x = 0, y = 0;
+    ring.forEach(coord => {
+      const p = map.project(coord);
+      x += p.x;
+      y += p.y;
+    });
+    return { x: x / ring.length, y: y / ring.length };
+  }
+
+  /** StubHub/Viagogo: rendered fill features of the captured Mapbox map */
+  function measureMapboxGeometry() {
+    const map = _getMapboxInstance();
+    if (!map || typeof map.queryRenderedFeatures !== 'function' || typeof map.project !== 'function') return null;
+
+    if (!_geometryWatchedMaps.has(map)) {
+      _geometryWatchedMaps.add(map);
+      try { map.on('sourcedata', invalidateMapGeometry); } catch (e) {}
+    }
+
+    const layers = (map.getStyle()?.layers || [])
+      .filter(l => l.type === 'fill' && !/background|base|land|water|road|building/i.test(l.id))
+      .map(l => l.id);
+    if (layers.length === 0) return null;
+
+    const sections = new Map();
+    let stage = null;
+
+    map.queryRenderedFeatures({ layers }).forEach(feature => {
+      const props = feature.properties || {};
+      const name = String(
+        props.name ?? props.section ?? props.sectionName ?? props.section_name ?? props.label ?? feature.layer?.id ?? ''
+      ).trim();
+      if (!name) return;
+      const centre = featureCentre(map, feature);
+      if (!centre) return;
+      if (/\bstage\b/i.test(name) || /stage/i.test(feature.layer?.id || '')) {
+        stage = stage || centre;
+        return;
+      }
+      if (!sections.has(name)) sections.set(name, centre);
+    });
+
+    return buildMapGeometry(sections, new Map(), stage, 'mapbox');
+  }
+
+  /**
+   * Turn section/row centre points into distance + angle to the stage.
+   * Entries are stored under every name variant so sidebar names
+   * ("Section BL 210") find map names ("BL210").
+   *
+   * @returns {{ source, inRound, sectionCount, minDistance, maxDistance,
+   *             sections: Map<string,{distance,angle}>, rows: Map<string,{distance,angle}> } | null}
+   */
+  function buildMapGeometry(sections, rows, stage, source) {
+    if (sections.size < 3) return null;
+
+    const points = Array.from(sections.values());
+    const centroid = {
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+    };
+    if (!stage && getActiveVenue()?.stage?.layout === 'centre') stage = centroid;
+    if (!stage) return null;
+
+    // An end stage faces the middle of the seating bowl
+    const facing = { x: centroid.x - stage.x, y: centroid.y - stage.y };
+    const facingLength = Math.hypot(facing.x, facing.y);
+    const extent = Math.max(...points.map(p => Math.hypot(p.x - centroid.x, p.y - centroid.y)));
+    const inRound = facingLength < extent * IN_THE_ROUND_RATIO;
+
+    const measure = (p) => {
+      const dx = p.x - stage.x;
+      const dy = p.y - stage.y;
+      const distance = Math.hypot(dx, dy);
+      let angle = 0;
+      if (!inRound && distance > 0) {
+        const cos = (dx * facing.x + dy * facing.y) / (distance * facingLength);
+        angle = Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+      }
+      return { distance, angle };
+    };
+
+    const geometry = {
+      source,
+      inRound,
+      sectionCount: sections.size,
+      sections: new Map(),
+      rows: new Map(),
+      minDistance: Infinity,
+      maxDistance: 0
+    };
+
+    const track = (m) => {
+      geometry.minDistance = Math.min(geometry.minDistance, m.distance);
+      geometry.maxDistance = Math.max(geometry.maxDistance, m.distance);
+    };
+
+    sections.forEach((point, name) => {
+      const m = measure(point);
+      track(m);
+      generateSectionVariants(name).forEach(v => {
+        if (!geometry.sections.has(v)) geometry.sections.set(v, m);
+      });
+    });
+
+    rows.forEach((point, key) => {
+      const [name, row] = key.split('|');
+      const m = measure(point);
+      track(m);
+      generateSectionVariants(name).forEach(v => {
+        const variantKey = `${v}|${row}`;
+        if (!geometry.rows.has(variantKey)) geometry.rows.set(variantKey, m);
+      });
+    });
+
+    return geometry;
+  }
+
+  /**
+   * Map-measured scores for one seat, or null when the map doesn't show
+   * its section. `level` is 'row' when TM's SVG had the seat's row.
+   *
+   * @returns {{ level: 'row'|'section', proximity: number, sightline: number } | null}
+   */
+  function getSeatGeometry(seat, geometry) {
+    if (!geometry || !seat.section) return null;
+
+    const variants = generateSectionVariants(seat.section.replace(/^Section\s*/i, '').trim());
+    const row = String(seat.row || '').trim().toUpperCase();
+    let found = null;
+    let level = 'row';
+
+    if (row) {
+      for (const v of variants) {
+        found = geometry.rows.get(`${v}|${row}`);
+        if (found) break;
+      }
+    }
+    if (!found) {
+      level = 'section';
+      for (const v of variants) {
+        found = geometry.sections.get(v);
+        if (found) break;
+      }
+    }
+    if (!found) return null;
+
+    const span = geometry.maxDistance - geometry.minDistance;
+    const proximity = span > 0 ? 1 - (found.distance - geometry.minDistance) / span : 1;
+    return {
+      level,
+      proximity: Math.max(0, Math.min(1, proximity)),
+      // Straight on = 1, side-on = 0.5, behind the stage = 0
+      sightline: geometry.inRound ? 1 : Math.max(0, 1 - found.angle / 180)
+    };
+  }
+
+  /**
+   * Access markers drawn on the seat map: TM flags wheelchair/companion
+   * seats with data attributes, classes or labels; Mapbox maps keep
+   * them on their own layers. Only row-level markers are kept — one
+   * wheelchair bay doesn't make every listing in its section accessible.
+   */
+  function getMapAccessMarkers() {
+    if (!_accessMarkersDirty || Date.now() - _accessMarkersAt < GEOMETRY_MIN_INTERVAL_MS) {
+      return _accessMarkers;
+    }
+    _accessMarkersDirty = false;
+    _accessMarkersAt = Date.now();
+
+    const markers = new Map();
+    const add = (sectionName, row, keys) => {
+      generateSectionVariants(sectionName).forEach(v => {
+        const key = `${v}|${row}`;
+        markers.set(key, Array.from(new Set([...(markers.get(key) || []), ...keys])));
+      });
+    };
+
+    try {
+      document.querySelectorAll(
+        '[data-accessibility], [data-seat-type], [aria-label*="wheelchair" i], [aria-label*="accessible" i], ' +
+        '[class*="wheelchair" i], [class*="accessible" i], [class*="companion" i]'
+      ).forEach(el => {
+        if (el.closest('#tm-a11y-companion-panel')) return;
+        const sectionEl = el.closest('[data-section-name], [data-section-id]');
+        const row = (el.closest('[data-row-name]')?.getAttribute('data-row-name') || '').trim().toUpperCase();
+        if (!sectionEl || !row) return;
+        const text = ['data-accessibility', 'data-seat-type', 'aria-label', 'class']
+          .map(attr => el.getAttribute(attr) || '').join(' ').replace(/[-_]/g, ' ');
+        const keys = detectAccessFeatures(text);
+        const name = sectionEl.getAttribute('data-section-name') || sectionEl.getAttribute('data-section-id') || '';
+        if (keys.length > 0 && name) add(name.trim(), row, keys);
+      });
+
+      const map = _getMapboxInstance();
+      if (map && typeof map.queryRenderedFeatures === 'function') {
+        const layers = (map.getStyle()?.layers || [])
+          .filter(l => /wheelchair|accessib|companion|\bada\b/i.test(l.id))
+          .map(l => l.id);
+        if (layers.length > 0) {
+          map.queryRenderedFeatures({ layers }).forEach(feature => {
+            const props = feature.properties || {};
+            const name = String(props.section ?? props.sectionName ?? props.name ?? '').trim();
+            const row = String(props.row ?? props.rowName ?? '').trim().toUpperCase();
+            const keys = detectAccessFeatures(`${feature.layer?.id || ''} ${props.type || ''}`.replace(/[-_]/g, ' '));
+            if (name && row && keys.length > 0) add(name, row, keys);
+          });
+        }
+      }
+    } catch (e) {
+      console.log('[A11y Helper] Seat-map access markers failed (non-fatal):', e.message);
+    }
+
+    _accessMarkers = markers;
+    return markers;
+  }
+
+  /** Access features for a seat: what its listing says plus seat-map markers on its row */
+  function getSeatAccess(seat) {
+    const own = seat.access || [];
+    const markers = getMapAccessMarkers();
+    if (markers.size === 0 || !seat.row || !seat.section) return own;
+
+    const row = String(seat.row).trim().toUpperCase();
+    for (const v of generateSectionVariants(seat.section.replace(/^Section\s*/i, '').trim())) {
+      const keys = markers.get(`${v}|${row}`);
+      if (keys) return Array.from(new Set([...own, ...keys]));
+    }
+    return own;
+  }
+
+
+  // ══════════════════════════════════════════════════════════════
+  // 8a-i-c. HARD CONSTRAINTS — "NEVER SHOW ME THESE"
+  // ══════════════════════════════════════════════════════════════
+  //
+  // MCDA weights are soft: a standing ticket can still come out on top
+  // if it's cheap enough. Rules are hard. A seat that breaks one is
+  // never listed, never scored, and is drawn on the heatmap in a
+  // neutral "not for you" grey instead of a tier colour.
+  //
+  //   currentPreferences.seatConstraints = [
+  //     { id, field: 'type', mode: 'mustNot', value: 'standing' },
+  //     { id, field: 'row',  mode: 'must',    value: { from: 'A', to: 'K' } }, …]
+  //
+  // 'must' rules on the same field are alternatives ("section Lower OR
+  // Floor"); any matching 'mustNot' rule excludes the seat. Rules are
+  // saved with preferences and with sensory profiles.
+  // ══════════════════════════════════════════════════════════════
+
+  const HEAT_EXCLUDED_COLOUR = '#9ca3af';
+
+  const TICKET_TYPE_LABELS = {
+    standard: 'Standard', seated: 'Seated', standing: 'Standing',
+    vip: 'VIP', premium: 'Premium', accessible: 'Accessible'
+  };
+
+  /**
+   * Each field: label, allowed modes, builder input kind and how a
+   * seat is matched. Single-mode fields describe their own limit.
+   */
+  const CONSTRAINT_FIELDS = {
+    section: {
+      label: 'Section', modes: ['must', 'mustNot'], input: 'text',
+      matches: (seat, v) => seat.section.toLowerCase().includes(String(v).toLowerCase()),
+      describe: v => `section contains “${v}”`
+    },
+    type: {
+      label: 'Ticket type', modes: ['must', 'mustNot'], input: 'select',
+      options: () => Object.entries(TICKET_TYPE_LABELS),
+      matches: (seat, v) => (seat.type || 'standard') === v,
+      describe: v => (TICKET_TYPE_LABELS[v] || v).toLowerCase()
+    },
+    sellerType: {
+      label: 'Seller', modes: ['must', 'mustNot'], input: 'select',
+      options: () => [['primary', 'Primary'], ['resale', 'Resale']],
+      matches: (seat, v) => (seat.sellerType || 'primary') === v,
+      describe: v => v === 'resale' ? 'resale' : 'primary sale'
+    },
+    access: {
+      label: 'Access feature', modes: ['must', 'mustNot'], input: 'select',
+      options: () => ACCESS_FEATURES.map(f => [f.key, f.label]),
+      matches: (seat, v) => getSeatAccess(seat).includes(v),
+      describe: v => (ACCESS_FEATURES.find(f => f.key === v)?.label || v).toLowerCase()
+    },
+    row: {
+      // Seats without a listed row can't be shown to be in range
+      label: 'Row range', modes: ['must'], input: 'range',
+      matches: (seat, v) => {
+        const r = parseRowNumber(seat.row);
+        const from = parseRowNumber(v.from);
+        const to = parseRowNumber(v.to);
+        return r !== null && (from === null || r >= from) && (to === null || r <= to);
+      },
+      describe: v => `rows ${v.from || 'first'}–${v.to || 'last'}`
+    },
+    price: {
+      label: 'Price (all-in, each)', modes: ['must'], input: 'number',
+      matches: (seat, v) => getEffectivePrice(seat) <= v,
+      describe: v => `at most ${formatMoney(v, getDisplayCurrency(), 0)} each`
+    },
+    quantity: {
+      label: 'Seats together', modes: ['must'], input: 'number',
+      matches: (seat, v) => canBuyQuantity(seat, v),
+      describe: v => `at least ${v} together`
+    }
+  };
+
+  let _ruleBuilderField = 'type'; // Field chosen in the rule builder, kept across re-renders
+  let _ruleBuilderDrafts = {};    // What's typed/picked per field ('rowFrom'/'rowTo' for rows, 'mode'), likewise
+
+  function ruleBuilderDraft(key) {
+    return _ruleBuilderDrafts[key] || (_ruleBuilderDrafts[key] = { value: '', focused: false, caret: null });
+  }
+
+  function getSeatConstraints() {
+    return (currentPreferences.seatConstraints || []).filter(r => CONSTRAINT_FIELDS[r.field]);
+  }
+
+  /** True when the seat breaks none of the user's rules */
+  function seatPassesConstraints(seat) {
+    const rules = getSeatConstraints();
+    if (rules.length === 0) return true;
+
+    const mustByField = new Map();
+    for (const rule of rules) {
+      const matched = CONSTRAINT_FIELDS[rule.field].matches(seat, rule.value);
+      if (rule.mode === 'mustNot') {
+        if (matched) return false;
+      } else {
+        mustByField.set(rule.field, (mustByField.get(rule.field) || false) || matched);
+      }
+    }
+    for (const ok of mustByField.values()) {
+      if (!ok) return false;
+    }
+    return true;
+  }
+
+  function describeConstraint(rule) {
+    const field = CONSTRAINT_FIELDS[rule.field];
+    const text = field.describe(rule.value);
+    if (field.modes.length === 1) return text.charAt(0).toUpperCase() + text.slice(1);
+    return rule.mode === 'mustNot' ? `Not ${text}` : `Only ${text}`;
+  }
+
+  /** Available seats hidden by rules (for the "N hidden" note) */
+  function countExcludedSeats() {
+    if (getSeatConstraints().length === 0) return 0;
+    return capturedSeats.filter(s => s.availability === 'available' && !seatPassesConstraints(s)).length;
+  }
+
+  function renderRuleValueInput(fieldKey) {
+    const field = CONSTRAINT_FIELDS[fieldKey];
+    switch (field.input) {
+      case 'select':
+        return `<select id="tmA11yRuleValue" class="tm-a11y-select" aria-label="${field.label}">
+                  ${field.options().map(([v, label]) => `<option value="${v}">${label}</option>`).join('')}
+                </select>`;
+      case 'range':
+        return `<input type="text" id="tmA11yRuleRowFrom" class="tm-a11y-rule-input" placeholder="From (e.g. A)" aria-label="First row" maxlength="3" />
+                <input type="text" id="tmA11yRuleRowTo" class="tm-a11y-rule-input" placeholder="To (e.g. K)" aria-label="Last row" maxlength="3" />`;
+      case 'number':
+        return `<input type="number" id="tmA11yRuleValue" class="tm-a11y-rule-input" min="1" step="1" aria-label="${field.label}"
+                       placeholder="${fieldKey === 'price' ? 'Max each' : 'Min seats'}" />`;
+      default:
+        return `<input type="text" id="tmA11yRuleValue" class="tm-a11y-rule-input" aria-label="Section name contains" placeholder="e.g. Lower, 104" maxlength="30" />`;
+    }
+  }
+
+  function renderConstraintRules() {
+    const rules = getSeatConstraints();
+    const excluded = countExcludedSeats();
+    const field = CONSTRAINT_FIELDS[_ruleBuilderField];
+
+    return `
+      <div class="tm-a11y-filter-group" id="tmA11yRules">
+        <span class="tm-a11y-filter-label" id="tmA11yRulesLabel">Rules</span>
+        ${rules.length > 0 ? `
+          <ul class="tm-a11y-rule-list" aria-labelledby="tmA11yRulesLabel">
+            ${rules.map(r => `
+              <li class="tm-a11y-rule">
+                <span>${describeConstraint(r)}</span>
+                <button type="button" class="tm-a11y-rule-remove" data-rule-id="${r.id}" aria-label="Remove rule: ${describeConstraint(r)}">×</button>
+              </li>`).join('')}
+          </ul>
+          <p class="tm-a11y-access-note">${excluded === 0 ? 'No seats are hidden by your rules.' : `${excluded} seat${excluded === 1 ? '' : 's'} hidden by your rules — not listed, scored or coloured on the map.`}</p>`
+          : '<p class="tm-a11y-access-note">Seats that break a rule are never listed or scored.</p>'}
+        <div class="tm-a11y-rule-builder">
+          <select id="tmA11yRuleField" class="tm-a11y-select" aria-label="Rule applies to">
+            ${Object.entries(CONSTRAINT_FIELDS).map(([key, f]) =>
+              `<option value="${key}" ${key === _ruleBuilderField ? 'selected' : ''}>${f.label}</option>`).join('')}
+          </select>
+          ${field.modes.length > 1 ? `
+            <select id="tmA11yRuleMode" class="tm-a11y-select" aria-label="Must or must not">
+              <option value="mustNot">Must not be</option>
+              <option value="must">Must be</option>
+            </select>` : ''}
+          ${renderRuleValueInput(_ruleBuilderField)}
+          <button type="button" class="tm-a11y-toggle-btn" id="tmA11yRuleAdd">Add rule</button>
+        </div>
+      </div>`;
+  }
+
+  function readRuleFromBuilder() {
+    const field = CONSTRAINT_FIELDS[_ruleBuilderField];
+    const mode = document.getElementById('tmA11yRuleMode')?.value || field.modes[0];
+    let value;
+    if (field.input === 'range') {
+      const from = (document.getElementById('tmA11yRuleRowFrom')?.value || '').trim().toUpperCase();
+      const to = (document.getElementById('tmA11yRuleRowTo')?.value || '').trim().toUpperCase();
+      if ((!from && !to) || (from && parseRowNumber(from) === null) || (to && parseRowNumber(to) === null)) return null;
+      value = { from, to };
+    } else if (field.input === 'number') {
+      value = parseFloat(document.getElementById('tmA11yRuleValue')?.value);
+      if (!(value > 0)) return null;
+    } else {
+      value = (document.getElementById('tmA11yRuleValue')?.value || '').trim();
+      if (!value) return null;
+    }
+    return { id: `rule_${Date.now()}`, field: _ruleBuilderField, mode, value };
+  }
+
+  function onConstraintsChanged() {
+    if (currentPreferences.mcdaEnabled) computeAllMCDAScores();
+    renderPanelContent();
+    currentAdapter.applyMapHighlights();
+    broadcastPreferences();
+  }
+
+  function attachConstraintListeners() {
+    // Listings arriving mid-rule re-render the panel; put the half-built rule back
+    if (CONSTRAINT_FIELDS[_ruleBuilderField].input === 'range') {
+      bindDraftInput(document.getElementById('tmA11yRuleRowFrom'), ruleBuilderDraft('rowFrom'));
+      bindDraftInput(document.getElementById('tmA11yRuleRowTo'), ruleBuilderDraft('rowTo'));
+    } else {
+      bindDraftInput(document.getElementById('tmA11yRuleValue'), ruleBuilderDraft(_ruleBuilderField));
+    }
+    bindDraftInput(document.getElementById('tmA11yRuleMode'), ruleBuilderDraft('mode'));
+
+    document.getElementById('tmA11yRuleField')?.addEventListener('change', (e) => {
+      _ruleBuilderField = e.target.value;
+      renderPanelContent();
+      document.getElementById('tmA11yRuleField')?.focus();
+    });
+
+    document.getElementById('tmA11yRuleAdd')?.addEventListener('click', () => {
+      const rule = readRuleFromBuilder();
+      if (!rule) {
+        (document.getElementById('tmA11yRuleValue') || document.getElementById('tmA11yRuleRowFrom'))?.focus();
+        return;
+      }
+      currentPreferences.seatConstraints = [...getSeatConstraints(), rule];
+      _ruleBuilderDrafts = {};
+      onConstraintsChanged();
+      announceToScreenReader(`Rule added: ${describeConstraint(rule)}. ${countExcludedSeats()} seats hidden.`);
+      document.getElementById('tmA11yRuleAdd')?.focus();
+    });
+
+    document.querySelectorAll('.tm-a11y-rule-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        currentPreferences.seatConstraints = getSeatConstraints().filter(r => r.id !== btn.dataset.ruleId);
+        onConstraintsChanged();
+        document.getElementById('tmA11yRuleField')?.focus();
+      });
+    });
+  }
+
+
+  // ══════════════════════════════════════════════════════════════
+  // 8a-ii. MCDA SCORING ENGINE
+  // ══════════════════════════════════════════════════════════════
+
+  /**
+   * Generic section name → view quality heuristic (0–1), used when no
+   * venue model covers the section. Higher = better view.
+   */
+  const VIEW_QUALITY_TIERS = [
+    { pattern: /\b(floor|pit|standing\s*a|ga\s*floor|field|stage)\b/i, score: 1.0 },
+    { pattern: /\b(vip|premium|suite|hospitality|club)\b/i, score: 0.9 },
+    { pattern: /\b(lower|100s?|1\d{2})\b/i, score: 0.8 },
+    { pattern: /\bsection\s*(10[0-9]|1[0-4]\d)\b/i, score: 0.8 },
+    { pattern: /\b(200s?|2\d{2}|club|mezzanine)\b/i, score: 0.6 },
+    { pattern: /\bsection\s*(2\d{2})\b/i, score: 0.6 },
+    { pattern: /\b(300s?|3\d{2}|upper|balcony|terrace)\b/i, score: 0.4 },
+    { pattern: /\bsection\s*(3\d{2})\b/i, score: 0.4 },
+    { pattern: /\b(400s?|4\d{2}|500s?|5\d{2}|nosebleed)\b/i, score: 0.25 },
+    { pattern: /\bsection\s*([4-9]\d{2})\b/i, score: 0.25 }
+  ];
+
+  /**
+   * View quality for a section (0–1): the matching venue model first,
+   * then the generic section-name heuristic below.
+   */
+  function computeViewQuality(section) {
+    if (!section) return 0.5;
+    const venue = getActiveVenue();
+    if (venue) {
+      const fromVenue = venueViewQuality(section, venue);
+      if (fromVenue !== null) return fromVenue;
+    }
+    for (const tier of VIEW_QUALITY_TIERS) {
+      if (tier.pattern.test(section)) return tier.score;
+    }
+    // Fallback: try to extract section number
+    const numMatch = section.match(/(\d+)/);
+    if (numMatch) {
+      const num = parseInt(numMatch[1], 10);
+      if (num <= 150) return 0.8;
+      if (num <= 250) return 0.6;
+      if (num <= 350) return 0.4;
+      return 0.25;
+    }
+    return 0.5; // Unknown → middle
+  }
+
+  const CROWD_CALM_BY_TYPE = { standing: 0.15, standard: 0.6, seated: 0.7, vip: 0.8, premium: 0.85, accessible: 0.9 };
+
+  /**
+   * Sensory-environment estimates (each 0–1, higher = calmer), derived
+   * locally from section, row, ticket type and the venue model:
+   *   quietness — distance from the stage and PA; standing areas and the
+   *               venue's loudSections (next to speaker stacks) are louder
+   *   crowdCalm — seated beats standing; boxes and access platforms calmest
+   *   exitEase  — aisle seats in rows at the front/back of a block, plus
+   *               the venue's exitSections; slower from a standing crowd
+   *
+   * @param {object} ctx — { seatGeometry, rowProximity, aisleScore, rowSpan }
+   *                       already worked out by computeAllMCDAScores()
+   */
+  function computeSensoryScores(seat, ctx) {
+    const clamp = v => Math.max(0, Math.min(1, v));
+    const venue = getActiveVenue();
+    const venueKey = normaliseVenueSection(seat.section);
+    const standing = seat.type === 'standing' ||
+      /\b(standing|pit|general\s+admission|ga)\b/i.test(seat.section);
+
+    // Closeness to the stage: measured when the map allows, otherwise
+    // the venue tier (floor is close, upper tiers far) plus the row. Not
+    // view quality — an obstructed side block by the speakers isn't quiet.
+    const tierCloseness = (venue && venueTierCloseness(seat.section, venue)) ?? 0.5;
+    const closeness = ctx.seatGeometry
+      ? ctx.seatGeometry.proximity
+      : 0.5 * tierCloseness + 0.5 * (ctx.rowProximity ?? tierCloseness);
+    let loudness = 0.75 * closeness + (standing ? 0.25 : 0);
+    if (venue?.loud.has(venueKey)) loudness += 0.3;
+
+    let crowdCalm = standing ? CROWD_CALM_BY_TYPE.standing : (CROWD_CALM_BY_TYPE[seat.type] ?? CROWD_CALM_BY_TYPE.standard);
+    if (/\b(box|suite)\b/i.test(seat.section)) crowdCalm = Math.max(crowdCalm, 0.9);
+    if (getSeatAccess(seat).length > 0) crowdCalm = Math.max(crowdCalm, CROWD_CALM_BY_TYPE.accessible);
+
+    // Rows within five of the block's front or back count as near a gangway
+    let rowEdge = 0.5;
+    const rowNum = parseRowNumber(seat.row);
+    if (rowNum !== null && ctx.rowSpan && ctx.rowSpan.max > ctx.rowSpan.min) {
+      const fromEdge = Math.min(rowNum - ctx.rowSpan.min, ctx.rowSpan.max - rowNum);
+      rowEdge = Math.max(0, 1 - fromEdge / 5);
+    }
+    let exitEase = 0.6 * ctx.aisleScore + 0.4 * rowEdge;
+    if (standing) exitEase *= 0.7;
+    if (venue?.exits.has(venueKey)) exitEase += 0.2;
+
+    return {
+      quietness: clamp(1 - loudness),
+      crowdCalm: clamp(crowdCalm),
+      exitEase: clamp(exitEase)
+    };
+  }
+
+  /**
+   * Parse row identifier into a numeric value.
+   * "1" → 1, "A" → 1, "AA" → 27, "GA" → null (general admission)
+   */
+  function parseRowNumber(row) {
+    if (!row) return null;
+    const trimmed = row.trim().toUpperCase();
+    if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+    if (/^[A-Z]$/.test(trimmed)) return trimmed.charCodeAt(0) - 64; // A=1, B=2
+    if (/^[A-Z]{2}$/.test(trimmed)) {
+      return (trimmed.charCodeAt(0) - 64) * 26 + (trimmed.charCodeAt(1) - 64);
+    }
+    return null;
+  }
+
+  /**
+   * Parse seat number(s) and return the primary seat number.
+   * "5" → 5, "1-2" → 1, "12, 13" → 12
+   */
+  function parseSeatNumber(seatStr) {
+    if (!seatStr) return null;
+    const match = seatStr.match(/(\d+)/);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Compute all MCDA sub-scores and composite scores for every available seat
+   * that passes the user's hard rules. Excluded seats get no score, so they
+   * neither rank nor stretch the normalisation ranges.
+   * Results stored in `mcdaScores` map keyed by seatContentKey.
+   */
+  function computeAllMCDAScores() {
+    mcdaScores = new Map();
+    const available = capturedSeats.filter(s => s.availability === 'available' && seatPassesConstraints(s));
+    if (available.length === 0) return;
+
+    // Normalise over every criterion; all-zero weights mean "treat equally"
+    const weights = getMCDAWeights();
+    const wSum = sumMCDAWeights(weights);
+    const w = {};
+    MCDA_CRITERIA.forEach(c => {
+      w[c.key] = wSum > 0 ? weights[c.key] / wSum : 1 / MCDA_CRITERIA.length;
+    });
+
+    /**
+     * Percentile-based normalisation (Winsorisation).
+     * Clamps values at the 5th and 95th percentile before 0–1 scaling.
+     * This prevents a single outlier (e.g. one £350 ticket among £60 tickets)
+     * from compressing the entire score range.
+     */
+    function robustNormalise(values, lowerPct = 0.05, upperPct = 0.95) {
+      if (values.length === 0) return { min: 0, max: 1 };
+      const sorted = [...values].sort((a, b) => a - b);
+      const lowerIdx = Math.floor(sorted.length * lowerPct);
+      const upperIdx = Math.min(sorted.length - 1, Math.ceil(sorted.length * upperPct));
+      const pMin = sorted[lowerIdx];
+      const pMax = sorted[upperIdx];
+      return { min: pMin, max: pMax };
+    }
+
+    // ── Gather raw values for normalisation ──
+    const prices = available.map(getEffectivePrice);
+    const priceRange = robustNormalise(prices);
+
+    const rowNums = available.map(s => parseRowNumber(s.row)).filter(r => r !== null);
+    const rowRange = robustNormalise(rowNums);
+
+    const geometry = getMapGeometry();
+
+    // For aisle access: group seats by section, find max seat number per section
+    const sectionMaxSeat = new Map();
+    available.forEach(s => {
+      const sn = parseSeatNumber(s.seatNumber);
+      if (sn !== null) {
+        const sec = s.section;
+        sectionMaxSeat.set(sec, Math.max(sectionMaxSeat.get(sec) || 0, sn));
+      }
+    });
+
+    // Row span per section — gangways are usually at the front/back of a block
+    const sectionRowSpan = new Map();
+    available.forEach(s => {
+      const r = parseRowNumber(s.row);
+      if (r === null) return;
+      const span = sectionRowSpan.get(s.section) || { min: r, max: r };
+      sectionRowSpan.set(s.section, { min: Math.min(span.min, r), max: Math.max(span.max, r) });
+    });
+
+    // ── Score each seat ──
+    available.forEach(seat => {
+      // Price score: lower price = higher score (inverted, clamped + normalised 0–1)
+      let priceScore = 0.5;
+      if (priceRange.max > priceRange.min) {
+        const clamped = Math.max(priceRange.min, Math.min(priceRange.max, getEffectivePrice(seat)));
+        priceScore = 1 - (clamped - priceRange.min) / (priceRange.max - priceRange.min);
+      } else {
+        priceScore = 1.0; // All same price
+      }
+
+      const seatGeometry = getSeatGeometry(seat, geometry);
+
+      // View quality: venue model / section heuristic, blended with the
+      // measured sightline when the seat map shows where the stage is
+      let viewScore = computeViewQuality(seat.section);
+      if (seatGeometry) viewScore = 0.7 * viewScore + 0.3 * seatGeometry.sightline;
+
+      // Proximity: row number (lower = better, clamped)
+      let rowProximity = null;
+      const rowNum = parseRowNumber(seat.row);
+      if (rowNum !== null && rowRange.max > rowRange.min) {
+        const clamped = Math.max(rowRange.min, Math.min(rowRange.max, rowNum));
+        rowProximity = 1 - (clamped - rowRange.min) / (rowRange.max - rowRange.min);
+      } else if (rowNum !== null) {
+        rowProximity = 1.0;
+      }
+
+      // ...replaced by measured distance to the stage where the map has it.
+      // Section-level distances keep a little of the row so row A still
+      // beats row Z in the same block.
+      let proximityScore = rowProximity ?? 0.5;
+      if (seatGeometry?.level === 'row' || (seatGeometry && rowProximity === null)) {
+        proximityScore = seatGeometry.proximity;
+      } else if (seatGeometry) {
+        proximityScore = 0.8 * seatGeometry.proximity + 0.2 * rowProximity;
+      }
+
+      // Aisle access: edge seats score higher
+      let aisleScore = 0.5;
+      const seatNum = parseSeatNumber(seat.seatNumber);
+      if (seatNum !== null) {
+        const maxInSection = sectionMaxSeat.get(seat.section) || 20;
+        // Distance from nearest edge (seat 1 or max)
+        const distFromEdge = Math.min(seatNum - 1, maxInSection - seatNum);
+        const maxDist = Math.floor(maxInSection / 2);
+        aisleScore = maxDist > 0 ? 1 - (distFromEdge / maxDist) : 1.0;
+      }
+
+      // Accessibility: share of the user's selected needs this seat meets,
+      // or the strongest feature it offers when no needs are selected
+      const access = getSeatAccess(seat);
+      const needs = currentPreferences.accessFilter || [];
+      let accessScore = 0;
+      if (needs.length > 0) {
+        accessScore = needs.filter(key => access.includes(key)).length / needs.length;
+      } else if (access.length > 0) {
+        accessScore = Math.max(...ACCESS_FEATURES.filter(f => access.includes(f.key)).map(f => f.score));
+      }
+
+      const sensory = computeSensoryScores(seat, {
+        seatGeometry,
+        rowProximity,
+        aisleScore,
+        rowSpan: sectionRowSpan.get(seat.section)
+      });
+
+      const raw = {
+        price: priceScore,
+        viewQuality: viewScore,
+        proximity: proximityScore,
+        aisleAccess: aisleScore,
+        accessibility: accessScore,
+        ...sensory
+      };
+
+      // Composite weighted score (0–100)
+      const composite = MCDA_CRITERIA.reduce((sum, c) => sum + w[c.key] * raw[c.key], 0) * 100;
+
+      const score = Math.round(Math.max(0, Math.min(100, composite)));
+      const tier = scoreToTier(score);
+
+      const key = seatContentKey(seat);
+      mcdaScores.set(key, {
+        score,
+        tier,
+        measuredFrom: seatGeometry ? seatGeometry.level : null,
+        weights: w, // Normalised, shared by every seat in this pass
+        subscores: Object.fromEntries(MCDA_CRITERIA.map(c => [c.key, Math.round(raw[c.key] * 100)]))
+      });
+    });
+
+    console.log(`[A11y Helper] MCDA scores computed for ${mcdaScores.size} seats`);
+  }
+
+  /**
+   * Map a score (0–100) to one of 5 tiers.
+   * T1 = best (81–100), T5 = worst (0–20).
+   */
+  function scoreToTier(score) {
+    if (score >= 81) return 1;
+    if (score >= 61) return 2;
+    if (score >= 41) return 3;
+    if (score >= 21) return 4;
+    return 5;
+  }
+
+  /**
+   * Get the CSS class for a heatmap tier.
+   */
+  function tierClass(tier) {
+    return `tm-a11y-heat-t${tier}`;
+  }
+
+  /**
+   * Get the MCDA score data for a seat (or null).
+   */
+  function getSeatMCDAScore(seat) {
+    const key = seatContentKey(seat);
+    return mcdaScores.get(key) || null;
+  }
+
+  // ══════════════════════════════════════════════════════════════
+  // 8a-iii. HEATMAP MODE — SVG SEAT MAP RECOLOURING
+  // ══════════════════════════════════════════════════════════════
+
+  /**
+   * Apply the MCDA heatmap to the SVG seat map.
+   * This REPLACES focus mode when MCDA is active.
+   * Each section/row group gets coloured by its best seat's tier.
+   * 
+   * IMPORTANT: We use INLINE STYLES (not just CSS classes) because
+   * TM's styled-components CSS has very high specificity that overrides
+   * our class-based fill rules.
+   */
+  function applyHeatmapMode() {
+    if (!currentPreferences.mcdaEnabled) {
+      removeHeatmapHighlights();
+      return;
+    }
+
+    // Recompute scores
+    computeAllMCDAScores();
+
+    // With rules, everything can be excluded yet still need painting grey
+    if (capturedSeats.length === 0 || (mcdaScores.size === 0 && getSeatConstraints().length === 0)) return;
+
+    // Remove existing focus mode highlights first
+    removeFocusHighlights();
+
+    // Build lookup: section → best tier
+    const sectionBestTier = new Map();
+    const rowBestTier = new Map(); // "section|row" → best tier
+
+    // A section/row only reads "excluded" when every available seat in it
+    // broke a rule — any scored seat wins
+    const keepBest = (map, key, tier) => {
+      const existing = map.get(key);
+      if (existing === undefined || existing === 'excluded' || (tier !== 'excluded' && tier < existing)) {
+        if (tier !== 'excluded' || existing === undefined) map.set(key, tier);
+      }
+    };
+
+    capturedSeats.forEach(seat => {
+      if (seat.availability !== 'available') return;
+      const scoreData = getSeatMCDAScore(seat);
+      const tier = scoreData ? scoreData.tier : (seatPassesConstraints(seat) ? null : 'excluded');
+      if (tier === null) return;
+
+      const rawSection = seat.section.replace(/^Section\s*/i, '').trim();
+      keepBest(sectionBestTier, rawSection, tier);
+
+      if (seat.row) {
+        keepBest(rowBestTier, `${rawSection}|${seat.row}`, tier);
+      }
+    });
+
+    // Build section variant lookup (same logic as focus mode)
+    const sectionVariants = new Map();
+    sectionBestTier.forEach((tier, rawSection) => {
+      const variants = generateSectionVariants(rawSection);
+      variants.forEach(v => sectionVariants.set(v, rawSection));
+    });
+
+    const heatClasses = ['tm-a11y-heat-t1', 'tm-a11y-heat-t2', 'tm-a11y-heat-t3', 'tm-a11y-heat-t4', 'tm-a11y-heat-t5'];
+    const allVisualClasses = [...heatClasses, 'tm-a11y-seat-highlighted', 'tm-a11y-seat-greyed', 'tm-a11y-seat-unavailable'];
+
+    // Walk SVG section elements (both <g> groups and <path> sections)
+    const sectionElements = document.querySelectorAll(
+      'g[data-section-name], g[data-component="svg_block"], [data-section-id], path[data-section-name], [data-component="svg_section"]'
+    );
+
+    sectionElements.forEach(el => {
+      const svgName = (el.getAttribute('data-section-name') ||
+                       el.getAttribute('data-section-id') || '').trim();
+      if (!svgName) return;
+
+      const svgVariants = generateSectionVariants(svgName);
+      let matchedSection = null;
+      for (const variant of svgVariants) {
+        if (sectionVariants.has(variant)) {
+          matchedSection = sectionVariants.get(variant);
+          break;
+        }
+      }
+      if (!matchedSection && sectionBestTier.has(svgName)) {
+        matchedSection = svgName;
+      }
+
+      el.classList.remove(...allVisualClasses);
+      clearHeatmapInlineStyles(el);
+
+      if (!matchedSection) {
+        applyHeatmapInlineStyle(el, null); // Unavailable
+        return;
+      }
+
+      // For <g> elements, check rows within
+      if (el.tagName.toLowerCase() === 'g') {
+        const rowGroups = el.querySelectorAll('g[data-row-name]');
+        if (rowGroups.length > 0) {
+          rowGroups.forEach(rowG => {
+            const rowName = (rowG.getAttribute('data-row-name') || '').trim();
+            const rowKey = `${matchedSection}|${rowName}`;
+            const tier = rowBestTier.get(rowKey);
+            clearHeatmapInlineStyles(rowG);
+            applyHeatmapInlineStyle(rowG, tier !== undefined ? tier : null);
+            // Also style child shapes
+            rowG.querySelectorAll('circle, rect, path').forEach(shape => {
+              clearHeatmapInlineStyles(shape);
+              applyHeatmapInlineStyle(shape, tier !== undefined ? tier : null);
+            });
+          });
+          return;
+        }
+      }
+
+      // Direct section element (path or g without rows)
+      const tier = sectionBestTier.get(matchedSection);
+      applyHeatmapInlineStyle(el, tier !== undefined ? tier : null);
+
+      // Also style child shapes for <g> elements
+      if (el.tagName.toLowerCase() === 'g') {
+        el.querySelectorAll('circle, rect, path').forEach(shape => {
+          clearHeatmapInlineStyles(shape);
+          applyHeatmapInlineStyle(shape, tier !== undefined ? tier : null);
+        });
+      }
+    });
+
+    // Handle loose seat elements
+    heatmapIndividualSeats();
+  }
+
+  /**
+   * Tier colour & opacity lookup.
+   * Returns the resolved CSS colour from custom properties.
+   */
+  function getTierColour(tier) {
+    const root = document.documentElement;
+    const prop = `--tm-a11y-heat-t${tier}`;
+    return getComputedStyle(root).getPropertyValue(prop).trim() || '#6b7280';
+  }
+
+  const TIER_OPACITY = { 1: '1', 2: '0.95', 3: '0.85', 4: '0.6', 5: '0.35' };
+
+  /**
+   * Apply inline heatmap styles to an SVG element.
+   * Uses inline styles with !important to beat styled-components specificity.
+   * tier=null → unavailable (dim)
+   * tier='excluded' → available but breaks a hard rule (neutral grey)
+   */
+  function applyHeatmapInlineStyle(el, tier) {
+    el.setAttribute('data-tm-a11y-heatmap',
+      tier === null ? 'unavail' : tier === 'excluded' ? 'excluded' : `t${tier}`);
+
+    if (tier === null) {
+      el.style.setProperty('opacity', '0.12', 'important');
+      el.style.setProperty('filter', 'grayscale(100%)', 'important');
+      return;
+    }
+
+    if (tier === 'excluded') {
+      el.style.setProperty('fill', HEAT_EXCLUDED_COLOUR, 'important');
+      el.style.setProperty('opacity', '0.45', 'important');
+      el.style.removeProperty('filter');
+      return;
+    }
+
+    const colour = getTierColour(tier);
+    const opacity = TIER_OPACITY[tier] || '0.5';
+
+    el.style.setProperty('fill', colour, 'important');
+    el.style.setProperty('opacity', opacity, 'important');
+    el.style.removeProperty('filter');
+  }
+
+  /**
+   * Clear inline heatmap styles from an element.
+   */
+  function clearHeatmapInlineStyles(el) {
+    if (el.getAttribute('data-tm-a11y-heatmap')) {
+      el.style.removeProperty('fill');
+      el.style.removeProperty('opacity');
+      el.style.removeProperty('filter');
+      el.removeAttribute('data-tm-a11y-heatmap');
+    }
+  }
+
+  /**
+   * Apply heatmap colours to individual seat circles not in section groups.
+   */
+  function heatmapIndividualSeats() {
+    const seatSelectors = [
+      'circle[data-component="svg__seat"]', 'circle[data-seat-name]',
+      '[data-component="seat"]', '[data-testid*="seat"]',
+      '.seat-button', '.seat'
+    ];
+
+    seatSelectors.forEach(selector => {
+      try {
+        document.querySelectorAll(selector).forEach(el => {
+          if (el.closest('[data-tm-a11y-heatmap]')) return;
+          if (el.closest('#tm-a11y-companion-panel')) return;
+          const sectionG = el.closest('g[data-section-name], [data-section-id]');
+          if (sectionG) return;
+
+          const seatId = el.dataset?.seatId || el.dataset?.seat || el.id;
+          const matched = capturedSeats.find(s => s.id === seatId);
+
+          clearHeatmapInlineStyles(el);
+          if (matched) {
+            const scoreData = getSeatMCDAScore(matched);
+            const excluded = matched.availability === 'available' && !seatPassesConstraints(matched);
+            applyHeatmapInlineStyle(el, scoreData ? scoreData.tier : (excluded ? 'excluded' : null));
+          } else {
+            applyHeatmapInlineStyle(el, null);
+          }
+        });
+      } catch (e) {}
+    });
+  }
+
+  /**
+   * Remove all heatmap visual changes from the SVG seat map.
+   * Clears both CSS classes and inline styles.
+   */
+  function removeHeatmapHighlights() {
+    // Remove CSS classes
+    const classes = ['tm-a11y-heat-t1', 'tm-a11y-heat-t2', 'tm-a11y-heat-t3', 'tm-a11y-heat-t4', 'tm-a11y-heat-t5'];
+    classes.forEach(cls => {
+      document.querySelectorAll('.' + cls).forEach(el => el.classList.remove(cls));
+    });
+    // Remove inline styles applied by heatmap
+    document.querySelectorAll('[data-tm-a11y-heatmap]').forEach(el => {
+      clearHeatmapInlineStyles(el);
+    });
+  }
+
+  /**
+   * Master function: apply the correct map visualisation mode.
+   * MCDA heatmap and focus mode are mutually exclusive.
+   */
+  function applyMapVisualisation() {
+    if (currentPreferences.mcdaEnabled) {
+      removeFocusHighlights();
+      applyHeatmapMode();
+    } else if (currentPreferences.focusModeEnabled) {
+      removeHeatmapHighlights();
+      applyFocusMode();
+    } else {
+      removeFocusHighlights();
+      removeHeatmapHighlights();
+    }
+  }
+
+
+  // ══════════════════════════════════════════════════════════════
+  // 8a-ii. MAPBOX GL HEATMAP (shared by Viagogo + StubHub)
+  // ══════════════════════════════════════════════════════════════
+
+  /**
+   * Apply heatmap/focus colouring to a Mapbox GL map instance.
+   * 
+   * Both Viagogo and StubHub render their seat maps with Mapbox GL.
+   * The sections are drawn as vector fill layers on a WebGL canvas —
+   * NOT as DOM SVG elements we can style with CSS.
+   * 
+   * To recolour sections we must:
+   *   1. Get the live Mapbox GL `Map` instance (captured by our interceptor)
+   *   2. Walk `map.getStyle().layers` to find fill layers
+   *   3. Match layer IDs/source-layer names to our scraped section data
+   *   4. Call `map.setPaintProperty()` to change fill-color and fill-opacity
+   * 
+   * @param {string} platformName — 'viagogo' or 'stubhub' (for logging)
+   * @returns {boolean} true if highlights were applied
+   */
+  function applyMapboxHeatmap(platformName) {
+    if (capturedSeats.length === 0) return false;
+    if (!currentPreferences.mcdaEnabled && !currentPreferences.focusModeEnabled) return false;
+
+    if (currentPreferences.mcdaEnabled) computeAllMCDAScores();
+
+    // ── Find the Mapbox GL map instance ──
+    const map = _getMapboxInstance();
+    if (!map) {
+      console.log(`[A11y Helper] 🗺️ ${platformName}: No Mapbox instance found (${_capturedMapInstances.length} captured)`);
+      return false;
+    }
+
+    // ── Build section → best tier / best price lookups ──
+    const sectionBestTier = new Map();
+    const sectionBestPrice = new Map();
+    const sectionExcluded = new Set(); // Has seats that broke a hard rule (8a-i-c)
+
+    capturedSeats.forEach(seat => {
+      if (seat.availability !== 'available') return;
+      // Strip prefixes: "Section 419" → "419", "Upper Tier 208" → "Upper Tier 208"
+      const rawSection = seat.section
+        .replace(/^Section\s*/i, '')
+        .replace(/^Block\s*/i, '')
+        .trim();
+
+      const price = getEffectivePrice(seat);
+      const ep = sectionBestPrice.get(rawSection);
+      if (!ep || price < ep) sectionBestPrice.set(rawSection, price);
+
+      if (currentPreferences.mcdaEnabled) {
+        const scoreData = getSeatMCDAScore(seat);
+        if (scoreData) {
+          const et = sectionBestTier.get(rawSection);
+          if (!et || scoreData.tier < et) sectionBestTier.set(rawSection, scoreData.tier);
+        } else if (!seatPassesConstraints(seat)) {
+          sectionExcluded.add(rawSection);
+        }
+      }
+    });
+
+    if (sectionBestPrice.size === 0) return false;
+
+    // Build variant lookup for fuzzy matching
+    const sectionVariantsMap = new Map();
+    sectionBestPrice.forEach((price, rawSection) => {
+      const variants = generateSectionVariants(rawSection);
+      variants.forEach(v => sectionVariantsMap.set(v, rawSection));
+    });
+
+    const heatColors = {
+      1: '#22c55e', 2: '#86efac', 3: '#fde047', 4: '#fb923c', 5: '#ef4444'
+    };
+
+    let applied = 0;
+    let dimmed = 0;
+
+    try {
+      const style = map.getStyle();
+      if (!style || !style.layers) return false;
+
+      style.layers.forEach(layer => {
+        if (!layer.id) return;
+        if (layer.type !== 'fill') return; // Only fill layers (section polygons)
+
+        // ── Try to match this layer to a section ──
+        const layerId = layer.id;
+        const matchedSection = findMapboxLayerSection(layer, sectionVariantsMap);
+
+        try {
+          if (matchedSection) {
+            applied++;
+            if (currentPreferences.mcdaEnabled && sectionBestTier.has(matchedSection)) {
+              const tier = sectionBestTier.get(matchedSection);
+              map.setPaintProperty(layerId, 'fill-color', heatColors[tier] || '#fde047');
+              map.setPaintProperty(layerId, 'fill-opacity', 0.75);
+            } else if (currentPreferences.mcdaEnabled && sectionExcluded.has(matchedSection)) {
+              map.setPaintProperty(layerId, 'fill-color', HEAT_EXCLUDED_COLOUR);
+              map.setPaintProperty(layerId, 'fill-opacity', 0.4);
+            } else if (currentPreferences.focusModeEnabled) {
+              const cheapest = sectionBestPrice.get(matchedSection);
+              const inBudget = cheapest <= currentPreferences.maxPrice;
+              map.setPaintProperty(layerId, 'fill-color', inBudget ? '#22c55e' : '#f97316');
+              map.setPaintProperty(layerId, 'fill-opacity', inBudget ? 0.7 : 0.3);
+            }
+          } else {
+            // Dim unmatched fill layers (but skip base/background layers)
+            if (!/background|base|land|water|road|building|label|text|icon|border/i.test(layerId)) {
+              map.setPaintProperty(layerId, 'fill-opacity', 0.15);
+              dimmed++;
+            }
+          }
+        } catch (e) {
+          // Layer may not support this paint property — ignore
+        }
+      });
+
+      console.log(`[A11y Helper] 🗺️ ${platformName}: Mapbox heatmap applied — ${applied} sections coloured, ${dimmed} dimmed`);
+      return applied > 0;
+    } catch (e) {
+      console.log(`[A11y Helper] 🗺️ ${platformName}: Mapbox heatmap error:`, e.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get the best available Mapbox GL map instance.
+   * Tries the interceptor capture array first, then DOM probing.
+   */
+  function _getMapboxInstance() {
+    // Priority 1: Instances captured by our constructor interceptor
+    for (const inst of _capturedMapInstances) {
+      try {
+        if (inst && typeof inst.getStyle === 'function' && inst.getStyle()) {
+          return inst;
+        }
+      } catch (e) {}
+    }
+
+    // Priority 2: Global mapboxgl references
+    if (window.mapboxgl?._instances) {
+      for (const inst of window.mapboxgl._instances) {
+        try {
+          if (inst && typeof inst.getStyle === 'function') return inst;
+        } catch (e) {}
+      }
+    }
+
+    // Priority 3: Walk DOM map containers for stored references
+    const mapEls = document.querySelectorAll('.mapboxgl-map, #SeatMapMapbox, #MapBoxWrapper [data-testid="map-container"]');
+    for (const el of mapEls) {
+      // Check common property names
+      for (const key of ['__mapboxgl', '_mapboxgl', '__map', '_map', 'mapbox', 'map', '_mapboxMap']) {
+        try {
+          if (el[key] && typeof el[key].getStyle === 'function') return el[key];
+        } catch (e) {}
+      }
+      // Check all own properties for map-like objects
+      try {
+        for (const key of Object.keys(el)) {
+          if (el[key] && typeof el[key].getStyle === 'function' && typeof el[key].setPaintProperty === 'function') {
+            return el[key];
+          }
+        }
+      } catch (e) {}
+    }
+
+    return null;
+  }
+
+  /**
+   * The section a Mapbox fill layer draws, matched against
+   * `variantsMap` (section variant → section name) by layer id or
+   * source-layer: full name, then the number in it, then a
+   * "upper-tier-208" / "floor_standing" style id.
+   */
+  function findMapboxLayerSection(layer, variantsMap) {
+    const names = new Set(variantsMap.values());
+    for (const candidate of [layer.id, layer['source-layer'] || '']) {
+      if (!candidate) continue;
+
+      for (const v of generateSectionVariants(candidate)) {
+        if (variantsMap.has(v)) return variantsMap.get(v);
+      }
+
+      const numMatch = candidate.match(/(\d{2,4})/);
+      if (numMatch) {
+        for (const v of generateSectionVariants(numMatch[1])) {
+          if (variantsMap.has(v)) return variantsMap.get(v);
+        }
+      }
+
+      const parts = candidate.replace(/[-_]/g, ' ').toLowerCase();
+      for (const name of names) {
+        if (parts.includes(name.toLowerCase())) return name;
+      }
+    }
+    return null;
+  }
+
+  let _mapboxOutline = []; // { layerId, prop, value } paint values to put back
+
+  /**
+   * Hover/focus outline for StubHub/Viagogo: strengthen the matching
+   * section layers' fill and edge, remembering what was there before.
+   * Returns false when no layer could be matched.
+   */
+  function outlineMapboxSections(sections) {
+    const map = _getMapboxInstance();
+    if (!map) return false;
+
+    const variantsMap = new Map();
+    sections.forEach(sec => {
+      const raw = sec.replace(/^Section\s*/i, '').replace(/^Block\s*/i, '').trim();
+      generateSectionVariants(raw).forEach(v => variantsMap.set(v, raw));
+    });
+    const accent = (panelElement && getComputedStyle(panelElement).getPropertyValue('--tm-a11y-accent').trim()) || '#3ecf8e';
+
+    try {
+      map.getStyle()?.layers?.forEach(layer => {
+        if (!layer.id || layer.type !== 'fill') return;
+        if (!findMapboxLayerSection(layer, variantsMap)) return;
+        try {
+          ['fill-outline-color', 'fill-opacity'].forEach(prop => {
+            _mapboxOutline.push({ layerId: layer.id, prop, value: map.getPaintProperty(layer.id, prop) });
+          });
+          map.setPaintProperty(layer.id, 'fill-outline-color', accent);
+          map.setPaintProperty(layer.id, 'fill-opacity', 0.95);
+        } catch (e) {}
+      });
+    } catch (e) {
+      return false;
+    }
+    return _mapboxOutline.length > 0;
+  }
+
+  function clearMapboxOutline() {
+    if (_mapboxOutline.length === 0) return;
+    const map = _getMapboxInstance();
+    // Last in, first out — a layer outlined twice gets its original back
+    _mapboxOutline.reverse().forEach(({ layerId, prop, value }) => {
+      try { map?.setPaintProperty(layerId, prop, value ?? null); } catch (e) {}
+    });
+    _mapboxOutline = [];
+  }
+
+  /**
+   * Reset all Mapbox GL heatmap paint changes back to defaults.
+   */
+  function resetMapboxHeatmap() {
+    const map = _getMapboxInstance();
+    if (!map) return;
+    try {
+      const style = map.getStyle();
+      if (!style?.layers) return;
+      style.layers.forEach(layer => {
+        if (layer.type !== 'fill') return;
+        try {
+          // Reset to original style values (Mapbox will use the style spec defaults)
+          map.setPaintProperty(layer.id, 'fill-opacity', null);
+          map.setPaintProperty(layer.id, 'fill-color', null);
+        } catch (e) {}
+      });
+    } catch (e) {}
+  }
+
+
+  // ══════════════════════════════════════════════════════════════
+  // 8b. BRIDGE COMMUNICATION
+  // ══════════════════════════════════════════════════════════════
+
+  function broadcastPreferences() {
+    window.postMessage({
+      source: 'tm-a11y-content',
+      type: 'SAVE_PREFERENCES',
+      preferences: currentPreferences
+    }, '*');
+    // Filters are also remembered per event (8d)
+    saveEventFilters();
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window) return;
+    if (event.data?.source !== 'tm-a11y-bridge') return;
+
+    const { type, preferences } = event.data;
+
+    if (type === 'PREFERENCES_LOADED' || type === 'PREFERENCES_UPDATED') {
+      const typographyChanged =
+        currentPreferences.fontFamily !== preferences?.fontFamily ||
+        currentPreferences.fontSize !== preferences?.fontSize ||
+        currentPreferences.lineSpacing !== preferences?.lineSpacing;
+
+      const declutterChanged = currentPreferences.declutterEnabled !== preferences?.declutterEnabled;
+      const animFreezeChanged = currentPreferences.animationFreezeEnabled !== preferences?.animationFreezeEnabled;
+      const urgencyChanged = (currentPreferences.urgencyMode || 'off') !== (preferences?.urgencyMode || 'off');
+      const timerModeChanged = (currentPreferences.calmTimerMode || 'off') !== (preferences?.calmTimerMode || 'off');
+
+      currentPreferences = { ...DEFAULT_PREFERENCES, ...preferences };
+      activeProfileId = currentPreferences.activeProfileId || null;
+      // Stored global prefs can land after this event's own filters
+      if (type === 'PREFERENCES_LOADED') {
+        _globalFilters = {};
+        EVENT_FILTER_KEYS.forEach(k => { _globalFilters[k] = currentPreferences[k]; });
+        applyEventFilters();
+      }
+
+      applyColourScheme(currentPreferences.colourScheme);
+      if (typographyChanged) applyTypography();
+      currentAdapter.applyMapHighlights();
+      if (declutterChanged) applyDeclutterMode();
+      if (animFreezeChanged) applyAnimationFreeze();
+      if (urgencyChanged) {
+        removeUrgencyNeutraliser();
+        applyUrgencyNeutraliser();
+      }
+      if (timerModeChanged) {
+        if (currentPreferences.calmTimerMode === 'off') stopCalmTimer();
+        else scanForCalmTimer();
+      }
+
+      if (panelElement) {
+        renderPanelContent();
+        updatePanelVisibility();
+      }
+    }
+
+    // Profile data loaded from storage
+    if (type === 'PROFILES_LOADED') {
+      customProfiles = event.data.profiles || [];
+      console.log(`[A11y Helper] Profiles loaded: ${customProfiles.length} custom`);
+      if (panelElement) renderPanelContent();
+    }
+
+    // Profile applied from popup
+    if (type === 'APPLY_PROFILE') {
+      applyProfile(event.data.profileId);
+    }
+
+    // Event watch restored from chrome.storage.local
+    if (type === 'WATCH_LOADED') {
+      if (event.data.eventKey !== getEventStoreKey()) return;
+      activeWatch = event.data.watch || null;
+      if (activeWatch) {
+        console.log('[A11y Helper] 👁 Watch restored for this event');
+        checkWatchMatches();
+      }
+      if (panelElement) renderPanelContent();
+    }
 
-  const TIER_OPACITY = { 1: '1', 2: '0.95', 3: '0.85', 4: '0.6', 5: '0.35' };
+    // Venue models (bundled + imported) from bridge.js
+    if (type === 'VENUES_LOADED') {
+      venueModels = (event.data.venues || []).map(compileVenueModel).filter(Boolean);
+      _activeVenue = undefined;
+      invalidateMapGeometry(); // Stage layout may come from the venue
+      console.log(`[A11y Helper] 🏟 ${venueModels.length} venue models loaded`);
+      if (currentPreferences.mcdaEnabled) {
+        computeAllMCDAScores();
+        if (panelElement) renderPanelContent();
+        currentAdapter?.applyMapHighlights();
+      }
+    }
 
-  /**
-   * Apply inline heatmap styles to an SVG element.
-   * Uses inline styles with !important to beat styled-components specificity.
-   * tier=null → unavailable (dim)
-   */
-  function applyHeatmapInlineStyle(el, tier) {
-    el.setAttribute('data-tm-a11y-heatmap', tier !== null ? `t${tier}` : 'unavail');
+    // Per-event state (8d) restored from chrome.storage
+    if (type === 'EVENT_STATE_LOADED') {
+      if (event.data.eventKey !== getEventStoreKey()) return;
+      applyEventState(event.data.state || {});
+      if (panelElement) renderPanelContent();
+    }
 
-    if (tier === null) {
-      el.style.setProperty('opacity', '0.12', 'important');
-      el.style.setProperty('filter', 'grayscale(100%)', 'important');
-      return;
+    if (type === 'REQUEST_SEAT_DATA') {
+      window.postMessage({
+        source: 'tm-a11y-content',
+        type: 'SEAT_DATA_RESPONSE',
+        seatData: capturedSeats
+      }, '*');
     }
+  });
 
-    const colour = getTierColour(tier);
-    const opacity = TIER_OPACITY[tier] || '0.5';
 
-    el.style.setProperty('fill', colour, 'important');
-    el.style.setProperty('opacity', opacity, 'important');
-    el.style.removeProperty('filter');
+  // ══════════════════════════════════════════════════════════════
+  // 8c. EVENT WATCH — PRICE-DROP & NEW-LISTING ALERTS
+  // ══════════════════════════════════════════════════════════════
+  //
+  // A watch is a saved set of criteria (max price, sections, quantity,
+  // minimum MCDA score) for one event. The background scrape keeps
+  // running while a watch is active and, together with network capture,
+  // feeds mergeSeatData() → checkWatchMatches().
+  //
+  // Alerts are deliberately quiet so they never become another source
+  // of FOMO: one static in-panel notice (no flashing, no sound), at most
+  // once every WATCH_ALERT_MIN_GAP_MS, plus an optional count on the
+  // extension badge. Matches arriving in between are batched.
+  // ══════════════════════════════════════════════════════════════
+
+  const WATCH_ALERT_MIN_GAP_MS = 5 * 60 * 1000;
+  const WATCH_MAX_REMEMBERED = 1000;
+
+  const _watchPending = new Map(); // seatContentKey → seat awaiting the next alert
+  let _watchAlertTimer = null;
+
+  /** Key used to store per-event data (watch, shortlist …) */
+  function getEventStoreKey() {
+    return eventMeta.eventId || window.location.pathname;
   }
 
-  /**
-   * Clear inline heatmap styles from an element.
-   */
-  function clearHeatmapInlineStyles(el) {
-    if (el.getAttribute('data-tm-a11y-heatmap')) {
-      el.style.removeProperty('fill');
-      el.style.removeProperty('opacity');
-      el.style.removeProperty('filter');
-      el.removeAttribute('data-tm-a11y-heatmap');
+  function seatMatchesWatch(seat, watch) {
+    if (seat.availability !== 'available') return false;
+    if (seat.stale) return false; // Restored from the last visit, not a live listing
+    if (!seatPassesConstraints(seat)) return false; // The user's rules apply to alerts too
+    if (watch.maxPrice && getEffectivePrice(seat) > watch.maxPrice) return false;
+    if (watch.sections?.length && !watch.sections.includes(seat.section)) return false;
+    if (watch.qty && !canBuyQuantity(seat, watch.qty)) return false;
+    if (watch.minScore) {
+      const scoreData = getSeatMCDAScore(seat);
+      if (!scoreData || scoreData.score < watch.minScore) return false;
     }
+    return true;
+  }
+
+  function findWatchMatches() {
+    if (!activeWatch) return [];
+    seatRunLengths = computeContiguousRuns(capturedSeats);
+    if (activeWatch.minScore) computeAllMCDAScores();
+    return capturedSeats.filter(s => seatMatchesWatch(s, activeWatch));
   }
 
   /**
-   * Apply heatmap colours to individual seat circles not in section groups.
+   * Start watching this event. Listings that already match are recorded
+   * as the baseline — only genuinely new listings or price drops alert.
    */
-  function heatmapIndividualSeats() {
-    const seatSelectors = [
-      'circle[data-component="svg__seat"]', 'circle[data-seat-name]',
-      '[data-component="seat"]', '[data-testid*="seat"]',
-      '.seat-button', '.seat'
-    ];
-
-    seatSelectors.forEach(selector => {
-      try {
-        document.querySelectorAll(selector).forEach(el => {
-          if (el.closest('[data-tm-a11y-heatmap]')) return;
-          if (el.closest('#tm-a11y-companion-panel')) return;
-          const sectionG = el.closest('g[data-section-name], [data-section-id]');
-          if (sectionG) return;
-
-          const seatId = el.dataset?.seatId || el.dataset?.seat || el.id;
-          const matched = capturedSeats.find(s => s.id === seatId);
+  function startWatch(criteria) {
+    activeWatch = {
+      ...criteria,
+      eventKey: getEventStoreKey(),
+      eventName: eventMeta.eventName,
+      startedAt: Date.now(),
+      lastAlertAt: 0,
+      alerted: {} // seatContentKey → lowest price already reported
+    };
+    findWatchMatches().forEach(s => { activeWatch.alerted[seatContentKey(s)] = s.price; });
+    console.log('[A11y Helper] 👁 Watching event:', activeWatch);
+    saveWatch();
+  }
 
-          clearHeatmapInlineStyles(el);
-          if (matched) {
-            const scoreData = getSeatMCDAScore(matched);
-            applyHeatmapInlineStyle(el, scoreData ? scoreData.tier : null);
-          } else {
-            applyHeatmapInlineStyle(el, null);
-          }
-        });
-      } catch (e) {}
-    });
+  function stopWatch() {
+    activeWatch = null;
+    watchNotice = null;
+    _watchPending.clear();
+    clearTimeout(_watchAlertTimer);
+    setWatchBadge('');
+    window.postMessage({
+      source: 'tm-a11y-content',
+      type: 'SAVE_WATCH',
+      eventKey: getEventStoreKey(),
+      watch: null
+    }, '*');
   }
 
   /**
-   * Remove all heatmap visual changes from the SVG seat map.
-   * Clears both CSS classes and inline styles.
+   * Called after every seat merge. Queues listings that are new or
+   * cheaper than when we last told the user about them.
    */
-  function removeHeatmapHighlights() {
-    // Remove CSS classes
-    const classes = ['tm-a11y-heat-t1', 'tm-a11y-heat-t2', 'tm-a11y-heat-t3', 'tm-a11y-heat-t4', 'tm-a11y-heat-t5'];
-    classes.forEach(cls => {
-      document.querySelectorAll('.' + cls).forEach(el => el.classList.remove(cls));
+  function checkWatchMatches() {
+    if (!activeWatch) return;
+
+    const fresh = findWatchMatches().filter(s => {
+      const reported = activeWatch.alerted[seatContentKey(s)];
+      return reported === undefined || s.price < reported - 0.005;
     });
-    // Remove inline styles applied by heatmap
-    document.querySelectorAll('[data-tm-a11y-heatmap]').forEach(el => {
-      clearHeatmapInlineStyles(el);
+    if (fresh.length === 0) return;
+
+    fresh.forEach(s => {
+      const key = seatContentKey(s);
+      _watchPending.set(key, s);
+      activeWatch.alerted[key] = s.price;
     });
+
+    // Keep the remembered set bounded on very long watches
+    const keys = Object.keys(activeWatch.alerted);
+    if (keys.length > WATCH_MAX_REMEMBERED) {
+      keys.slice(0, keys.length - WATCH_MAX_REMEMBERED).forEach(k => delete activeWatch.alerted[k]);
+    }
+
+    saveWatch();
+    flushWatchAlerts();
   }
 
   /**
-   * Master function: apply the correct map visualisation mode.
-   * MCDA heatmap and focus mode are mutually exclusive.
+   * Turn pending matches into one notice, respecting the rate limit.
+   * If we alerted recently, wait until the gap has passed and batch.
    */
-  function applyMapVisualisation() {
-    if (currentPreferences.mcdaEnabled) {
-      removeFocusHighlights();
-      applyHeatmapMode();
-    } else if (currentPreferences.focusModeEnabled) {
-      removeHeatmapHighlights();
-      applyFocusMode();
-    } else {
-      removeFocusHighlights();
-      removeHeatmapHighlights();
+  function flushWatchAlerts() {
+    if (!activeWatch || _watchPending.size === 0) return;
+
+    const wait = activeWatch.lastAlertAt + WATCH_ALERT_MIN_GAP_MS - Date.now();
+    if (wait > 0) {
+      clearTimeout(_watchAlertTimer);
+      _watchAlertTimer = setTimeout(flushWatchAlerts, wait);
+      return;
     }
-  }
 
+    const seats = Array.from(_watchPending.values())
+      .filter(s => s.availability === 'available')
+      .sort((a, b) => a.price - b.price);
+    _watchPending.clear();
+    if (seats.length === 0) return;
+
+    const cheapest = watchNotice && watchNotice.cheapest.price <= seats[0].price
+      ? watchNotice.cheapest : seats[0];
+    watchNotice = {
+      count: (watchNotice?.count || 0) + seats.length,
+      cheapest: cheapest,
+      at: Date.now()
+    };
+    activeWatch.lastAlertAt = Date.now();
+    saveWatch();
 
-  // ══════════════════════════════════════════════════════════════
-  // 8a-ii. MAPBOX GL HEATMAP (shared by Viagogo + StubHub)
-  // ══════════════════════════════════════════════════════════════
+    if (activeWatch.badge) setWatchBadge(String(watchNotice.count));
+    announceToScreenReader(describeWatchNotice(watchNotice));
+    if (panelElement) renderPanelContent();
+  }
 
-  /**
-   * Apply heatmap/focus colouring to a Mapbox GL map instance.
-   * 
-   * Both Viagogo and StubHub render their seat maps with Mapbox GL.
-   * The sections are drawn as vector fill layers on a WebGL canvas —
-   * NOT as DOM SVG elements we can style with CSS.
-   * 
-   * To recolour sections we must:
-   *   1. Get the live Mapbox GL `Map` instance (captured by our interceptor)
-   *   2. Walk `map.getStyle().layers` to find fill layers
-   *   3. Match layer IDs/source-layer names to our scraped section data
-   *   4. Call `map.setPaintProperty()` to change fill-color and fill-opacity
-   * 
-   * @param {string} platformName — 'viagogo' or 'stubhub' (for logging)
-   * @returns {boolean} true if highlights were applied
-   */
-  function applyMapboxHeatmap(platformName) {
-    if (capturedSeats.length === 0) return false;
-    if (!currentPreferences.mcdaEnabled && !currentPreferences.focusModeEnabled) return false;
+  function describeWatchNotice(notice) {
+    const s = notice.cheapest;
+    const where = [s.section, s.row ? `Row ${s.row}` : ''].filter(Boolean).join(', ');
+    const drop = s.firstPrice > s.price ? ` (was ${formatSeatPrice(s, s.firstPrice)})` : '';
+    const what = notice.count === 1 ? '1 listing matches your watch' : `${notice.count} listings match your watch`;
+    return `${what}. Cheapest: ${where} at ${formatSeatPrice(s, s.price)}${drop}.`;
+  }
 
-    if (currentPreferences.mcdaEnabled) computeAllMCDAScores();
+  function dismissWatchNotice() {
+    watchNotice = null;
+    setWatchBadge('');
+  }
 
-    // ── Find the Mapbox GL map instance ──
-    const map = _getMapboxInstance();
-    if (!map) {
-      console.log(`[A11y Helper] 🗺️ ${platformName}: No Mapbox instance found (${_capturedMapInstances.length} captured)`);
-      return false;
-    }
+  function describeWatchCriteria(watch, symbol) {
+    const parts = [];
+    if (watch.maxPrice) parts.push(`up to ${symbol}${watch.maxPrice}`);
+    parts.push(watch.sections?.length ? watch.sections.join(', ') : 'any section');
+    if (watch.qty) parts.push(`${watch.qty} together`);
+    if (watch.minScore) parts.push(`score ${watch.minScore}+`);
+    return parts.join(' · ');
+  }
 
-    // ── Build section → best tier / best price lookups ──
-    const sectionBestTier = new Map();
-    const sectionBestPrice = new Map();
+  function renderWatchNotice(symbol) {
+    if (!watchNotice) return '';
+    return `
+      <div class="tm-a11y-notice tm-a11y-watch-notice">
+        <p class="tm-a11y-notice-text">${describeWatchNotice(watchNotice)}</p>
+        <div class="tm-a11y-notice-actions">
+          <button class="tm-a11y-text-btn" id="tmA11yWatchShow">Show me</button>
+          <button class="tm-a11y-text-btn" id="tmA11yWatchDismiss">Dismiss</button>
+        </div>
+      </div>`;
+  }
 
-    capturedSeats.forEach(seat => {
-      if (seat.availability !== 'available') return;
-      // Strip prefixes: "Section 419" → "419", "Upper Tier 208" → "Upper Tier 208"
-      const rawSection = seat.section
-        .replace(/^Section\s*/i, '')
-        .replace(/^Block\s*/i, '')
-        .trim();
+  function renderWatchSection(symbol) {
+    if (activeWatch) {
+      return `
+        <div class="tm-a11y-tool-section">
+          <div class="tm-a11y-tool-label">Watch This Event</div>
+          <p class="tm-a11y-watch-summary">Watching: ${describeWatchCriteria(activeWatch, symbol)}</p>
+          <p class="tm-a11y-tool-hint">Checks quietly every 15 seconds while this tab is open. You'll get at most one notice every ${WATCH_ALERT_MIN_GAP_MS / 60000} minutes.</p>
+          <button class="tm-a11y-text-btn" id="tmA11yWatchStop">Stop watching</button>
+        </div>`;
+    }
 
-      const ep = sectionBestPrice.get(rawSection);
-      if (!ep || seat.price < ep) sectionBestPrice.set(rawSection, seat.price);
+    const sections = getUniqueSections();
+    const preselected = currentPreferences.sectionFilter !== 'all' ? currentPreferences.sectionFilter : null;
+    return `
+      <div class="tm-a11y-tool-section">
+        <div class="tm-a11y-tool-label">Watch This Event</div>
+        <p class="tm-a11y-tool-hint">Get a quiet notice when a cheaper or new listing matching these criteria appears.</p>
+        <label class="tm-a11y-filter-label" for="tmA11yWatchMaxPrice">Max price (${symbol})</label>
+        <input type="number" id="tmA11yWatchMaxPrice" class="tm-a11y-input" min="0" step="5" value="${currentPreferences.maxPrice}">
+        <label class="tm-a11y-filter-label" for="tmA11yWatchSections">Sections (none selected = any)</label>
+        <select id="tmA11yWatchSections" class="tm-a11y-select tm-a11y-select-multi" multiple size="${Math.min(5, Math.max(2, sections.length))}">
+          ${sections.map(s => `<option value="${s}" ${s === preselected ? 'selected' : ''}>${s}</option>`).join('')}
+        </select>
+        <label class="tm-a11y-filter-label" for="tmA11yWatchQty">Tickets together</label>
+        <select id="tmA11yWatchQty" class="tm-a11y-select">
+          ${[0,1,2,3,4,5,6].map(n => `<option value="${n}" ${(currentPreferences.ticketQty || 0) === n ? 'selected' : ''}>${n === 0 ? 'Any quantity' : n}</option>`).join('')}
+        </select>
+        <label class="tm-a11y-filter-label" for="tmA11yWatchMinScore">Minimum score</label>
+        <select id="tmA11yWatchMinScore" class="tm-a11y-select">
+          ${[0, 50, 60, 70, 80].map(n => `<option value="${n}">${n === 0 ? 'Any score' : `${n} or higher`}</option>`).join('')}
+        </select>
+        <label class="tm-a11y-checkbox-row">
+          <input type="checkbox" id="tmA11yWatchBadge">
+          <span>Also show a count on the extension icon</span>
+        </label>
+        <button class="tm-a11y-text-btn" id="tmA11yWatchStart">Start watching</button>
+      </div>`;
+  }
 
-      if (currentPreferences.mcdaEnabled) {
-        const scoreData = getSeatMCDAScore(seat);
-        if (scoreData) {
-          const et = sectionBestTier.get(rawSection);
-          if (!et || scoreData.tier < et) sectionBestTier.set(rawSection, scoreData.tier);
-        }
-      }
+  function attachWatchListeners() {
+    document.getElementById('tmA11yWatchStart')?.addEventListener('click', () => {
+      const sectionSelect = document.getElementById('tmA11yWatchSections');
+      startWatch({
+        maxPrice: parseFloat(document.getElementById('tmA11yWatchMaxPrice')?.value) || 0,
+        sections: sectionSelect ? Array.from(sectionSelect.selectedOptions).map(o => o.value) : [],
+        qty: parseInt(document.getElementById('tmA11yWatchQty')?.value, 10) || 0,
+        minScore: parseInt(document.getElementById('tmA11yWatchMinScore')?.value, 10) || 0,
+        badge: !!document.getElementById('tmA11yWatchBadge')?.checked
+      });
+      renderPanelContent();
     });
 
-    if (sectionBestPrice.size === 0) return false;
-
-    // Build variant lookup for fuzzy matching
-    const sectionVariantsMap = new Map();
-    sectionBestPrice.forEach((price, rawSection) => {
-      const variants = generateSectionVariants(rawSection);
-      variants.forEach(v => sectionVariantsMap.set(v, rawSection));
+    document.getElementById('tmA11yWatchStop')?.addEventListener('click', () => {
+      stopWatch();
+      renderPanelContent();
     });
 
-    const heatColors = {
-      1: '#22c55e', 2: '#86efac', 3: '#fde047', 4: '#fb923c', 5: '#ef4444'
-    };
-
-    let applied = 0;
-    let dimmed = 0;
-
-    try {
-      const style = map.getStyle();
-      if (!style || !style.layers) return false;
+    document.getElementById('tmA11yWatchDismiss')?.addEventListener('click', () => {
+      dismissWatchNotice();
+      renderPanelContent();
+    });
 
-      style.layers.forEach(layer => {
-        if (!layer.id) return;
-        if (layer.type !== 'fill') return; // Only fill layers (section polygons)
+    // Finds the seat in the list as the user has it set up — their
+    // filters are left alone, and a seat they filter out is reported
+    document.getElementById('tmA11yWatchShow')?.addEventListener('click', () => {
+      const seat = watchNotice?.cheapest;
+      dismissWatchNotice();
+      currentPanelTab = 'seats';
+      if (seat && currentPreferences.listMode === 'sections') {
+        const by = getListGrouping();
+        groupSeats(getFilteredSeats(), by).forEach((list, key) => {
+          if (list.some(s => s.id === seat.id)) _expandedGroups.add(`${by}:${key}`);
+        });
+      }
+      renderPanelContent();
+      if (!seat) return;
+      const card = panelElement?.querySelector(`.tm-a11y-seat-card[data-seat-id="${CSS.escape(seat.id)}"]`);
+      if (card) {
+        card.scrollIntoView({ block: 'center' });
+        card.focus();
+      } else {
+        const where = [seat.section, seat.row ? `Row ${seat.row}` : ''].filter(Boolean).join(', ');
+        announceToScreenReader(`${where} at ${formatSeatPrice(seat, seat.price)} is hidden by your current filters. Clear them to see it in the list.`);
+      }
+    });
+  }
 
-        // ── Try to match this layer to a section ──
-        const layerId = layer.id;
-        const sourceLayer = layer['source-layer'] || '';
+  function saveWatch() {
+    if (!activeWatch) return;
+    window.postMessage({
+      source: 'tm-a11y-content',
+      type: 'SAVE_WATCH',
+      eventKey: activeWatch.eventKey,
+      watch: activeWatch
+    }, '*');
+  }
 
-        // Extract candidate section numbers/names from layer ID and source-layer
-        let matchedSection = null;
-        const candidates = [layerId, sourceLayer];
+  function requestWatch() {
+    window.postMessage({
+      source: 'tm-a11y-content',
+      type: 'REQUEST_WATCH',
+      eventKey: getEventStoreKey()
+    }, '*');
+  }
 
-        for (const candidate of candidates) {
-          if (!candidate) continue;
+  /** Extension icon badge — relayed by bridge.js to the background worker */
+  function setWatchBadge(text) {
+    window.postMessage({
+      source: 'tm-a11y-content',
+      type: 'SET_WATCH_BADGE',
+      text: text
+    }, '*');
+  }
 
-          // Try direct variant match on the full candidate string
-          const candidateVariants = generateSectionVariants(candidate);
-          for (const v of candidateVariants) {
-            if (sectionVariantsMap.has(v)) {
-              matchedSection = sectionVariantsMap.get(v);
-              break;
-            }
-          }
-          if (matchedSection) break;
-
-          // Try extracting just the number portion
-          const numMatch = candidate.match(/(\d{2,4})/);
-          if (numMatch) {
-            const numVariants = generateSectionVariants(numMatch[1]);
-            for (const v of numVariants) {
-              if (sectionVariantsMap.has(v)) {
-                matchedSection = sectionVariantsMap.get(v);
-                break;
-              }
-            }
-          }
-          if (matchedSection) break;
-
-          // Try matching "upper-tier-208" or "floor_standing" style IDs
-          const parts = candidate.replace(/[-_]/g, ' ').toLowerCase();
-          for (const [key] of sectionBestPrice) {
-            if (parts.includes(key.toLowerCase())) {
-              matchedSection = key;
-              break;
-            }
-          }
-          if (matchedSection) break;
-        }
 
-        try {
-          if (matchedSection) {
-            applied++;
-            if (currentPreferences.mcdaEnabled && sectionBestTier.has(matchedSection)) {
-              const tier = sectionBestTier.get(matchedSection);
-              map.setPaintProperty(layerId, 'fill-color', heatColors[tier] || '#fde047');
-              map.setPaintProperty(layerId, 'fill-opacity', 0.75);
-            } else if (currentPreferences.focusModeEnabled) {
-              const cheapest = sectionBestPrice.get(matchedSection);
-              const inBudget = cheapest <= currentPreferences.maxPrice;
-              map.setPaintProperty(layerId, 'fill-color', inBudget ? '#22c55e' : '#f97316');
-              map.setPaintProperty(layerId, 'fill-opacity', inBudget ? 0.7 : 0.3);
-            }
-          } else {
-            // Dim unmatched fill layers (but skip base/background layers)
-            if (!/background|base|land|water|road|building|label|text|icon|border/i.test(layerId)) {
-              map.setPaintProperty(layerId, 'fill-opacity', 0.15);
-              dimmed++;
-            }
-          }
-        } catch (e) {
-          // Layer may not support this paint property — ignore
-        }
-      });
+  // ══════════════════════════════════════════════════════════════
+  // 8d. PER-EVENT STORE — RESTORE ACROSS RELOADS
+  // ══════════════════════════════════════════════════════════════
+  //
+  // TM reloads the seat map often, and everything above lives in
+  // closure variables. bridge.js keeps one record per event (keyed by
+  // getEventStoreKey()) in chrome.storage.local:
+  //
+  //   { pins, seats, seatsSavedAt, lastScanAt, filters, updatedAt }
+  //
+  // Restored seats are flagged `stale` until a scrape sees them again.
+  // The shortlist is also mirrored to chrome.storage.sync so it follows
+  // the user to other devices. Records untouched for 30 days are pruned.
+  // ══════════════════════════════════════════════════════════════
 
-      console.log(`[A11y Helper] 🗺️ ${platformName}: Mapbox heatmap applied — ${applied} sections coloured, ${dimmed} dimmed`);
-      return applied > 0;
-    } catch (e) {
-      console.log(`[A11y Helper] 🗺️ ${platformName}: Mapbox heatmap error:`, e.message);
-      return false;
-    }
+  const EVENT_STORE_SAVE_DELAY_MS = 3000;
+  const EVENT_STORE_MAX_SEATS = 600;
+  const EVENT_FILTER_KEYS = ['maxPrice', 'sectionFilter', 'sortBy', 'ticketQty'];
+
+  let _eventStoreSaveTimer = null;
+  let _restoredFilters = null; // Re-applied if stored preferences arrive after the event state
+  let _globalFilters = null;   // Stored values of EVENT_FILTER_KEYS, before any event's own
+  let lastScanAt = null;       // Last completed full scan for this event
+  let restoredSeatsSavedAt = null; // When the stale seats on screen were captured
+
+  /**
+   * `eventKey` defaults to the current event. Pass it when the URL may
+   * already belong to the next event (flushing during navigation, 8e).
+   */
+  function saveEventState(partial, eventKey = getEventStoreKey()) {
+    window.postMessage({
+      source: 'tm-a11y-content',
+      type: 'SAVE_EVENT_STATE',
+      eventKey,
+      eventName: eventMeta.eventName || null,
+      state: partial
+    }, '*');
+  }
+
+  function requestEventState() {
+    window.postMessage({
+      source: 'tm-a11y-content',
+      type: 'REQUEST_EVENT_STATE',
+      eventKey: getEventStoreKey()
+    }, '*');
   }
 
   /**
-   * Get the best available Mapbox GL map instance.
-   * Tries the interceptor capture array first, then DOM probing.
+   * Debounced save of scan results. Only fresh data is written — if
+   * everything on screen is still stale from the last visit, the stored
+   * copy (and its timestamp) is left alone.
    */
-  function _getMapboxInstance() {
-    // Priority 1: Instances captured by our constructor interceptor
-    for (const inst of _capturedMapInstances) {
-      try {
-        if (inst && typeof inst.getStyle === 'function' && inst.getStyle()) {
-          return inst;
-        }
-      } catch (e) {}
+  function scheduleEventStateSave() {
+    clearTimeout(_eventStoreSaveTimer);
+    _eventStoreSaveTimer = setTimeout(() => flushEventStateSave(), EVENT_STORE_SAVE_DELAY_MS);
+  }
+
+  /** Write a pending save now — before leaving the event it belongs to (8e) */
+  function flushEventStateSave(eventKey) {
+    clearTimeout(_eventStoreSaveTimer);
+    _eventStoreSaveTimer = null;
+    if (!capturedSeats.some(s => !s.stale)) return;
+    saveEventState({
+      seats: capturedSeats.slice(0, EVENT_STORE_MAX_SEATS).map(({ stale, ...seat }) => seat),
+      seatsSavedAt: Date.now(),
+      lastScanAt: lastScanAt
+    }, eventKey);
+  }
+
+  function saveEventFilters() {
+    const filters = {};
+    EVENT_FILTER_KEYS.forEach(k => { filters[k] = currentPreferences[k]; });
+    saveEventState({ filters });
+  }
+
+  /**
+   * Leaving an event (8e): its filters go back to the stored global
+   * values. Sections belong to one venue, so sectionFilter always resets.
+   */
+  function restoreGlobalFilters() {
+    EVENT_FILTER_KEYS.forEach(k => {
+      const global = k !== 'sectionFilter' ? _globalFilters?.[k] : undefined;
+      currentPreferences[k] = global !== undefined ? global : DEFAULT_PREFERENCES[k];
+    });
+  }
+
+  function applyEventFilters() {
+    if (!_restoredFilters) return;
+    EVENT_FILTER_KEYS.forEach(k => {
+      if (_restoredFilters[k] !== undefined) currentPreferences[k] = _restoredFilters[k];
+    });
+  }
+
+  /** Apply a stored record: shortlist, filters, then last scan results as stale */
+  function applyEventState(state) {
+    if (Array.isArray(state.pins) && pinnedSeats.length === 0) {
+      pinnedSeats = state.pins.slice(0, MAX_PINNED_SEATS);
+      console.log(`[A11y Helper] 📌 Restored ${pinnedSeats.length} shortlisted seats`);
     }
 
-    // Priority 2: Global mapboxgl references
-    if (window.mapboxgl?._instances) {
-      for (const inst of window.mapboxgl._instances) {
-        try {
-          if (inst && typeof inst.getStyle === 'function') return inst;
-        } catch (e) {}
-      }
+    if (state.filters) {
+      _restoredFilters = state.filters;
+      applyEventFilters();
     }
 
-    // Priority 3: Walk DOM map containers for stored references
-    const mapEls = document.querySelectorAll('.mapboxgl-map, #SeatMapMapbox, #MapBoxWrapper [data-testid="map-container"]');
-    for (const el of mapEls) {
-      // Check common property names
-      for (const key of ['__mapboxgl', '_mapboxgl', '__map', '_map', 'mapbox', 'map', '_mapboxMap']) {
-        try {
-          if (el[key] && typeof el[key].getStyle === 'function') return el[key];
-        } catch (e) {}
+    if (state.lastScanAt) lastScanAt = state.lastScanAt;
+
+    if (Array.isArray(state.seats) && state.seats.length > 0) {
+      const known = new Set(capturedSeats.map(seatContentKey));
+      const restored = state.seats
+        .filter(s => !known.has(seatContentKey(s)))
+        .map(s => ({ ...s, stale: true }));
+      if (restored.length > 0) {
+        capturedSeats = capturedSeats.concat(restored);
+        restoredSeatsSavedAt = state.seatsSavedAt || state.updatedAt || null;
+        console.log(`[A11y Helper] 💾 Restored ${restored.length} seats from last visit (stale)`);
+        if (currentPreferences.mcdaEnabled) computeAllMCDAScores();
       }
-      // Check all own properties for map-like objects
-      try {
-        for (const key of Object.keys(el)) {
-          if (el[key] && typeof el[key].getStyle === 'function' && typeof el[key].setPaintProperty === 'function') {
-            return el[key];
-          }
-        }
-      } catch (e) {}
     }
+  }
 
-    return null;
+  function getStaleSeatCount() {
+    return capturedSeats.filter(s => s.stale && s.status !== 'sold').length;
   }
 
-  /**
-   * Reset all Mapbox GL heatmap paint changes back to defaults.
-   */
-  function resetMapboxHeatmap() {
-    const map = _getMapboxInstance();
-    if (!map) return;
-    try {
-      const style = map.getStyle();
-      if (!style?.layers) return;
-      style.layers.forEach(layer => {
-        if (layer.type !== 'fill') return;
-        try {
-          // Reset to original style values (Mapbox will use the style spec defaults)
-          map.setPaintProperty(layer.id, 'fill-opacity', null);
-          map.setPaintProperty(layer.id, 'fill-color', null);
-        } catch (e) {}
-      });
-    } catch (e) {}
+  function renderStaleNotice() {
+    const staleCount = getStaleSeatCount();
+    if (staleCount === 0) return '';
+    const when = restoredSeatsSavedAt ? formatTimeAgo(restoredSeatsSavedAt) : 'on your last visit';
+    return `
+      <div class="tm-a11y-notice" role="status">
+        <p class="tm-a11y-notice-text">${staleCount} seat${staleCount === 1 ? '' : 's'} shown from your last visit (saved ${when}). Prices and availability may have changed.</p>
+        ${scanState !== 'scanning' ? `
+        <div class="tm-a11y-notice-actions">
+          <button class="tm-a11y-text-btn" id="tmA11yStaleRescan">Check them now</button>
+        </div>` : ''}
+      </div>`;
   }
 
 
   // ══════════════════════════════════════════════════════════════
-  // 8b. BRIDGE COMMUNICATION
+  // 8e. PAGE LIFECYCLE — SPA NAVIGATION & LIVE REFRESH
+  // ══════════════════════════════════════════════════════════════
+  //
+  // TM, StubHub and Viagogo move between events and dates with client-
+  // side routing, so initialise() runs once per tab. Everything tied to
+  // one event lives in a "session": when the history API (or popstate)
+  // changes the URL and the event key changes with it, the session is
+  // torn down — pending saves flushed, scans and startup timers
+  // cancelled — and rebuilt as if the page had just loaded.
+  //
+  // Between scans a light refresh re-reads the listings already on the
+  // page (no scrolling), and only if the page changed since last time.
+  // It runs while the tab is visible and pauses when hidden, apart from
+  // a slow tick that keeps an event watch (8c) alive.
   // ══════════════════════════════════════════════════════════════
 
-  function broadcastPreferences() {
-    window.postMessage({
-      source: 'tm-a11y-content',
-      type: 'SAVE_PREFERENCES',
-      preferences: currentPreferences
-    }, '*');
+  const LIVE_REFRESH_MS = 15000;
+  const HIDDEN_WATCH_REFRESH_MS = 60000;
+  const NAVIGATION_SETTLE_MS = 600; // Give the router time to render the new event
+  const LISTING_SCROLL_SELECTOR =
+    '[class*="listing"], [class*="Listing"], [class*="scroll"], [class*="results"], ' +
+    '[data-testid*="listing"], [data-testid*="ticket"], [role="list"], [role="listbox"]';
+
+  let eventSessionId = 0;  // Bumped on every event change; timers and scans compare against it
+  let _sessionKey = null;  // getEventStoreKey() when the session started
+  let _lifecycleUrl = '';
+  let _navigationTimer = null;
+  let _liveRefreshTimer = null;
+  let _pageChangedSinceRefresh = true;
+
+  /** setTimeout that does nothing if the user has moved on to another event */
+  function sessionTimeout(fn, ms) {
+    const session = eventSessionId;
+    return setTimeout(() => { if (session === eventSessionId) fn(); }, ms);
   }
 
-  window.addEventListener('message', (event) => {
-    if (event.source !== window) return;
-    if (event.data?.source !== 'tm-a11y-bridge') return;
+  /**
+   * Per-event startup: restore stored state, take quick scrapes of what
+   * is already rendered, then start the platform's scan. Runs on load
+   * and again after every in-page navigation to another event.
+   */
+  function startEventSession() {
+    _sessionKey = getEventStoreKey();
+    _lifecycleUrl = window.location.href;
 
-    const { type, preferences } = event.data;
+    // Restore any event watch saved for this event
+    requestWatch();
+    // Restore this event's shortlist, filters and last scan (8d)
+    requestEventState();
 
-    if (type === 'PREFERENCES_LOADED' || type === 'PREFERENCES_UPDATED') {
-      const typographyChanged =
-        currentPreferences.fontFamily !== preferences?.fontFamily ||
-        currentPreferences.fontSize !== preferences?.fontSize ||
-        currentPreferences.lineSpacing !== preferences?.lineSpacing;
+    // ── Quick scrapes of what's already visible (no scrolling/movement) ──
+    sessionTimeout(() => currentAdapter.scrapeSeats(), 1500);
+    sessionTimeout(() => {
+      currentAdapter.scrapeSeats();
+      if (capturedSeats.length > 0) renderPanelContent();
+    }, 3000);
 
-      const declutterChanged = currentPreferences.declutterEnabled !== preferences?.declutterEnabled;
-      const animFreezeChanged = currentPreferences.animationFreezeEnabled !== preferences?.animationFreezeEnabled;
+    // ── Platform-specific scan behaviour ──
+    // TM: auto-scroll sidebar on load (virtual scroll needs it to populate)
+    // Viagogo: wait for user to press "Scan All Seats" (avoids overstimulation)
+    if (currentAdapter.shouldAutoScan) {
+      sessionTimeout(() => currentAdapter.autoScroll(), 4000);
+      // Safety timeout — unlock panel even if scan stalls
+      sessionTimeout(() => { if (scanState === 'scanning') { console.log('[A11y Helper] Scan timeout'); finishScan(); } }, 30000);
+    }
+    // NOTE: When shouldAutoScan is false, the user presses "Scan All Seats"
+    // button in the companion panel to begin. This prevents overstimulation
+    // from unexpected page scrolling/movement on load.
+  }
 
-      currentPreferences = { ...DEFAULT_PREFERENCES, ...preferences };
-      activeProfileId = currentPreferences.activeProfileId || null;
+  /** Forget everything that belongs to the event being left */
+  function resetEventState() {
+    // history.pushState has already moved the URL on, and the store key
+    // falls back to the path — save under the key the session started with
+    if (_eventStoreSaveTimer) flushEventStateSave(_sessionKey || undefined);
+    clearCheckoutHighlight(); // Also one left behind by "I'll do it myself"
+    checkoutSession = null;
+    clearMapSectionOutline();
+    _mapOutlineUnavailable = false;
+
+    capturedSeats = [];
+    pinnedSeats = [];
+    mcdaScores = new Map();
+    seatRunLengths = new Map();
+    pageFeeInfo = { orderFee: null, feesIncluded: null };
+    _lastFeeScanAt = 0;
+
+    activeWatch = null;
+    watchNotice = null;
+    _watchPending.clear();
+    clearTimeout(_watchAlertTimer);
+    setWatchBadge('');
+
+    lastScanAt = null;
+    restoredSeatsSavedAt = null;
+    _restoredFilters = null;
+    restoreGlobalFilters();
+
+    _autoScrollInProgress = false;
+    scanProgress = 0;
+    endScanMask(false);
+    _resaleContext = null;
+    _activeVenue = undefined;
+    mapGeometry = null;
+    _geometryMeasuredAt = 0;
+    invalidateMapGeometry();
+
+    recommendOpen = false;
+    insightSection = 'all';
+    urgencyLog = [];
+    stopCalmTimer();
+    _expandedGroups.clear();
+    _groupSections = new Map();
+    _explainedSeatKey = null;
+    _compareFocus = null;
+  }
 
-      applyColourScheme(currentPreferences.colourScheme);
-      if (typographyChanged) applyTypography();
-      currentAdapter.applyMapHighlights();
-      if (declutterChanged) applyDeclutterMode();
-      if (animFreezeChanged) applyAnimationFreeze();
+  /** Called whenever the URL may have changed; waits for the route to settle */
+  function checkForNavigation() {
+    if (window.location.href === _lifecycleUrl) return;
+    clearTimeout(_navigationTimer);
+    _navigationTimer = setTimeout(handleNavigation, NAVIGATION_SETTLE_MS);
+  }
 
-      if (panelElement) {
-        renderPanelContent();
-        updatePanelVisibility();
-      }
-    }
+  function handleNavigation() {
+    _lifecycleUrl = window.location.href;
 
-    // Profile data loaded from storage
-    if (type === 'PROFILES_LOADED') {
-      customProfiles = event.data.profiles || [];
-      console.log(`[A11y Helper] Profiles loaded: ${customProfiles.length} custom`);
-      if (panelElement) renderPanelContent();
-    }
+    const previousMeta = eventMeta;
+    eventMeta = { eventId: null, eventName: null, venue: null };
+    currentAdapter.getEventMeta();
+    const nextKey = getEventStoreKey();
 
-    // Profile applied from popup
-    if (type === 'APPLY_PROFILE') {
-      applyProfile(event.data.profileId);
+    // Same event — a filter, sort or date-picker change in the query string
+    if (nextKey === _sessionKey) {
+      eventMeta = previousMeta;
+      return;
     }
 
-    if (type === 'REQUEST_SEAT_DATA') {
-      window.postMessage({
-        source: 'tm-a11y-content',
-        type: 'SEAT_DATA_RESPONSE',
-        seatData: capturedSeats
-      }, '*');
+    console.log(`[A11y Helper] ↪ Navigated to another event (${_sessionKey} → ${nextKey})`);
+    const nextMeta = eventMeta;
+    eventMeta = previousMeta;
+    eventSessionId++; // Running scans and startup timers of the old event stop here
+    resetEventState();
+    eventMeta = nextMeta;
+
+    scanState = currentAdapter.shouldAutoScan ? 'scanning' : 'ready';
+    _pageChangedSinceRefresh = true;
+    if (panelElement) renderPanelContent();
+    announceToScreenReader(`New event${eventMeta.eventName ? `: ${eventMeta.eventName}` : ''}. Seats from the previous page have been cleared.`);
+
+    startEventSession();
+  }
+
+  /** Wrap the history API so client-side route changes are noticed */
+  function installNavigationWatch() {
+    ['pushState', 'replaceState'].forEach(method => {
+      const original = history[method];
+      if (typeof original !== 'function') return;
+      history[method] = function (...args) {
+        const result = original.apply(this, args);
+        try { checkForNavigation(); } catch (e) { /* never break the page's router */ }
+        return result;
+      };
+    });
+    window.addEventListener('popstate', checkForNavigation);
+  }
+
+  /**
+   * Next light refresh. Visible tabs refresh every LIVE_REFRESH_MS; a
+   * hidden tab pauses unless a watch needs it, then ticks slowly.
+   */
+  function scheduleLiveRefresh() {
+    clearTimeout(_liveRefreshTimer);
+    _liveRefreshTimer = null;
+    const hidden = document.visibilityState === 'hidden';
+    if (hidden && !activeWatch) return; // Resumed by onVisibilityChange()
+    _liveRefreshTimer = setTimeout(runLiveRefresh, hidden ? HIDDEN_WATCH_REFRESH_MS : LIVE_REFRESH_MS);
+  }
+
+  function runLiveRefresh() {
+    checkForNavigation(); // Safety net for routers that bypass pushState
+    if (scanState === 'ready' && !_autoScrollInProgress && _pageChangedSinceRefresh) {
+      _pageChangedSinceRefresh = false;
+      const before = capturedSeats.length;
+      currentAdapter.scrapeSeats(); // mergeSeatData() re-renders if anything changed
+      if (capturedSeats.length > before && currentPreferences.mcdaEnabled) currentAdapter.applyMapHighlights();
     }
-  });
+    scheduleLiveRefresh();
+  }
+
+  function onVisibilityChange() {
+    if (document.visibilityState === 'visible') runLiveRefresh(); // Catch up straight away
+    else scheduleLiveRefresh();
+  }
+
+  /** Note page changes for the next refresh; our own panel's re-renders don't count */
+  function notePageMutations(mutations) {
+    if (_pageChangedSinceRefresh) return;
+    _pageChangedSinceRefresh = mutations.some(m => {
+      const el = m.target.nodeType === 1 ? m.target : m.target.parentElement;
+      return !el?.closest('#tm-a11y-companion-panel');
+    });
+  }
+
+  function startPageLifecycle() {
+    installNavigationWatch();
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    // ── Scroll listener: scrape new sidebar items as user scrolls ──
+    // (Catches manual scrolling in addition to our auto-scroll.) Delegated
+    // from the document so it survives the sidebar being re-rendered.
+    document.addEventListener('scroll', (e) => {
+      const el = e.target;
+      if (el?.nodeType !== 1 || el.closest('#tm-a11y-companion-panel')) return;
+      if (!el.matches(LISTING_SCROLL_SELECTOR)) return;
+      clearTimeout(window._tmA11yScrollScrape);
+      window._tmA11yScrollScrape = setTimeout(() => currentAdapter.scrapeSeats(), 500);
+    }, { capture: true, passive: true });
+
+    scheduleLiveRefresh();
+  }
 
 
   // ══════════════════════════════════════════════════════════════
@@ -3646,7 +8744,7 @@
   // Each adapter encapsulates all platform-specific logic:
   //   - DOM scraping selectors and parsing
   //   - Scroll container detection
-  //   - Listing click + checkout flow
+  //   - Listing lookup + checkout selectors (flow is shared, see 3c)
   //   - Map highlighting (SVG vs Mapbox vs other)
   //   - Event metadata extraction
   //
@@ -3676,8 +8774,19 @@
     /** Auto-scroll the listing container to force lazy-loaded items to render */
     autoScroll() { autoScrollListingPanel(); },
 
-    /** Click a listing on the platform's sidebar/list + proceed to checkout */
-    clickListing(seat, qty) { return clickTMSidebarListing(seat, qty); },
+    /** Find the platform's listing element for a captured seat (no click) */
+    findListing(seat) { return findTMSidebarListing(seat); },
+
+    /** Click a listing on the platform's sidebar/list — never proceeds further */
+    clickListing(seat, qty) { return openListing(TicketmasterAdapter, seat, qty); },
+
+    /** Known checkout controls, tried before text matching in guided checkout */
+    checkoutSelectors: [
+      'button[data-testid*="checkout"]', 'button[data-testid*="add-to-cart"]',
+      'button[data-testid*="continue"]', 'button[data-testid*="get-ticket"]',
+      'a[data-testid*="checkout"]', '[data-testid*="unified-checkout"]',
+      'button[data-bdd*="checkout"]', 'button[data-bdd*="continue"]'
+    ],
 
     /** Scroll to and highlight a seat on the platform's map */
     scrollToSeat(seatId) { scrollToSeatOnMap(seatId); },
@@ -3695,10 +8804,7 @@
 
     /** Currency symbol for this platform/locale */
     getCurrencySymbol() {
-      const host = window.location.hostname;
-      if (/\.co\.uk|\.ie/i.test(host)) return '£';
-      if (/\.de|\.fr|\.es|\.nl|\.be|\.at|\.se|\.dk|\.fi|\.no|\.pl|\.cz/i.test(host)) return '€';
-      return '$';
+      return currencySymbolFor(currencyFromHost()); // Listings carry their own currency (3j)
     }
   };
 
@@ -3799,8 +8905,8 @@
         const spacedText = getSpacedText(el);
         if (spacedText.length < 15 || spacedText.length > 500) return;
 
-        // Must contain a price with £/$€ and "each" or just a price
-        if (!/[£$€]\s*\d+/.test(spacedText)) return;
+        // Must contain a price, in any currency
+        if (!hasMoneyAmount(spacedText)) return;
 
         // Must contain a section/area reference
         const hasSection = /\b(Upper|Lower)\s+Tier\s+\d/i.test(spacedText) ||
@@ -3827,7 +8933,7 @@
         for (const child of el.children) {
           const ct = getSpacedText(child);
           if (ct.length >= 15 && ct.length < 500 &&
-              /[£$€]\s*\d+/.test(ct) &&
+              hasMoneyAmount(ct) &&
               (/Tier\s+\d/i.test(ct) || /Floor/i.test(ct) || /Row\s+[A-Z0-9]/i.test(ct) || /Section\s+\d/i.test(ct)) &&
               /tickets?/i.test(ct)) {
             childAlsoMatches = true;
@@ -3836,19 +8942,25 @@
         }
         if (childAlsoMatches) return;
 
-        const info = StubHubAdapter._parseListingText(spacedText, el.textContent || '');
+        const info = StubHubAdapter._parseListingText(spacedText);
         if (!info || info.price < 5) return;
 
-        const key = `${info.section}|${info.row}|${info.price}`;
+        const listingRef = findListingRef(el);
+        const key = `${info.section}|${info.row}|${info.price}|${listingRef || ''}`;
         if (seen.has(key)) return;
         seen.add(key);
 
+        markListingCard(el);
         seats.push({
           id: `sh-${seats.length}-${info.section.replace(/\s+/g, '')}-R${info.row}`,
-          ...info
+          ...info,
+          listingRef,
+          sources: ['sidebar']
         });
       });
 
+      scanPageFeeNotes();
+
       if (seats.length > 0) {
         console.log(`[A11y Helper] 🔍 StubHub scrape: ${seats.length} listings found`);
         mergeSeatData(seats);
@@ -3865,21 +8977,13 @@
      *   "Floor Standing 1 - 6 tickets £126 each" (no row)
      *   "Lower Tier 115 Row N | 2 tickets £292 each"
      */
-    _parseListingText(spacedText, rawText) {
+    _parseListingText(spacedText) {
       // ── Price ──
-      const allPrices = [];
-      const priceRegex = /[£$€]\s*(\d{1,6}[\.,]?\d{0,2})/g;
-      let pm;
-      while ((pm = priceRegex.exec(rawText)) !== null) {
-        const val = parseFloat(pm[1].replace(',', ''));
-        if (val >= 5 && val < 100000) allPrices.push(val);
-      }
-      if (allPrices.length === 0) return null;
+      const amounts = parseMoneyAmounts(spacedText).filter(a => a.amount >= 5 && a.amount < 100000);
+      if (amounts.length === 0) return null;
+      const allPrices = amounts.map(a => a.amount);
       const price = allPrices[0];
-
-      let currency = 'GBP';
-      if (rawText.includes('$') && !rawText.includes('£')) currency = 'USD';
-      else if (rawText.includes('€')) currency = 'EUR';
+      const currency = amounts[0].currency;
 
       // ── Section ──
       let section = '';
@@ -3942,8 +9046,9 @@
 
       // ── Quantity ──
       // StubHub format: "1 - 5 tickets" (range) or "2 tickets" (exact)
-      let quantity = 1;
-      let quantityMax = 1;
+      // Left null when the card doesn't say, so the quantity filter keeps it
+      let quantity = null;
+      let quantityMax = null;
       const qtyRangeMatch = spacedText.match(/(\d+)\s*-\s*(\d+)\s*tickets?\b/i);
       const qtyExactMatch = spacedText.match(/(\d+)\s*tickets?\b/i);
       if (qtyRangeMatch) {
@@ -3973,9 +9078,11 @@
       return {
         section, row, seatNumber: '', price,
         priceMax: allPrices.length > 1 ? Math.max(...allPrices) : price,
+        ...parseFeeInfo(spacedText, price),
         currency, availability: 'available',
         areaName: '', description, qualityScore: null,
-        sellerType, type, quantity, quantityMax
+        sellerType, faceValue: parseFaceValue(spacedText), type, quantity, quantityMax,
+        access: detectAccessFeatures(spacedText)
       };
     },
 
@@ -3988,6 +9095,8 @@
     autoScroll() {
       if (_autoScrollInProgress) return;
       _autoScrollInProgress = true;
+      _scanStartedAt = Date.now();
+      const session = eventSessionId;
 
       console.log(`[A11y Helper] 📜 StubHub SCROLL SCAN: ${SCAN_DURATION_MS / 1000}s`);
 
@@ -4025,7 +9134,7 @@
           const text = el.textContent || '';
           let score = 0;
           if (/tier/i.test(text)) score += 3;
-          if (/[£$€]\s*\d+/.test(text)) score += 3;
+          if (hasMoneyAmount(text)) score += 3;
           if (/each/i.test(text)) score += 3;
           if (/row/i.test(text)) score += 2;
           if (/standing|seated|floor/i.test(text)) score += 2;
@@ -4042,6 +9151,7 @@
       if (!scrollContainer) {
         scrollContainer = document.scrollingElement || document.documentElement;
       }
+      beginScanMovement(scrollContainer);
 
       const startTime = Date.now();
       const viewHeight = scrollContainer === document.documentElement
@@ -4054,6 +9164,7 @@
       StubHubAdapter.scrapeSeats();
 
       const scanInterval = setInterval(() => {
+        if (session !== eventSessionId) { clearInterval(scanInterval); return; } // Navigated away (8e)
         const elapsed = Date.now() - startTime;
         const progress = Math.min(100, Math.round((elapsed / SCAN_DURATION_MS) * 100));
         scanProgress = progress;
@@ -4062,6 +9173,7 @@
         const txt = document.getElementById('tmA11yScanText');
         if (bar) bar.style.width = `${progress}%`;
         if (txt) txt.textContent = `Scanning seats… ${capturedSeats.length} found`;
+        narrateScanProgress(progress);
 
         // Scroll
         const cur = scrollContainer.scrollTop;
@@ -4079,23 +9191,21 @@
         if (elapsed >= SCAN_DURATION_MS) {
           clearInterval(scanInterval);
           _autoScrollInProgress = false;
-          scrollContainer.scrollTo({ top: 0, behavior: 'smooth' });
+          resetScanScroll(scrollContainer);
           setTimeout(() => {
             StubHubAdapter.scrapeSeats();
             console.log(`[A11y Helper] 📜 StubHub SCAN COMPLETE: ${capturedSeats.length} seats`);
-            finishScan();
+            finishScan(true);
           }, 500);
         }
       }, 250);
     },
 
     /**
-     * Click a StubHub listing to select it.
-     * StubHub listings are clickable rows/cards that lead to checkout.
+     * Find the StubHub listing for a seat. Listings are clickable
+     * rows/cards; prefer the buy button inside the card if it has one.
      */
-    async clickListing(seat, qty) {
-      console.log(`[A11y Helper] 🛒 StubHub: selecting ${seat.section} Row ${seat.row} @ £${seat.price}`);
-
+    findListing(seat) {
       const sectionNorm = seat.section.replace(/\s+/g, '').toLowerCase();
 
       // Find matching listing element
@@ -4107,15 +9217,15 @@
         if (el.closest('#tm-a11y-companion-panel')) return;
         const text = getSpacedText(el);
         if (text.length < 15 || text.length > 500) return;
-        if (!/[£$€]\s*\d+/.test(text)) return;
+        const amounts = parseMoneyAmounts(text);
+        if (amounts.length === 0) return;
 
         let score = 0;
         const elSectionNorm = text.replace(/\s+/g, '').toLowerCase();
         if (elSectionNorm.includes(sectionNorm)) score += 5;
 
         // Price match
-        const pm = text.match(/[£$€]\s*(\d{1,6}[\.,]?\d{0,2})/);
-        if (pm && Math.abs(parseFloat(pm[1].replace(',', '')) - seat.price) < 1) score += 4;
+        if (Math.abs(amounts[0].amount - seat.price) < 1) score += 4;
 
         // Row match
         if (seat.row) {
@@ -4131,24 +9241,17 @@
 
       if (!bestMatch || bestScore < 7) {
         console.log(`[A11y Helper] 🛒 StubHub: no confident match (best score ${bestScore})`);
-        return false;
+        return null;
       }
 
-      // Click the listing
-      bestMatch.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      await new Promise(r => setTimeout(r, 300));
+      return bestMatch.querySelector('button, a[href*="checkout"], a[href*="buy"], [class*="buy"], [class*="Buy"]') || bestMatch;
+    },
 
-      // Try clicking a buy button within the card first
-      const buyBtn = bestMatch.querySelector('button, a[href*="checkout"], a[href*="buy"], [class*="buy"], [class*="Buy"]');
-      if (buyBtn) {
-        buyBtn.click();
-      } else {
-        bestMatch.click();
-      }
+    /** Click a StubHub listing — never proceeds further */
+    clickListing(seat, qty) { return openListing(StubHubAdapter, seat, qty); },
 
-      console.log('[A11y Helper] 🛒 StubHub: listing clicked');
-      return true;
-    },
+    /** StubHub has no stable checkout test ids; guided checkout falls back to text matching */
+    checkoutSelectors: [],
 
     /** Scroll to and highlight a seat on the Mapbox map */
     scrollToSeat(seatId) {
@@ -4190,11 +9293,7 @@
     },
 
     getCurrencySymbol() {
-      const host = window.location.hostname;
-      if (/\.co\.uk|\.ie/i.test(host)) return '£';
-      if (/\.de|\.fr|\.es|\.it|\.nl|\.be|\.at|\.ch|\.se/i.test(host)) return '€';
-      if (/\.ca|\.com\.au/i.test(host)) return '$';
-      return '£'; // Default for stubhub.com — often US$ but we detect from listings
+      return currencySymbolFor(currencyFromHost()); // Listings carry their own currency (3j)
     }
   };
 
@@ -4285,7 +9384,7 @@
         if (spacedText.length < 15 || spacedText.length > 500) return;
         
         // Must contain a price
-        if (!/[£$€]\s*\d+/.test(spacedText)) return;
+        if (!hasMoneyAmount(spacedText)) return;
         
         // Must contain a section/area reference OR a ticket keyword
         const hasSection = /\bSection\s+\d/i.test(spacedText) ||
@@ -4308,7 +9407,7 @@
         for (const child of el.children) {
           const ct = getSpacedText(child);
           if (ct.length >= 15 && ct.length < 500 &&
-              /[£$€]\s*\d+/.test(ct) &&
+              hasMoneyAmount(ct) &&
               (/\bSection\s+\d/i.test(ct) || /\bFloor\b/i.test(ct) || /\bRow\s+[A-Z0-9]/i.test(ct)) &&
               /\d+\s*tickets?/i.test(ct)) {
             childAlsoMatches = true;
@@ -4318,19 +9417,25 @@
         if (childAlsoMatches) return;
         
         // ── Parse this element ──
-        const info = ViagogoAdapter._parseListingText(spacedText, el.textContent || '');
+        const info = ViagogoAdapter._parseListingText(spacedText);
         if (!info || info.price < 5) return;
         
-        const key = `${info.section}|${info.row}|${info.price}`;
+        const listingRef = findListingRef(el);
+        const key = `${info.section}|${info.row}|${info.price}|${listingRef || ''}`;
         if (seen.has(key)) return;
         seen.add(key);
         
+        markListingCard(el);
         seats.push({
           id: `vg-${seats.length}-${info.section.replace(/\s+/g, '')}-R${info.row}`,
-          ...info
+          ...info,
+          listingRef,
+          sources: ['sidebar']
         });
       });
 
+      scanPageFeeNotes();
+
       if (seats.length > 0) {
         console.log(`[A11y Helper] 🔍 Viagogo scrape: ${seats.length} listings found`);
         mergeSeatData(seats);
@@ -4348,21 +9453,13 @@
      *   "2 tickets"   → quantity = 2
      *   "Floor"       → section = "Floor"
      */
-    _parseListingText(spacedText, rawText) {
+    _parseListingText(spacedText) {
       // ── Price ──
-      const allPrices = [];
-      const priceRegex = /[£$€]\s*(\d{1,6}[\.,]?\d{0,2})/g;
-      let pm;
-      while ((pm = priceRegex.exec(rawText)) !== null) {
-        const val = parseFloat(pm[1].replace(',', ''));
-        if (val >= 5 && val < 50000) allPrices.push(val);
-      }
-      if (allPrices.length === 0) return null;
+      const amounts = parseMoneyAmounts(spacedText).filter(a => a.amount >= 5 && a.amount < 50000);
+      if (amounts.length === 0) return null;
+      const allPrices = amounts.map(a => a.amount);
       const price = allPrices[0];
-      
-      let currency = 'GBP';
-      if (rawText.includes('$')) currency = 'USD';
-      else if (rawText.includes('€')) currency = 'EUR';
+      const currency = amounts[0].currency;
 
       // ── Section ──
       // Priority 1: "Section XXX" (most common Viagogo format)
@@ -4412,7 +9509,8 @@
       if (rowMatch) row = rowMatch[1].toUpperCase();
 
       // ── Quantity ──
-      let quantity = 1;
+      // Viagogo lists the number of tickets in the listing ("2 tickets")
+      let quantity = null;
       const qtyMatch = spacedText.match(/(\d+)\s*tickets?\b/i);
       if (qtyMatch) quantity = parseInt(qtyMatch[1]);
 
@@ -4442,9 +9540,11 @@
       return {
         section, row, seatNumber: '', price,
         priceMax: allPrices.length > 1 ? Math.max(...allPrices) : price,
+        ...parseFeeInfo(spacedText, price),
         currency, availability: 'available',
         areaName: '', description, qualityScore,
-        sellerType: 'resale', type
+        sellerType: 'resale', faceValue: parseFaceValue(spacedText), type, quantity, quantityMax: quantity,
+        access: detectAccessFeatures(spacedText)
       };
     },
 
@@ -4459,8 +9559,11 @@
     autoScroll() {
       if (_autoScrollInProgress) return;
       _autoScrollInProgress = true;
+      _scanStartedAt = Date.now();
+      const session = eventSessionId;
 
       console.log('[A11y Helper] 📜 Viagogo SCAN: clicking "Show more" to load all listings');
+      beginScanMovement(null); // "Show more" grows the page itself
 
       const startTime = Date.now();
       const MAX_SCAN_MS = 60000; // 60s max (some events have 100+ listings)
@@ -4471,6 +9574,7 @@
       ViagogoAdapter.scrapeSeats();
 
       const scanInterval = setInterval(async () => {
+        if (session !== eventSessionId) { clearInterval(scanInterval); return; } // Navigated away (8e)
         const elapsed = Date.now() - startTime;
 
         // Update progress based on "Showing X of Y" text if available
@@ -4487,12 +9591,13 @@
         const txt = document.getElementById('tmA11yScanText');
         if (bar) bar.style.width = `${progressPct}%`;
         if (txt) txt.textContent = `Scanning seats… ${capturedSeats.length} found`;
+        narrateScanProgress(progressPct);
 
         // ── Find and click "Show more" button ──
         const showMoreBtn = ViagogoAdapter._findShowMoreButton();
 
         if (showMoreBtn) {
-          showMoreBtn.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          showMoreBtn.scrollIntoView({ behavior: scanScrollBehavior(), block: 'center' });
           await new Promise(r => setTimeout(r, 200));
           showMoreBtn.click();
           try { showMoreBtn.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true })); } catch(e) {}
@@ -4524,14 +9629,13 @@
           clearInterval(scanInterval);
           _autoScrollInProgress = false;
           
-          // Scroll back to top
-          const scrollEl = document.scrollingElement || document.documentElement;
-          scrollEl.scrollTo({ top: 0, behavior: 'smooth' });
+          // Scroll back to top (or to where the user was, for a gentle scan)
+          resetScanScroll(document.scrollingElement || document.documentElement);
 
           setTimeout(() => {
             ViagogoAdapter.scrapeSeats();
             console.log(`[A11y Helper] 📜 Viagogo SCAN COMPLETE: ${capturedSeats.length} seats (${clickCount} clicks, ${allLoaded ? 'all loaded' : timedOut ? 'timeout' : 'stalled'})`);
-            finishScan();
+            finishScan(allLoaded || stalled);
           }, 500);
         }
       }, 1500); // Check every 1.5s (slower than TM to allow DOM updates)
@@ -4566,14 +9670,12 @@
     },
 
     /**
-     * Click a Viagogo listing card and proceed to purchase.
+     * Find the Viagogo listing card for a seat.
      *
      * Viagogo flow: click card → navigate to purchase/checkout page.
-     * Unlike TM, there's typically no two-step process.
+     * Prefer a buy/select button inside the card when there is one.
      */
-    async clickListing(seat, qty) {
-      console.log(`[A11y Helper] 🛒 Viagogo: selecting ${seat.section} Row ${seat.row} @ £${seat.price}`);
-
+    findListing(seat) {
       // Find matching card in the DOM
       const sectionNorm = seat.section.replace(/^Section\s*/i, '').replace(/\s+/g, '').toLowerCase();
       const priceStr = seat.price.toFixed(2);
@@ -4620,89 +9722,26 @@
 
       if (!bestMatch) {
         console.log('[A11y Helper] 🛒 Viagogo: no matching listing found');
-        return false;
+        return null;
       }
 
       console.log(`[A11y Helper] 🛒 Viagogo: found match (score ${bestScore}):`, bestMatch.textContent.substring(0, 80));
-
-      // Click the listing
-      bestMatch.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      await new Promise(r => setTimeout(r, 400));
-      bestMatch.style.outline = '3px solid var(--tm-a11y-accent, #3ecf8e)';
-
-      // Look for a buy/select button INSIDE the card first
-      const innerBtn = bestMatch.querySelector(
+      return bestMatch.querySelector(
         'button, a[href*="checkout"], a[href*="buy"], a[href*="purchase"], ' +
         '[data-testid*="buy"], [data-testid*="select"], [data-testid*="checkout"]'
-      );
-
-      if (innerBtn) {
-        innerBtn.click();
-        try { innerBtn.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true })); } catch (e) {}
-        console.log('[A11y Helper] 🛒 Viagogo: clicked inner buy button');
-      } else {
-        // Click the card itself — Viagogo cards are often clickable links
-        bestMatch.click();
-        try {
-          bestMatch.dispatchEvent(new PointerEvent('pointerdown', { bubbles: true }));
-          bestMatch.dispatchEvent(new PointerEvent('pointerup', { bubbles: true }));
-          bestMatch.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
-        } catch (e) {}
-        console.log('[A11y Helper] 🛒 Viagogo: clicked card');
-      }
-
-      // Wait for page to react — Viagogo may show a purchase modal or navigate
-      await new Promise(r => setTimeout(r, 2000));
-
-      // Look for checkout/buy/proceed button that appeared
-      const checkoutPatterns = [
-        /buy\s*now/i, /get\s*tickets?/i, /checkout/i, /proceed/i,
-        /continue/i, /add\s*to\s*(basket|cart)/i, /confirm/i, /place\s*order/i
-      ];
-      const checkoutSelectors = [
-        'button[data-testid*="buy"]', 'button[data-testid*="checkout"]',
-        'a[data-testid*="buy"]', 'a[data-testid*="checkout"]',
-        'button[data-testid*="proceed"]', 'button[data-testid*="confirm"]',
-        '[class*="BuyButton"]', '[class*="buyButton"]', '[class*="checkout"]'
-      ];
-
-      // Try selectors first
-      for (const sel of checkoutSelectors) {
-        try {
-          const btn = document.querySelector(sel);
-          if (btn && btn.offsetParent !== null) {
-            btn.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            await new Promise(r => setTimeout(r, 200));
-            btn.click();
-            console.log('[A11y Helper] 🛒 Viagogo: clicked checkout button');
-            setTimeout(() => { if (bestMatch) bestMatch.style.outline = ''; }, 3000);
-            return true;
-          }
-        } catch (e) {}
-      }
+      ) || bestMatch;
+    },
 
-      // Try text matching on visible buttons
-      const buttons = document.querySelectorAll('button, a[role="button"]');
-      for (const btn of buttons) {
-        if (btn.closest('#tm-a11y-companion-panel')) continue;
-        if (!btn.offsetParent) continue;
-        const btnText = (btn.textContent || '').trim();
-        if (btnText.length < 2 || btnText.length > 40) continue;
-        for (const pattern of checkoutPatterns) {
-          if (pattern.test(btnText)) {
-            btn.click();
-            console.log(`[A11y Helper] 🛒 Viagogo: clicked "${btnText}" button`);
-            setTimeout(() => { if (bestMatch) bestMatch.style.outline = ''; }, 3000);
-            return true;
-          }
-        }
-      }
+    /** Click a Viagogo listing — never proceeds further */
+    clickListing(seat, qty) { return openListing(ViagogoAdapter, seat, qty); },
 
-      // Card click alone may have navigated — report success
-      setTimeout(() => { if (bestMatch) bestMatch.style.outline = ''; }, 3000);
-      console.log('[A11y Helper] 🛒 Viagogo: card clicked, may have navigated');
-      return true;
-    },
+    /** Known purchase controls, tried before text matching in guided checkout */
+    checkoutSelectors: [
+      'button[data-testid*="buy"]', 'button[data-testid*="checkout"]',
+      'a[data-testid*="buy"]', 'a[data-testid*="checkout"]',
+      'button[data-testid*="proceed"]',
+      '[class*="BuyButton"]', '[class*="buyButton"]'
+    ],
 
     /** Scroll to seat: scroll the map into view and highlight the panel card */
     scrollToSeat(seatId) {
@@ -4748,12 +9787,7 @@
     },
 
     getCurrencySymbol() {
-      const host = window.location.hostname;
-      if (/\.co\.uk|\.ie/i.test(host)) return '£';
-      if (/\.de|\.fr|\.es|\.it|\.nl|\.be|\.at|\.ch|\.se|\.dk|\.fi|\.no|\.pl|\.pt/i.test(host)) return '€';
-      if (/\.com\.br|\.com\.ar/i.test(host)) return '$';
-      if (/\.com$/.test(host)) return '$';
-      return '£';
+      return currencySymbolFor(currencyFromHost()); // Listings carry their own currency (3j)
     }
   };
 
@@ -4800,6 +9834,8 @@
     applyTypography();
     applyDeclutterMode();
     applyAnimationFreeze();
+    applyUrgencyNeutraliser();
+    scanForCalmTimer();
 
     // Set scan state BEFORE creating panel so the overlay renders correctly
     if (currentAdapter.shouldAutoScan) {
@@ -4813,53 +9849,27 @@
     // Request sensory profiles from bridge
     requestProfiles();
 
-    // ── Quick scrapes of what's already visible (no scrolling/movement) ──
-    setTimeout(() => currentAdapter.scrapeSeats(), 1500);
-    setTimeout(() => {
-      currentAdapter.scrapeSeats();
-      if (capturedSeats.length > 0) renderPanelContent();
-    }, 3000);
-
-    // ── Platform-specific scan behaviour ──
-    // TM: auto-scroll sidebar on load (virtual scroll needs it to populate)
-    // Viagogo: wait for user to press "Scan All Seats" (avoids overstimulation)
-    if (currentAdapter.shouldAutoScan) {
-      setTimeout(() => currentAdapter.autoScroll(), 4000);
-      // Safety timeout — unlock panel even if scan stalls
-      setTimeout(() => { if (scanState === 'scanning') { console.log('[A11y Helper] Scan timeout'); finishScan(); } }, 30000);
-    }
-    // NOTE: When shouldAutoScan is false, the user presses "Scan All Seats"
-    // button in the companion panel to begin. This prevents overstimulation
-    // from unexpected page scrolling/movement on load.
-
-    // Background scrape every 15s for 90s
-    let bgScrapeCount = 0;
-    const bgScrapeInterval = setInterval(() => {
-      bgScrapeCount++;
-      const before = capturedSeats.length;
-      currentAdapter.scrapeSeats();
-      if (capturedSeats.length > before && scanState === 'ready') {
-        renderPanelContent();
-        if (currentPreferences.focusModeEnabled || currentPreferences.mcdaEnabled) currentAdapter.applyMapHighlights();
-      }
-      if (bgScrapeCount >= 6) clearInterval(bgScrapeInterval);
-    }, 15000);
+    // Per-event restore, quick scrapes and scan — rerun on SPA navigation (8e)
+    startEventSession();
 
     // ── MutationObserver: watch for dynamic content ──
     const contentObserver = new MutationObserver((mutations) => {
-      // Re-apply map visualisation when seat map loads/changes
-      if (currentPreferences.focusModeEnabled || currentPreferences.mcdaEnabled) {
-        let mapChanged = false;
-        for (const mutation of mutations) {
-          for (const added of mutation.addedNodes) {
-            if (currentAdapter.isMapMutation(added)) {
-              mapChanged = true;
-              break;
-            }
+      notePageMutations(mutations);
+
+      // Re-measure geometry and re-apply map visualisation when the seat map loads/changes
+      let mapChanged = false;
+      for (const mutation of mutations) {
+        for (const added of mutation.addedNodes) {
+          if (currentAdapter.isMapMutation(added)) {
+            mapChanged = true;
+            break;
           }
-          if (mapChanged) break;
         }
-        if (mapChanged) {
+        if (mapChanged) break;
+      }
+      if (mapChanged) {
+        invalidateMapGeometry();
+        if (currentPreferences.focusModeEnabled || currentPreferences.mcdaEnabled) {
           clearTimeout(window._tmA11yReapply);
           window._tmA11yReapply = setTimeout(() => currentAdapter.applyMapHighlights(), 500);
         }
@@ -4876,27 +9886,32 @@
         clearTimeout(window._tmA11yReDeclutter);
         window._tmA11yReDeclutter = setTimeout(() => applyDeclutterMode(), 500);
       }
+
+      // Reword pressure messages in newly loaded content (6a)
+      if ((currentPreferences.urgencyMode || 'off') !== 'off') {
+        clearTimeout(window._tmA11yReUrgency);
+        window._tmA11yReUrgency = setTimeout(() => applyUrgencyNeutraliser(), 600);
+      }
+
+      // Look for a checkout or queue timer (6b)
+      if ((currentPreferences.calmTimerMode || 'off') !== 'off' && (!calmTimer?.el.isConnected || calmTimer.expiredAt)) {
+        clearTimeout(window._tmA11yReTimer);
+        window._tmA11yReTimer = setTimeout(() => scanForCalmTimer(), 1000);
+      }
+
+      // Tone down reds in newly loaded content (7a)
+      if (currentPreferences.calmSkinEnabled) {
+        clearTimeout(window._tmA11yReCalm);
+        window._tmA11yReCalm = setTimeout(() => toneDownLoudReds(), 800);
+      }
     });
 
     if (document.body) {
       contentObserver.observe(document.body, { childList: true, subtree: true });
     }
 
-    // ── Scroll listener: scrape new sidebar items as user scrolls ──
-    // (Catches manual scrolling in addition to our auto-scroll)
-    setTimeout(() => {
-      const scrollContainers = document.querySelectorAll(
-        '[class*="listing"], [class*="Listing"], [class*="scroll"], [class*="results"], ' +
-        '[data-testid*="listing"], [data-testid*="ticket"], [role="list"], [role="listbox"]'
-      );
-      scrollContainers.forEach(container => {
-        if (container.closest('#tm-a11y-companion-panel')) return;
-        container.addEventListener('scroll', () => {
-          clearTimeout(window._tmA11yScrollScrape);
-          window._tmA11yScrollScrape = setTimeout(() => currentAdapter.scrapeSeats(), 500);
-        }, { passive: true });
-      });
-    }, 3000);
+    // Navigation watch, live refresh and the sidebar scroll listener (8e)
+    startPageLifecycle();
 
     console.log('[A11y Helper] ████ Initialisation complete');
   }
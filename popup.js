@@ -54,7 +54,7 @@
       id: 'profile_low-stim',
       name: 'Low Stimulation',
       builtIn: true,
-      description: 'Muted colours, large font, motion freeze, declutter — minimal sensory input',
+      description: 'Muted colours, large font, motion freeze, declutter, calm page — minimal sensory input',
       settings: {
         focusModeEnabled: false,
         colourScheme: 'muted',
@@ -62,7 +62,10 @@
         fontSize: 20,
         lineSpacing: 2.0,
         declutterEnabled: true,
-        animationFreezeEnabled: true
+        animationFreezeEnabled: true,
+        calmSkinEnabled: true,
+        urgencyMode: 'neutral',
+        calmTimerMode: 'coarse'
       },
       mcdaWeights: { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25 }
     },
@@ -78,7 +81,10 @@
         fontSize: 18,
         lineSpacing: 1.8,
         declutterEnabled: false,
-        animationFreezeEnabled: true
+        animationFreezeEnabled: true,
+        calmSkinEnabled: false,
+        urgencyMode: 'off',
+        calmTimerMode: 'off'
       },
       mcdaWeights: { price: 30, viewQuality: 35, proximity: 20, aisleAccess: 15 }
     },
@@ -94,7 +100,10 @@
         fontSize: 16,
         lineSpacing: 1.5,
         declutterEnabled: false,
-        animationFreezeEnabled: false
+        animationFreezeEnabled: false,
+        calmSkinEnabled: false,
+        urgencyMode: 'off',
+        calmTimerMode: 'off'
       },
       mcdaWeights: { price: 50, viewQuality: 20, proximity: 15, aisleAccess: 15 }
     }
@@ -108,6 +117,7 @@
   let journalEntries = [];
   let starRatings = { ratingOverall: 0, ratingSensory: 0, ratingAccessibility: 0 };
   let customProfiles = [];    // User-created sensory profiles (from storage)
+  let customVenues = [];      // Imported venue models (chrome.storage.local)
 
   let prefs = {
     focusModeEnabled: false, panelOpen: true, maxPrice: 150,
@@ -115,7 +125,11 @@
     fontSize: 16, lineSpacing: 1.5,
     activeProfileId: null,
     mcdaEnabled: false,
-    mcdaWeights: { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25 }
+    mcdaWeights: { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25, accessibility: 0 },
+    accessFilter: [],
+    seatConstraints: [],
+    homeCurrency: null,
+    exchangeRates: {}
   };
 
   // ════════════════════════════════════════════
@@ -346,6 +360,9 @@
     if (s.focusModeEnabled !== undefined) prefs.focusModeEnabled = s.focusModeEnabled;
     if (s.declutterEnabled !== undefined) prefs.declutterEnabled = s.declutterEnabled;
     if (s.animationFreezeEnabled !== undefined) prefs.animationFreezeEnabled = s.animationFreezeEnabled;
+    if (s.calmSkinEnabled !== undefined) prefs.calmSkinEnabled = s.calmSkinEnabled;
+    if (s.urgencyMode !== undefined) prefs.urgencyMode = s.urgencyMode;
+    if (s.calmTimerMode !== undefined) prefs.calmTimerMode = s.calmTimerMode;
     prefs.activeProfileId = profileId;
 
     // Load MCDA weights from profile
@@ -353,6 +370,11 @@
       prefs.mcdaWeights = { ...profile.mcdaWeights };
     }
 
+    // Hard seat rules are stored per profile too
+    if (Array.isArray(profile.seatConstraints)) {
+      prefs.seatConstraints = profile.seatConstraints.map(r => ({ ...r }));
+    }
+
     await savePreferences();
     populateSettings(); // Update all UI controls
 
@@ -378,9 +400,13 @@
         fontSize: prefs.fontSize,
         lineSpacing: prefs.lineSpacing,
         declutterEnabled: prefs.declutterEnabled || false,
-        animationFreezeEnabled: prefs.animationFreezeEnabled || false
+        animationFreezeEnabled: prefs.animationFreezeEnabled || false,
+        calmSkinEnabled: prefs.calmSkinEnabled || false,
+        urgencyMode: prefs.urgencyMode || 'off',
+        calmTimerMode: prefs.calmTimerMode || 'off'
       },
-      mcdaWeights: { ...(prefs.mcdaWeights || { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25 }) }
+      mcdaWeights: { ...(prefs.mcdaWeights || { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25 }) },
+      seatConstraints: (prefs.seatConstraints || []).map(r => ({ ...r }))
     };
     customProfiles.push(profile);
     return profile;
@@ -433,6 +459,74 @@
     return count;
   }
 
+  // ════════════════════════════════════════════
+  // VENUE MODELS — import contributed layouts
+  // ════════════════════════════════════════════
+  // Schema is documented in content.js (8a-i) and README. Imported
+  // models override bundled ones with the same id.
+
+  async function loadCustomVenues() {
+    const result = await storageGet('customVenues');
+    customVenues = result.customVenues || [];
+  }
+
+  async function saveCustomVenues() {
+    await storageSet({ customVenues });
+  }
+
+  /** Returns an error message, or null when the model is usable */
+  function validateVenueModel(v) {
+    if (!v || typeof v !== 'object') return 'not an object';
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(v.id || '')) return 'missing or invalid "id" (use lowercase-with-dashes)';
+    if (!v.name) return `"${v.id}" has no "name"`;
+    const names = v.match?.venueNames || [];
+    const urls = v.match?.urlPatterns || [];
+    if (!Array.isArray(names) || !Array.isArray(urls) || names.length + urls.length === 0) {
+      return `"${v.id}" needs match.venueNames or match.urlPatterns`;
+    }
+    if (!Array.isArray(v.tiers || []) || typeof (v.sections || {}) !== 'object') {
+      return `"${v.id}" has malformed "tiers" or "sections"`;
+    }
+    if (!(v.tiers || []).length && !Object.keys(v.sections || {}).length) {
+      return `"${v.id}" defines no tiers or sections`;
+    }
+    try {
+      urls.forEach(p => new RegExp(p, 'i'));
+      (v.tiers || []).forEach(t => (t.sectionPatterns || []).forEach(p => new RegExp(p, 'i')));
+    } catch (e) {
+      return `"${v.id}" has an invalid pattern: ${e.message}`;
+    }
+    return null;
+  }
+
+  /** Accepts one venue object or an array of them */
+  function importVenues(jsonStr) {
+    let imported;
+    try {
+      imported = JSON.parse(jsonStr);
+    } catch (e) {
+      throw new Error('Invalid JSON file');
+    }
+
+    const list = Array.isArray(imported) ? imported : [imported];
+    const byId = new Map(customVenues.map(v => [v.id, v]));
+    list.forEach(v => {
+      const error = validateVenueModel(v);
+      if (error) throw new Error(`Venue not imported: ${error}`);
+      byId.set(v.id, v);
+    });
+
+    customVenues = Array.from(byId.values());
+    return list.length;
+  }
+
+  async function notifyVenuesUpdated() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab?.id) chrome.tabs.sendMessage(tab.id, { type: 'VENUES_UPDATED' }).catch(() => {});
+    } catch (e) {}
+  }
+
   // ════════════════════════════════════════════
   // UI RENDERING
   // ════════════════════════════════════════════
@@ -652,7 +746,9 @@
     $('focusModeToggle').checked = prefs.focusModeEnabled;
     $('panelToggle').checked = prefs.panelOpen !== false;
     $('maxPriceSlider').value = prefs.maxPrice;
-    $('priceValue').textContent = `£${prefs.maxPrice}`;
+    $('priceValue').textContent = formatPopupPrice(prefs.maxPrice);
+    $('homeCurrency').value = prefs.homeCurrency || '';
+    $('exchangeRatesInput').value = formatExchangeRates(prefs.exchangeRates);
     $('colourScheme').value = prefs.colourScheme || 'default';
     updateSchemePreview();
     $('fontFamily').value = prefs.fontFamily;
@@ -669,20 +765,35 @@
 
   // MCDA presets (must match content.js)
   const POPUP_MCDA_PRESETS = {
-    balanced:  { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25 },
-    cheapest:  { price: 50, viewQuality: 20, proximity: 15, aisleAccess: 15 },
-    bestView:  { price: 15, viewQuality: 50, proximity: 20, aisleAccess: 15 },
-    closeUp:   { price: 15, viewQuality: 20, proximity: 50, aisleAccess: 15 },
-    easyExit:  { price: 15, viewQuality: 15, proximity: 20, aisleAccess: 50 }
+    balanced:  { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25, accessibility: 0 },
+    cheapest:  { price: 50, viewQuality: 20, proximity: 15, aisleAccess: 15, accessibility: 0 },
+    bestView:  { price: 15, viewQuality: 50, proximity: 20, aisleAccess: 15, accessibility: 0 },
+    closeUp:   { price: 15, viewQuality: 20, proximity: 50, aisleAccess: 15, accessibility: 0 },
+    easyExit:  { price: 15, viewQuality: 15, proximity: 20, aisleAccess: 50, accessibility: 0 },
+    access:    { price: 15, viewQuality: 15, proximity: 10, aisleAccess: 20, accessibility: 40 },
+    quietCalm: { price: 15, viewQuality: 10, aisleAccess: 10, quietness: 25, crowdCalm: 20, exitEase: 20 }
   };
 
   const POPUP_SLIDER_MAP = [
     { sliderId: 'mcdaPriceSlider', dispId: 'mcdaPriceDisp', key: 'price' },
     { sliderId: 'mcdaViewSlider', dispId: 'mcdaViewDisp', key: 'viewQuality' },
     { sliderId: 'mcdaProxSlider', dispId: 'mcdaProxDisp', key: 'proximity' },
-    { sliderId: 'mcdaAisleSlider', dispId: 'mcdaAisleDisp', key: 'aisleAccess' }
+    { sliderId: 'mcdaAisleSlider', dispId: 'mcdaAisleDisp', key: 'aisleAccess' },
+    { sliderId: 'mcdaAccessSlider', dispId: 'mcdaAccessDisp', key: 'accessibility' },
+    { sliderId: 'mcdaQuietSlider', dispId: 'mcdaQuietDisp', key: 'quietness' },
+    { sliderId: 'mcdaCrowdSlider', dispId: 'mcdaCrowdDisp', key: 'crowdCalm' },
+    { sliderId: 'mcdaExitSlider', dispId: 'mcdaExitDisp', key: 'exitEase' }
   ];
 
+  // Weights saved before a criterion existed count as 0 for it
+  function popupMCDAWeight(w, key) {
+    return Number(w?.[key]) || 0;
+  }
+
+  function popupMCDATotal(w) {
+    return POPUP_SLIDER_MAP.reduce((sum, s) => sum + popupMCDAWeight(w, s.key), 0);
+  }
+
   function populateMCDASettings() {
     const toggle = $('mcdaToggle');
     const weightsSection = $('mcdaWeightsSection');
@@ -696,15 +807,15 @@
   }
 
   function syncPopupMCDASliders() {
-    const w = prefs.mcdaWeights || { price: 25, viewQuality: 25, proximity: 25, aisleAccess: 25 };
-    const total = w.price + w.viewQuality + w.proximity + w.aisleAccess;
+    const w = prefs.mcdaWeights || POPUP_MCDA_PRESETS.balanced;
+    const total = popupMCDATotal(w);
 
     POPUP_SLIDER_MAP.forEach(s => {
       const slider = $(s.sliderId);
       const disp = $(s.dispId);
-      if (slider) slider.value = w[s.key];
+      if (slider) slider.value = popupMCDAWeight(w, s.key);
       if (disp) {
-        const pct = total > 0 ? Math.round((w[s.key] / total) * 100) : 25;
+        const pct = total > 0 ? Math.round((popupMCDAWeight(w, s.key) / total) * 100) : Math.round(100 / POPUP_SLIDER_MAP.length);
         disp.textContent = `${pct}%`;
       }
     });
@@ -718,8 +829,7 @@
     container.querySelectorAll('[data-mcda-preset]').forEach(btn => {
       const preset = POPUP_MCDA_PRESETS[btn.dataset.mcdaPreset];
       if (!preset) return;
-      const isActive = w.price === preset.price && w.viewQuality === preset.viewQuality &&
-                       w.proximity === preset.proximity && w.aisleAccess === preset.aisleAccess;
+      const isActive = POPUP_SLIDER_MAP.every(s => popupMCDAWeight(w, s.key) === popupMCDAWeight(preset, s.key));
       btn.style.borderColor = isActive ? 'var(--accent)' : '';
       btn.style.color = isActive ? 'var(--accent)' : '';
       btn.style.background = isActive ? 'var(--accent-dim)' : '';
@@ -741,6 +851,34 @@
     el.style.lineHeight = prefs.lineSpacing;
   }
 
+  // ── Currency ──
+  function formatPopupPrice(amount) {
+    try {
+      return new Intl.NumberFormat(navigator.language || 'en-GB', {
+        style: 'currency', currency: prefs.homeCurrency || 'GBP', maximumFractionDigits: 0
+      }).format(amount);
+    } catch (e) {
+      return `£${amount}`;
+    }
+  }
+
+  /** Parses "USD 0.79" lines into { USD: 0.79 }; unreadable lines are returned in `invalid`. */
+  function parseExchangeRates(text) {
+    const rates = {};
+    const invalid = [];
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      const m = line.match(/^([A-Za-z]{3})\s*[=:]?\s*(\d+(?:\.\d+)?)$/);
+      const rate = m ? parseFloat(m[2]) : NaN;
+      if (rate > 0) rates[m[1].toUpperCase()] = rate;
+      else invalid.push(line);
+    });
+    return { rates, invalid };
+  }
+
+  function formatExchangeRates(rates) {
+    return Object.entries(rates || {}).map(([code, rate]) => `${code} ${rate}`).join('\n');
+  }
+
   function updatePriceSectionState() {
     const active = prefs.focusModeEnabled || prefs.mcdaEnabled;
     $('priceSection').style.opacity = active ? '1' : '0.5';
@@ -797,14 +935,20 @@
       if (s.focusModeEnabled) chips.push('Focus');
       if (s.declutterEnabled) chips.push('Declutter');
       if (s.animationFreezeEnabled) chips.push('Freeze');
+      if (s.calmSkinEnabled) chips.push('Calm page');
+      if (s.urgencyMode && s.urgencyMode !== 'off') chips.push(s.urgencyMode === 'hide' ? 'No pressure text' : 'Calm wording');
+      if (s.calmTimerMode && s.calmTimerMode !== 'off') chips.push('Steady timer');
 
       // MCDA weight summary
       const mw = profile.mcdaWeights;
       if (mw) {
         const dominant = Object.entries(mw).sort((a, b) => b[1] - a[1])[0];
-        const labels = { price: 'Price', viewQuality: 'View', proximity: 'Proximity', aisleAccess: 'Aisle' };
+        const labels = { price: 'Price', viewQuality: 'View', proximity: 'Proximity', aisleAccess: 'Aisle', accessibility: 'Access',
+                         quietness: 'Quiet', crowdCalm: 'Calm crowd', exitEase: 'Exit' };
         if (dominant[1] > 30) chips.push(`MCDA: ${labels[dominant[0]]} ${dominant[1]}%`);
       }
+      const ruleCount = (profile.seatConstraints || []).length;
+      if (ruleCount > 0) chips.push(`${ruleCount} seat rule${ruleCount === 1 ? '' : 's'}`);
 
       return `
         <div class="prof-card ${isActive ? 'prof-active' : ''}" data-profile-id="${profile.id}">
@@ -860,6 +1004,40 @@
     });
   }
 
+  // ── Imported venue list ──
+  function renderVenueList() {
+    const container = $('venueList');
+    if (!container) return;
+
+    if (customVenues.length === 0) {
+      container.innerHTML = '<p class="fhint">No imported layouts. Bundled layouts are used automatically.</p>';
+      return;
+    }
+
+    container.innerHTML = customVenues.map(v => `
+      <div class="prof-card" data-venue-id="${escapeHtml(v.id)}">
+        <div class="prof-card-hdr">
+          <span class="prof-card-name">${escapeHtml(v.name)}</span>
+          <span class="prof-card-badge custom">Imported</span>
+        </div>
+        <div class="prof-card-desc">${(v.tiers || []).length} tiers · ${Object.keys(v.sections || {}).length} sections · ${(v.obstructedSections || []).length} obstructed</div>
+        <div class="prof-card-actions">
+          <button class="btn btn-g btn-sm venue-remove-btn" data-venue-id="${escapeHtml(v.id)}" style="color:var(--danger)">Remove</button>
+        </div>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.venue-remove-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        customVenues = customVenues.filter(v => v.id !== btn.dataset.venueId);
+        await saveCustomVenues();
+        await notifyVenuesUpdated();
+        renderVenueList();
+        showStatus('settingsStatus', 'Venue layout removed', 'success');
+      });
+    });
+  }
+
   // ── Status messages ──
   function showStatus(elementId, message, type) {
     const el = $(elementId);
@@ -957,10 +1135,27 @@
     $('panelToggle').addEventListener('change', (e) => updatePref('panelOpen', e.target.checked));
 
     $('maxPriceSlider').addEventListener('input', (e) => {
-      $('priceValue').textContent = `£${e.target.value}`;
+      $('priceValue').textContent = formatPopupPrice(e.target.value);
     });
     $('maxPriceSlider').addEventListener('change', (e) => updatePref('maxPrice', parseInt(e.target.value)));
 
+    $('homeCurrency').addEventListener('change', async (e) => {
+      await updatePref('homeCurrency', e.target.value || null);
+      $('priceValue').textContent = formatPopupPrice(prefs.maxPrice);
+    });
+
+    $('exchangeRatesInput').addEventListener('change', async (e) => {
+      const { rates, invalid } = parseExchangeRates(e.target.value);
+      if (invalid.length) {
+        showStatus('settingsStatus', `Couldn't read: ${invalid.join(', ')} — use e.g. "USD 0.79"`, 'error');
+        return;
+      }
+      await updatePref('exchangeRates', rates);
+      e.target.value = formatExchangeRates(rates);
+      const count = Object.keys(rates).length;
+      showStatus('settingsStatus', count ? `Saved ${count} exchange rate${count === 1 ? '' : 's'}` : 'Exchange rates cleared', 'success');
+    });
+
     $('colourScheme').addEventListener('change', (e) => {
       prefs.colourScheme = e.target.value;
       updateSchemePreview();
@@ -1020,14 +1215,14 @@
       if (!slider) return;
 
       slider.addEventListener('input', () => {
-        prefs.mcdaWeights[s.key] = parseInt(slider.value, 10);
+        prefs.mcdaWeights = { ...prefs.mcdaWeights, [s.key]: parseInt(slider.value, 10) };
         // Update all % displays (normalised)
         const w = prefs.mcdaWeights;
-        const total = w.price + w.viewQuality + w.proximity + w.aisleAccess;
+        const total = popupMCDATotal(w);
         POPUP_SLIDER_MAP.forEach(m => {
           const disp = $(m.dispId);
           if (disp) {
-            const pct = total > 0 ? Math.round((w[m.key] / total) * 100) : 25;
+            const pct = total > 0 ? Math.round((popupMCDAWeight(w, m.key) / total) * 100) : Math.round(100 / POPUP_SLIDER_MAP.length);
             disp.textContent = `${pct}%`;
           }
         });
@@ -1141,6 +1336,29 @@
       // Reset file input so same file can be re-imported
       e.target.value = '';
     });
+
+    // Venue layouts
+    $('venueImportBtn').addEventListener('click', () => {
+      $('venueImportInput').click();
+    });
+
+    $('venueImportInput').addEventListener('change', async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+
+      try {
+        const text = await file.text();
+        const count = importVenues(text);
+        await saveCustomVenues();
+        await notifyVenuesUpdated();
+        renderVenueList();
+        showStatus('settingsStatus', `Imported ${count} venue layout${count === 1 ? '' : 's'}!`, 'success');
+      } catch (err) {
+        showStatus('settingsStatus', err.message, 'error');
+      }
+
+      e.target.value = '';
+    });
   }
 
   // ════════════════════════════════════════════
@@ -1171,8 +1389,10 @@
 
     await loadPreferences();
     await loadProfiles();
+    await loadCustomVenues();
     populateSettings();
     renderProfileList();
+    renderVenueList();
 
     const loggedIn = await restoreSession();
     if (loggedIn) {